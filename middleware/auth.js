@@ -1,49 +1,50 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 
-export const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+// Build an error carrying the HTTP status and the message shown to the client
+const authError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
 
-    if (!token) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Access token is required'
-      });
-    }
+// Resolve a JWT to an active user. Shared by the HTTP middleware and the voice WebSocket handshake.
+export const verifyAccessToken = async (token) => {
+  if (!token) {
+    throw authError('Access token is required', 401);
+  }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw authError('Token expired', 401);
+    if (error.name === 'JsonWebTokenError') throw authError('Invalid token', 401);
+    throw error;
+  }
 
-    if (!user) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'User not found'
-      });
-    }
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    throw authError('User not found', 401);
+  }
+  if (!user.isActive) {
+    throw authError('User account is deactivated', 401);
+  }
+  return user;
+};
 
-    if (!user.isActive) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'User account is deactivated'
-      });
-    }
+export const authenticateToken = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-    req.user = user;
+    req.user = await verifyAccessToken(token);
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid token'
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         status: 'error',
-        message: 'Token expired'
+        message: error.message
       });
     }
 
@@ -1,4 +1,5 @@
 import { body, validationResult } from 'express-validator';
+import { LANGUAGE_CODES } from '../services/languages.js';
 
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -90,6 +91,17 @@ export const validateChatCreation = [
     .isIn(['beginner', 'intermediate', 'advanced', 'expert'])
     .withMessage('Invalid difficulty level'),
   
+  body('language')
+    .optional()
+    .isIn(LANGUAGE_CODES)
+    .withMessage(`Language must be one of ${LANGUAGE_CODES.join(', ')}`),
+  
+  body('recordingConsent')
+    .optional()
+    .isBoolean()
+    .withMessage('recordingConsent must be true or false')
+    .toBoolean(),
+  
   body('messages')
     .optional()
     .isArray()
@@ -114,6 +126,11 @@ export const validateMessage = [
     .isIn(['user', 'assistant'])
     .withMessage('Invalid message role'),
   
+  body('recordingId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid recording id'),
+  
   handleValidationErrors
 ];
 
@@ -179,6 +196,77 @@ export const validateProfileUpdate = [
   handleValidationErrors
 ];
 
+// Resume-to-job match validation: a saved target job, or a pasted job
+export const validateResumeMatch = [
+  body('targetJobId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target job id'),
+  body('jobTitle')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Job title cannot exceed 100 characters'),
+  body('company')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Company cannot exceed 100 characters'),
+  body('jobDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 20000 })
+    .withMessage('Job description cannot exceed 20000 characters'),
+  body('skills')
+    .optional()
+    .custom((val) => Array.isArray(val) || typeof val === 'string')
+    .withMessage('Skills must be an array of strings or a comma-separated string'),
+  body()
+    .custom((val) => Boolean(val?.targetJobId || val?.jobDescription || (val?.skills && val.skills.length)))
+    .withMessage('Provide a targetJobId, or a jobDescription and/or skills'),
+  handleValidationErrors
+];
+
+// Bullet rewrite validation: the target job is optional
+export const validateBulletRewrite = [
+  body('targetJobId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target job id'),
+  body('jobTitle')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Job title cannot exceed 100 characters'),
+  body('company')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Company cannot exceed 100 characters'),
+  body('jobDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 20000 })
+    .withMessage('Job description cannot exceed 20000 characters'),
+  body('skills')
+    .optional()
+    .custom((val) => Array.isArray(val) || typeof val === 'string')
+    .withMessage('Skills must be an array of strings or a comma-separated string'),
+  handleValidationErrors
+];
+
+// Accepting bullet rewrites: suggestion ids, or { id, text } to accept an edited rewrite
+export const validateRewriteAcceptance = [
+  body('accept')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('accept must be a non-empty array of suggestion ids'),
+  body('accept.*')
+    .custom((val) => typeof val === 'string' || (val && typeof val.id === 'string'
+      && (val.text === undefined || (typeof val.text === 'string' && val.text.trim().length > 0 && val.text.length <= 400))))
+    .withMessage('Each accepted suggestion must be an id or { id, text } with text up to 400 characters'),
+  handleValidationErrors
+];
+
 // Password change validation
 export const validatePasswordChange = [
   body('currentPassword')
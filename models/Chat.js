@@ -1,4 +1,24 @@
 import mongoose from 'mongoose';
+import { LANGUAGE_CODES, DEFAULT_LANGUAGE } from '../services/languages.js';
+
+// Per-answer rubric score, 0-10 per dimension
+const rubricScore = { type: Number, min: 0, max: 10, default: 0 };
+
+const answerScoreSchema = new mongoose.Schema({
+  relevance: rubricScore,
+  depth: rubricScore,
+  correctness: rubricScore,
+  structure: rubricScore,
+  overall: rubricScore,
+  justification: {
+    type: String,
+    default: ''
+  },
+  scoredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const messageSchema = new mongoose.Schema({
   role: {
@@ -19,9 +39,109 @@ const messageSchema = new mongoose.Schema({
     type: Map,
     of: String,
     default: {}
+  },
+  // Rubric score for candidate answers (set shortly after the answer is stored)
+  score: {
+    type: answerScoreSchema,
+    default: null
   }
 });
 
+// Server-side interview session state (one session per chat)
+const sessionSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active'
+  },
+  mode: {
+    type: String,
+    default: 'moderate'
+  },
+  targetJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  jobTitle: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  company: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  jobDescription: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  skills: [{
+    type: String,
+    trim: true
+  }],
+  phase: {
+    type: String,
+    default: 'initial'
+  },
+  questionsAsked: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  pausedDurationMs: {
+    type: Number,
+    default: 0
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// A change of interview difficulty made by adaptive calibration
+const difficultyTransitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced', 'expert'],
+    required: true
+  },
+  to: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced', 'expert'],
+    required: true
+  },
+  averageScore: {
+    type: Number,
+    min: 0,
+    max: 10
+  },
+  answersScored: {
+    type: Number,
+    default: 0
+  },
+  questionNumber: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const chatSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -35,6 +155,11 @@ const chatSchema = new mongoose.Schema({
     default: null,
     index: true
   },
+  // Version number of the pinned resume (resumeId is that exact version, see services/resumeVersions.js)
+  resumeVersion: {
+    type: Number,
+    default: null
+  },
   title: {
     type: String,
     required: true,
@@ -63,6 +188,28 @@ const chatSchema = new mongoose.Schema({
     enum: ['beginner', 'intermediate', 'advanced', 'expert'],
     default: 'intermediate'
   },
+  difficultyTransitions: [difficultyTransitionSchema],
+  // Interview language (code from services/languages.js): STT, TTS voice, interviewer prompts and feedback
+  language: {
+    type: String,
+    enum: LANGUAGE_CODES,
+    default: DEFAULT_LANGUAGE
+  },
+  // The candidate agreed to have their spoken answers stored (see models/Recording.js)
+  recordingConsent: {
+    type: Boolean,
+    default: false
+  },
+  recordingConsentAt: {
+    type: Date,
+    default: null
+  },
+  // Prompt template name -> version id (e.g. "question-rules@v2") this chat was assigned
+  promptVariants: {
+    type: Map,
+    of: String,
+    default: {}
+  },
   duration: {
     type: Number, // in minutes
     default: 0
@@ -92,7 +239,9 @@ const chatSchema = new mongoose.Schema({
     }],
     communication: {
       score: { type: Number, min: 0, max: 10 },
-      feedback: String
+      feedback: String,
+      // Spoken delivery summary (pace, filler words, pauses) for voice answers
+      delivery: { type: mongoose.Schema.Types.Mixed, default: undefined }
     },
     technicalKnowledge: {
       score: { type: Number, min: 0, max: 10 },
@@ -110,11 +259,25 @@ const chatSchema = new mongoose.Schema({
       type: String,
       default: ''
     },
+    // Aggregate of the per-answer scores the feedback was based on
+    answerScores: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Initial and final calibrated difficulty with the transitions in between
+    difficulty: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
     generatedAt: {
       type: Date,
       default: null
     }
   },
+  session: {
+    type: sessionSchema,
+    default: null
+  },
   tags: [{
     type: String,
     trim: true
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Delivery metrics the server measured for a transcribed answer, waiting for the answer to be submitted.
+// Claimed (and deleted) by the session turn or chat message whose text matches the transcript.
+const deliveryMeasurementSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the transcript with whitespace collapsed
+  transcriptHash: {
+    type: String,
+    required: true
+  },
+  // The voice-round recording of the same answer, when one was stored
+  recordingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // toDeliveryMetadata() output, copied onto the answer message as it is
+  metadata: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Unclaimed measurements are removed by MongoDB once this has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+deliveryMeasurementSchema.index({ userId: 1, transcriptHash: 1 });
+deliveryMeasurementSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DeliveryMeasurement = mongoose.model('DeliveryMeasurement', deliveryMeasurementSchema);
+
+export default DeliveryMeasurement;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Interviewer mode definitions stored in the database. Same shape as config/modes/*.json;
+// database entries override file definitions with the same id.
+const interviewModeSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  temperature: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 2
+  },
+  systemPrompt: [{
+    type: String
+  }],
+  introStyle: {
+    type: String,
+    enum: ['warm', 'standard'],
+    default: 'standard'
+  },
+  opening: {
+    persona: { type: String, default: '' },
+    rules: [{ type: String }]
+  },
+  phasePlan: [{
+    type: String
+  }],
+  allowedQuestionTypes: [{
+    type: String,
+    trim: true
+  }],
+  companyQuestions: [{
+    type: String
+  }],
+  starterRigor: {
+    type: Boolean,
+    default: false
+  },
+  shortFeedback: [{
+    type: String
+  }],
+  feedbackRubric: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+const InterviewMode = mongoose.model('InterviewMode', interviewModeSchema);
+
+export default InterviewMode;
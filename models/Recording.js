@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Stored audio of one candidate answer, kept only for chats whose candidate consented to recording
+const recordingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true,
+    index: true
+  },
+  // The answer message; null until a voice-round recording is attached to the message it produced
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['voice-round', 'voice-stream'],
+    required: true
+  },
+  // Backend holding the audio (services/recordingStorage.js) and its object key there
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  durationSeconds: {
+    type: Number,
+    default: null
+  },
+  // Retention: the purge deletes the audio and this document once this has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+const Recording = mongoose.model('Recording', recordingSchema);
+
+export default Recording;
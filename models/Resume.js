@@ -7,6 +7,18 @@ const resumeSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Every version of the same resume shares the lineage id of its first version (its own _id)
+  lineageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: function() {
+      return this._id;
+    }
+  },
+  version: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
   fileName: {
     type: String,
     required: true,
@@ -18,7 +30,7 @@ const resumeSchema = new mongoose.Schema({
   },
   fileType: {
     type: String,
-    enum: ['pdf', 'docx', 'doc'],
+    enum: ['pdf', 'docx', 'doc', 'odt', 'rtf', 'txt', 'md', 'json'],
     required: true
   },
   rawText: {
@@ -190,6 +202,11 @@ const resumeSchema = new mongoose.Schema({
 // Indexes for better query performance
 resumeSchema.index({ userId: 1, createdAt: -1 });
 resumeSchema.index({ isActive: 1 });
+// Resumes uploaded before versioning have no stored lineageId and are left out
+resumeSchema.index(
+  { lineageId: 1, version: 1 },
+  { unique: true, partialFilterExpression: { lineageId: { $exists: true } } }
+);
 
 // Virtual for formatted file size
 resumeSchema.virtual('fileSizeFormatted').get(function() {
@@ -208,17 +225,35 @@ resumeSchema.methods.getSummary = function() {
     fileName: this.fileName,
     fileSize: this.fileSizeFormatted,
     uploadedAt: this.createdAt,
+    lineageId: this.lineageId,
+    version: this.version,
     primaryRole: this.analysis.primaryRole,
     yearsOfExperience: this.analysis.yearsOfExperience,
     skills: this.parsedData.skills
   };
 };
 
-// Static method to find active resumes by user
-resumeSchema.statics.findActiveByUser = function(userId) {
-  return this.find({ userId, isActive: true })
+// Static method to find active resumes by user (the newest version of each lineage)
+resumeSchema.statics.findActiveByUser = async function(userId) {
+  const resumes = await this.find({ userId, isActive: true })
     .sort({ lastUsed: -1 })
-    .limit(10);
+    .limit(100);
+
+  const latest = new Map();
+  resumes.forEach((resume) => {
+    const key = String(resume.lineageId);
+    if (!latest.has(key) || resume.version > latest.get(key).version) {
+      latest.set(key, resume);
+    }
+  });
+  return [...latest.values()].slice(0, 10);
+};
+
+// Static method to find every version of a lineage, oldest first
+resumeSchema.statics.findLineage = function(userId, lineageId) {
+  // A resume uploaded before versioning is the only version of its lineage and has no stored lineageId
+  return this.find({ userId, $or: [{ lineageId }, { _id: lineageId }] })
+    .sort({ version: 1, createdAt: 1 });
 };
 
 // Static method to get latest resume for user
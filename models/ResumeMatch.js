@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const skillEvidenceSchema = new mongoose.Schema({
+  // experience | project | achievement | skills | resume-text
+  source: { type: String, required: true },
+  detail: { type: String, default: '' }
+}, { _id: false });
+
+const skillMatchSchema = new mongoose.Schema({
+  skill: { type: String, required: true, trim: true },
+  evidence: [skillEvidenceSchema],
+  suggestion: { type: String, default: '' }
+}, { _id: false });
+
+// A resume scored against a target job (services/resumeMatching.js). Kept so a candidate can see the
+// score move as they revise their resume for the same job.
+const resumeMatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  resumeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    required: true,
+    index: true
+  },
+  // Saved target job (User.targetJobs), or null for a pasted description
+  targetJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Same value for every report against the same job, whichever resume was scored
+  jobKey: {
+    type: String,
+    required: true
+  },
+  job: {
+    title: { type: String, trim: true, default: '' },
+    company: { type: String, trim: true, default: '' },
+    description: { type: String, default: '' },
+    skills: [{ type: String, trim: true }]
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  requiredSkills: [{ type: String, trim: true }],
+  matched: [skillMatchSchema],
+  weak: [skillMatchSchema],
+  missing: [skillMatchSchema]
+}, {
+  timestamps: true
+});
+
+resumeMatchSchema.index({ userId: 1, jobKey: 1, createdAt: -1 });
+
+const ResumeMatch = mongoose.model('ResumeMatch', resumeMatchSchema);
+
+export default ResumeMatch;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const bulletSuggestionSchema = new mongoose.Schema({
+  // Path of the bullet in Resume.analysis, e.g. "structuredExperience.0.achievements.1" or "projects.2.outcome"
+  bulletId: { type: String, required: true },
+  section: { type: String, enum: ['experience', 'project'], required: true },
+  // The role or project the bullet belongs to
+  context: { type: String, default: '' },
+  original: { type: String, required: true },
+  rewritten: { type: String, required: true },
+  rationale: { type: String, default: '' },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  }
+}, { _id: false });
+
+// Suggested bullet rewrites for one resume version (services/bulletRewriter.js). Accepting some of them
+// creates the next version of the resume.
+const resumeRewriteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  resumeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    required: true,
+    index: true
+  },
+  resumeVersion: {
+    type: Number,
+    default: 1
+  },
+  // Saved target job (User.targetJobs) the bullets were tailored to, if any
+  targetJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  job: {
+    title: { type: String, trim: true, default: '' },
+    company: { type: String, trim: true, default: '' }
+  },
+  suggestions: [bulletSuggestionSchema],
+  // The resume version created when suggestions were accepted
+  acceptedResumeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const ResumeRewrite = mongoose.model('ResumeRewrite', resumeRewriteSchema);
+
+export default ResumeRewrite;
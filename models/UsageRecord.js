@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// One metered LLM, speech-to-text or text-to-speech call
+const usageRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  plan: {
+    type: String,
+    default: null
+  },
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  endpoint: {
+    type: String,
+    default: 'unknown'
+  },
+  kind: {
+    type: String,
+    enum: ['llm', 'stt', 'tts'],
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    default: ''
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // True when the provider did not report usage and tokens were estimated from text length
+  tokensEstimated: {
+    type: Boolean,
+    default: false
+  },
+  audioSeconds: {
+    type: Number,
+    default: 0
+  },
+  characters: {
+    type: Number,
+    default: 0
+  },
+  estimatedCost: {
+    type: Number, // USD
+    default: 0
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+usageRecordSchema.index({ createdAt: -1 });
+usageRecordSchema.index({ userId: 1, createdAt: -1 });
+
+const UsageRecord = mongoose.model('UsageRecord', usageRecordSchema);
+
+export default UsageRecord;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import User from '../models/User.js';
 import Resume from '../models/Resume.js';
@@ -10,15 +10,52 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { Readable } from 'stream';
 import { llmClient, llmProviderName } from '../services/llmProvider.js';
-import { createClient as createDeepgramClient } from '@deepgram/sdk';
+import {
+  getInterviewPhase,
+  startSession,
+  getSessionChat,
+  assertSessionActive,
+  buildConversation,
+  toInterviewRequest,
+  recordTurn,
+  pauseSession,
+  resumeSession,
+  endSession,
+  serializeSession
+} from '../services/interviewSession.js';
+import { resolveMode, assertKnownMode, listModes, loadDatabaseModes, validateModeDefinition } from '../services/modeRegistry.js';
+import { scoreMissingAnswers, aggregateAnswerScores, formatScoresForPrompt } from '../services/answerScoring.js';
+import { calibrateDifficulty, getDifficultyGuidance, isDifficultyLevel, summarizeDifficulty } from '../services/difficultyCalibration.js';
+import { handleWithSse } from '../services/sse.js';
+import { trackUsage } from '../services/usageLedger.js';
+import { createPromptSet } from '../services/promptLibrary.js';
+import { DEFAULT_TTS_VOICE } from '../services/speechSynthesis.js';
+import {
+  transcribeAudio,
+  synthesizeSpeech,
+  isSpeechToTextAvailable,
+  isTextToSpeechAvailable,
+  assertLanguageSupported,
+  getLanguageSupport
+} from '../services/speechProvider.js';
+import { normalizeLanguage, resolveLanguage, languagePrompt, listLanguages } from '../services/languages.js';
+import { analyzeDelivery, rememberDelivery, summarizeDelivery, formatDeliveryForPrompt } from '../services/deliveryAnalytics.js';
+import { isRecordingEnabled, saveAnswerRecording } from '../services/recordingStorage.js';
+import { extractRequiredSkills } from '../services/resumeMatching.js';
+import { pinResumeToChat } from '../services/resumeVersions.js';
+import {
+  detectHallucinatedEntities,
+  normalizeForCompare,
+  overlapSimilarity,
+  isValidQuestion,
+  isAnswerLike,
+  REPEAT_SIMILARITY_THRESHOLD
+} from '../services/questionValidators.js';
+import InterviewMode from '../models/InterviewMode.js';
 
 const router = express.Router();
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Deepgram client for STT/TTS
-const deepgramApiKey = process.env.DEEPGRAM_API_KEY;
-const deepgram = deepgramApiKey ? createDeepgramClient(deepgramApiKey) : null;
-
 // Utility helpers
 const pickRandom = (arr = []) => arr[Math.floor(Math.random() * arr.length)] || '';
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -58,53 +95,6 @@ const extractBatchQuestions = (rawText, desiredCount = 3) => {
   const unique = Array.from(new Set(cleaned));
   return unique.slice(0, Math.max(1, desiredCount));
 };
-// Detect mentions of named entities that aren't present in provided context
-const detectHallucinatedEntities = (text, allowedContext) => {
-  if (!text || !allowedContext) return false;
-  const ctx = allowedContext.toLowerCase();
-  const matches = [];
-
-  // Match multi-word Title Case sequences and longer acronyms to reduce false positives
-  const titleCaseRegex = /\b([A-Z][a-z0-9]{2,}\s+[A-Z][a-z0-9]{2,}(?:\s+[A-Z][a-z0-9]{2,}){0,2})\b/g;
-  const acronymRegex = /\b([A-Z]{4,})\b/g;
-
-  let m;
-  while ((m = titleCaseRegex.exec(text))) {
-    matches.push(m[1]);
-  }
-  while ((m = acronymRegex.exec(text))) {
-    matches.push(m[1]);
-  }
-
-  // Filter matches that appear in the allowed context
-  const unknowns = matches.filter((tok) => {
-    if (!tok) return false;
-    const low = tok.toLowerCase();
-    return !ctx.includes(low);
-  });
-
-  return unknowns.length > 0 ? unknowns : false;
-};
-
-// Extract a short list of required skills from the job prompt
-const extractRequiredSkills = (jobPrompt) => {
-  if (!jobPrompt) return [];
-  const lines = jobPrompt.split('\n');
-  const line = lines.find(l => l.toLowerCase().startsWith('required skills:')) || '';
-  const raw = line.split(':').slice(1).join(':').trim();
-  if (!raw || /not specified/i.test(raw)) return [];
-  const skills = raw.split(',').map(s => s.trim()).filter(Boolean);
-  if (skills.length > 0) return skills.slice(0, 5);
-
-  // Fallback: extract common tech terms from job description text
-  const jobText = jobPrompt.toLowerCase();
-  const commonSkills = [
-    'html', 'css', 'javascript', 'typescript', 'react', 'vue', 'angular', 'node', 'express',
-    'mongodb', 'mysql', 'postgres', 'sql', 'rest', 'api', 'git', 'docker', 'aws', 'azure'
-  ];
-  const found = commonSkills.filter(skill => jobText.includes(skill));
-  return found.slice(0, 5).map(s => s.toUpperCase() === s ? s : s[0].toUpperCase() + s.slice(1));
-};
 // Sanitize resume and LLM text: strip markdown, headings, numbering, and short title-like lines
 const sanitizeText = (text) => {
   if (!text) return '';
@@ -134,12 +124,6 @@ const sanitizeText = (text) => {
   return t;
 };
 
-// Normalize text for simple similarity checks
-const normalizeForCompare = (s) => {
-  if (!s) return '';
-  return String(s).toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
-};
-
 // Build a short structured resume summary (top projects, top skills, years, primary role)
 const createResumeSummary = (structured, rawText) => {
   if (!structured && !rawText) return '';
@@ -170,46 +154,6 @@ const createResumeSummary = (structured, rawText) => {
   return parts.join('\n');
 };
 
-// Simple word-overlap similarity (set intersection over union)
-const overlapSimilarity = (a, b) => {
-  if (!a || !b) return 0;
-  const wa = new Set(a.split(/\s+/).filter(Boolean));
-  const wb = new Set(b.split(/\s+/).filter(Boolean));
-  if (wa.size === 0 || wb.size === 0) return 0;
-  let intersect = 0;
-  wa.forEach(w => { if (wb.has(w)) intersect++; });
-  const union = new Set([...wa, ...wb]).size;
-  return union === 0 ? 0 : intersect / union;
-};
-
-// Validate that a text is a proper interrogative question
-const isValidQuestion = (text) => {
-  if (!text) return false;
-  const s = String(text).trim();
-  if (!s.endsWith('?')) return false;
-  // Reject trivial numeric questions like '1?'
-  if (/^\s*\d+\?\s*$/.test(s)) return false;
-  // Require at least 3 words
-  const wordCount = s.split(/\s+/).filter(Boolean).length;
-  if (wordCount < 3) return false;
-  // Must start with an interrogative or modal/helper that makes it a question
-  const interrogatives = /^(who|what|when|where|why|how|describe|explain|can|could|do|did|are|is|would|should|tell|walk|compare|which|whom)\b/i;
-  if (interrogatives.test(s)) return true;
-  // Also allow polite requests like "Could you...", "Would you..."
-  if (/^(could|would|please)\b/i.test(s)) return true;
-  return false;
-};
-
-// Detect answer-like responses that should trigger regeneration
-const isAnswerLike = (text) => {
-  if (!text) return false;
-  const s = String(text).trim().toLowerCase();
-  return s.startsWith("i ") || s.startsWith("i'm ") || s.startsWith("i’ve ") || s.startsWith("i've ") ||
-    s.startsWith("we ") || s.startsWith("we've ") || s.startsWith("we’ve ") ||
-    s.startsWith("during ") || s.startsWith("in my ") || s.startsWith("my ") ||
-    s.startsWith("absolutely") || s.startsWith("sure") || s.startsWith("yes,");
-};
-
 // Log LLM payloads for debugging (only logs messages, no keys)
 const logLLMPayload = (label, messages) => {
   try {
@@ -223,19 +167,8 @@ const logLLMPayload = (label, messages) => {
     console.warn('Failed to log LLM payload:', e?.message || e);
   }
 };
-const QUESTION_RULES = `
-INTERVIEW QUESTION RULES:
-1) Stay strictly within the selected job field and role; avoid generic/unrelated topics.
-2) Align with the job profile; include situational, role-based, and real-world scenarios.
-3) Test core skills: foundations, practical use, best practices, and common pitfalls.
-4) Use progressive depth: basics → intermediate → deep follow-ups; probe claimed proficiency.
-5) Prefer practical/scenario questions with trade-offs and reasoning.
-6) If resume is provided: anchor to explicit projects, tools, technologies, and experience; validate claims.
-7) Adapt difficulty based on performance; do not overwhelm early; build confidence, then deepen.
-8) Balance coverage: technical knowledge, role responsibilities, problem solving; avoid redundancy.
-9) Keep tone professional, clear, concise; one question at a time; no fluff.
-10) Do not repeat questions; no multi-question bundles unless deepening the same topic.
-11) QUESTION ORDER: start with technical questions tied to the job description skills; then ask experience-based questions; then project-specific questions; finish with behavioral questions.`;
+
+// Guardrail prompts (question rules, starter limits, anti-hallucination, ...) are versioned templates in config/prompts
 
 // Role & Experience Lock - global guardrails appended to all system prompts
 const ROLE_EXPERIENCE_LOCK = `
@@ -248,90 +181,15 @@ const ROLE_EXPERIENCE_LOCK = `
   - Experience 3+ years: You may ask deeper reasoning, trade-offs, and scenario-based questions appropriate for senior-level contributors.
 - SELF-CHECK RULE: For every generated question, internally verify that it complies with the role and experience constraints above. If a generated question violates these constraints, DISCARD it and regenerate until it complies. Do not output any discarded drafts.`;
 
-// Starter plan negative rules (only to be appended when the caller indicates Starter/Free plan)
-const STARTER_NEGATIVE_RULES = `
-\n📌 STARTER-PLAN LIMITATIONS (ENFORCE STRICTLY):
-- DO NOT ask resume-based questions (even if resume content is present).
-- DO NOT assume or ask about past company-specific experience.
-- DO NOT ask system-design or architecture questions.
-- DO NOT ask leadership, ownership, or management-level questions.
-- Starter questions MUST rely strictly on job title, job description, and role fundamentals.`;
-
-// Anti-hallucination mandatory guardrail
-const ANTI_HALLUCINATION_RULE = `
-\nANTI-HALLUCINATION RULE (MANDATORY):
-- Do NOT invent, assume, or fabricate specific projects, company names, or systems.
-- NEVER reference a project, pipeline, or implementation unless it is EXPLICITLY mentioned in the resume or provided context.
-- If a project is not explicitly listed, ask a GENERAL role-appropriate question instead.
-- Do NOT ask presentation-style questions such as "step-by-step walkthrough" unless the candidate explicitly described building that system.`;
-
-// Starter pack additional safety rule
-const STARTER_PACK_SAFETY_RULE = `
-\nSTARTER PACK SAFETY RULE:
-- Do NOT ask questions that assume ownership of complex systems (streaming pipelines, distributed systems, real-time audio, architecture).
-- Use only fundamentals, role-level concepts, and simple project discussions.
-- If unsure whether a topic is too advanced, default to a simpler question.`;
-
-// Starter pack Strict mode enhancement (ONLY for Strict mode in Starter plan)
-const STARTER_PACK_STRICT_RULE = `
-\n🔥 STARTER PACK STRICT MODE - MAXIMUM RIGOR (ZERO TOLERANCE):
-- Ask ONLY about core technologies and skills mentioned in job description - NOTHING ELSE.
-- Expect candidates to demonstrate EXPERT-LEVEL MASTERY of every required skill.
-- Ask brutal questions about edge cases, performance implications, failure modes, and trade-off decisions.
-- Test problem-solving and debugging approaches specific to the role at production scale.
-- DO NOT ask easy/implementation questions - ask ARCHITECTURAL and DESIGN questions.
-- Questions should reveal if candidate can truly handle the role's HARDEST problems.
-- Demand they explain WHY choices matter, not just WHAT they know.
-- Test their deepest production experience - failures, scaling issues, optimizations.
-- Zero tolerance for surface-level knowledge - always probe one level deeper.
-- Ask about security implications, attack vectors, defensive patterns for the role.
-- If answer seems complete, ask "What if [hard constraint]?" to find limits of knowledge.
-- Test if they can reason through UNFAMILIAR HARD PROBLEMS using their mastery of fundamentals.`;
-
-// Hard enforcement: always output exactly one concise question and nothing else
-const HARD_QUESTION_ONLY = `
-\n!!! HARD ENFORCEMENT - QUESTION ONLY !!!
-- Output EXACTLY ONE concise interview QUESTION and NOTHING ELSE.
-- Do NOT include acknowledgements, confirmations, explanations, answers, or prefatory text.
-- Do NOT output lists, examples, or multiple sentences that are not the single question.
-- If you cannot formulate a question based on provided context, output a short clarifying question about available details.
-`;
-
-// Prioritize the TARGET JOB when generating questions (should take precedence over resume)
-const PRIORITIZE_TARGET_JOB = `
-\nPRIORITIZE TARGET JOB:
-- Always prioritize the TARGET JOB's requirements, role, and job description when crafting questions.
-- Use the resume only to SUPPORT relevance to the TARGET JOB (examples, projects, skills that map to job requirements).
-- If the resume conflicts with the job requirements, ask clarifying questions about fit for the TARGET JOB rather than assuming equivalence.
-`;
-
-// After a sustained run of questions, prioritize core skills then HR checks
-const CORE_SKILLS_THEN_HR = `
-\nAFTER 10 QUESTIONS - FOCUS SHIFT:
-- Now prioritize asking about the CORE SKILLS explicitly required by the TARGET JOB (technical depth, practical application, common pitfalls, trade-offs).
-- Ask 2-4 targeted deep questions mapped to the job's required skills; each should be specific, scenario-based, and probe demonstrated competence.
-- After core-skill probes, ask 1-2 concise HR/behavioral questions about teamwork, culture-fit, and communication (keep these short).
-- Do NOT return to broad or unrelated topics; keep questions directly tied to job requirements and demonstrated resume experience.`;
+// Prompt asking for questions this company typically asks, in the style of the interviewer mode
+export const companyQuestionsPrompt = (company, mode = 'moderate', jobRole = '') => {
+  // The mode's own instruction, or one built from its question types
+  const { companyQuestions, allowedQuestionTypes } = resolveMode(mode);
+  const questionTypePrompt = companyQuestions || (allowedQuestionTypes.length === 1
+    ? `Generate 3 ${allowedQuestionTypes[0]} questions that this company typically asks. Keep each between 50-70 words.`
+    : `Generate 3 questions that this company typically asks - a mix of these question types: ${allowedQuestionTypes.join(', ')}. Keep each between 50-70 words.`);
 
-// Helper function to generate company-specific questions (Groq via OpenAI-compatible client)
-const generateCompanyQuestions = async (company, mode = 'moderate', jobRole = '') => {
-  if (!company) return null;
-  
-  try {
-    console.log(`🏢 Generating AI questions for: ${company} (Mode: ${mode})`);
-    
-    // Determine question type based on mode
-    let questionTypePrompt = '';
-    if (mode === 'strict' || mode === 'technical') {
-      questionTypePrompt = 'Generate 3 tough technical/system design questions that this company typically asks. Focus on data structures, algorithms, and system design. Keep each between 50-70 words.';
-    } else if (mode === 'friendly') {
-      questionTypePrompt = 'Generate 3 behavioral questions that this company typically asks. Focus on soft skills, teamwork, and personal growth. Keep each between 50-70 words.';
-    } else {
-      // moderate - mix of all
-      questionTypePrompt = 'Generate 3 questions that this company typically asks - mix of 1 technical question, 1 system design question, and 1 behavioral question. Keep each between 50-70 words.';
-    }
-    
-    const prompt = `You are an expert at interview question generation for major tech companies.
+  return `You are an expert at interview question generation for major tech companies.
 
 Company: ${company}${jobRole ? `\nRole: ${jobRole}` : ''}
 
@@ -346,6 +204,15 @@ Requirements:
 6. Keep each question between 50-70 words, single sentence
 
 Generate the questions now:`;
+};
+
+// Helper function to generate company-specific questions (Groq via OpenAI-compatible client)
+const generateCompanyQuestions = async (company, mode = 'moderate', jobRole = '') => {
+  if (!company) return null;
+  
+  try {
+    console.log(`🏢 Generating AI questions for: ${company} (Mode: ${mode})`);
+    const prompt = companyQuestionsPrompt(company, mode, jobRole);
 
     logLLMRequest('company questions');
 
@@ -399,20 +266,12 @@ const starterGreetings = [
   ({ jobTitle, company }) => `Thanks for joining. Let's ease in${jobTitle ? ` with the ${jobTitle}` : ''}${company ? ` at ${company}` : ''}.`
 ];
 
-const shortFeedbackOptions = {
-  friendly: ['Nice!', 'Good one.', 'Sounds great!', 'Love that.', 'Excellent.', 'Awesome.'],
-  moderate: ['Good.', 'Got it.', 'Thanks.', 'Makes sense.', 'Understood.', 'Nice.'],
-  strict: ['Noted.', 'Understood.', 'Okay.', 'Alright.', 'Got it.'],
-  default: ['Good.', 'Nice.', 'Great.', 'Alright.', 'Thanks.']
-};
-
 const buildStarterGreeting = ({ jobTitle, company, mode }) => {
   return pickRandom(starterGreetings)({ jobTitle, company, mode }) || "Hi there! Let's get started.";
 };
 
 const getShortFeedback = (mode = 'moderate') => {
-  const list = shortFeedbackOptions[mode] || shortFeedbackOptions.default;
-  return pickRandom(list) || 'Good.';
+  return pickRandom(resolveMode(mode).shortFeedback) || 'Good.';
 };
 
 // Helper to create a File-like object from buffer for OpenAI SDK v6+
@@ -437,6 +296,35 @@ const logLLMRequest = (context = '') => {
   console.log(`Using LLM Provider: ${llmProviderName}${suffix}`);
 };
 
+// Chat completion shared by the JSON and SSE variants of a route.
+// On SSE responses (res.sendEvent) tokens are forwarded as `token` events, `boundary` marks where
+// one question ends and the next begins, and the call is aborted when the client disconnects.
+const completeChat = async (payload, res, { boundary = null } = {}) => {
+  const requestOptions = res.abortSignal ? { signal: res.abortSignal } : undefined;
+  if (!res.sendEvent) {
+    return openai.chat.completions.create(payload, requestOptions);
+  }
+
+  const stream = await openai.chat.completions.create({ ...payload, stream: true }, requestOptions);
+  let content = '';
+  let boundaries = 0;
+  for await (const chunk of stream) {
+    const text = chunk.choices?.[0]?.delta?.content || '';
+    if (!text) continue;
+    content += text;
+    res.sendEvent('token', { text });
+
+    if (boundary) {
+      const seen = content.split(boundary).length - 1;
+      while (boundaries < seen) {
+        boundaries += 1;
+        res.sendEvent('question_boundary', { index: boundaries });
+      }
+    }
+  }
+  return { choices: [{ message: { content } }] };
+};
+
 // Setup multer for audio file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -477,12 +365,61 @@ router.get('/test', (req, res) => {
   });
 });
 
-// @desc    Get AI interview response (Text-based)
-// @route   POST /api/ai/interview
-// @access  Private
-router.post('/interview', authenticateToken, asyncHandler(async (req, res) => {
+// Resumes a turn may use: the requesting user's own
+const loadUserResume = (resumeId, userId) => Resume.findOne({ _id: resumeId, userId });
+
+// Shared handler for POST /api/ai/interview and POST /api/ai/sessions/:id/turn.
+// When a sessionId is supplied, job context and conversation come from the stored session, not the client.
+// `loadResume(resumeId, userId)` reads the turn's resume; the offline eval harness passes one serving its fixtures.
+export const createInterviewTurnHandler = ({ loadResume = loadUserResume } = {}) => async (req, res) => {
+  const session = req.body.sessionId ? await getSessionChat(req.body.sessionId, req.user._id) : null;
+  if (session) {
+    assertSessionActive(session);
+    Object.assign(req.body, toInterviewRequest(session));
+  } else if (req.body.chatId) {
+    // Stateless turns for a chat use the resume version pinned to it, pinning the first one sent
+    const chat = await Chat.findOne({ _id: req.body.chatId, userId: req.user._id }).catch(() => null);
+    if (chat?.resumeId) {
+      req.body.resumeId = String(chat.resumeId);
+    } else if (chat && req.body.resumeId) {
+      const resume = await Resume.findOne({ _id: req.body.resumeId, userId: req.user._id }).catch(() => null);
+      if (resume) {
+        await pinResumeToChat(chat, resume).save();
+      }
+    }
+  }
+
   const { userAnswer, interviewMode, targetJobId, resumeId, conversation } = req.body;
-  const requestedBatchCount = Math.max(1, Math.min(Number(req.body.batchCount) || 1, 3));
+  // A session's mode was checked when it started; stateless calls name theirs on every turn
+  if (!session) assertKnownMode(interviewMode);
+  // Sessions use the chat's language; stateless calls may name one
+  const language = resolveLanguage(req.body.language);
+  // Session turns are recorded one question at a time, so batching is disabled for them
+  const requestedBatchCount = session ? 1 : Math.max(1, Math.min(Number(req.body.batchCount) || 1, 3));
+
+  // Sessions adapt difficulty from the answers scored so far; stateless calls may pin a level
+  const difficultyTransition = session ? calibrateDifficulty(session) : null;
+  const difficulty = session
+    ? session.difficulty
+    : (isDifficultyLevel(req.body.difficulty) ? req.body.difficulty : null);
+  if (difficultyTransition) {
+    console.log(`📶 Difficulty ${difficultyTransition.from} → ${difficultyTransition.to} (${difficultyTransition.reason})`);
+  }
+
+  // Prompt template versions are pinned to the chat (or the user when no chat is known)
+  const prompts = createPromptSet({ chat: session, chatId: req.body.chatId, userId: req.user._id });
+
+  // Reply to the client, persisting the exchange first when this turn belongs to a session
+  const sendTurn = async (data, turnType = 'question') => {
+    // A disconnected stream client never saw this turn, so it is not recorded
+    if (res.abortSignal?.aborted) return null;
+    await prompts.record();
+    if (session) {
+      await recordTurn(session, { answer: userAnswer, question: data.response, turnType, recordingId: req.body.recordingId });
+      data = { ...data, session: serializeSession(session), difficultyTransition };
+    }
+    return res.status(200).json({ status: 'success', data });
+  };
   
   console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('🔍 [BATCH DEBUG] Batch Request Received');
@@ -497,10 +434,10 @@ router.post('/interview', authenticateToken, asyncHandler(async (req, res) => {
     mode: interviewMode
   });
   
-  if (!deepgram) {
+  if (!isTextToSpeechAvailable()) {
     return res.status(501).json({
       status: 'error',
-      message: 'TTS currently unavailable on this server. Set DEEPGRAM_API_KEY to enable server TTS.'
+      message: 'TTS currently unavailable on this server. Configure TTS_PROVIDER to enable server TTS.'
     });
   }
 
@@ -510,7 +447,7 @@ router.post('/interview', authenticateToken, asyncHandler(async (req, res) => {
     console.log('User ID:', req.user._id);
     
     // Get mode configuration (fallback to 'moderate')
-    const modeConfig = getModeConfig(interviewMode || 'moderate');
+    const modeConfig = resolveMode(interviewMode);
     
     // Check if Starter/Free (job-focused only)
     const isStarterOrFree = req.user?.plan === 'STARTER' || req.user?.plan === 'FREE';
@@ -534,7 +471,7 @@ router.post('/interview', authenticateToken, asyncHandler(async (req, res) => {
           console.log('   ID Type:', typeof resumeId);
           console.log('   User ID:', req.user._id);
           
-          const resume = await Resume.findOne({ _id: resumeId, userId: req.user._id });
+          const resume = await loadResume(resumeId, req.user._id);
           
           if (resume) {
             console.log('✅ Resume found!');
@@ -685,22 +622,11 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
         })
         .join('\n\n');
       
-      // Track interview progress with structured flow
-      const questionsAsked = conversation.filter(msg => msg.type !== 'user').length;
-      let interviewPhase = 'initial';
-      let phaseGuidance = '';
-      const isStarterOrFree = req.user?.plan === 'STARTER' || req.user?.plan === 'FREE';
-      
-      if (questionsAsked < 2) {
-        interviewPhase = 'technical-skills';
-        phaseGuidance = '\n\n📋 PHASE 1 - CORE TECHNICAL SKILLS (Questions 1-5):\nAsk about the SPECIFIC technologies, tools, and skills mentioned in the job requirements.\nExample areas: programming languages, frameworks, databases, tools they must know.\nStay warm and encouraging - make it feel like a conversation, not an interrogation.';
-      } else if (questionsAsked < 5) {
-        interviewPhase = 'experience-projects';
-        phaseGuidance = '\n\nPHASE 2 - EXPERIENCE & PROJECTS (Questions 6-12):\nAsk about their REAL PROJECT EXPERIENCE with the technologies from Phase 1.\nIf they don\'t have direct experience, ask about relevant projects they\'ve built.\nFocus on: What they built, their role, technical decisions, challenges overcome.\nBe curious and supportive - this shows genuine interest in their background.';
-      } else {
-        interviewPhase = 'behavioral';
-        phaseGuidance = '\n\n🎯 PHASE 3 - BEHAVIORAL & ROLE FIT (Questions 13-20):\nAsk about HOW they work: problem-solving, learning, collaboration, handling challenges.\nTie back to the job requirements: discuss how their approach fits the role.\nRemain warm and encouraging - let them show their personality and values.';
-      }
+      // Track interview progress with structured flow (sessions count only real questions, not clarifications)
+      const questionsAsked = session
+        ? session.session.questionsAsked
+        : conversation.filter(msg => msg.type !== 'user').length;
+      const { name: interviewPhase, guidance: phaseGuidance } = getInterviewPhase(questionsAsked);
       
       conversationContext = `\n\nINTERVIEW HISTORY:\n${conversationHistory}${phaseGuidance}\n\nBased on this conversation, ask the next relevant follow-up that:\n1. Matches the CURRENT PHASE (${interviewPhase})\n2. References something they mentioned (shows you're listening)\n3. Digs deeper into their experience or reasoning\n4. Remains warm and genuinely interested`;
     }
@@ -741,9 +667,6 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
     resumePrompt = sanitizeText(resumePrompt);
     fullResumeText = sanitizeText(fullResumeText);
 
-    // BUILD FINAL SYSTEM PROMPT
-    const starterNote = isStarterOrFree ? (STARTER_NEGATIVE_RULES + STARTER_PACK_SAFETY_RULE) : '';
-    
     // Check if this is the FIRST question (empty conversation)
     const isFirstQuestion = !conversation || conversation.length === 0;
     
@@ -756,8 +679,8 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
         : 'this role';
       
       let introQuestion = '';
-      if (interviewMode === 'friendly') {
-        // Friendly mode: warm and encouraging introduction question
+      if (modeConfig.introStyle === 'warm') {
+        // Warm modes (e.g. friendly): encouraging introduction question
         introQuestion = req.body.company 
           ? `Hey! Thanks for joining - we're excited to meet you! Let's start simple. Tell me a bit about yourself and your background, especially anything relevant to ${req.body.company}. No need to be formal - just be yourself! 😊`
           : `Hey! Thanks for joining - we're excited to meet you! Could you tell me a bit about yourself and your professional background? Feel free to focus on any experience related to ${jobRole}. No need to be formal!`;
@@ -768,12 +691,7 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
           : `Thanks for joining! Let's start with the basics. Could you briefly introduce yourself and tell me about your professional background, especially as it relates to ${jobRole}?`;
       }
       
-      return res.status(200).json({
-        status: 'success',
-        data: {
-          response: introQuestion
-        }
-      });
+      return sendTurn({ response: introQuestion });
     }
 
     // =========================================================================
@@ -832,7 +750,8 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
     const isRepeatRequest = !isSkipRequest && clarificationPatterns.some(p => p.test(userAnswerLower));
     const isElaborateRequest = !isSkipRequest && elaborationPatterns.some(p => p.test(userAnswerLower));
     
-    if (isRepeatRequest || isElaborateRequest) {
+    // The canned clarification replies are English; other languages go through the normal prompt instead
+    if ((isRepeatRequest || isElaborateRequest) && language === 'en') {
       console.log('🔄 Clarification request detected:', isRepeatRequest ? 'REPEAT' : 'ELABORATE');
       console.log('📋 Conversation length:', conversation?.length || 0);
       
@@ -907,7 +826,7 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
         } else {
           // Elaborate/rephrase - use LLM to rephrase the question
           try {
-            const rephraseResponse = await openai.chat.completions.create({
+            const rephraseResponse = await completeChat({
               model: 'gpt-4o-mini',
               messages: [
                 { 
@@ -921,7 +840,7 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
               ],
               max_tokens: 150,
               temperature: 0.5,
-            });
+            }, res);
             responseText = rephraseResponse.choices[0].message.content || lastQuestion;
             // Clean up the response
             responseText = responseText.replace(/^["']|["']$/g, '').trim();
@@ -937,46 +856,34 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
         // Return in batch format if batchCount was requested, otherwise single response
         const clarifyBatchCount = Math.max(1, Math.min(Number(req.body.batchCount) || 1, 3));
         if (clarifyBatchCount > 1) {
-          return res.status(200).json({
-            status: 'success',
-            data: {
-              response: responseText,
-              responses: [responseText],
-              clarificationHandled: true
-            }
-          });
-        }
-        
-        return res.status(200).json({
-          status: 'success',
-          data: {
+          return sendTurn({
             response: responseText,
+            responses: [responseText],
             clarificationHandled: true
-          }
-        });
+          }, 'clarification');
+        }
+        
+        return sendTurn({
+          response: responseText,
+          clarificationHandled: true
+        }, 'clarification');
       } else {
         // No previous question found, ask them to proceed
         const fallbackResponse = "I'd be happy to help! Could you please provide your answer or let me know which question you'd like me to clarify?";
         const clarifyBatchCount = Math.max(1, Math.min(Number(req.body.batchCount) || 1, 3));
         
         if (clarifyBatchCount > 1) {
-          return res.status(200).json({
-            status: 'success',
-            data: {
-              response: fallbackResponse,
-              responses: [fallbackResponse],
-              clarificationHandled: true
-            }
-          });
-        }
-        
-        return res.status(200).json({
-          status: 'success',
-          data: {
+          return sendTurn({
             response: fallbackResponse,
+            responses: [fallbackResponse],
             clarificationHandled: true
-          }
-        });
+          }, 'clarification');
+        }
+        
+        return sendTurn({
+          response: fallbackResponse,
+          clarificationHandled: true
+        }, 'clarification');
       }
     }
 
@@ -1014,9 +921,9 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
     // Add starter rules if applicable
     if (isStarterOrFree) {
       systemPrompt += '\n⚠️  STARTER PACK: Job-focused only. Do NOT ask any resume-based questions. Only ask about job requirements and role-specific skills.';
-      // Add Strict mode enhancement if this is Strict mode
-      if (interviewMode === 'strict') {
-        systemPrompt += STARTER_PACK_STRICT_RULE;
+      // Add rigor enhancement for modes that request it (e.g. strict)
+      if (modeConfig.starterRigor) {
+        systemPrompt += `\n\n${prompts.render('starter-strict')}`;
       }
     }
 
@@ -1030,16 +937,16 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
         `\n✗ NEVER ask about: generic topics, generic soft skills, company culture, benefits, non-technical topics` +
         `\n✓ Verify each question directly references something from the job requirements below`;
       
-      // Add phase guidance for better structured interviews
-      if (interviewMode === 'friendly') {
-        systemPrompt += '\n\n📊 PHASE-BASED QUESTION FLOW (for this friendly interview):\nPhase 1 (Q1-5): Core technical skills mentioned in the job\nPhase 2 (Q6-12): Their experience with those skills/technologies\nPhase 3 (Q13-20): Behavioral - how they work, learn, handle challenges\n\nStay in the CURRENT PHASE based on how many questions have been asked.';
-      } else if (interviewMode === 'moderate') {
-        systemPrompt += '\n\n📊 STRUCTURED ASSESSMENT FLOW (for this professional interview):\nStage 1 (Q1-5): Core technical skills verification - ask about required tech/skills from job description\nStage 2 (Q6-12): Practical experience assessment - probe how they\'ve used those skills\nStage 3 (Q13+): Problem-solving approach - assess how they handle challenges related to the role\n\nProgress through stages naturally based on conversation depth. Stay focused on job requirements.';
-      } else if (interviewMode === 'strict') {
-        systemPrompt += '\n\n🔥 BRUTAL ASSESSMENT FLOW (for this UNCOMPROMISING interview):\nStage 1 (Q1-5): EXPERT-LEVEL MASTERY - Ask brutal questions about core required skills. Demand deep knowledge of essential technologies. Test what they\'ve actually BUILT at scale.\nStage 2 (Q6-12): ADVANCED WARFARE - Probe edge cases, failure modes, security implications, performance bottlenecks. Ask "What went wrong?" and "How would you optimize this?" questions. Test architectural decisions and trade-offs at scale.\nStage 3 (Q13+): EXPERT PROBLEM-SOLVING - Ask hard scenarios specific to the role. Test if they can reason through UNFAMILIAR problems. Demand they explain why their approach matters. Zero tolerance for surface answers - always probe deeper.\n\n⚠️  EXPECTATIONS: Expert-level knowledge ONLY. Deep production experience required. Ask about WHY choices matter, not just WHAT they know. Test their failures and what they learned. Probe security, performance, scalability. Reject surface-level knowledge.';
-      }
+      // Add the mode's phase plan for better structured interviews
+      systemPrompt += `\n\n${modeConfig.phasePlan}`;
     }
 
+    if (difficulty) {
+      systemPrompt += getDifficultyGuidance(difficulty);
+    }
+
+    systemPrompt += languagePrompt(prompts, language);
+
     // Build extended context with SHORT job and resume excerpts only
     const shortJob = jobPrompt 
       ? jobPrompt.split('\n').slice(0, 4).join('\n') 
@@ -1075,13 +982,17 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
         { role: 'user', content: userContent }
       ];
       console.log('📋 LLM Call - Mode:', interviewMode, '| Job present:', !!jobPrompt, '| Resume present:', !!resumePrompt);
-      response = await openai.chat.completions.create({
+      response = await completeChat({
         model: 'gpt-4o-mini',
         messages: messagesPayload,
         max_tokens: 80,
         temperature: modeConfig.temperature,  // Use mode-specific temperature
-      });
+      }, res, { boundary: requestedBatchCount > 1 ? '|||' : null });
     } catch (llmErr) {
+      if (res.abortSignal?.aborted) {
+        console.log('🔌 Client disconnected - interview stream aborted');
+        return null;
+      }
       console.error('❌ LLM provider error during /api/ai/interview call:', llmErr && llmErr.message ? llmErr.message : llmErr);
       return res.status(502).json({ status: 'error', message: 'LLM provider error', error: llmErr?.message || String(llmErr) });
     }
@@ -1143,7 +1054,7 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
     const firstQ = typeof aiResponseRaw === 'string' ? aiResponseRaw.indexOf('?') : -1;
     const hasNonQuestionBefore = firstQ > -1 && /[.!]/.test(aiResponseRaw.slice(0, firstQ).replace(/\s+/g, ''));
     const hasExtraAfter = firstQ > -1 && aiResponseRaw.slice(firstQ + 1).trim().length > 0;
-    const answerLike = isAnswerLike(aiResponseRaw) || isAnswerLike(trimmedResponse);
+    const answerLike = isAnswerLike(aiResponseRaw, language) || isAnswerLike(trimmedResponse, language);
 
     // If the model returned a non-question or included answers (before/after), retry once with an explicit instruction
     if (!trimmedResponse || !trimmedResponse.trim().endsWith('?') || hasNonQuestionBefore || hasExtraAfter || answerLike) {
@@ -1152,9 +1063,10 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
       console.log('   - Non-Q before:', hasNonQuestionBefore);
       console.log('   - Extra after:', hasExtraAfter);
       console.log('   - Answer-like:', answerLike);
+      res.sendEvent?.('validation_retry', { reason: 'format' });
       try {
         const regenSystem = systemPrompt + '\nIMPORTANT: Output exactly ONE QUESTION and NOTHING ELSE. If your previous response included an answer, discard it and generate only a concise interview question.';
-        const regenResp = await openai.chat.completions.create({
+        const regenResp = await completeChat({
           model: 'gpt-4o-mini',
           messages: [
             { role: 'system', content: regenSystem },
@@ -1164,7 +1076,7 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
           ],
           max_tokens: 80,
           temperature: Math.max(0.1, modeConfig.temperature - 0.2),  // Reduce temp for stricter format
-        });
+        }, res);
 
         const regenText = regenResp.choices[0].message.content;
         const regenTrim = enforceQuestionOnly(clampWords(regenText, 200), 60);
@@ -1185,12 +1097,13 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
     // Hallucination detection: ensure named entities in the response exist in allowed context
     try {
       const allowedContext = `${jobPrompt || ''} ${resumePrompt || ''} ${companyQuestionContext || ''} ${conversationContext || ''}`;
-      const hallucinated = detectHallucinatedEntities(trimmedResponse || aiResponseRaw, allowedContext);
+      const hallucinated = detectHallucinatedEntities(trimmedResponse || aiResponseRaw, allowedContext, language);
       if (hallucinated) {
         console.log('🛑 HALLUCINATION DETECTED:', hallucinated);
+        res.sendEvent?.('validation_retry', { reason: 'hallucination', entities: hallucinated });
         try {
           const antiHallSys = systemPrompt + '\n\n!!! CRITICAL INSTRUCTION !!!\nYou are the INTERVIEWER. Your ONLY job is to ASK A QUESTION.\nDo NOT answer the candidate. Do NOT explain anything. Do NOT share your thoughts.\nDo NOT start with "I", "We", "During", "In my", "At", etc.\nDo NOT mention projects/companies/systems NOT in the job description.\nOutput EXACTLY ONE QUESTION:\n- Start with interrogative: Who/What/How/Why/Can/Do/Tell/Describe/Explain\n- End with ?\n- Nothing else\n- No preamble, no explanation, no extra text';
-          const antiResp = await openai.chat.completions.create({
+          const antiResp = await completeChat({
             model: 'gpt-4o-mini',
             messages: [
                 { role: 'system', content: antiHallSys },
@@ -1198,10 +1111,10 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
             ],
             max_tokens: 80,
             temperature: Math.max(0.05, modeConfig.temperature - 0.3)
-          });
+          }, res);
           const antiText = antiResp.choices[0].message.content || '';
           const antiTrim = enforceQuestionOnly(clampWords(antiText, 200), 60);
-          const stillHall = detectHallucinatedEntities(antiText, allowedContext);
+          const stillHall = detectHallucinatedEntities(antiText, allowedContext, language);
           if (antiTrim && antiTrim.trim().endsWith('?') && !stillHall) {
             trimmedResponse = antiTrim;
             console.log('✅ Anti-hallucination regeneration SUCCESS');
@@ -1223,12 +1136,13 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
 
     // Strict question validation: ensure output begins with interrogative and is a real question
     try {
-      if (!isValidQuestion(trimmedResponse)) {
+      if (!isValidQuestion(trimmedResponse, language)) {
         console.log('❌ VALIDATION FAILED - Question is not valid interrogative');
         console.log('   - Current:', trimmedResponse);
         console.log('   - Attempting deterministic regeneration...');
+        res.sendEvent?.('validation_retry', { reason: 'not-a-question' });
         const regenSys = systemPrompt + '\nIMPORTANT: Start the output with an interrogative word (Who/What/How/Why/When/Describe/Explain/Can/Do/Are) and output EXACTLY ONE concise question. DO NOT echo resume headings or markdown.';
-        const regenResp = await openai.chat.completions.create({
+        const regenResp = await completeChat({
           model: 'gpt-4o-mini',
           messages: [
             { role: 'system', content: regenSys },
@@ -1236,10 +1150,10 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
           ],
           max_tokens: 80,
           temperature: Math.max(0.05, modeConfig.temperature - 0.3)
-        });
+        }, res);
         const regenText = regenResp.choices[0].message.content || '';
         const regenTrim = enforceQuestionOnly(clampWords(regenText, 200), 60);
-        if (isValidQuestion(regenTrim)) {
+        if (isValidQuestion(regenTrim, language)) {
           trimmedResponse = regenTrim;
           console.log('✅ Validation regeneration SUCCESS:', regenTrim);
         } else {
@@ -1268,16 +1182,17 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
         }
       }
       const aNorm = normalizeForCompare(trimmedResponse || '');
-      const isRepeat = recentAssistantQuestions.some((q) => overlapSimilarity(aNorm, normalizeForCompare(q)) >= 0.75);
+      const isRepeat = recentAssistantQuestions.some((q) => overlapSimilarity(aNorm, normalizeForCompare(q)) >= REPEAT_SIMILARITY_THRESHOLD);
       if (recentAssistantQuestions.length && isRepeat) {
         console.log('🔄 REPEAT DETECTED!');
         console.log('   - Current:', trimmedResponse);
         console.log('   - Recent:', recentAssistantQuestions[0]);
         console.log('   - Requesting alternative...');
+        res.sendEvent?.('validation_retry', { reason: 'repeat' });
         try {
           const lastAssistantQuestion = recentAssistantQuestions[0] || '';
           const noRepeatSys = systemPrompt + '\nIMPORTANT: Do NOT repeat or re-ask any of these recent assistant questions: "' + recentAssistantQuestions.join('" | "').replace(/\"/g, '') + '". Ask a different follow-up that probes another aspect of the candidate\'s experience.';
-          const noRepeatResp = await openai.chat.completions.create({
+          const noRepeatResp = await completeChat({
             model: 'gpt-4o-mini',
             messages: [
               { role: 'system', content: noRepeatSys },
@@ -1285,12 +1200,12 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
             ],
             max_tokens: 90,
             temperature: Math.min(0.7, modeConfig.temperature + 0.3)
-          });
+          }, res);
           const altText = noRepeatResp.choices[0].message.content || '';
           const altTrim = enforceQuestionOnly(clampWords(altText, 200), 60);
           const altNorm = normalizeForCompare(altTrim);
-          const altRepeat = recentAssistantQuestions.some((q) => overlapSimilarity(altNorm, normalizeForCompare(q)) >= 0.75);
-          if (isValidQuestion(altTrim) && !altRepeat) {
+          const altRepeat = recentAssistantQuestions.some((q) => overlapSimilarity(altNorm, normalizeForCompare(q)) >= REPEAT_SIMILARITY_THRESHOLD);
+          if (isValidQuestion(altTrim, language) && !altRepeat) {
             trimmedResponse = altTrim;
             console.log('✅ No-repeat regeneration SUCCESS:', altTrim);
           } else {
@@ -1304,7 +1219,7 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
             ].filter(Boolean);
             const randomFallback = fallbackVariants.find((q) => {
               const qNorm = normalizeForCompare(q);
-              return !recentAssistantQuestions.some((r) => overlapSimilarity(qNorm, normalizeForCompare(r)) >= 0.75);
+              return !recentAssistantQuestions.some((r) => overlapSimilarity(qNorm, normalizeForCompare(r)) >= REPEAT_SIMILARITY_THRESHOLD);
             }) || fallbackVariants[0];
             trimmedResponse = enforceQuestionOnly(randomFallback, 60);
           }
@@ -1319,7 +1234,7 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
           ].filter(Boolean);
           const randomFallback = fallbackVariants.find((q) => {
             const qNorm = normalizeForCompare(q);
-            return !recentAssistantQuestions.some((r) => overlapSimilarity(qNorm, normalizeForCompare(r)) >= 0.75);
+            return !recentAssistantQuestions.some((r) => overlapSimilarity(qNorm, normalizeForCompare(r)) >= REPEAT_SIMILARITY_THRESHOLD);
           }) || fallbackVariants[0];
           trimmedResponse = enforceQuestionOnly(randomFallback, 60);
         }
@@ -1348,12 +1263,7 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
     }
     console.log('═══════════════════════════════════════════');
     
-    res.status(200).json({
-      status: 'success',
-      data: {
-        response: trimmedResponse
-      }
-    });
+    return sendTurn({ response: trimmedResponse });
   } catch (error) {
     console.error('OpenAI API error:', error);
     res.status(500).json({
@@ -1362,73 +1272,166 @@ Reference them when relevant but always relate to the candidate's PAST EXPERIENC
       error: error.message
     });
   }
+};
+
+const handleInterviewTurn = createInterviewTurnHandler();
+
+// @desc    Get AI interview response (Text-based)
+// @route   POST /api/ai/interview
+// @access  Private
+router.post('/interview', authenticateToken, asyncHandler(handleInterviewTurn));
+
+// @desc    Streaming variant of POST /api/ai/interview (Server-Sent Events)
+// @route   POST /api/ai/interview/stream
+// @access  Private
+router.post('/interview/stream', authenticateToken, handleWithSse(handleInterviewTurn));
+
+// @desc    Start a server-side interview session (creates a chat unless chatId is given)
+// @route   POST /api/ai/sessions
+// @access  Private
+router.post('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const chat = await startSession(req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Interview session started',
+    data: {
+      session: serializeSession(chat)
+    }
+  });
 }));
 
-// Helper function to get mode configuration
-const getModeConfig = (mode) => {
-  const configs = {
-    friendly: {
-      name: "Friendly & Supportive",
-      temperature: 0.6,  // Higher temp for warm, varied responses
-      systemPrompt: `You are a FRIENDLY, ENCOURAGING interviewer. Your goal is to make the candidate feel comfortable while assessing their fit.
-
-✅ TONE: Warm, supportive, genuinely interested in their background. Ask follow-ups that show you're listening.
-✅ QUESTION FLOW: Ask ONE question at a time. Build on their answers naturally.
-✅ JOB-FOCUSED: Every question must relate directly to the job requirements provided.
-
-⚠️  STRICT CONSTRAINT: Ask ONLY about required skills, technologies, or responsibilities in the job description. NO generic questions. NO system design unless mentioned in job. NO resume-diving unless directly relevant to job fit.`
-    },
-    moderate: {
-      name: "Balanced & Professional",
-      temperature: 0.35,  // Balanced temp for consistent, professional responses
-      systemPrompt: `You are a PROFESSIONAL interviewer conducting a structured assessment. Your goal is to assess fit for the role while maintaining professional standards.
-
-✅ TONE: Straightforward, professional, focused on job fit. Ask substantive follow-ups based on their experience.
-✅ QUESTION FLOW: Ask ONE question at a time. Probe their relevant experience and technical fit.
-✅ JOB-FOCUSED: Every question must directly relate to the job requirements provided.
-✅ QUESTION ONLY: Do NOT answer, explain, or share your thoughts. ONLY ask interview questions.
-✅ STRUCTURE: Start with interrogative word (Who/What/How/Why/Can/Do/Tell/Describe/Explain) and end with ?.
-
-⚠️  STRICT CONSTRAINT: You are the INTERVIEWER asking questions. Do NOT respond to candidate answers - only generate the NEXT question. Do NOT answer in first person. Do NOT mention projects/companies/systems unless in the job description. All questions must directly connect to the job's required skills, technologies, or responsibilities.`
-    },
-    strict: {
-      name: "Strict & Rigorous",
-      temperature: 0.1,  // VERY LOW temp for deterministic, uncompromising responses
-      systemPrompt: `You are an UNCOMPROMISING technical interviewer testing EXPERT-LEVEL mastery only. REJECT weak answers. DEMAND deep reasoning.
-
-🔥 ROLE: You are NOT here to be fair. You are here to find if this candidate can TRULY HANDLE THIS ROLE at an expert level.
-
-✅ TONE: Aggressive, unforgiving, demanding. No encouragement. No sympathy. Probe mercilessly for depth.
-✅ QUESTION FLOW: Ask ONE BRUTALLY DIFFICULT question. Expect expert-level response. 
-✅ JOB-FOCUSED: EVERY single question must test a CRITICAL REQUIRED SKILL from job description.
-✅ UNFORGIVING: Zero tolerance for surface-level answers. Challenge shallow responses immediately.
-✅ DEPTH OBSESSION: Go DEEP. Ask about why choices matter. Ask about failure modes. Ask about scaling limits.
-✅ SCENARIO-BASED: Ask "What would you do with [HARD CONSTRAINT]?" to reveal true mastery.
-✅ QUESTION ONLY: NEVER explain, validate, or soften. ONLY ask the next brutally honest question.
-
-🚨 MANDATORY QUESTION ELEMENTS:
-- Edge cases AND boundary conditions AND failure scenarios
-- Performance implications AND optimization trade-offs AND scaling limits
-- Security implications AND attack vectors AND defensive strategies
-- Why specific choices matter AND what happens if they fail AND cost of being wrong
-- Hands-on debugging AND root cause analysis AND production incident handling
-- Advanced patterns AND anti-patterns AND common mistakes at scale
-
-⚠️  UNCOMPROMISING REQUIREMENTS:
-- REJECT "I don't know" - ask them to reason through it
-- REJECT generic answers - demand specificity and examples
-- REJECT surface knowledge - always probe deeper with "Why?" and "What if?"
-- REJECT vague responses - demand details about actual implementation
-- NEVER ask basic questions - ONLY expert-level technical depth
-- NEVER assume junior knowledge exists - probe like they should be senior
-- Test if they've actually DONE this at scale, not just learned it
-- Ask about production failures, lessons learned, mistakes made
-- Test their ability to handle UNFAMILIAR problems with known tools`
+// @desc    Get an interview session and its stored transcript
+// @route   GET /api/ai/sessions/:id
+// @access  Private
+router.get('/sessions/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const chat = await getSessionChat(req.params.id, req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      session: serializeSession(chat),
+      transcript: buildConversation(chat).map((msg, idx) => ({
+        ...msg,
+        score: chat.messages[idx].score || null
+      })),
+      answerScores: aggregateAnswerScores(chat.messages)
     }
-  };
+  });
+}));
 
-  return configs[mode] || configs.moderate;
-};
+// @desc    Submit the candidate's answer and get the next question
+// @route   POST /api/ai/sessions/:id/turn
+// @access  Private
+router.post('/sessions/:id/turn', authenticateToken, asyncHandler(async (req, res) => {
+  req.body = { ...req.body, sessionId: req.params.id };
+  return handleInterviewTurn(req, res);
+}));
+
+// @desc    Streaming variant of the session turn endpoint (Server-Sent Events)
+// @route   POST /api/ai/sessions/:id/turn/stream
+// @access  Private
+router.post('/sessions/:id/turn/stream', authenticateToken, handleWithSse(async (req, res) => {
+  req.body = { ...req.body, sessionId: req.params.id };
+  return handleInterviewTurn(req, res);
+}));
+
+// @desc    Pause an interview session
+// @route   POST /api/ai/sessions/:id/pause
+// @access  Private
+router.post('/sessions/:id/pause', authenticateToken, asyncHandler(async (req, res) => {
+  const chat = await pauseSession(await getSessionChat(req.params.id, req.user._id));
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Interview session paused',
+    data: { session: serializeSession(chat) }
+  });
+}));
+
+// @desc    Resume a paused interview session
+// @route   POST /api/ai/sessions/:id/resume
+// @access  Private
+router.post('/sessions/:id/resume', authenticateToken, asyncHandler(async (req, res) => {
+  const chat = await resumeSession(await getSessionChat(req.params.id, req.user._id));
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Interview session resumed',
+    data: { session: serializeSession(chat) }
+  });
+}));
+
+// @desc    End an interview session
+// @route   POST /api/ai/sessions/:id/end
+// @access  Private
+router.post('/sessions/:id/end', authenticateToken, asyncHandler(async (req, res) => {
+  const chat = await endSession(await getSessionChat(req.params.id, req.user._id));
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Interview session ended',
+    data: { session: serializeSession(chat) }
+  });
+}));
+
+// @desc    List interviewer modes from the mode registry
+// @route   GET /api/ai/modes
+// @access  Private
+router.get('/modes', authenticateToken, (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      modes: listModes()
+    }
+  });
+});
+
+// @desc    List interview languages and whether the configured speech providers support each one
+// @route   GET /api/ai/languages
+// @access  Private
+router.get('/languages', authenticateToken, (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      languages: listLanguages().map((language) => {
+        const { stt, live, tts } = getLanguageSupport(language.code);
+        return { ...language, speech: { stt, live, tts } };
+      })
+    }
+  });
+});
+
+// @desc    Create or update a database-defined interviewer mode
+// @route   PUT /api/ai/modes/:id
+// @access  Private/Admin
+router.put('/modes/:id', authenticateToken, requireRole(['admin']), asyncHandler(async (req, res) => {
+  const definition = { ...req.body, id: String(req.params.id).toLowerCase() };
+  const errors = validateModeDefinition(definition);
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid mode definition',
+      errors
+    });
+  }
+
+  const mode = await InterviewMode.findOneAndUpdate(
+    { id: definition.id },
+    { ...definition, isActive: definition.isActive !== false },
+    { new: true, upsert: true, runValidators: true }
+  );
+  const modes = await loadDatabaseModes();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Interviewer mode saved',
+    data: {
+      mode: { id: mode.id, name: mode.name, isActive: mode.isActive },
+      modes
+    }
+  });
+}));
 
 // @desc    Text-to-Speech endpoint
 // @route   POST /api/ai/tts
@@ -1436,12 +1439,13 @@ const getModeConfig = (mode) => {
 router.post('/tts', authenticateToken, asyncHandler(async (req, res) => {
   console.log('=== TTS REQUEST ===');
   
-  const { text, voice = 'aura-2-helena-en' } = req.body;
+  const { text, voice = DEFAULT_TTS_VOICE } = req.body;
+  const language = req.body.language ? assertLanguageSupported(req.body.language, ['tts']) : undefined;
 
-  if (!deepgram) {
-    return res.status(500).json({
+  if (!isTextToSpeechAvailable()) {
+    return res.status(501).json({
       status: 'error',
-      message: 'Deepgram API key not configured on server'
+      message: 'TTS currently unavailable on this server. Configure TTS_PROVIDER to enable server TTS.'
     });
   }
 
@@ -1466,38 +1470,24 @@ router.post('/tts', authenticateToken, asyncHandler(async (req, res) => {
     const wordClamped = clampWords(req.body.text, 200);
     const safeText = wordClamped.length > 1900 ? wordClamped.slice(0, 1900) : wordClamped;
 
-    // Map any non-Deepgram voice names (e.g., OpenAI alloy) to a valid Deepgram Aura model
-    const dgVoice = (voice && voice.startsWith('aura-')) ? voice : 'aura-2-helena-en';
-
-    const speakResponse = await deepgram.speak.request(
-      { text: safeText },
-      {
-        model: dgVoice, // Deepgram Aura voice
-        encoding: 'mp3'
-      }
-    );
-
-    if (speakResponse.error) {
-      throw speakResponse.error;
-    }
-
-    const audioBuffer = Buffer.from(await speakResponse.result.arrayBuffer());
-    const audioBase64 = audioBuffer.toString('base64');
+    // The provider maps the requested voice to one it supports in the language (e.g. OpenAI alloy -> Deepgram Aura)
+    const speech = await synthesizeSpeech(safeText, { voice, language });
+    const audioBase64 = speech.audio.toString('base64');
 
     res.status(200).json({
       status: 'success',
       data: {
         audioBase64: audioBase64,
-        voice: dgVoice
+        voice: speech.voice
       }
     });
     
   } catch (error) {
     console.error('TTS API error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'error',
-      message: 'Failed to generate speech',
-      error: error.message
+      message: error.statusCode ? error.message : 'Failed to generate speech',
+      error: error.cause?.message || error.message
     });
   }
 }));
@@ -1505,13 +1495,13 @@ router.post('/tts', authenticateToken, asyncHandler(async (req, res) => {
 // @desc    Audio transcription endpoint
 // @route   POST /api/ai/transcribe
 // @access  Private
-router.post('/transcribe', authenticateToken, upload.single('audio'), asyncHandler(async (req, res) => {
+router.post('/transcribe', authenticateToken, upload.single('audio'), trackUsage, asyncHandler(async (req, res) => {
   console.log('=== TRANSCRIPTION REQUEST ===');
   
-  if (!deepgram) {
+  if (!isSpeechToTextAvailable()) {
     return res.status(501).json({
       status: 'error',
-      message: 'STT currently unavailable on this server. Set DEEPGRAM_API_KEY to enable transcription.'
+      message: 'STT currently unavailable on this server. Configure STT_PROVIDER to enable transcription.'
     });
   }
 
@@ -1537,44 +1527,43 @@ router.post('/transcribe', authenticateToken, upload.single('audio'), asyncHandl
     });
   }
 
-  try {
-    console.log('🎙️ Transcribing with Deepgram...');
-
-    const { result, error } = await deepgram.listen.prerecorded.transcribeFile(req.file.buffer, {
-      model: 'nova-2',
-      smart_format: true,
-      punctuate: true,
-      language: 'en',
-      diarize: false
-    });
+  // Optional "language" form field (the chat's interview language); SPEECH_LANGUAGE otherwise
+  const language = req.body.language ? assertLanguageSupported(req.body.language, ['stt']) : undefined;
 
-    if (error) {
-      throw error;
-    }
+  try {
+    console.log('🎙️ Transcribing audio...');
 
-    const transcript = result?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '';
+    const { transcript, words, durationSeconds, language: spokenLanguage } = await transcribeAudio(req.file.buffer, {
+      language,
+      mimetype: req.file.mimetype,
+      filename: req.file.originalname
+    });
     console.log('✅ Transcription complete:', transcript);
 
+    // Kept on the server until the answer with this transcript is submitted (session turn or chat message)
+    const delivery = analyzeDelivery({ transcript, words, durationSeconds, language: spokenLanguage });
+    await rememberDelivery({ userId: req.user._id, transcript, delivery });
+
     res.status(200).json({
       status: 'success',
       data: {
         transcript: transcript,
-        duration: req.file.size
+        duration: req.file.size,
+        delivery
       }
     });
     
   } catch (error) {
     console.error('❌ Transcription API error:', {
       message: error?.message,
-      status: error?.status,
-      code: error?.code,
-      body: error?.body
+      status: error?.cause?.status,
+      code: error?.cause?.code,
+      body: error?.cause?.body
     });
-    const statusCode = error?.status && Number.isInteger(error.status) ? error.status : 502;
-    res.status(statusCode).json({
+    res.status(error?.statusCode || 502).json({
       status: 'error',
-      message: 'Failed to transcribe audio',
-      error: error?.message || 'Unknown STT error'
+      message: error?.statusCode ? error.message : 'Failed to transcribe audio',
+      error: error?.cause?.message || error?.message || 'Unknown STT error'
     });
   }
 }));
@@ -1582,7 +1571,7 @@ router.post('/transcribe', authenticateToken, upload.single('audio'), asyncHandl
 // @desc    Voice-based interview round (Audio in, Audio+Text out)
 // @route   POST /api/ai/voice-round
 // @access  Private
-router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHandler(async (req, res) => {
+router.post('/voice-round', authenticateToken, upload.single('audio'), trackUsage, asyncHandler(async (req, res) => {
   console.log('=== VOICE INTERVIEW ROUND ===');
   console.log('📥 Request received from:', req.ip);
   console.log('📦 Body fields:', Object.keys(req.body));
@@ -1595,6 +1584,7 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
   } : 'NO FILE');
   
   const { role, resumeText, sessionId, jobTitle, company } = req.body;
+  const language = assertLanguageSupported(req.body.language, ['stt', 'tts']);
   const safeJobTitle = sanitizeText(jobTitle || '').replace(/[^a-zA-Z0-9\s-]/g, '').trim();
   const apiKey = process.env.OPENAI_API_KEY;
 
@@ -1623,35 +1613,56 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
   }
 
   try {
-    // Step 1: Transcribe audio using Whisper
-    console.log('🎤 Transcribing audio (Deepgram)...');
-
-    const { result, error } = await deepgram.listen.prerecorded.transcribeFile(req.file.buffer, {
-      model: 'nova-2',
-      smart_format: true,
-      punctuate: true,
-      language: 'en',
-      diarize: false
-    });
-
-    if (error) {
-      throw error;
-    }
+    // Step 1: Transcribe audio with the configured STT provider
+    console.log('🎤 Transcribing audio...');
 
-    const transcript = result?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '';
+    const { transcript, words, durationSeconds, language: spokenLanguage } = await transcribeAudio(req.file.buffer, {
+      language,
+      mimetype: req.file.mimetype,
+      filename: req.file.originalname
+    });
     console.log('📝 Transcript:', transcript);
+    const delivery = analyzeDelivery({ transcript, words, durationSeconds, language: spokenLanguage });
+
+    // Keep the answer audio when the chat (sessionId) has the candidate's recording consent. The client
+    // attaches it to the answer with POST /api/chats/:id/messages (or the session turn) and its recordingId.
+    let recordingId = null;
+    if (isRecordingEnabled()) {
+      const chat = await Chat.findOne({ _id: sessionId, userId: req.user._id }).catch(() => null);
+      if (chat?.recordingConsent) {
+        try {
+          const recording = await saveAnswerRecording({
+            chat,
+            audio: req.file.buffer,
+            mimeType: req.file.mimetype,
+            filename: req.file.originalname,
+            source: 'voice-round',
+            durationSeconds: durationSeconds || delivery?.answerSeconds || null
+          });
+          recordingId = recording._id;
+        } catch (error) {
+          console.warn('⚠️ Failed to store voice-round recording:', error.message);
+        }
+      }
+    }
+    // The answer submitted with this transcript or recordingId gets these metrics
+    await rememberDelivery({ userId: req.user._id, transcript, delivery, recordingId });
 
     // Step 2: Get mode configuration
-    const modeConfig = getModeConfig(role);
+    const modeConfig = resolveMode(role);
     
     // Step 3: Generate AI response using transcript and context
     console.log('🤖 Generating AI response...');
     const isStarterOrFree = req.user?.plan === 'STARTER' || req.user?.plan === 'FREE';
     // Append starter safety rule along with existing starter negatives for Starter/Free plans
-    let starterNote = isStarterOrFree ? (STARTER_NEGATIVE_RULES + STARTER_PACK_SAFETY_RULE) : '';
-    // Add Strict mode enhancement if this is Strict mode
-    if (isStarterOrFree && role === 'strict') {
-      starterNote += STARTER_PACK_STRICT_RULE;
+    // sessionId is the chat id when the client has one; otherwise versions are pinned to the user
+    const prompts = createPromptSet({ chatId: sessionId, userId: req.user._id });
+    let starterNote = isStarterOrFree
+      ? `\n\n${prompts.render('starter-limitations')}\n\n${prompts.render('starter-safety')}`
+      : '';
+    // Add rigor enhancement for modes that request it (e.g. strict)
+    if (isStarterOrFree && modeConfig.starterRigor) {
+      starterNote += `\n\n${prompts.render('starter-strict')}`;
     }
 
     // If both job context and resume text exist, make resume defer to the target job
@@ -1665,9 +1676,10 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
 
     // If caller provided a conversation array, compute number of interviewer questions asked so far
     const numQuestionsAskedVoice = Array.isArray(req.body.conversation) ? req.body.conversation.filter(m => m.type !== 'user').length : 0;
-    const postTenPromptVoice = numQuestionsAskedVoice >= 10 ? CORE_SKILLS_THEN_HR : '';
+    const postTenPromptVoice = numQuestionsAskedVoice >= 10 ? `\n\n${prompts.render('core-skills-then-hr')}` : '';
 
-    let contextPrompt = `${modeConfig.systemPrompt}\n${QUESTION_RULES}${PRIORITIZE_TARGET_JOB}\nKeep follow-ups concise: no more than 2 sentences and under 50 words.${postTenPromptVoice}${starterNote}${ANTI_HALLUCINATION_RULE}${HARD_QUESTION_ONLY}`;
+    const languageNote = languagePrompt(prompts, language);
+    let contextPrompt = `${modeConfig.systemPrompt}\n\n${prompts.render('question-rules')}\n\n${prompts.render('prioritize-target-job')}\nKeep follow-ups concise: no more than 2 sentences and under 50 words.${postTenPromptVoice}${starterNote}\n\n${prompts.render('anti-hallucination')}\n\n${prompts.render('question-only')}${languageNote}`;
     
     // Add job context
     if (jobTitle || company) {
@@ -1680,7 +1692,7 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
     }
     // Build compact prompts for voice follow-ups (limit resume/job and conversation scope)
     logLLMRequest('interview follow-up (voice)');
-    let compactSystem = `${modeConfig.systemPrompt}\nRULES: Output exactly ONE interview question and nothing else. Keep it concise.`;
+    let compactSystem = `${modeConfig.systemPrompt}\nRULES: Output exactly ONE interview question and nothing else. Keep it concise.${languageNote}`;
     if (shortJob && shortJob.trim()) {
       compactSystem += `\nFOCUS: When JOB SUMMARY is present, PRIORITIZE the job's required skills and responsibilities when crafting the question.`;
     }
@@ -1736,7 +1748,7 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
     // Hallucination detection for voice-round responses
     try {
       const allowedContext = `${contextPrompt || ''} ${jobTitle || ''} ${company || ''} ${resumeContext || ''}`;
-      const hallucinated = detectHallucinatedEntities(aiTextRaw, allowedContext);
+      const hallucinated = detectHallucinatedEntities(aiTextRaw, allowedContext, language);
       if (hallucinated) {
         console.warn('🛑 Hallucinated entities detected in voice-round response:', hallucinated);
         try {
@@ -1753,7 +1765,7 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
 
           const antiText = antiResp.choices[0].message.content || '';
           const antiTrim = enforceQuestionOnly(clampWords(antiText, 200), 60);
-          const stillHall = detectHallucinatedEntities(antiText, allowedContext);
+          const stillHall = detectHallucinatedEntities(antiText, allowedContext, language);
           if (antiTrim && antiTrim.trim().endsWith('?') && !stillHall) {
             aiText = antiTrim;
           } else {
@@ -1771,7 +1783,7 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
     }
     // Strict validation: ensure aiText is an interrogative question
     try {
-      if (!isValidQuestion(aiText)) {
+      if (!isValidQuestion(aiText, language)) {
         console.warn('❗ Voice-round question validation failed - attempting deterministic regeneration');
         const regenSys = contextPrompt + '\nIMPORTANT: Start the output with an interrogative word (Who/What/How/Why/When/Describe/Explain/Can/Do/Are) and output EXACTLY ONE concise question. DO NOT echo resume headings or markdown.';
         logLLMPayload('voice-round - regen validation', [{ role: 'system', content: regenSys }, { role: 'user', content: `The candidate answered: "${transcript}". Ask a relevant follow-up question to continue the interview. Keep it under 2 sentences and under 50 words.` }]);
@@ -1787,7 +1799,7 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
         const regenText = regenResp.choices[0].message.content || '';
         logLLMPayload('voice-round - regen response', regenResp.choices[0].message ? [regenResp.choices[0].message] : []);
         const regenTrim = enforceQuestionOnly(clampWords(regenText, 200), 60);
-        if (isValidQuestion(regenTrim)) {
+        if (isValidQuestion(regenTrim, language)) {
           aiText = regenTrim;
         } else {
           const fallback = safeJobTitle
@@ -1814,7 +1826,7 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
         const aNorm = normalizeForCompare(aiText || '');
         const bNorm = normalizeForCompare(lastAssistantQuestion || '');
         const sim = overlapSimilarity(aNorm, bNorm);
-        if (aNorm && bNorm && sim >= 0.75) {
+        if (aNorm && bNorm && sim >= REPEAT_SIMILARITY_THRESHOLD) {
           console.warn('Detected repeated assistant question (voice); requesting alternative from model');
           try {
             const noRepeatSys = contextPrompt + '\nIMPORTANT: Do NOT repeat or re-ask the previous assistant question. The previous assistant question was: "' + lastAssistantQuestion.replace(/\"/g, '') + '". Ask a different follow-up that probes another aspect of the candidate\'s experience.';
@@ -1829,7 +1841,7 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
             });
             const alt = noRepeatResp.choices[0].message.content || '';
             const altTrim = enforceQuestionOnly(clampWords(alt, 200), 60);
-            if (isValidQuestion(altTrim) && overlapSimilarity(normalizeForCompare(altTrim), bNorm) < 0.75) {
+            if (isValidQuestion(altTrim, language) && overlapSimilarity(normalizeForCompare(altTrim), bNorm) < REPEAT_SIMILARITY_THRESHOLD) {
               aiText = altTrim;
             }
           } catch (nrErr) {
@@ -1847,30 +1859,22 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
     logLLMRequest('interview follow-up TTS');
 
     const ttsSafe = sanitizeText(clampWords(aiText, 200));
-    const ttsResponse = await deepgram.speak.request(
-      { text: ttsSafe.length > 1900 ? ttsSafe.slice(0, 1900) : ttsSafe },
-      {
-        model: 'aura-2-helena-en',
-        encoding: 'mp3'
-      }
-    );
-
-    if (ttsResponse.error) {
-      throw ttsResponse.error;
-    }
-
-    const audioBuffer = Buffer.from(await ttsResponse.result.arrayBuffer());
-    const audioBase64 = audioBuffer.toString('base64');
+    const ttsText = ttsSafe.length > 1900 ? ttsSafe.slice(0, 1900) : ttsSafe;
+    const speech = await synthesizeSpeech(ttsText, { voice: DEFAULT_TTS_VOICE, language });
+    const audioBase64 = speech.audio.toString('base64');
 
     console.log('✅ Voice round completed successfully');
 
     // Sanitize aiText before returning
     aiText = sanitizeText(aiText);
+    await prompts.record();
 
     res.status(200).json({
       status: 'success',
       data: {
         transcript: transcript,
+        delivery,
+        recordingId,
         aiText: aiText,
         audioBase64: audioBase64,
         timestamp: new Date().toISOString()
@@ -1880,9 +1884,9 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
   } catch (error) {
     console.error('❌ Voice interview error:', error);
     console.error('Stack:', error.stack);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'error',
-      message: 'Failed to process voice interview round',
+      message: error.statusCode ? error.message : 'Failed to process voice interview round',
       error: error.message,
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
@@ -1895,10 +1899,16 @@ router.post('/voice-round', authenticateToken, upload.single('audio'), asyncHand
 router.get('/initial-question/:mode', authenticateToken, asyncHandler(async (req, res) => {
   const { mode } = req.params;
   let { jobTitle = '', company = '', jobDescription = '', resumeId = '' } = req.query;
+  const language = resolveLanguage(req.query.language);
   console.log('🧭 [Initial Question] Query received:', { mode, jobTitle, company, hasJobDescription: !!jobDescription, jobDescriptionLength: jobDescription?.length || 0, resumeId });
   const apiKey = process.env.OPENAI_API_KEY;
   const userId = req.user.id;
+  // No chat exists before the first question, so template versions are pinned to the user
+  const prompts = createPromptSet({ userId });
   
+  // "starter" is the Starter plan's job-only opening, not a registered mode
+  if (String(mode).toLowerCase() !== 'starter') assertKnownMode(mode);
+
   // Define isStarterOrFree early for use throughout endpoint
   const isStarterOrFree = req.user?.plan === 'STARTER' || req.user?.plan === 'FREE' || String(mode).toLowerCase() === 'starter';
 
@@ -1930,7 +1940,7 @@ router.get('/initial-question/:mode', authenticateToken, asyncHandler(async (req
   }
 
   try {
-    const modeConfig = getModeConfig(mode);
+    const modeConfig = resolveMode(mode);
     
     // Fetch resume data if resumeId provided - USE STRUCTURED DATA
     let fullResumeText = '';
@@ -2041,52 +2051,21 @@ CRITICAL: Generate opening question based ONLY on job requirements. Do NOT refer
       }
       
       // Build prompt with JOB-FOCUSED RULES ONLY (No Resume References)
-      let combinedPrompt = '';
-      
-      if (mode === 'strict') {
-        // STRICT MODE: Ask challenging, deep technical questions about job requirements
-        combinedPrompt = `You are a RIGOROUS technical interviewer asking a challenging opening question.
-
-${jobContext}
-
-🔥 UNCOMPROMISING OPENING QUESTION (STRICT MODE):
-1. Ask a BRUTALLY DIFFICULT question testing expert-level mastery
-2. Focus on edge cases, failure modes, security, or architectural scaling
-3. Ask "What happened when [hard scenario]?" or "How would you handle [constraint]?"
-4. Demand they explain WHY their approach matters, not just HOW to do it
-5. Reference specific technologies/frameworks and their limitations
-6. Ask questions that reveal if they've actually BUILT at scale
-7. Make it extremely specific and difficult - no room for generic answers
-8. Keep it under 60 words but BRUTAL in expectation
-9. Start with "Describe", "Explain", "Walk me through", "How would you"
-10. This question should immediately reveal their true depth of knowledge`;
-      } else {
-        // FRIENDLY/MODERATE MODE: Approachable opening questions
-        combinedPrompt = `You are a FRIENDLY interviewer asking opening questions.
+      // Opening persona and rules come from the mode definition
+      const combinedPrompt = `${modeConfig.opening.persona}
 
 ${jobContext}
 
-🎯 CRITICAL RULES FOR OPENING QUESTION:
-1. Ask ONLY about the job requirements - NOT about resume
-2. Ask about their ability to meet the role's requirements
-3. Reference specific technologies/skills from the job description
-4. Ask open-ended questions about their experience with relevant tech
-5. Make it conversational and warm, not formal
-6. Keep it concise - ONE clear question, under 60 words
-7. Output exactly ONE question, NO explanations
-8. Start with "Tell me", "Describe", "What's your experience", etc.
-9. Make it specific to this job role and company
-10. Do NOT ask generic questions`;
-      }
+${modeConfig.opening.rules}`;
 
       // Removed: Resume context is disabled for testing (resumePrompt is forced empty)
       
       // Build system prompt - Job-focused only for Starter
       let starterNote = isStarterOrFree ? '\n\n🎯 STARTER PACK MODE: Generate ONE opening question based ONLY on the job description. Do NOT reference any resume. Focus on job requirements.' : '';
-      if (isStarterOrFree && mode === 'strict') {
-        starterNote += STARTER_PACK_STRICT_RULE;
+      if (isStarterOrFree && modeConfig.starterRigor) {
+        starterNote += `\n\n${prompts.render('starter-strict')}`;
       }
-      const systemPrompt = `${modeConfig.systemPrompt}\n${combinedPrompt}${starterNote}${ANTI_HALLUCINATION_RULE}`;
+      const systemPrompt = `${modeConfig.systemPrompt}\n${combinedPrompt}${starterNote}\n\n${prompts.render('anti-hallucination')}${languagePrompt(prompts, language)}`;
 
       logLLMRequest('opening question (Groq)');
 
@@ -2151,7 +2130,7 @@ ${jobContext}
 
         // Strict validation: ensure initialQuestion is a valid interrogative
         try {
-          if (!isValidQuestion(initialQuestion)) {
+          if (!isValidQuestion(initialQuestion, language)) {
             console.warn('❗ Initial question validation failed - attempting deterministic regeneration');
             const regenSys = systemPrompt + '\nIMPORTANT: Start the output with an interrogative word (Who/What/How/Why/When/Describe/Explain/Can/Do/Are) and output EXACTLY ONE concise opening question. DO NOT echo resume headings or markdown.';
             logLLMPayload('initial-question - regen validation', [{ role: 'system', content: regenSys }, { role: 'user', content: resumePrompt ? `Generate an opening question based on the candidate's resume and target position.` : `Generate a professional opening interview question for the role of ${jobTitle || 'Software Engineer'}.` }]);
@@ -2167,7 +2146,7 @@ ${jobContext}
             const regenText = regenResp.choices[0].message.content || '';
             logLLMPayload('initial-question - regen response', regenResp.choices[0].message ? [regenResp.choices[0].message] : []);
             const regenTrim = enforceQuestionOnly(clampWords(regenText, 200), 40);
-            if (isValidQuestion(regenTrim)) {
+            if (isValidQuestion(regenTrim, language)) {
               initialQuestion = regenTrim;
             } else {
               const fallback = jobTitle ? `What's your experience with the main technologies required for ${jobTitle}${company ? ` at ${company}` : ''}?` : 'Tell me about your technical background relevant to this role.';
@@ -2183,7 +2162,7 @@ ${jobContext}
       try {
         const allowedContext = `${jobPrompt || ''} ${resumePrompt || ''} ${companyQuestionContext || ''}`;
         const rawInit = response.choices[0].message.content || '';
-        const hallucinated = detectHallucinatedEntities(rawInit, allowedContext);
+        const hallucinated = detectHallucinatedEntities(rawInit, allowedContext, language);
         if (hallucinated) {
           console.warn('🛑 Hallucinated entities detected in initial question:', hallucinated);
           try {
@@ -2202,7 +2181,7 @@ ${jobContext}
 
             const antiText = antiResp.choices[0].message.content || '';
             const antiTrim = enforceQuestionOnly(clampWords(antiText, 200), 40);
-            const stillHall = detectHallucinatedEntities(antiText, allowedContext);
+            const stillHall = detectHallucinatedEntities(antiText, allowedContext, language);
             if (antiTrim && antiTrim.trim().endsWith('?') && !stillHall) {
               initialQuestion = antiTrim;
             } else {
@@ -2220,7 +2199,8 @@ ${jobContext}
       console.log(`✅ Generated opening question with strict resume-based approach`);
     }
 
-    const greeting = buildStarterGreeting({ jobTitle, company, mode });
+    // The canned greetings are English; other languages open with the generated question alone
+    const greeting = language === 'en' ? buildStarterGreeting({ jobTitle, company, mode }) : '';
     let opening = enforceQuestionOnly(clampWords(`${greeting}\n\n${initialQuestion}`, 200), 40);
     // Sanitize opening question before returning; if sanitized empty, use fallback
     opening = sanitizeText(opening);
@@ -2234,6 +2214,7 @@ ${jobContext}
       data: {
         question: opening,
         mode: mode,
+        language,
         jobContext: { jobTitle, company },
         hasResumeContext: !!fullResumeText,
         hasCompanyQuestions: !!companyContext,
@@ -2257,11 +2238,23 @@ ${jobContext}
   }
 }));
 
-// @desc    Generate comprehensive AI feedback for entire interview
-// @route   POST /api/ai/generate-interview-feedback
-// @access  Private
-router.post('/generate-interview-feedback', authenticateToken, asyncHandler(async (req, res) => {
-  const { conversation, mode, jobTitle, company, jobDescription, chatId } = req.body;
+const handleInterviewFeedback = async (req, res) => {
+  // A sessionId makes the stored transcript and job context authoritative over anything in the body
+  const session = req.body.sessionId ? await getSessionChat(req.body.sessionId, req.user._id) : null;
+  if (session) {
+    await endSession(session);
+  }
+
+  const { conversation, mode, jobTitle, company, jobDescription, chatId } = session
+    ? {
+      conversation: buildConversation(session),
+      mode: session.session.mode,
+      jobTitle: session.session.jobTitle,
+      company: session.session.company,
+      jobDescription: session.session.jobDescription,
+      chatId: String(session._id)
+    }
+    : req.body;
 
   console.log('📊 Feedback generation request received');
   console.log(`   Mode: ${mode}`);
@@ -2280,8 +2273,22 @@ router.post('/generate-interview-feedback', authenticateToken, asyncHandler(asyn
   }
 
   try {
-    // Use the globally initialized openai client
-    const oaiClient = openai;
+    // Per-answer scores stored on the chat are the evidence for the final feedback
+    const scoredChat = session || (chatId ? await Chat.findOne({ _id: chatId, userId: req.user._id }).catch(() => null) : null);
+    let answerScores = null;
+    let difficulty = null;
+    let delivery = null;
+    if (scoredChat) {
+      await scoreMissingAnswers(scoredChat);
+      answerScores = aggregateAnswerScores(scoredChat.messages);
+
+      // Sessions get a last calibration pass so the final level reflects every answer
+      if (scoredChat.session && calibrateDifficulty(scoredChat)) {
+        await scoredChat.save();
+      }
+      difficulty = summarizeDifficulty(scoredChat);
+      delivery = summarizeDelivery(scoredChat.messages);
+    }
 
     // Format conversation for analysis
     const conversationText = conversation
@@ -2300,32 +2307,29 @@ router.post('/generate-interview-feedback', authenticateToken, asyncHandler(asyn
       }
     }
 
-    const systemPrompt = `You are an expert technical interviewer and career coach. Analyze the provided interview conversation and provide structured, honest, and constructive feedback.
-
-Be critical but fair. Identify both strengths and areas for improvement. Focus on:
-1. Communication clarity and articulation
-2. Technical knowledge and depth
-3. Problem-solving approach
-4. Self-awareness and learning mindset
-5. Enthusiasm and passion for the role
-6. Professional maturity and judgment
-7. Alignment with resume claims vs actual performance
+    // Feedback rubric comes from the interviewer mode definition
+    const rubric = resolveMode(mode).feedbackRubric
+      .map((item, idx) => `${idx + 1}. ${item}`)
+      .join('\n');
 
-Provide specific examples from the conversation to support your feedback.
-Reference resume skills claimed vs demonstrated in the interview.
-Compare their answers to expected competency levels for the role.`;
+    const prompts = createPromptSet({ chat: scoredChat, chatId, userId: req.user._id });
+    // Feedback is written in the interview's language
+    const language = normalizeLanguage(scoredChat?.language || req.body.language);
+    const systemPrompt = `${prompts.render('interview-feedback', { rubric })}${languagePrompt(prompts, language)}`;
+    // Every template version this chat ran with, so feedback can be compared across versions
+    const promptVariants = { ...Object.fromEntries(scoredChat?.promptVariants || []), ...prompts.variants };
 
     console.log('🤖 Calling OpenAI API for feedback generation...');
     console.log(`   Conversation length: ${conversationText.length} characters`);
 
     logLLMRequest('interview feedback generation');
 
-    const response = await oaiClient.chat.completions.create({
+    const response = await completeChat({
       model: 'gpt-4o-mini',
       messages: [
         {
           role: 'system',
-          content: `${systemPrompt}${jobContext}\nKeep the entire JSON concise; keep text fields under 50 words each.`
+          content: `${systemPrompt}${jobContext}${formatScoresForPrompt(answerScores)}${formatDeliveryForPrompt(delivery)}\nKeep the entire JSON concise; keep text fields under 50 words each.`
         },
         {
           role: 'user',
@@ -2374,7 +2378,7 @@ ${conversationText}`
       ],
       max_tokens: 400,
       temperature: 0.7,
-    });
+    }, res);
 
     console.log('✅ OpenAI API response received');
 
@@ -2407,7 +2411,10 @@ ${conversationText}`
           strengths,
           improvements,
           recommendation: feedbackData.recommendation || '',
-          tips: []
+          tips: [],
+          answerScores,
+          difficulty,
+          promptVariants
         };
         console.log('ℹ️ Applied basic feedback template for Starter plan');
       } else {
@@ -2417,7 +2424,12 @@ ${conversationText}`
 
         feedbackData = {
           ...feedbackData,
+          // Measured pace, filler words and pauses back up the communication score
+          communication: delivery ? { ...feedbackData.communication, delivery } : feedbackData.communication,
           tips,
+          answerScores,
+          difficulty,
+          promptVariants,
           tier: 'full'
         };
       }
@@ -2443,6 +2455,8 @@ ${conversationText}`
                 professionalism: feedbackData.professionalism || {},
                 recommendation: feedbackData.recommendation || '',
                 tips: feedbackData.tips || [],
+                answerScores,
+                difficulty,
                 generatedAt: new Date()
               },
               status: 'completed',
@@ -2454,6 +2468,7 @@ ${conversationText}`
           if (updatedChat) {
             console.log('✅ Feedback saved to chat successfully');
             savedToChat = true;
+            await prompts.record();
           } else {
             console.warn('⚠️ Chat not found for update');
           }
@@ -2481,10 +2496,16 @@ ${conversationText}`
         jobContext: { jobTitle, company },
         savedToChat: savedToChat,
         chatId: chatId,
+        // The resume version the interview was pinned to, so the feedback can be traced back to it
+        resume: scoredChat?.resumeId ? { id: scoredChat.resumeId, version: scoredChat.resumeVersion } : null,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
+    if (res.abortSignal?.aborted) {
+      console.log('🔌 Client disconnected - feedback stream aborted');
+      return;
+    }
     console.error('❌ Interview feedback generation error:', error);
     res.status(500).json({
       status: 'error',
@@ -2492,6 +2513,16 @@ ${conversationText}`
       error: error.message
     });
   }
-}));
+};
+
+// @desc    Generate comprehensive AI feedback for entire interview
+// @route   POST /api/ai/generate-interview-feedback
+// @access  Private
+router.post('/generate-interview-feedback', authenticateToken, asyncHandler(handleInterviewFeedback));
+
+// @desc    Streaming variant of the feedback endpoint (Server-Sent Events)
+// @route   POST /api/ai/generate-interview-feedback/stream
+// @access  Private
+router.post('/generate-interview-feedback/stream', authenticateToken, handleWithSse(handleInterviewFeedback));
 
 export default router;
\ No newline at end of file
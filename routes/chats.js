@@ -4,6 +4,11 @@ import { authenticateToken, requireRole } from '../middleware/auth.js';
 import { validateChatCreation, validateMessage } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import User from '../models/User.js';
+import { queueAnswerScoring } from '../services/answerScoring.js';
+import { claimDelivery, withoutDeliveryMetadata } from '../services/deliveryAnalytics.js';
+import { assertLanguageSupported } from '../services/speechProvider.js';
+import { isRecordingEnabled, deleteRecordings, findUnlinkedRecording, linkRecordingToMessage } from '../services/recordingStorage.js';
+import { findResumeVersion, pinResumeToChat } from '../services/resumeVersions.js';
 
 const router = express.Router();
 
@@ -11,10 +16,21 @@ const router = express.Router();
 // @route   POST /api/chats
 // @access  Private
 router.post('/', authenticateToken, validateChatCreation, asyncHandler(async (req, res) => {
-  const { title, description, interviewType, difficulty, tags, messages, duration } = req.body;
+  const { title, description, interviewType, difficulty, language, recordingConsent, tags, messages, duration } = req.body;
   const userId = req.user._id;
   const user = req.user;
 
+  // Checked before a credit is spent: the interview's speech has to work in the chosen language
+  if (language) {
+    assertLanguageSupported(language);
+  }
+  if (recordingConsent && !isRecordingEnabled()) {
+    return res.status(501).json({
+      status: 'error',
+      message: 'Answer recording is not enabled on this server'
+    });
+  }
+
   console.log('POST /api/chats - User ID:', userId);
   console.log('User object:', req.user);
   console.log('Request body:', req.body);
@@ -56,9 +72,16 @@ router.post('/', authenticateToken, validateChatCreation, asyncHandler(async (re
     description,
     interviewType,
     difficulty,
+    language,
     tags
   };
 
+  // Answer audio is only ever stored for chats created with the candidate's consent
+  if (recordingConsent) {
+    chatData.recordingConsent = true;
+    chatData.recordingConsentAt = new Date();
+  }
+
   // Add messages and duration if provided
   if (messages) {
     chatData.messages = messages;
@@ -86,6 +109,8 @@ router.post('/', authenticateToken, validateChatCreation, asyncHandler(async (re
         status: chat.status,
         interviewType: chat.interviewType,
         difficulty: chat.difficulty,
+        language: chat.language,
+        recordingConsent: chat.recordingConsent,
         tags: chat.tags,
         messageCount: chat.messageCount,
         duration: chat.duration,
@@ -135,6 +160,7 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
         status: chat.status,
         interviewType: chat.interviewType,
         difficulty: chat.difficulty,
+        language: chat.language,
         score: chat.score,
         feedback: chat.feedback, // expose feedback for history view
         duration: chat.duration,
@@ -179,6 +205,10 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
         status: chat.status,
         interviewType: chat.interviewType,
         difficulty: chat.difficulty,
+        language: chat.language,
+        recordingConsent: chat.recordingConsent,
+        resumeId: chat.resumeId,
+        resumeVersion: chat.resumeVersion,
         score: chat.score,
         duration: chat.duration,
         feedback: chat.feedback,
@@ -272,6 +302,9 @@ router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
     });
   }
 
+  // Stored answer audio goes with the chat
+  await deleteRecordings({ chatId: chat._id, userId: req.user._id });
+
   res.status(200).json({
     status: 'success',
     message: 'Chat deleted successfully'
@@ -282,7 +315,8 @@ router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
 // @route   POST /api/chats/:id/messages
 // @access  Private
 router.post('/:id/messages', authenticateToken, validateMessage, asyncHandler(async (req, res) => {
-  const { content, role, metadata } = req.body;
+  const { content, role, recordingId } = req.body;
+  let metadata = req.body.metadata;
 
   const chat = await Chat.findOne({
     _id: req.params.id,
@@ -296,8 +330,34 @@ router.post('/:id/messages', authenticateToken, validateMessage, asyncHandler(as
     });
   }
 
+  // A voice-round answer can claim the recording POST /api/ai/voice-round stored for it
+  let recording = null;
+  if (role === 'user' && recordingId) {
+    recording = await findUnlinkedRecording(chat, recordingId);
+    if (!recording) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Recording not found or already attached to a message'
+      });
+    }
+    metadata = { ...(metadata || {}), recordingId: String(recording._id) };
+  }
+  // Spoken answers get the delivery metrics the server measured in POST /api/ai/transcribe or /voice-round;
+  // delivery figures sent by the client (a "delivery" field or metadata keys) are ignored
+  if (role === 'user') {
+    metadata = { ...withoutDeliveryMetadata(metadata), ...(await claimDelivery(req.user._id, { answer: content, recordingId })) };
+  }
+
   // Add message to chat
   await chat.addMessage(role, content, metadata);
+  if (recording) {
+    await linkRecordingToMessage(recording, chat.messages[chat.messages.length - 1]);
+  }
+
+  // Candidate answers are scored in the background and stored on the message
+  if (role === 'user') {
+    queueAnswerScoring(chat, chat.messages[chat.messages.length - 1]._id);
+  }
 
   // Calculate duration if this is the second message
   if (chat.messages.length === 2) {
@@ -555,6 +615,117 @@ router.put('/:id/visibility', authenticateToken, asyncHandler(async (req, res) =
   });
 }));
 
+// @desc    Grant or withdraw consent to store the candidate's answer audio
+// @route   PUT /api/chats/:id/recording-consent
+// @access  Private
+router.put('/:id/recording-consent', authenticateToken, asyncHandler(async (req, res) => {
+  const { consent } = req.body;
+
+  if (typeof consent !== 'boolean') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'consent must be true or false'
+    });
+  }
+
+  if (consent && !isRecordingEnabled()) {
+    return res.status(501).json({
+      status: 'error',
+      message: 'Answer recording is not enabled on this server'
+    });
+  }
+
+  const chat = await Chat.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!chat) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Chat not found'
+    });
+  }
+
+  // Withdrawing consent also deletes what was recorded under it
+  let recordingsDeleted = 0;
+  if (consent && !chat.recordingConsent) {
+    chat.recordingConsent = true;
+    chat.recordingConsentAt = new Date();
+  } else if (!consent) {
+    recordingsDeleted = await deleteRecordings({ chatId: chat._id, userId: req.user._id });
+    chat.recordingConsent = false;
+    chat.recordingConsentAt = null;
+    chat.messages.forEach((msg) => msg.metadata?.delete('recordingId'));
+  }
+  await chat.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: consent ? 'Answer recording enabled for this chat' : 'Answer recording disabled and recordings deleted',
+    data: {
+      chat: {
+        id: chat._id,
+        recordingConsent: chat.recordingConsent,
+        recordingConsentAt: chat.recordingConsentAt
+      },
+      recordingsDeleted
+    }
+  });
+}));
+
+// @desc    Pin the resume version an interview uses
+// @route   PUT /api/chats/:id/resume
+// @access  Private
+router.put('/:id/resume', authenticateToken, asyncHandler(async (req, res) => {
+  const { resumeId, version } = req.body;
+
+  if (!resumeId) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'resumeId is required'
+    });
+  }
+
+  const chat = await Chat.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!chat) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Chat not found'
+    });
+  }
+
+  const resume = await findResumeVersion(req.user._id, resumeId, version);
+
+  // Once answers exist, swapping the resume would make the questions and feedback disagree with it
+  const answered = chat.messages.some((msg) => msg.role === 'user');
+  if (answered && chat.resumeId && String(chat.resumeId) !== String(resume._id)) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'This interview already has answers based on another resume version'
+    });
+  }
+
+  pinResumeToChat(chat, resume);
+  await chat.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: `Interview pinned to version ${resume.version} of ${resume.fileName}`,
+    data: {
+      chat: {
+        id: chat._id,
+        resumeId: chat.resumeId,
+        resumeVersion: chat.resumeVersion
+      }
+    }
+  });
+}));
+
 // @desc    Save feedback to a chat
 // @route   PUT /api/chats/:id/feedback
 // @access  Private
@@ -0,0 +1,51 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { listPromptTemplates, hasPromptTemplate, comparePromptVersions } from '../services/promptLibrary.js';
+
+const router = express.Router();
+
+// @desc    List prompt templates with their versions and A/B weights
+// @route   GET /api/prompts
+// @access  Private/Admin
+router.get('/', authenticateToken, requireRole(['admin']), (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { templates: listPromptTemplates() }
+  });
+});
+
+// @desc    Compare chats per version of a prompt template (completion rate, feedback and answer scores)
+// @route   GET /api/prompts/:name/results
+// @query   from, to (ISO dates)
+// @access  Private/Admin
+router.get('/:name/results', authenticateToken, requireRole(['admin']), asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { from, to } = req.query;
+
+  if (!hasPromptTemplate(name)) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Prompt template "${name}" not found`
+    });
+  }
+  if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'from and to must be valid dates'
+    });
+  }
+
+  const versions = await comparePromptVersions(name, { from, to });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      template: name,
+      filters: { from: from || null, to: to || null },
+      versions
+    }
+  });
+}));
+
+export default router;
@@ -0,0 +1,127 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Recording from '../models/Recording.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { openRecordingAudio, parseByteRange, deleteRecordings, getRecordingStorageStatus } from '../services/recordingStorage.js';
+
+const router = express.Router();
+
+const toRecordingSummary = (recording) => ({
+  id: recording._id,
+  chatId: recording.chatId,
+  messageId: recording.messageId,
+  source: recording.source,
+  mimeType: recording.mimeType,
+  size: recording.size,
+  durationSeconds: recording.durationSeconds,
+  createdAt: recording.createdAt,
+  expiresAt: recording.expiresAt
+});
+
+// A recording of the signed-in user, or null (someone else's recording is treated as missing)
+const findOwnRecording = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Recording.findOne({ _id: req.params.id, userId: req.user._id });
+};
+
+// @desc    List the user's answer recordings, optionally for one chat
+// @route   GET /api/recordings?chatId=
+// @access  Private
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { chatId } = req.query;
+
+  if (chatId && !mongoose.isValidObjectId(chatId)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid chat id'
+    });
+  }
+
+  const query = { userId: req.user._id };
+  if (chatId) query.chatId = chatId;
+  const recordings = await Recording.find(query).sort({ createdAt: 1 }).limit(500);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      storage: getRecordingStorageStatus(),
+      recordings: recordings.map(toRecordingSummary)
+    }
+  });
+}));
+
+// @desc    Play back an answer recording (supports Range requests for seeking)
+// @route   GET /api/recordings/:id/audio
+// @access  Private
+router.get('/:id/audio', authenticateToken, asyncHandler(async (req, res) => {
+  const recording = await findOwnRecording(req);
+
+  if (!recording) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Recording not found'
+    });
+  }
+
+  const range = parseByteRange(req.headers.range, recording.size);
+  if (range === false) {
+    res.set('Content-Range', `bytes */${recording.size}`);
+    return res.status(416).json({
+      status: 'error',
+      message: 'Requested range not satisfiable'
+    });
+  }
+
+  const audio = await openRecordingAudio(recording, range);
+
+  res.set({
+    'Content-Type': recording.mimeType,
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-store'
+  });
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${recording.size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.status(200).set('Content-Length', recording.size);
+  }
+
+  audio.on('error', (error) => {
+    console.error('❌ Recording playback failed:', error.message);
+    res.destroy(error);
+  });
+  res.on('close', () => audio.destroy());
+  audio.pipe(res);
+}));
+
+// @desc    Delete an answer recording and its stored audio
+// @route   DELETE /api/recordings/:id
+// @access  Private
+router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const recording = await findOwnRecording(req);
+
+  if (!recording) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Recording not found'
+    });
+  }
+
+  const deleted = await deleteRecordings({ _id: recording._id });
+  if (!deleted) {
+    return res.status(502).json({
+      status: 'error',
+      message: 'Failed to delete the recording audio. Please try again.'
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Recording deleted successfully'
+  });
+}));
+
+export default router;
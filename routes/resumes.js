@@ -3,19 +3,23 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { createRequire } from 'module';
-import mammoth from 'mammoth';
 import { llmClient, llmProviderName } from '../services/llmProvider.js';
-
-
-// pdf-parse is a CommonJS module, need to import it differently
-const require = createRequire(import.meta.url);
-const pdfParseModule = require('pdf-parse');
-// pdf-parse exports a default function
-const pdfParse = pdfParseModule.default || pdfParseModule;
+import { trackUsage } from '../services/usageLedger.js';
+import { renderPrompt } from '../services/promptLibrary.js';
+import { SKILL_KEYWORDS, matchResumeToJob, jobKeyFor } from '../services/resumeMatching.js';
+import { diffResumes } from '../services/resumeDiff.js';
+import { findResumeVersion, nextVersionFields, isVersionConflict, toVersionSummary } from '../services/resumeVersions.js';
+import { suggestBulletRewrites, applyBulletRewrites } from '../services/bulletRewriter.js';
+import { RESUME_FORMATS, SUPPORTED_RESUME_EXTENSIONS, extractResumeText } from '../services/resumeParsers.js';
+import { importJsonResume } from '../services/jsonResume.js';
+import { exportResume } from '../services/resumeExport.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateResumeMatch, validateBulletRewrite, validateRewriteAcceptance } from '../middleware/validation.js';
 import Resume from '../models/Resume.js';
+import ResumeMatch from '../models/ResumeMatch.js';
+import ResumeRewrite from '../models/ResumeRewrite.js';
+import User from '../models/User.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -38,50 +42,19 @@ const upload = multer({
     fileSize: 5 * 1024 * 1024 // 5MB limit
   },
   fileFilter: (req, file, cb) => {
-    // Support PDF and DOCX; block legacy DOC to avoid parser failures
-    const allowedTypes = ['.pdf', '.docx'];
+    // Formats with a parser in services/resumeParsers.js; legacy DOC is blocked to avoid parser failures
     const ext = path.extname(file.originalname).toLowerCase();
     
-    if (allowedTypes.includes(ext)) {
+    if (SUPPORTED_RESUME_EXTENSIONS.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF or DOCX files are allowed'));
+      const error = new Error('Only PDF, DOCX, ODT, RTF, TXT, Markdown or JSON Resume files are allowed');
+      error.statusCode = 400;
+      cb(error);
     }
   }
 });
 
-// Helper function to parse PDF
-async function parsePDF(buffer) {
-  try {
-    console.log('Attempting PDF parse with buffer size:', buffer.length);
-    const data = await pdfParse(buffer);
-    console.log('PDF parse successful, extracted text length:', data.text?.length || 0);
-    if (!data.text) {
-      throw new Error('PDF parser returned empty text');
-    }
-    return data.text;
-  } catch (error) {
-    console.error('PDF parsing error:', error.message);
-    throw new Error(`Failed to parse PDF: ${error.message}`);
-  }
-}
-
-// Helper function to parse DOCX
-async function parseDOCX(buffer) {
-  try {
-    console.log('Attempting DOCX parse with buffer size:', buffer.length);
-    const result = await mammoth.extractRawText({ buffer });
-    console.log('DOCX parse successful, extracted text length:', result.value?.length || 0);
-    if (!result.value) {
-      throw new Error('DOCX parser returned empty text');
-    }
-    return result.value;
-  } catch (error) {
-    console.error('DOCX parsing error:', error.message);
-    throw new Error(`Failed to parse DOCX: ${error.message}`);
-  }
-}
-
 // Helper function to extract basic information from resume text
 function extractBasicInfo(text) {
   const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
@@ -91,16 +64,7 @@ function extractBasicInfo(text) {
   const phone = text.match(phoneRegex)?.[0] || '';
   
   // Extract skills (common technical keywords)
-  const skillKeywords = [
-    'JavaScript', 'Python', 'Java', 'C++', 'C#', 'Ruby', 'PHP', 'Swift', 'Kotlin',
-    'React', 'Angular', 'Vue', 'Node.js', 'Express', 'Django', 'Flask', 'Spring',
-    'SQL', 'MongoDB', 'PostgreSQL', 'MySQL', 'Redis', 'AWS', 'Azure', 'GCP',
-    'Docker', 'Kubernetes', 'Git', 'CI/CD', 'Agile', 'Scrum', 'REST', 'GraphQL',
-    'HTML', 'CSS', 'TypeScript', 'Machine Learning', 'AI', 'Data Science',
-    'Leadership', 'Communication', 'Problem Solving', 'Team Management'
-  ];
-  
-  const skills = skillKeywords.filter(skill => 
+  const skills = SKILL_KEYWORDS.filter(skill => 
     new RegExp(`\\b${skill}\\b`, 'i').test(text)
   );
   
@@ -112,7 +76,7 @@ function extractBasicInfo(text) {
 }
 
 // Helper function to analyze resume with AI - STRICT EXTRACTION
-async function analyzeResumeWithAI(resumeText) {
+async function analyzeResumeWithAI(resumeText, userId = null) {
   const apiKey = process.env.OPENAI_API_KEY;
   
   if (!apiKey) {
@@ -142,57 +106,7 @@ async function analyzeResumeWithAI(resumeText) {
       messages: [
         {
           role: 'system',
-          content: `You are an expert resume analyzer. Extract ONLY information that is EXPLICITLY stated in the resume.
-DO NOT infer, assume, or add information that is not clearly mentioned.
-
-Your response must be ONLY a valid JSON object with this exact structure (no markdown, no extra text):
-{
-  "yearsOfExperience": <number - calculate from actual dates in resume, default 0 if not found>,
-  "primaryRole": "<most recent job title or main profession>",
-  "technicalSkills": ["skills explicitly listed in resume"],
-  "softSkills": ["soft skills explicitly mentioned"],
-  "industries": ["industries or sectors mentioned"],
-  "strengths": ["key strengths based on achievements"],
-  "areasForImprovement": [],
-  "suggestedInterviewTopics": ["topics based on actual experience"],
-  "structuredExperience": [
-    {
-      "company": "<company name>",
-      "jobTitle": "<exact job title>",
-      "duration": "<from-to or years>",
-      "keyResponsibilities": ["responsibilities from resume"],
-      "technologiesUsed": ["technologies mentioned"],
-      "achievements": ["specific achievements"]
-    }
-  ],
-  "projects": [
-    {
-      "name": "<project name>",
-      "description": "<description>",
-      "technologies": ["technologies used"],
-      "yourRole": "<your role>",
-      "outcome": "<outcome>"
-    }
-  ],
-  "education": [
-    {
-      "school": "<school name>",
-      "degree": "<degree type>",
-      "field": "<field of study>",
-      "graduationYear": "<year>"
-    }
-  ],
-  "achievements": ["awards, certifications, publications"]
-}
-
-CRITICAL:
-- Extract ALL work experiences listed
-- Extract ALL projects/accomplishments  
-- Extract ALL education entries
-- Calculate years of experience from dates
-- Identify the primary role from most recent position
-- Return EMPTY arrays if no data found, never null
-- Return valid JSON ONLY, nothing else`
+          content: renderPrompt('resume-analysis', {}, { userId })
         },
         {
           role: 'user',
@@ -271,7 +185,7 @@ CRITICAL:
 // @desc    Upload and parse resume
 // @route   POST /api/resumes/upload
 // @access  Private
-router.post('/upload', authenticateToken, upload.single('resume'), asyncHandler(async (req, res) => {
+router.post('/upload', authenticateToken, upload.single('resume'), trackUsage, asyncHandler(async (req, res) => {
   console.log('=== RESUME UPLOAD REQUEST ===');
   console.log('User ID:', req.user?._id);
   console.log('File received:', req.file ? 'Yes' : 'No');
@@ -284,6 +198,16 @@ router.post('/upload', authenticateToken, upload.single('resume'), asyncHandler(
     });
   }
 
+  // versionOf: an existing resume this upload is a new version of (same lineage, next version number)
+  const previousVersion = req.body.versionOf
+    ? await findResumeVersion(req.user._id, req.body.versionOf)
+    : null;
+
+  const fileExtension = path.extname(req.file.originalname).toLowerCase();
+  const format = RESUME_FORMATS[fileExtension];
+  // JSON Resume files are already structured: mapped straight into the resume, no text extraction or LLM call
+  const imported = format?.structured ? importJsonResume(req.file.buffer) : null;
+
   console.log('File details:', {
     originalname: req.file.originalname,
     size: req.file.size,
@@ -291,7 +215,6 @@ router.post('/upload', authenticateToken, upload.single('resume'), asyncHandler(
   });
 
   try {
-    const fileExtension = path.extname(req.file.originalname).toLowerCase();
     console.log('File extension:', fileExtension);
 
     // Parse resume based on file type with error handling
@@ -299,15 +222,7 @@ router.post('/upload', authenticateToken, upload.single('resume'), asyncHandler(
     let parsingFailed = false;
     
     try {
-      if (fileExtension === '.pdf') {
-        console.log('Parsing PDF file...');
-        resumeText = await parsePDF(req.file.buffer);
-      } else if (fileExtension === '.docx') {
-        console.log('Parsing DOCX file...');
-        resumeText = await parseDOCX(req.file.buffer);
-      } else {
-        throw new Error('Unsupported file format');
-      }
+      resumeText = imported ? imported.rawText : await extractResumeText(req.file.buffer, fileExtension);
       
       if (!resumeText || resumeText.trim().length === 0) {
         console.warn('⚠️  No text extracted, will use placeholder');
@@ -317,6 +232,8 @@ router.post('/upload', authenticateToken, upload.single('resume'), asyncHandler(
         console.log('✅ Resume text extracted, length:', resumeText.length);
       }
     } catch (parseError) {
+      // A malformed file (statusCode 400) is rejected; other parser failures still upload with a placeholder
+      if (parseError.statusCode === 400) throw parseError;
       console.error('⚠️  Parsing error (non-fatal):', parseError.message);
       parsingFailed = true;
       resumeText = `Resume file uploaded: ${req.file.originalname}. Content will be analyzed during interview.`;
@@ -332,7 +249,7 @@ router.post('/upload', authenticateToken, upload.single('resume'), asyncHandler(
 
     // Extract basic information
     let basicInfo = { email: '', phone: '', skills: [] };
-    if (!parsingFailed) {
+    if (!parsingFailed && !imported) {
       try {
         console.log('Extracting basic information...');
         basicInfo = extractBasicInfo(resumeText);
@@ -362,10 +279,10 @@ router.post('/upload', authenticateToken, upload.single('resume'), asyncHandler(
       achievements: []
     };
     
-    if (!parsingFailed) {
+    if (!parsingFailed && !imported) {
       try {
         console.log('Starting AI analysis with strict extraction...');
-        aiAnalysis = await analyzeResumeWithAI(resumeText);
+        aiAnalysis = await analyzeResumeWithAI(resumeText, req.user._id);
         console.log('✅ AI analysis complete:', {
           primaryRole: aiAnalysis.primaryRole,
           yearsOfExperience: aiAnalysis.yearsOfExperience,
@@ -381,16 +298,17 @@ router.post('/upload', authenticateToken, upload.single('resume'), asyncHandler(
     // Create resume document (always succeeds)
     const resume = new Resume({
       userId: req.user._id,
+      ...(previousVersion ? await nextVersionFields(previousVersion) : {}),
       fileName: req.file.originalname,
       fileSize: req.file.size,
-      fileType: fileExtension.substring(1),
+      fileType: format.fileType,
       rawText: resumeText, // Full resume text or placeholder
-      parsedData: {
+      parsedData: imported ? imported.parsedData : {
         email: basicInfo.email,
         phone: basicInfo.phone,
         skills: basicInfo.skills
       },
-      analysis: {
+      analysis: imported ? imported.analysis : {
         yearsOfExperience: aiAnalysis.yearsOfExperience || 0,
         primaryRole: aiAnalysis.primaryRole || 'Not determined',
         technicalSkills: aiAnalysis.technicalSkills || [],
@@ -431,21 +349,34 @@ router.post('/upload', authenticateToken, upload.single('resume'), asyncHandler(
       data: {
         resume: {
           id: resume._id,
+          lineageId: resume.lineageId,
+          version: resume.version,
           fileName: resume.fileName,
           fileSize: resume.fileSizeFormatted,
           uploadedAt: resume.createdAt,
           parsedData: resume.parsedData,
           analysis: resume.analysis,
-          parsingStatus: parsingFailed ? 'partial' : (shortText ? 'partial-short-text' : 'complete')
+          parsingStatus: imported ? 'complete' : parsingFailed ? 'partial' : (shortText ? 'partial-short-text' : 'complete')
         }
       },
-      message: parsingFailed
-        ? 'Resume uploaded but parsing was incomplete. Interview will still work!'
-        : shortText
-          ? 'Resume uploaded but text was very short; try a text-based PDF/DOCX for better extraction.'
-          : 'Resume analyzed successfully!'
+      message: imported
+        ? 'Resume imported from JSON Resume successfully!'
+        : parsingFailed
+          ? 'Resume uploaded but parsing was incomplete. Interview will still work!'
+          : shortText
+            ? 'Resume uploaded but text was very short; try a text-based PDF/DOCX for better extraction.'
+            : 'Resume analyzed successfully!'
     });
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Another version of this resume was saved at the same time. Please upload again.'
+      });
+    }
+    if (error.statusCode === 400) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
     console.error('=== RESUME UPLOAD ERROR ===');
     console.error('Error name:', error.name);
     console.error('Error message:', error.message);
@@ -494,9 +425,12 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
     data: {
       resume: {
         id: resume._id,
+        lineageId: resume.lineageId,
+        version: resume.version,
         fileName: resume.fileName,
         fileSize: resume.fileSizeFormatted,
         uploadedAt: resume.createdAt,
+        isActive: resume.isActive,
         parsedData: resume.parsedData,
         analysis: resume.analysis
       }
@@ -566,14 +500,7 @@ router.post('/:id/generate-questions', authenticateToken, asyncHandler(async (re
       messages: [
         {
           role: 'system',
-          content: `You are an experienced technical interviewer. Based on the candidate's resume, generate 5 tailored interview questions that:
-1. Test their claimed technical skills
-2. Explore their work experience
-3. Assess problem-solving abilities
-4. Evaluate their knowledge depth in their domain
-5. Challenge them appropriately for their experience level
-
-Format your response as a JSON array of objects, each with "question" and "focus_area" fields.`
+          content: renderPrompt('resume-questions', {}, { userId: req.user._id })
         },
         {
           role: 'user',
@@ -624,5 +551,394 @@ ${resume.rawText.substring(0, 2000)}`
   }
 }));
 
+const toMatchReport = (match) => ({
+  id: match._id,
+  resumeId: match.resumeId,
+  targetJobId: match.targetJobId,
+  job: match.job,
+  score: match.score,
+  requiredSkills: match.requiredSkills,
+  matched: match.matched,
+  weak: match.weak,
+  missing: match.missing,
+  createdAt: match.createdAt
+});
+
+// The job named by the request: a saved target job (targetJobId), or the pasted title, description and
+// skills. null when targetJobId matches no saved job.
+const resolveRequestedJob = async (req) => {
+  const { targetJobId, jobTitle = '', company = '', jobDescription = '', skills = [] } = req.body;
+
+  if (!targetJobId) {
+    return {
+      title: jobTitle,
+      company,
+      description: jobDescription,
+      skills: Array.isArray(skills) ? skills : String(skills).split(',').map(s => s.trim()).filter(Boolean)
+    };
+  }
+
+  const user = await User.findById(req.user._id).select('targetJobs');
+  const saved = user?.targetJobs.id(targetJobId);
+  if (!saved) return null;
+  return {
+    title: saved.role,
+    company: saved.company || '',
+    description: saved.notes || '',
+    skills: saved.skills || []
+  };
+};
+
+// @desc    Score a resume against a saved target job or a pasted job description, with gap analysis
+// @route   POST /api/resumes/:id/match
+// @access  Private
+router.post('/:id/match', authenticateToken, validateResumeMatch, asyncHandler(async (req, res) => {
+  const { targetJobId } = req.body;
+
+  const resume = await Resume.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!resume) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Resume not found'
+    });
+  }
+
+  const job = await resolveRequestedJob(req);
+  if (!job) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Target job not found'
+    });
+  }
+
+  const report = matchResumeToJob(resume, job);
+  if (report.requiredSkills.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'No required skills found for this job. Add skills to the target job or paste a fuller job description.'
+    });
+  }
+
+  const jobKey = jobKeyFor({ targetJobId, ...job });
+  // The last report for the same job (any resume) shows whether this version improved the fit
+  const previous = await ResumeMatch.findOne({ userId: req.user._id, jobKey }).sort({ createdAt: -1 });
+
+  const match = await ResumeMatch.create({
+    userId: req.user._id,
+    resumeId: resume._id,
+    targetJobId: targetJobId || null,
+    jobKey,
+    job: { ...job, description: job.description.slice(0, 2000) },
+    ...report
+  });
+  console.log(`🎯 Resume ${resume._id} matched ${match.score}% against "${job.title || 'pasted job'}"`);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      match: toMatchReport(match),
+      previous: previous ? {
+        id: previous._id,
+        resumeId: previous.resumeId,
+        score: previous.score,
+        createdAt: previous.createdAt,
+        scoreChange: match.score - previous.score
+      } : null
+    }
+  });
+}));
+
+// @desc    Match reports for a resume, newest first
+// @route   GET /api/resumes/:id/matches
+// @access  Private
+router.get('/:id/matches', authenticateToken, asyncHandler(async (req, res) => {
+  const resume = await Resume.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!resume) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Resume not found'
+    });
+  }
+
+  const matches = await ResumeMatch.find({ userId: req.user._id, resumeId: resume._id })
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      matches: matches.map(toMatchReport)
+    }
+  });
+}));
+
+// @desc    Every version of a resume's lineage, oldest first
+// @route   GET /api/resumes/:id/versions
+// @access  Private
+router.get('/:id/versions', authenticateToken, asyncHandler(async (req, res) => {
+  const resume = await findResumeVersion(req.user._id, req.params.id);
+  const lineage = await Resume.findLineage(req.user._id, resume.lineageId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lineageId: resume.lineageId,
+      latestVersion: lineage[lineage.length - 1].version,
+      // Deleted versions stay listed (marked inactive) because past interviews may be pinned to them
+      versions: lineage.map(toVersionSummary)
+    }
+  });
+}));
+
+// @desc    Compare two versions of a resume (default: the previous version against this one)
+// @route   GET /api/resumes/:id/diff?from=&to=
+// @access  Private
+router.get('/:id/diff', authenticateToken, asyncHandler(async (req, res) => {
+  const resume = await findResumeVersion(req.user._id, req.params.id);
+  const after = await findResumeVersion(req.user._id, resume._id, req.query.to);
+
+  let before;
+  if (req.query.from) {
+    before = await findResumeVersion(req.user._id, resume._id, req.query.from);
+  } else {
+    const lineage = await Resume.findLineage(req.user._id, resume.lineageId);
+    before = lineage.filter((entry) => entry.version < after.version).pop();
+  }
+
+  if (!before) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'This is the first version of the resume; there is nothing to compare it with'
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      from: toVersionSummary(before),
+      to: toVersionSummary(after),
+      diff: diffResumes(before, after)
+    }
+  });
+}));
+
+// @desc    Download a resume version as JSON Resume, DOCX or PDF (?version=N, ?paper=letter|a4)
+// @route   GET /api/resumes/:id/export/:format
+// @access  Private
+router.get('/:id/export/:format', authenticateToken, asyncHandler(async (req, res) => {
+  const resume = await findResumeVersion(req.user._id, req.params.id, req.query.version);
+  const format = String(req.params.format).toLowerCase();
+  const { buffer, contentType, fileName } = await exportResume(resume, format, {
+    paper: String(req.query.paper || 'letter').toLowerCase()
+  });
+
+  console.log(`📤 Exported resume ${resume._id} (v${resume.version}) as ${format}`);
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Content-Length': buffer.length,
+    'Cache-Control': 'private, no-store'
+  });
+  res.status(200).send(buffer);
+}));
+
+const toRewriteReport = (rewrite) => ({
+  id: rewrite._id,
+  resumeId: rewrite.resumeId,
+  resumeVersion: rewrite.resumeVersion,
+  targetJobId: rewrite.targetJobId,
+  job: rewrite.job,
+  suggestions: rewrite.suggestions,
+  acceptedResumeId: rewrite.acceptedResumeId,
+  createdAt: rewrite.createdAt
+});
+
+// @desc    Suggest rewritten experience and project bullets, optionally tailored to a target job
+// @route   POST /api/resumes/:id/rewrite-bullets
+// @access  Private
+router.post('/:id/rewrite-bullets', authenticateToken, validateBulletRewrite, trackUsage, asyncHandler(async (req, res) => {
+  const { targetJobId } = req.body;
+
+  const resume = await Resume.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!resume) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Resume not found'
+    });
+  }
+
+  const job = await resolveRequestedJob(req);
+  if (!job) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Target job not found'
+    });
+  }
+  const hasJob = Boolean(job.title || job.description || job.skills.length);
+
+  let suggestions;
+  try {
+    logLLMRequest('bullet rewrite');
+    suggestions = await suggestBulletRewrites(resume, hasJob ? job : null, { userId: req.user._id });
+  } catch (error) {
+    console.error('❌ Bullet rewrite error:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate bullet suggestions',
+      error: error.message
+    });
+  }
+
+  if (suggestions.length === 0) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'No bullets to improve: add roles or projects with bullets, or they are already strong',
+      data: { rewrite: null }
+    });
+  }
+
+  const rewrite = await ResumeRewrite.create({
+    userId: req.user._id,
+    resumeId: resume._id,
+    resumeVersion: resume.version,
+    targetJobId: targetJobId || null,
+    job: { title: job.title, company: job.company },
+    suggestions
+  });
+  console.log(`✍️  ${suggestions.length} bullet rewrites suggested for resume ${resume._id}`);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      rewrite: toRewriteReport(rewrite)
+    }
+  });
+}));
+
+// @desc    Bullet rewrite suggestions for a resume, newest first
+// @route   GET /api/resumes/:id/rewrites
+// @access  Private
+router.get('/:id/rewrites', authenticateToken, asyncHandler(async (req, res) => {
+  const resume = await Resume.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!resume) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Resume not found'
+    });
+  }
+
+  const rewrites = await ResumeRewrite.find({ userId: req.user._id, resumeId: resume._id })
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      rewrites: rewrites.map(toRewriteReport)
+    }
+  });
+}));
+
+// @desc    Accept bullet rewrites (optionally edited) into a new version of the resume
+// @route   POST /api/resumes/:id/rewrites/:rewriteId/accept
+// @access  Private
+router.post('/:id/rewrites/:rewriteId/accept', authenticateToken, validateRewriteAcceptance, asyncHandler(async (req, res) => {
+  const resume = await Resume.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+  const rewrite = resume && await ResumeRewrite.findOne({
+    _id: req.params.rewriteId,
+    userId: req.user._id,
+    resumeId: resume._id
+  });
+
+  if (!rewrite) {
+    return res.status(404).json({
+      status: 'error',
+      message: resume ? 'Rewrite suggestions not found' : 'Resume not found'
+    });
+  }
+
+  if (rewrite.acceptedResumeId) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'These suggestions were already applied to a new resume version',
+      data: { resumeId: rewrite.acceptedResumeId }
+    });
+  }
+
+  // Accepted ids, with the candidate's own edit of the rewrite when they sent one
+  const accepted = new Map(req.body.accept.map((item) => (typeof item === 'string'
+    ? [item, null]
+    : [item.id, item.text?.trim() || null])));
+  const unknown = [...accepted.keys()].filter((id) => !rewrite.suggestions.some((s) => s.bulletId === id));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown suggestion ids: ${unknown.join(', ')}`
+    });
+  }
+
+  const rewrites = rewrite.suggestions
+    .filter((suggestion) => accepted.has(suggestion.bulletId))
+    .map((suggestion) => ({ bulletId: suggestion.bulletId, text: accepted.get(suggestion.bulletId) || suggestion.rewritten }));
+
+  let nextVersion;
+  try {
+    nextVersion = new Resume({
+      userId: req.user._id,
+      ...(await nextVersionFields(resume)),
+      fileName: resume.fileName,
+      fileSize: resume.fileSize,
+      fileType: resume.fileType,
+      ...applyBulletRewrites(resume, rewrites)
+    });
+    await nextVersion.save();
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Another version of this resume was saved at the same time. Please try again.'
+      });
+    }
+    throw error;
+  }
+
+  rewrite.suggestions.forEach((suggestion) => {
+    suggestion.status = accepted.has(suggestion.bulletId) ? 'accepted' : 'rejected';
+  });
+  rewrite.acceptedResumeId = nextVersion._id;
+  await rewrite.save();
+  console.log(`✅ ${rewrites.length} bullet rewrites accepted into resume ${nextVersion._id} (v${nextVersion.version})`);
+
+  res.status(201).json({
+    status: 'success',
+    message: `Saved as version ${nextVersion.version} of your resume`,
+    data: {
+      resume: toVersionSummary(nextVersion),
+      applied: rewrites.length,
+      changes: diffResumes(resume, nextVersion).summary
+    }
+  });
+}));
+
 export default router;
 
@@ -0,0 +1,56 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { aggregateUsage, USAGE_GROUPINGS } from '../services/usageLedger.js';
+
+const router = express.Router();
+
+// @desc    Aggregate the usage ledger (LLM tokens, audio seconds, TTS characters, estimated cost)
+// @route   GET /api/usage/by/:groupBy   (groupBy: user | plan | day | endpoint | chat)
+// @query   from, to (ISO dates), kind (llm | stt | tts), limit
+// @access  Private/Admin
+router.get('/by/:groupBy', authenticateToken, requireRole(['admin']), asyncHandler(async (req, res) => {
+  const { groupBy } = req.params;
+  const { from, to, kind, limit } = req.query;
+
+  if (!USAGE_GROUPINGS.includes(groupBy)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `groupBy must be one of: ${USAGE_GROUPINGS.join(', ')}`
+    });
+  }
+  if (kind && !['llm', 'stt', 'tts'].includes(kind)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'kind must be one of: llm, stt, tts'
+    });
+  }
+  if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'from and to must be valid dates'
+    });
+  }
+
+  const rows = await aggregateUsage(groupBy, { from, to, kind, limit });
+  const totals = rows.reduce((acc, row) => ({
+    calls: acc.calls + row.calls,
+    totalTokens: acc.totalTokens + row.totalTokens,
+    audioSeconds: acc.audioSeconds + row.audioSeconds,
+    ttsCharacters: acc.ttsCharacters + row.ttsCharacters,
+    estimatedCost: Math.round((acc.estimatedCost + row.estimatedCost) * 1e6) / 1e6
+  }), { calls: 0, totalTokens: 0, audioSeconds: 0, ttsCharacters: 0, estimatedCost: 0 });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      groupBy,
+      filters: { from: from || null, to: to || null, kind: kind || null },
+      currency: 'USD',
+      totals,
+      rows
+    }
+  });
+}));
+
+export default router;
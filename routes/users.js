@@ -4,6 +4,7 @@ import Chat from '../models/Chat.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import { validateProfileUpdate, validateTargetJob } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { deleteRecordings } from '../services/recordingStorage.js';
 
 const router = express.Router();
 
@@ -240,6 +241,9 @@ router.delete('/account', authenticateToken, asyncHandler(async (req, res) => {
   // Delete all user's chats
   await Chat.deleteMany({ userId });
 
+  // Stored answer audio goes with the account rather than waiting for the retention purge
+  await deleteRecordings({ userId });
+
   // Delete user account
   await User.findByIdAndDelete(userId);
 
@@ -34,11 +34,10 @@
  *    - User sees response appear word-by-word (feels instant)
  *    - Latency saved: No waiting for complete response
  * 
- * 7. TTS AUDIO (Short clips only)
- *    - Only 1-2 line responses converted to speech (OpenAI TTS)
- *    - Long feedback stays text-only (saves time + costs)
- *    - Audio streamed and played immediately
- *    - Latency saved: Short audio = fast generation + playback
+ * 7. TTS AUDIO (Sentence by sentence)
+ *    - Each sentence is sent to Deepgram Aura as soon as the LLM finishes it
+ *    - MP3 audio streamed back as numbered binary frames, in sentence order
+ *    - Latency saved: The first sentence plays while the rest is still being generated
  * 
  * TOTAL LATENCY IMPROVEMENT:
  * - Traditional: 3-8 seconds (record → upload → STT → LLM → TTS → download → play)
@@ -46,21 +45,215 @@
  * - Speed gain: 3-6x faster perceived response time
  */
 
-import { WebSocketServer } from 'ws';
-import { createClient } from '@deepgram/sdk';
+import crypto from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import User from '../models/User.js';
+import { verifyAccessToken } from '../middleware/auth.js';
 import { llmClient, llmProviderName } from '../services/llmProvider.js';
+import { resolveMode, assertKnownMode } from '../services/modeRegistry.js';
+import { runWithUsageContext } from '../services/usageLedger.js';
+import { queueAnswerScoring } from '../services/answerScoring.js';
+import { createSentenceSplitter } from '../services/speechSynthesis.js';
+import {
+  openLiveTranscription,
+  isLiveTranscriptionAvailable,
+  recordLiveTranscriptionUsage,
+  synthesizeSpeech,
+  resolveVoice,
+  toWordTimings,
+  assertLanguageSupported
+} from '../services/speechProvider.js';
+import { createPromptSet } from '../services/promptLibrary.js';
+import { DEFAULT_LANGUAGE, languagePrompt } from '../services/languages.js';
+import { analyzeDelivery, toDeliveryMetadata } from '../services/deliveryAnalytics.js';
+import { isRecordingEnabled, saveAnswerRecording, linkRecordingToMessage, deleteRecordings, pcmToWav } from '../services/recordingStorage.js';
 
-const deepgramApiKey = process.env.DEEPGRAM_API_KEY;
-const openaiApiKey = process.env.OPENAI_API_KEY;
-
-if (!deepgramApiKey) {
-  console.error('⚠️  DEEPGRAM_API_KEY not found in .env file');
+if (!isLiveTranscriptionAvailable()) {
+  console.error('⚠️  Live transcription is not configured - the voice stream needs DEEPGRAM_API_KEY');
   console.log('Add: DEEPGRAM_API_KEY=your_key_here');
 }
 
-const deepgram = createClient(deepgramApiKey);
 const openai = llmClient;
 
+// linear16 mono at 16kHz: 2 bytes per sample
+const AUDIO_SAMPLE_RATE = 16000;
+const AUDIO_BYTES_PER_SECOND = AUDIO_SAMPLE_RATE * 2;
+
+// Longest answer kept when the chat has recording consent; audio past this is transcribed but not stored
+const MAX_RECORDED_ANSWER_BYTES = (Number(process.env.RECORDING_MAX_ANSWER_SECONDS) || 300) * AUDIO_BYTES_PER_SECOND;
+
+// Clients that cannot send the token during the upgrade must send { type: 'auth', token } this quickly
+const AUTH_TIMEOUT_MS = Number(process.env.VOICE_AUTH_TIMEOUT_MS) || 5000;
+const MAX_STREAMS_PER_USER = Number(process.env.VOICE_MAX_STREAMS_PER_USER) || 2;
+
+// Subprotocol carrying the JWT, e.g. new WebSocket(url, ['voice-stream', `bearer.${token}`])
+const TOKEN_PROTOCOL_PREFIX = 'bearer.';
+
+// How long a dropped session can be resumed, and how many replayable messages it keeps for that
+const RESUME_GRACE_MS = Number(process.env.VOICE_RESUME_GRACE_MS) || 60000;
+const REPLAY_BUFFER_SIZE = 500;
+
+// Messages a reconnecting client may have missed: they carry a `seq` and are kept for replay
+const REPLAYED_TYPES = new Set(['transcript_final', 'ai_response_chunk', 'ai_response_complete', 'ai_interrupted']);
+
+// Interviewer audio goes out as binary frames: an 8-byte header (uint32 BE frame seq, uint16 BE sentence
+// index within the reply, uint8 flags with bit 0 set on a sentence's last frame, one reserved byte) + MP3 bytes
+const AUDIO_FRAME_HEADER_BYTES = 8;
+const AUDIO_FRAME_BYTES = 16 * 1024;
+
+// Rough speaking rate of the interviewer voice, used to guess when a reply's audio stops playing
+const SPOKEN_CHARS_PER_SECOND = 15;
+
+// Open Deepgram streams per user id
+const activeStreams = new Map();
+
+// Sessions by resume token; a session outlives its socket for RESUME_GRACE_MS
+const resumableSessions = new Map();
+
+// Build an error with the HTTP-style status reported to the client
+const streamError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Token from the ?token= query parameter or a "bearer.<jwt>" subprotocol
+const tokenFromRequest = (req) => {
+  const queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+  if (queryToken) return queryToken;
+
+  const protocols = String(req.headers['sec-websocket-protocol'] || '').split(',').map((p) => p.trim());
+  const protocol = protocols.find((p) => p.startsWith(TOKEN_PROTOCOL_PREFIX));
+  return protocol ? protocol.slice(TOKEN_PROTOCOL_PREFIX.length) : null;
+};
+
+// The chat a stream belongs to: an active chat the user owns, or a new one paid for with a credit
+const resolveStreamChat = async (user, chatId, jobContext = {}, { language = null, recordingConsent = false } = {}) => {
+  if (chatId) {
+    const chat = mongoose.Types.ObjectId.isValid(chatId)
+      ? await Chat.findOne({ _id: chatId, userId: user._id })
+      : null;
+    if (!chat) {
+      throw streamError('Chat not found', 404);
+    }
+    if (chat.status !== 'active') {
+      throw streamError('This interview has already ended', 409);
+    }
+    assertLanguageSupported(chat.language, ['live', 'tts']);
+    return chat;
+  }
+
+  // A new chat takes the requested language and recording consent, checked before a credit is spent
+  const chatLanguage = assertLanguageSupported(language, ['live', 'tts']);
+  if (recordingConsent && !isRecordingEnabled()) {
+    throw streamError('Answer recording is not enabled on this server', 501);
+  }
+  await user.resetMonthlyCreditsIfNeeded();
+  if (!user.canTakeInterview()) {
+    throw streamError('You have insufficient credits. Please upgrade to continue.', 402);
+  }
+  await user.deductCredit();
+
+  return Chat.create({
+    userId: user._id,
+    title: jobContext.jobTitle ? `${jobContext.jobTitle} voice interview`.slice(0, 200) : 'Voice interview',
+    language: chatLanguage,
+    ...(recordingConsent ? { recordingConsent: true, recordingConsentAt: new Date() } : {})
+  });
+};
+
+// Chat message metadata is a map of strings; drop empty values and stringify the rest
+const toMessageMetadata = (fields) => Object.fromEntries(
+  Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => [key, value instanceof Date ? value.toISOString() : String(value)])
+);
+
+// Interview state that survives a reconnect. Replies still being generated when the socket drops are
+// buffered and go to whichever socket is attached when they are produced.
+const createStreamSession = (socket) => {
+  const session = {
+    token: null,
+    userId: null,
+    socket,
+    graceTimer: null,
+    seq: 0,
+    replay: [],
+    audioSeq: 0,
+    // Transcript writes run one at a time: a document rejects a save while another is in flight
+    persistQueue: Promise.resolve(),
+    context: {
+      chat: null,
+      chatId: null,
+      mode: 'moderate',
+      jobContext: {},
+      conversationHistory: [],
+      currentTranscript: '',
+      isProcessing: false,
+      language: DEFAULT_LANGUAGE,
+      voice: resolveVoice(),
+      // Keep each answer's audio (the chat has recording consent and storage is configured)
+      recordAnswers: false,
+      // Cancel the interviewer's reply when the candidate starts talking over it
+      bargeIn: true,
+      // The interviewer's current turn, from the start of generation until its audio has finished playing
+      activeReply: null
+    },
+    send(payload) {
+      let message = payload;
+      if (REPLAYED_TYPES.has(payload.type)) {
+        session.seq += 1;
+        message = { ...payload, seq: session.seq };
+        session.replay.push(message);
+        if (session.replay.length > REPLAY_BUFFER_SIZE) session.replay.shift();
+      }
+      if (session.socket?.readyState === WebSocket.OPEN) {
+        session.socket.send(JSON.stringify(message));
+      }
+    },
+    sendAudioFrame(sentence, isLast, bytes) {
+      session.audioSeq += 1;
+      const header = Buffer.alloc(AUDIO_FRAME_HEADER_BYTES);
+      header.writeUInt32BE(session.audioSeq, 0);
+      header.writeUInt16BE(sentence, 4);
+      header.writeUInt8(isLast ? 1 : 0, 6);
+      if (session.socket?.readyState === WebSocket.OPEN) {
+        session.socket.send(Buffer.concat([header, bytes]), { binary: true });
+      }
+    }
+  };
+  return session;
+};
+
+const discardSession = (session) => {
+  clearTimeout(session.graceTimer);
+  session.graceTimer = null;
+  if (session.token) resumableSessions.delete(session.token);
+};
+
+// Issue the resume token once a stream is running
+const registerSession = (session, userId) => {
+  session.userId = String(userId);
+  session.token = crypto.randomBytes(24).toString('base64url');
+  resumableSessions.set(session.token, session);
+};
+
+// Keep a session whose socket dropped until the grace window runs out
+const suspendSession = (session) => {
+  session.socket = null;
+  clearTimeout(session.graceTimer);
+  session.graceTimer = setTimeout(() => {
+    discardSession(session);
+    console.log(`⌛ Voice session for chat ${session.context.chatId} expired`);
+  }, RESUME_GRACE_MS);
+  session.graceTimer.unref?.();
+};
+
+// Time the client needs to play a reply's audio
+const estimatePlaybackMs = (characters) => Math.ceil((characters / SPOKEN_CHARS_PER_SECOND) * 1000);
+
 const logLLMRequest = (context = '') => {
   const suffix = context ? ` - ${context}` : '';
   console.log(`Using LLM Provider: ${llmProviderName}${suffix}`);
@@ -73,7 +266,25 @@ const logLLMRequest = (context = '') => {
 export function initializeVoiceStreamWebSocket(server) {
   const wss = new WebSocketServer({ 
     server,
-    path: '/api/voice-stream'
+    path: '/api/voice-stream',
+    // A token in the query or subprotocol is checked before the upgrade; without one the client
+    // must authenticate with its first message
+    verifyClient: ({ req }, done) => {
+      const token = tokenFromRequest(req);
+      if (!token) return done(true);
+
+      verifyAccessToken(token)
+        .then((user) => {
+          req.user = user;
+          done(true);
+        })
+        .catch((error) => done(false, error.statusCode || 500, error.statusCode ? error.message : 'Authentication error'));
+    },
+    // Answer with the application protocol, never echo the token back unless it is all the client offered
+    handleProtocols: (protocols) => {
+      const offered = [...protocols];
+      return offered.find((p) => !p.startsWith(TOKEN_PROTOCOL_PREFIX)) || offered[0] || false;
+    }
   });
 
   console.log('🎙️  Voice Stream WebSocket server initialized at /api/voice-stream');
@@ -81,15 +292,209 @@ export function initializeVoiceStreamWebSocket(server) {
   wss.on('connection', async (ws, req) => {
     console.log('✅ Client connected to voice stream');
 
+    // Authenticated user (set during the upgrade, or by the first `auth` message)
+    let user = req.user || null;
+    // The `auth` message being verified; messages that arrive meanwhile wait for it instead of being rejected
+    let pendingAuth = null;
+    const authTimer = user ? null : setTimeout(() => {
+      ws.close(4401, 'Authentication required');
+    }, AUTH_TIMEOUT_MS);
+
     // Session state for this connection
     let deepgramLive = null;
-    let sessionContext = {
-      chatId: null,
-      mode: 'moderate',
-      jobContext: {},
-      conversationHistory: [],
-      currentTranscript: '',
-      isProcessing: false
+    let holdsStreamSlot = false;
+    let streamedAudioBytes = 0;
+    let session = createStreamSession(ws);
+
+    // The utterance being transcribed: when speech was first heard, interim results and audio since the last
+    // final (the audio itself is only kept when answers are recorded)
+    const newUtterance = () => ({ startedAt: null, interimCount: 0, audioBytes: 0, bargedIn: false, chunks: [], recordedBytes: 0 });
+    let utterance = newUtterance();
+
+    const takeUtterance = () => {
+      const finished = utterance;
+      utterance = newUtterance();
+      return finished;
+    };
+
+    const persistMessage = (role, content, metadata) => {
+      const { chat } = session.context;
+      if (!chat || !content || !content.trim()) return session.persistQueue;
+
+      session.persistQueue = session.persistQueue
+        .then(async () => {
+          await chat.addMessage(role, content.trim(), toMessageMetadata(metadata));
+          const saved = chat.messages[chat.messages.length - 1];
+          if (role === 'user') {
+            queueAnswerScoring(chat, saved._id);
+          }
+          return saved;
+        })
+        .catch((error) => {
+          console.warn(`⚠️ Failed to save voice ${role} message:`, error.message);
+          return null;
+        });
+      return session.persistQueue;
+    };
+
+    // Mark a reply that was already saved as cut off while its audio was playing
+    const persistInterruption = (reply) => {
+      const { chat } = session.context;
+      if (!chat || !reply.saved) return;
+
+      session.persistQueue = session.persistQueue
+        .then(async () => {
+          const message = await reply.saved;
+          if (!message) return null;
+          Object.entries(toMessageMetadata({
+            interrupted: true,
+            interruptedDuring: 'playback',
+            interruptedAt: reply.interruptedAt
+          })).forEach(([key, value]) => message.metadata.set(key, value));
+          await chat.save();
+          return message;
+        })
+        .catch((error) => {
+          console.warn('⚠️ Failed to record voice interruption:', error.message);
+          return null;
+        });
+    };
+
+    // Store the answer's audio as WAV and link it to the saved answer message. The upload starts right away;
+    // only the link waits its turn in the persist queue.
+    const persistRecording = (saved, spoken) => {
+      const { chat } = session.context;
+      if (!chat || spoken.chunks.length === 0) return;
+
+      const recording = saveAnswerRecording({
+        chat,
+        audio: pcmToWav(Buffer.concat(spoken.chunks), AUDIO_SAMPLE_RATE),
+        mimeType: 'audio/wav',
+        filename: 'answer.wav',
+        source: 'voice-stream',
+        durationSeconds: Number((spoken.recordedBytes / AUDIO_BYTES_PER_SECOND).toFixed(2))
+      });
+      // Awaited in the queue below; a failed upload must not count as an unhandled rejection meanwhile
+      recording.catch(() => {});
+      session.persistQueue = session.persistQueue
+        .then(async () => {
+          const [message, stored] = await Promise.all([saved, recording]);
+          if (!message) {
+            await deleteRecordings({ _id: stored._id });
+            return null;
+          }
+          await linkRecordingToMessage(stored, message);
+          await chat.save();
+          return message;
+        })
+        .catch((error) => {
+          console.warn('⚠️ Failed to store voice answer recording:', error.message);
+          return null;
+        });
+    };
+
+    /**
+     * Barge-in: the candidate started speaking while the interviewer is still talking.
+     * Cancels the completion / TTS still running, or cuts the audio the client is playing.
+     */
+    const interruptReply = () => {
+      const reply = session.context.activeReply;
+      if (!reply || reply.interrupted || !session.context.bargeIn) return;
+
+      const generating = !reply.completedAt;
+      if (!generating && Date.now() >= reply.playbackEndsAt) {
+        session.context.activeReply = null;
+        return;
+      }
+
+      reply.interrupted = true;
+      reply.interruptedAt = new Date();
+      reply.controller.abort();
+      utterance.bargedIn = true;
+
+      session.send({
+        type: 'ai_interrupted',
+        during: generating ? 'response' : 'playback',
+        timestamp: Date.now()
+      });
+      console.log(`✋ Candidate interrupted the interviewer (${generating ? 'response' : 'playback'})`);
+
+      if (!generating) {
+        session.context.activeReply = null;
+        persistInterruption(reply);
+      }
+    };
+
+    // Usage ledger attribution for calls made on this connection
+    const usageContext = () => ({
+      userId: user?._id || null,
+      plan: user?.plan || null,
+      chatId: session.context.chatId,
+      endpoint: 'WS /api/voice-stream'
+    });
+
+    const sendError = (error) => {
+      ws.send(JSON.stringify({
+        type: 'error',
+        statusCode: error.statusCode || 500,
+        message: error.statusCode ? error.message : 'Failed to start voice stream'
+      }));
+    };
+
+    // Refuse before a credit is spent when the server has no streaming speech-to-text
+    const assertLiveTranscription = () => {
+      if (!isLiveTranscriptionAvailable()) {
+        throw streamError('Live transcription is not configured on this server', 501);
+      }
+    };
+
+    // Re-read the user so a deactivation or spent credit since the handshake is honoured
+    const refreshUser = async () => {
+      const current = await User.findById(user._id).select('-password');
+      if (!current || !current.isActive) {
+        ws.close(4401, 'User account is deactivated');
+        return false;
+      }
+      user = current;
+      return true;
+    };
+
+    // Drop the session this socket was running (its token stops working)
+    const abandonSession = () => {
+      discardSession(session);
+      session.socket = null;
+    };
+
+    // Count this socket's open stream against the user's limit
+    const reserveStreamSlot = () => {
+      if (holdsStreamSlot) return;
+      const key = String(user._id);
+      const open = activeStreams.get(key) || 0;
+      if (open >= MAX_STREAMS_PER_USER) {
+        throw streamError(`Voice stream limit reached (${MAX_STREAMS_PER_USER} open at once)`, 429);
+      }
+      activeStreams.set(key, open + 1);
+      holdsStreamSlot = true;
+    };
+
+    const releaseStreamSlot = () => {
+      if (!holdsStreamSlot) return;
+      const key = String(user._id);
+      const open = (activeStreams.get(key) || 1) - 1;
+      if (open > 0) activeStreams.set(key, open);
+      else activeStreams.delete(key);
+      holdsStreamSlot = false;
+    };
+
+    // Close the live transcription and record the audio streamed to it
+    const finishDeepgramStream = () => {
+      releaseStreamSlot();
+      takeUtterance();
+      if (!deepgramLive) return;
+      deepgramLive.finish();
+      deepgramLive = null;
+      recordLiveTranscriptionUsage(streamedAudioBytes / AUDIO_BYTES_PER_SECOND, usageContext());
+      streamedAudioBytes = 0;
     };
 
     /**
@@ -98,18 +503,8 @@ export function initializeVoiceStreamWebSocket(server) {
      */
     const setupDeepgramStream = () => {
       try {
-        // Configure Deepgram for optimal latency
-        deepgramLive = deepgram.listen.live({
-          model: 'nova-2',              // Latest, most accurate model
-          language: 'en',
-          smart_format: true,           // Auto-capitalize, punctuate
-          interim_results: true,        // Get partial transcripts as user speaks
-          punctuate: true,
-          endpointing: 300,             // Detect silence after 300ms
-          vad_events: true,             // Voice activity detection
-          encoding: 'linear16',
-          sample_rate: 16000
-        });
+        // Low-latency settings (interim results, 300ms endpointing, VAD) come from the speech provider
+        deepgramLive = openLiveTranscription({ language: session.context.language });
 
         /**
          * STEP 3: Handle Partial Transcripts (Real-time feedback)
@@ -123,13 +518,16 @@ export function initializeVoiceStreamWebSocket(server) {
           const isFinal = data.is_final;
           const speechFinal = data.speech_final;
 
+          if (!utterance.startedAt) utterance.startedAt = new Date();
+
           // Send partial transcript to frontend (live typing effect)
           if (!isFinal) {
-            ws.send(JSON.stringify({
+            utterance.interimCount += 1;
+            session.send({
               type: 'transcript_partial',
               text: transcript,
               timestamp: Date.now()
-            }));
+            });
             return;
           }
 
@@ -138,48 +536,96 @@ export function initializeVoiceStreamWebSocket(server) {
            * User finished speaking - process complete sentence
            */
           if (isFinal && speechFinal) {
-            sessionContext.currentTranscript = transcript;
+            session.context.currentTranscript = transcript;
+            const finalAt = new Date();
+            const spoken = takeUtterance();
+            const delivery = analyzeDelivery({
+              transcript,
+              words: toWordTimings(data.channel.alternatives[0].words),
+              durationSeconds: spoken.audioBytes / AUDIO_BYTES_PER_SECOND,
+              language: session.context.language
+            });
 
             // Send final transcript to frontend
-            ws.send(JSON.stringify({
+            session.send({
               type: 'transcript_final',
               text: transcript,
+              delivery,
               timestamp: Date.now()
-            }));
+            });
+
+            // Every final transcript goes on the chat, even one that arrives while a reply is in progress
+            const savedAnswer = persistMessage('user', transcript, {
+              source: 'voice',
+              turnType: 'answer',
+              speechStartedAt: spoken.startedAt,
+              transcriptFinalAt: finalAt,
+              speechDurationMs: finalAt - spoken.startedAt,
+              audioSeconds: (spoken.audioBytes / AUDIO_BYTES_PER_SECOND).toFixed(2),
+              interimTranscripts: spoken.interimCount,
+              bargedIn: spoken.bargedIn || null,
+              ...toDeliveryMetadata(delivery)
+            });
+            persistRecording(savedAnswer, spoken);
 
             // Prevent concurrent processing
-            if (sessionContext.isProcessing) {
+            if (session.context.isProcessing) {
               console.log('⏳ Already processing, skipping...');
               return;
             }
 
-            sessionContext.isProcessing = true;
+            session.context.isProcessing = true;
 
             /**
              * STEP 5: Generate AI Response (Fast LLM)
              * Use GPT-4o-mini for speed + cost efficiency
              */
             try {
-              await generateAIResponse(transcript, ws, sessionContext);
+              const reply = await runWithUsageContext(usageContext(), () => generateAIResponse(transcript, session.send, session.context));
+              if (reply) {
+                const saved = persistMessage('assistant', reply.question || reply.fullResponse, {
+                  source: 'voice',
+                  turnType: reply.clarification ? 'clarification' : 'question',
+                  feedback: reply.feedback,
+                  requestedAt: finalAt,
+                  firstTokenMs: reply.timings.firstTokenMs,
+                  responseMs: reply.timings.responseMs,
+                  firstAudioMs: reply.timings.firstAudioMs,
+                  audioSentences: reply.audioSentences,
+                  hasAudio: reply.hasAudio,
+                  interrupted: reply.interrupted || null,
+                  interruptedDuring: reply.interrupted ? 'response' : null,
+                  interruptedAt: reply.interruptedAt
+                });
+                if (session.context.activeReply === reply.turn) {
+                  reply.turn.saved = saved;
+                }
+              }
             } catch (error) {
               console.error('Error generating AI response:', error);
-              ws.send(JSON.stringify({
+              session.send({
                 type: 'error',
                 message: 'Failed to generate response'
-              }));
+              });
             } finally {
-              sessionContext.isProcessing = false;
+              session.context.isProcessing = false;
             }
           }
         });
 
+        // Voice activity while the interviewer is talking (vad_events) is a barge-in
+        deepgramLive.on('SpeechStarted', () => {
+          interruptReply();
+        });
+
         // Handle Deepgram errors
         deepgramLive.on('error', (error) => {
           console.error('Deepgram error:', error);
-          ws.send(JSON.stringify({
+          session.send({
             type: 'error',
+            statusCode: 502,
             message: 'Transcription error'
-          }));
+          });
         });
 
         // Handle Deepgram connection close
@@ -193,16 +639,119 @@ export function initializeVoiceStreamWebSocket(server) {
         console.error('Failed to setup Deepgram:', error);
         ws.send(JSON.stringify({
           type: 'error',
-          message: 'Failed to initialize speech recognition'
+          statusCode: error.statusCode || 500,
+          message: error.statusCode ? error.message : 'Failed to initialize speech recognition'
         }));
       }
     };
 
+    /**
+     * STEP 8: Sentence-level TTS
+     * Synthesis for each sentence starts as soon as it is complete (several can run at once) and the
+     * audio goes out in sentence order: a `tts_sentence` message, then that sentence's binary frames.
+     */
+    const createReplySpeaker = (turn) => {
+      const { signal } = turn.controller;
+      const { voice } = session.context;
+      let sending = Promise.resolve();
+      let queued = 0;
+      const speaker = { voice, sentences: 0, frames: 0, characters: 0, firstAudioAt: null };
+
+      const sendSentence = (index, text, audio) => {
+        const frames = Math.max(1, Math.ceil(audio.length / AUDIO_FRAME_BYTES));
+        session.send({
+          type: 'tts_sentence',
+          index,
+          text,
+          voice,
+          format: 'mp3',
+          firstSeq: session.audioSeq + 1,
+          frames,
+          timestamp: Date.now()
+        });
+        for (let i = 0; i < frames; i++) {
+          session.sendAudioFrame(index, i === frames - 1, audio.subarray(i * AUDIO_FRAME_BYTES, (i + 1) * AUDIO_FRAME_BYTES));
+        }
+        if (!speaker.firstAudioAt) speaker.firstAudioAt = Date.now();
+        speaker.sentences += 1;
+        speaker.frames += frames;
+        speaker.characters += text.length;
+      };
+
+      speaker.speak = (text) => {
+        const index = queued++;
+        const audio = synthesizeSpeech(text, { voice, language: session.context.language, signal }).then(({ audio }) => audio, (error) => {
+          // Skip the sentence (its text is still on screen) rather than fail the reply
+          if (!signal.aborted) console.error('TTS generation failed:', error);
+          return null;
+        });
+        sending = sending.then(async () => {
+          const buffer = await audio;
+          if (buffer && !signal.aborted) sendSentence(index, text, buffer);
+        });
+      };
+
+      // Resolves once every sentence queued so far has been sent (or skipped)
+      speaker.finished = () => sending;
+
+      return speaker;
+    };
+
     /**
      * STEP 6: Generate AI Response with Streaming
      * Fast LLM generates next question + feedback, streams back token-by-token
      */
-    const generateAIResponse = async (userAnswer, ws, context) => {
+    // Resolves to the parsed reply with its timings, or nothing when generation failed
+    const generateAIResponse = async (userAnswer, send, context) => {
+      const requestedAt = Date.now();
+      let firstTokenAt = null;
+
+      // This reply is what a barge-in cancels
+      const turn = {
+        controller: new AbortController(),
+        text: '',
+        interrupted: false,
+        interruptedAt: null,
+        completedAt: null,
+        playbackEndsAt: 0,
+        saved: null
+      };
+      const { signal } = turn.controller;
+      context.activeReply = turn;
+
+      const endTurn = () => {
+        if (context.activeReply === turn) context.activeReply = null;
+      };
+
+      const rememberExchange = (assistantContent) => {
+        context.conversationHistory.push(
+          { role: 'user', content: userAnswer },
+          { role: 'assistant', content: assistantContent }
+        );
+
+        // Keep history manageable (last 10 exchanges)
+        if (context.conversationHistory.length > 20) {
+          context.conversationHistory = context.conversationHistory.slice(-20);
+        }
+      };
+
+      // Whatever was streamed before the candidate cut in goes on the transcript, flagged as interrupted
+      const interruptedReply = () => {
+        endTurn();
+        if (turn.text) rememberExchange(turn.text);
+        return {
+          clarification: false,
+          interrupted: true,
+          interruptedAt: turn.interruptedAt,
+          feedback: turn.text.match(/\[FEEDBACK:\s*([^\]]*)/)?.[1]?.trim() || '',
+          question: turn.text.match(/\[QUESTION:\s*([^\]]*)/)?.[1]?.trim() || '',
+          fullResponse: turn.text,
+          hasAudio: false,
+          timings: { firstTokenMs: firstTokenAt ? firstTokenAt - requestedAt : null, responseMs: Date.now() - requestedAt, firstAudioMs: null },
+          turn
+        };
+      };
+
       try {
         // Check for clarification requests (repeat, elaborate, etc.)
         const answerLower = (userAnswer || '').toLowerCase().trim();
@@ -238,7 +787,8 @@ export function initializeVoiceStreamWebSocket(server) {
           userAnswer = '[SKIP_REQUEST]'; // Mark for fresh question generation
         }
         
-        if (isRepeatRequest || isElaborateRequest) {
+        // The canned clarification replies are English; other languages let the model handle the request
+        if ((isRepeatRequest || isElaborateRequest) && context.language === DEFAULT_LANGUAGE) {
           console.log('🔄 Voice: Clarification request detected:', isRepeatRequest ? 'REPEAT' : 'ELABORATE');
           
           // Find last assistant message (last question)
@@ -263,37 +813,55 @@ export function initializeVoiceStreamWebSocket(server) {
             }
             
             // Stream the clarification response
+            firstTokenAt = Date.now();
             for (const char of responseText) {
-              ws.send(JSON.stringify({
+              if (signal.aborted) break;
+              turn.text += char;
+              send({
                 type: 'ai_response_chunk',
                 content: char,
                 timestamp: Date.now()
-              }));
+              });
               await new Promise(r => setTimeout(r, 10));
             }
+            if (turn.interrupted) return interruptedReply();
             
-            ws.send(JSON.stringify({
+            turn.completedAt = Date.now();
+            endTurn();
+            send({
               type: 'ai_response_complete',
               fullResponse: responseText,
               timestamp: Date.now()
-            }));
+            });
             
-            return responseText;
+            return {
+              clarification: true,
+              interrupted: false,
+              feedback: isRepeatRequest ? 'Sure' : 'Of course',
+              question: isRepeatRequest ? lastQuestion : `Let me rephrase: ${lastQuestion}`,
+              fullResponse: responseText,
+              hasAudio: false,
+              timings: { firstTokenMs: firstTokenAt - requestedAt, responseMs: Date.now() - requestedAt, firstAudioMs: null },
+              turn
+            };
           }
         }
 
         // Build conversation context
-        const systemPrompt = `You are an AI interviewer conducting a ${context.mode} difficulty interview for ${context.jobContext.jobTitle || 'a position'} at ${context.jobContext.company || 'the company'}.
+        const modeConfig = resolveMode(context.mode);
+        const systemPrompt = `${modeConfig.systemPrompt}
+
+      You are conducting a ${modeConfig.name} interview for ${context.jobContext.jobTitle || 'a position'} at ${context.jobContext.company || 'the company'}.
 
       IMPORTANT INSTRUCTIONS:
       1. Give VERY SHORT instant feedback first (1-2 words only): "Good", "Nice", "Okay", "Great"
       2. Then ask the next interview question
       3. Keep the question under 60 words, one sentence, no lists, no sections
-      4. Match the difficulty level: ${context.mode}
+      4. Match the interviewer style: ${modeConfig.name}
 
       Format your response as:
       [FEEDBACK: <1-2 words>]
-      [QUESTION: <your next question>]`;
+      [QUESTION: <your next question>]${languagePrompt(createPromptSet({ chat: context.chat }), context.language)}`;
 
         // Handle skip request - generate fresh question
         const actualMessage = userAnswer === '[SKIP_REQUEST]'
@@ -313,9 +881,13 @@ export function initializeVoiceStreamWebSocket(server) {
           model: 'gpt-4o-mini',
           messages,
           stream: true,
-          temperature: 0.7,
+          temperature: modeConfig.temperature,
           max_tokens: 120  // Keep responses concise
-        });
+        }, { signal });
+
+        const splitter = createSentenceSplitter();
+        const speaker = createReplySpeaker(turn);
+        logLLMRequest('voice-stream TTS');
 
         let fullResponse = '';
         let feedbackText = '';
@@ -328,10 +900,13 @@ export function initializeVoiceStreamWebSocket(server) {
          * Send each word/token as it's generated - user sees text appear instantly
          */
         for await (const chunk of stream) {
+          if (signal.aborted) break;
           const content = chunk.choices[0]?.delta?.content || '';
           if (!content) continue;
 
+          if (!firstTokenAt) firstTokenAt = Date.now();
           fullResponse += content;
+          turn.text = fullResponse;
 
           // Parse feedback and question sections
           if (content.includes('[FEEDBACK:')) inFeedback = true;
@@ -348,80 +923,87 @@ export function initializeVoiceStreamWebSocket(server) {
           }
 
           // Stream text to frontend in real-time
-          ws.send(JSON.stringify({
+          send({
             type: 'ai_response_chunk',
             content,
             timestamp: Date.now()
-          }));
+          });
+
+          // Start speaking each sentence as soon as it is complete
+          splitter.push(content).forEach(speaker.speak);
         }
 
+        if (turn.interrupted) return interruptedReply();
+        splitter.flush().forEach(speaker.speak);
+
         // Clean up parsed text
         feedbackText = feedbackText.replace(/]/g, '').trim();
         questionText = questionText.replace(/]/g, '').trim();
+        const responseMs = Date.now() - requestedAt;
 
-        /**
-         * STEP 8: Generate Short TTS Audio (Only for feedback)
-         * Convert 1-2 line feedback to speech, keep long text text-only
-         */
-        let audioBase64 = null;
-        const shouldGenerateAudio = feedbackText.length > 0 && feedbackText.length <= 20;
-
-        if (shouldGenerateAudio) {
-          try {
-            logLLMRequest('voice-stream TTS');
-
-            const mp3Response = await openai.audio.speech.create({
-              model: 'tts-1',  // Fastest TTS model
-              voice: 'nova',
-              input: feedbackText,
-              speed: 1.1  // Slightly faster for snappier feel
-            });
-
-            const buffer = Buffer.from(await mp3Response.arrayBuffer());
-            audioBase64 = buffer.toString('base64');
-
-            console.log(`🔊 Generated TTS audio (${feedbackText.length} chars)`);
-          } catch (error) {
-            console.error('TTS generation failed:', error);
-            // Continue without audio if TTS fails
-          }
-        } else {
-          console.log('📝 Skipping TTS - text only (too long or empty)');
+        // Wait for the last sentences' audio to go out
+        await speaker.finished();
+        if (turn.interrupted) return interruptedReply();
+        if (speaker.sentences > 0) {
+          console.log(`🔊 Streamed TTS audio (${speaker.sentences} sentences, ${speaker.frames} frames)`);
         }
 
         // Update conversation history
-        context.conversationHistory.push(
-          { role: 'user', content: userAnswer },
-          { role: 'assistant', content: fullResponse }
-        );
+        rememberExchange(fullResponse);
 
-        // Keep history manageable (last 10 exchanges)
-        if (context.conversationHistory.length > 20) {
-          context.conversationHistory = context.conversationHistory.slice(-20);
+        // The turn stays open (and can be barged in on) while the client is likely still playing the audio
+        turn.completedAt = Date.now();
+        if (speaker.sentences > 0) {
+          turn.playbackEndsAt = Math.max(turn.completedAt, speaker.firstAudioAt + estimatePlaybackMs(speaker.characters));
+        } else {
+          endTurn();
         }
 
         /**
          * STEP 9: Send Complete Response Package
          * Final bundle with all data for frontend to save/display
          */
-        ws.send(JSON.stringify({
+        send({
           type: 'ai_response_complete',
           feedback: feedbackText,
           question: questionText,
           fullResponse,
-          audioBase64,
-          hasAudio: shouldGenerateAudio,
+          hasAudio: speaker.sentences > 0,
+          audio: {
+            format: 'mp3',
+            voice: speaker.voice,
+            sentences: speaker.sentences,
+            frames: speaker.frames
+          },
           timestamp: Date.now()
-        }));
+        });
 
         console.log(`✅ Response complete: "${feedbackText}" + question`);
 
+        return {
+          clarification: false,
+          interrupted: false,
+          feedback: feedbackText,
+          question: questionText,
+          fullResponse,
+          hasAudio: speaker.sentences > 0,
+          audioSentences: speaker.sentences,
+          timings: {
+            firstTokenMs: firstTokenAt ? firstTokenAt - requestedAt : null,
+            responseMs,
+            firstAudioMs: speaker.firstAudioAt ? speaker.firstAudioAt - requestedAt : null
+          },
+          turn
+        };
+
       } catch (error) {
+        if (turn.interrupted) return interruptedReply();
+        endTurn();
         console.error('AI response generation error:', error);
-        ws.send(JSON.stringify({
+        send({
           type: 'error',
           message: 'Failed to generate AI response'
-        }));
+        });
       }
     };
 
@@ -429,12 +1011,45 @@ export function initializeVoiceStreamWebSocket(server) {
      * STEP 10: Handle Incoming Messages from Client
      * Process commands and audio data from frontend
      */
-    ws.on('message', async (message) => {
+    ws.on('message', async (message, isBinary) => {
       try {
-        // Audio data (binary) - forward to Deepgram
-        if (message instanceof Buffer) {
+        // Until authenticated, the only accepted message is { type: 'auth', token }
+        if (!user && pendingAuth) {
+          await pendingAuth;
+          // The socket is being closed when the token was rejected
+          if (!user) return;
+        } else if (!user) {
+          let data = null;
+          try {
+            data = isBinary ? null : JSON.parse(message.toString());
+          } catch {
+            data = null;
+          }
+          if (data?.type !== 'auth') {
+            ws.close(4401, 'Authentication required');
+            return;
+          }
+          pendingAuth = verifyAccessToken(data.token).then((verified) => {
+            user = verified;
+            clearTimeout(authTimer);
+            ws.send(JSON.stringify({ type: 'authenticated' }));
+          }, (error) => {
+            ws.close(4000 + (error.statusCode || 500), error.statusCode ? error.message : 'Authentication error');
+          });
+          await pendingAuth;
+          return;
+        }
+
+        // Audio data (binary frames) - forward to Deepgram; text frames are JSON control messages
+        if (isBinary) {
           if (deepgramLive) {
+            utterance.audioBytes += message.length;
+            if (session.context.recordAnswers && utterance.recordedBytes + message.length <= MAX_RECORDED_ANSWER_BYTES) {
+              utterance.chunks.push(Buffer.from(message));
+              utterance.recordedBytes += message.length;
+            }
             deepgramLive.send(message);
+            streamedAudioBytes += message.length;
           }
           return;
         }
@@ -444,26 +1059,117 @@ export function initializeVoiceStreamWebSocket(server) {
 
         switch (data.type) {
           case 'start_stream':
-            // Initialize session context
-            sessionContext.chatId = data.chatId;
-            sessionContext.mode = data.mode || 'moderate';
-            sessionContext.jobContext = data.jobContext || {};
-            
+            // A repeated start_stream replaces the previous Deepgram connection
+            finishDeepgramStream();
+
+            try {
+              if (!(await refreshUser())) return;
+              assertLiveTranscription();
+              const mode = assertKnownMode(data.mode);
+
+              reserveStreamSlot();
+              const chat = await resolveStreamChat(user, data.chatId, data.jobContext || {}, {
+                language: data.language,
+                recordingConsent: data.recordingConsent === true
+              });
+
+              // A new session replaces any earlier one on this socket
+              abandonSession();
+              session = createStreamSession(ws);
+
+              // Initialize session context; an existing chat picks up where its transcript left off
+              session.context.chat = chat;
+              session.context.chatId = String(chat._id);
+              session.context.conversationHistory = chat.messages.slice(-20).map((msg) => ({
+                role: msg.role,
+                content: msg.content
+              }));
+              session.context.mode = mode;
+              session.context.jobContext = data.jobContext || {};
+              session.context.bargeIn = data.bargeIn !== false;
+              session.context.language = chat.language;
+              session.context.voice = resolveVoice(data.voice, chat.language);
+              session.context.recordAnswers = Boolean(chat.recordingConsent) && isRecordingEnabled();
+              registerSession(session, user._id);
+            } catch (error) {
+              releaseStreamSlot();
+              console.warn('⚠️ Voice stream rejected:', error.message);
+              sendError(error);
+              return;
+            }
+
             // Setup Deepgram streaming
             setupDeepgramStream();
             
             ws.send(JSON.stringify({
               type: 'stream_ready',
+              chatId: session.context.chatId,
+              language: session.context.language,
+              recording: session.context.recordAnswers,
+              sessionToken: session.token,
+              resumeWindowMs: RESUME_GRACE_MS,
               message: 'Voice streaming initialized'
             }));
             break;
 
+          case 'resume_stream': {
+            // Reattach a dropped session: { sessionToken, lastSeq } where lastSeq is the last seq received
+            finishDeepgramStream();
+
+            const resumed = resumableSessions.get(data.sessionToken);
+            try {
+              if (!resumed || resumed.userId !== String(user._id)) {
+                throw streamError('Voice session not found or expired', 404);
+              }
+              if (!(await refreshUser())) return;
+              assertLiveTranscription();
+              reserveStreamSlot();
+            } catch (error) {
+              releaseStreamSlot();
+              console.warn('⚠️ Voice stream resume rejected:', error.message);
+              sendError(error);
+              return;
+            }
+
+            // The old socket may not have noticed the drop yet; this connection takes the session over
+            const previousSocket = resumed.socket;
+            if (session !== resumed) abandonSession();
+            clearTimeout(resumed.graceTimer);
+            resumed.graceTimer = null;
+            resumed.socket = ws;
+            session = resumed;
+            if (previousSocket && previousSocket !== ws) {
+              previousSocket.close(4409, 'Voice session resumed on another connection');
+            }
+
+            setupDeepgramStream();
+
+            const lastSeq = Number(data.lastSeq) || 0;
+            const missed = session.replay.filter((msg) => msg.seq > lastSeq);
+            ws.send(JSON.stringify({
+              type: 'stream_resumed',
+              chatId: session.context.chatId,
+              sessionToken: session.token,
+              mode: session.context.mode,
+              language: session.context.language,
+              recording: session.context.recordAnswers,
+              jobContext: session.context.jobContext,
+              history: session.context.conversationHistory,
+              isProcessing: session.context.isProcessing,
+              missedMessages: missed.length,
+              // false when the client was gone so long that older messages fell out of the replay buffer
+              replayComplete: missed.length === 0 || missed[0].seq === lastSeq + 1,
+              message: 'Voice streaming resumed'
+            }));
+            missed.forEach((msg) => ws.send(JSON.stringify(msg)));
+
+            console.log(`🔁 Voice session for chat ${session.context.chatId} resumed (${missed.length} missed messages)`);
+            break;
+          }
+
           case 'stop_stream':
             // Clean up Deepgram connection
-            if (deepgramLive) {
-              deepgramLive.finish();
-              deepgramLive = null;
-            }
+            finishDeepgramStream();
             
             ws.send(JSON.stringify({
               type: 'stream_stopped',
@@ -471,6 +1177,13 @@ export function initializeVoiceStreamWebSocket(server) {
             }));
             break;
 
+          case 'playback_finished': {
+            // The client finished playing the interviewer's audio, so speech from now on is a normal answer
+            const reply = session.context.activeReply;
+            if (reply?.completedAt) session.context.activeReply = null;
+            break;
+          }
+
           case 'ping':
             // Keepalive
             ws.send(JSON.stringify({ type: 'pong' }));
@@ -492,9 +1205,13 @@ export function initializeVoiceStreamWebSocket(server) {
     ws.on('close', () => {
       console.log('❌ Client disconnected from voice stream');
       
-      if (deepgramLive) {
-        deepgramLive.finish();
-        deepgramLive = null;
+      clearTimeout(authTimer);
+      finishDeepgramStream();
+
+      // A started session waits for the client to reconnect instead of ending with the socket
+      if (session.token && session.socket === ws) {
+        suspendSession(session);
+        console.log(`⏸️ Voice session for chat ${session.context.chatId} held for ${RESUME_GRACE_MS}ms`);
       }
     });
 
@@ -502,10 +1219,7 @@ export function initializeVoiceStreamWebSocket(server) {
     ws.on('error', (error) => {
       console.error('WebSocket error:', error);
       
-      if (deepgramLive) {
-        deepgramLive.finish();
-        deepgramLive = null;
-      }
+      finishDeepgramStream();
     });
   });
 
@@ -0,0 +1,365 @@
+// Offline evaluation harness for interview question generation.
+// Replays a corpus of recorded interviews through the question generator, runs the same validators
+// the routes use plus the rubric checks in config/eval/rubric.json, and reports pass rates.
+//
+// Run: npm run eval:questions -- [--corpus <dir|file>] [--rubric <file>] [--runs <n>] [--case <id>]
+//                                [--out <report.json>] [--baseline <report.json>] [--max-regression <points>]
+//                                [--verbose]
+// Use AI_PROVIDER=mock for a deterministic smoke run, or a real provider to compare prompt changes.
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+
+dotenv.config({ path: '.env' });
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, '..');
+
+const DEFAULTS = {
+  corpus: path.join(rootDir, 'config', 'eval', 'corpus'),
+  rubric: path.join(rootDir, 'config', 'eval', 'rubric.json'),
+  runs: 1,
+  maxRegression: 5
+};
+
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS, verbose: false, caseIds: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`${arg} needs a value`);
+      return value;
+    };
+    if (arg === '--corpus') options.corpus = path.resolve(next());
+    else if (arg === '--rubric') options.rubric = path.resolve(next());
+    else if (arg === '--runs') options.runs = Math.max(1, Number(next()) || 1);
+    else if (arg === '--case') options.caseIds.push(next());
+    else if (arg === '--out') options.out = path.resolve(next());
+    else if (arg === '--baseline') options.baseline = path.resolve(next());
+    else if (arg === '--max-regression') options.maxRegression = Number(next());
+    else if (arg === '--verbose') options.verbose = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return options;
+};
+
+// A corpus is a folder of case files or a single file; a file may hold one case or an array of cases
+const loadCorpus = (corpusPath, caseIds) => {
+  const files = fs.statSync(corpusPath).isDirectory()
+    ? fs.readdirSync(corpusPath).filter((f) => f.endsWith('.json')).sort().map((f) => path.join(corpusPath, f))
+    : [corpusPath];
+
+  const cases = files.flatMap((file) => {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return (Array.isArray(parsed) ? parsed : [parsed]).map((c, idx) => ({
+      id: c.id || `${path.basename(file, '.json')}-${idx + 1}`,
+      ...c
+    }));
+  });
+
+  cases.forEach((c) => {
+    if (!c.jobTitle && !c.jobDescription && !c.resume) {
+      throw new Error(`Case "${c.id}" needs a job (jobTitle/jobDescription) or a resume`);
+    }
+    if (!Array.isArray(c.conversation) || c.conversation.length === 0) {
+      throw new Error(`Case "${c.id}" needs a non-empty conversation (the first turn is a fixed introduction)`);
+    }
+  });
+
+  return caseIds.length ? cases.filter((c) => caseIds.includes(c.id)) : cases;
+};
+
+// Rubric check types; each returns true/false, or null when it does not apply to the case
+const RUBRIC_CHECKS = {
+  singleQuestion: (question) => (question.match(/\?/g) || []).length === 1 && question.trim().endsWith('?'),
+  wordCount: (question, testCase, check) => {
+    const words = question.split(/\s+/).filter(Boolean).length;
+    return words >= (check.min ?? 0) && words <= (check.max ?? Infinity);
+  },
+  forbiddenPatterns: (question, testCase, check) => !(check.patterns || [])
+    .some((pattern) => new RegExp(pattern, check.flags ?? 'i').test(question)),
+  mentionsSkill: (question, testCase) => {
+    const skills = testCase.skills || [];
+    if (!skills.length) return null;
+    const text = question.toLowerCase();
+    return skills.some((skill) => text.includes(String(skill).toLowerCase()));
+  }
+};
+
+const loadRubric = (rubricPath) => {
+  const { checks = [] } = JSON.parse(fs.readFileSync(rubricPath, 'utf8'));
+  checks.forEach((check) => {
+    if (!check.id || !RUBRIC_CHECKS[check.type]) {
+      throw new Error(`Invalid rubric check ${JSON.stringify(check)}: known types are ${Object.keys(RUBRIC_CHECKS).join(', ')}`);
+    }
+  });
+  return checks;
+};
+
+// Everything the candidate or job gave the generator; entities outside it count as hallucinations
+const allowedContextFor = (testCase) => [
+  testCase.jobTitle,
+  testCase.company,
+  testCase.jobDescription,
+  (testCase.skills || []).join(', '),
+  testCase.resume?.rawText,
+  testCase.resume?.analysis ? JSON.stringify(testCase.resume.analysis) : '',
+  ...testCase.conversation.map((m) => m.text),
+  testCase.userAnswer
+].filter(Boolean).join(' ');
+
+// Run the real interview handler with an in-memory request/response pair
+const replayCase = async (handleInterviewTurn, testCase, run) => {
+  const retries = [];
+  let reply = null;
+
+  const req = {
+    body: {
+      userAnswer: testCase.userAnswer,
+      interviewMode: testCase.interviewMode || 'moderate',
+      conversation: testCase.conversation,
+      jobTitle: testCase.jobTitle || '',
+      company: testCase.company || '',
+      jobDescription: testCase.jobDescription || '',
+      skills: testCase.skills || [],
+      difficulty: testCase.difficulty,
+      // Served from the corpus by the handler's resume loader (see main)
+      resumeId: testCase.resume ? testCase.id : undefined
+    },
+    user: { _id: new mongoose.Types.ObjectId(), plan: testCase.plan || 'VALUE' }
+  };
+  const res = {
+    statusCode: 200,
+    // Validation retries inside the generator surface as events, the same way they do on SSE responses
+    sendEvent(event, data) {
+      if (event === 'validation_retry') retries.push(data.reason);
+      return true;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      reply = { statusCode: this.statusCode, body };
+      return this;
+    }
+  };
+
+  const startedAt = Date.now();
+  try {
+    await handleInterviewTurn(req, res);
+  } catch (error) {
+    reply = { statusCode: error.statusCode || 500, body: { message: error.message } };
+  }
+
+  const ok = reply?.statusCode === 200 && typeof reply.body?.data?.response === 'string';
+  return {
+    run,
+    ok,
+    error: ok ? null : (reply?.body?.message || 'No response'),
+    question: ok ? reply.body.data.response : '',
+    retries,
+    durationMs: Date.now() - startedAt
+  };
+};
+
+// Apply the route validators and rubric checks to one generated question
+const evaluateQuestion = (validators, testCase, result, rubric) => {
+  const { isValidQuestion, isAnswerLike, detectHallucinatedEntities, normalizeForCompare, overlapSimilarity, REPEAT_SIMILARITY_THRESHOLD } = validators;
+  const question = result.question;
+  const previousQuestions = testCase.conversation.filter((m) => m.type !== 'user').map((m) => m.text);
+  const normalized = normalizeForCompare(question);
+  const maxSimilarity = previousQuestions.reduce(
+    (max, q) => Math.max(max, overlapSimilarity(normalized, normalizeForCompare(q))),
+    0
+  );
+
+  return {
+    validQuestion: isValidQuestion(question),
+    answerLike: isAnswerLike(question),
+    hallucinatedEntities: detectHallucinatedEntities(question, allowedContextFor(testCase)) || [],
+    maxSimilarity: Math.round(maxSimilarity * 100) / 100,
+    repeat: maxSimilarity >= REPEAT_SIMILARITY_THRESHOLD,
+    rubric: Object.fromEntries(rubric.map((check) => [check.id, RUBRIC_CHECKS[check.type](question, testCase, check)]))
+  };
+};
+
+const percent = (count, total) => (total ? Math.round((count / total) * 1000) / 10 : null);
+
+const summarize = (results, rubric) => {
+  const answered = results.filter((r) => r.ok);
+  const count = (predicate) => answered.filter(predicate).length;
+  const retryReasons = {};
+  results.forEach((r) => r.retries.forEach((reason) => {
+    retryReasons[reason] = (retryReasons[reason] || 0) + 1;
+  }));
+
+  const rubricRates = Object.fromEntries(rubric.map((check) => {
+    const applicable = answered.filter((r) => r.checks.rubric[check.id] !== null);
+    return [check.id, percent(applicable.filter((r) => r.checks.rubric[check.id]).length, applicable.length)];
+  }));
+
+  // Questions asked more than once across runs of the same case
+  const distinct = new Set(answered.map((r) => `${r.caseId}:${r.question}`)).size;
+
+  return {
+    runs: results.length,
+    errors: results.length - answered.length,
+    rates: {
+      validQuestion: percent(count((r) => r.checks.validQuestion), answered.length),
+      answerLike: percent(count((r) => r.checks.answerLike), answered.length),
+      hallucination: percent(count((r) => r.checks.hallucinatedEntities.length > 0), answered.length),
+      repeat: percent(count((r) => r.checks.repeat), answered.length),
+      retried: percent(results.filter((r) => r.retries.length > 0).length, results.length)
+    },
+    retryReasons,
+    rubric: rubricRates,
+    distinctQuestions: distinct,
+    avgDurationMs: results.length ? Math.round(results.reduce((sum, r) => sum + r.durationMs, 0) / results.length) : 0
+  };
+};
+
+// Rates where higher is better; the rest (answerLike, hallucination, repeat, retried) should go down
+const HIGHER_IS_BETTER = new Set(['validQuestion']);
+
+// Compare against a previous report; a regression is a move in the wrong direction beyond the tolerance
+const compareToBaseline = (summary, baseline, maxRegression) => {
+  const rows = [];
+  const push = (metric, current, previous, higherIsBetter) => {
+    if (current === null || current === undefined || previous === null || previous === undefined) return;
+    const delta = Math.round((current - previous) * 10) / 10;
+    const regression = higherIsBetter ? -delta : delta;
+    rows.push({ metric, previous, current, delta, regressed: regression > maxRegression });
+  };
+
+  Object.entries(summary.rates).forEach(([metric, value]) => {
+    push(metric, value, baseline.summary?.rates?.[metric], HIGHER_IS_BETTER.has(metric));
+  });
+  Object.entries(summary.rubric).forEach(([id, value]) => {
+    push(`rubric.${id}`, value, baseline.summary?.rubric?.[id], true);
+  });
+  return rows;
+};
+
+const printReport = (report) => {
+  const { summary } = report;
+  const show = (value) => (value === null ? 'n/a' : `${value}%`);
+
+  console.log(`\n📊 Question eval - ${report.cases} case(s) x ${report.runsPerCase} run(s), provider: ${report.provider}`);
+  console.log(`   Errors: ${summary.errors}/${summary.runs}   Avg duration: ${summary.avgDurationMs}ms   Distinct questions: ${summary.distinctQuestions}`);
+  console.log('\n   Validators');
+  console.log(`   - valid question:     ${show(summary.rates.validQuestion)}`);
+  console.log(`   - answer-like:        ${show(summary.rates.answerLike)}`);
+  console.log(`   - hallucination hits: ${show(summary.rates.hallucination)}`);
+  console.log(`   - repeats:            ${show(summary.rates.repeat)}`);
+  console.log(`   - needed a retry:     ${show(summary.rates.retried)} ${JSON.stringify(summary.retryReasons)}`);
+  console.log('\n   Rubric');
+  Object.entries(summary.rubric).forEach(([id, value]) => console.log(`   - ${id}: ${show(value)}`));
+
+  const failures = report.results.filter((r) => !r.ok || !r.checks.validQuestion || r.checks.hallucinatedEntities.length || r.checks.repeat);
+  if (failures.length) {
+    console.log('\n   Flagged');
+    failures.forEach((r) => {
+      const reasons = r.ok
+        ? [
+          !r.checks.validQuestion && 'invalid question',
+          r.checks.hallucinatedEntities.length && `hallucinated: ${r.checks.hallucinatedEntities.join(', ')}`,
+          r.checks.repeat && `repeat (${r.checks.maxSimilarity})`
+        ].filter(Boolean).join('; ')
+        : `error: ${r.error}`;
+      console.log(`   - ${r.caseId} #${r.run}: ${reasons}${r.question ? `\n       "${r.question}"` : ''}`);
+    });
+  }
+
+  if (report.comparison) {
+    console.log('\n   Against baseline');
+    report.comparison.forEach((row) => {
+      const sign = row.delta > 0 ? '+' : '';
+      console.log(`   ${row.regressed ? '❌' : '  '} ${row.metric}: ${row.previous}% → ${row.current}% (${sign}${row.delta})`);
+    });
+  }
+  console.log('');
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const cases = loadCorpus(options.corpus, options.caseIds);
+  const rubric = loadRubric(options.rubric);
+  if (!cases.length) throw new Error('No cases to run');
+
+  // No database: ledger writes fail fast instead of waiting for a connection
+  mongoose.set('bufferCommands', false);
+
+  const [{ createInterviewTurnHandler }, validators, { llmProviderName }] = await Promise.all([
+    import('../routes/ai.js'),
+    import('../services/questionValidators.js'),
+    import('../services/llmProvider.js')
+  ]);
+  // Resumes come from the corpus (keyed by case id) instead of the database
+  const corpusResumes = new Map(cases.filter((testCase) => testCase.resume).map((testCase) => [testCase.id, testCase.resume]));
+  const handleInterviewTurn = createInterviewTurnHandler({ loadResume: async (resumeId) => corpusResumes.get(resumeId) || null });
+
+  // The handler logs every step; keep the report readable unless asked otherwise
+  const original = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  const mute = () => {
+    if (!options.verbose) Object.keys(original).forEach((key) => { console[key] = () => {}; });
+  };
+  const unmute = () => Object.assign(console, original);
+
+  const results = [];
+  mute();
+  for (const testCase of cases) {
+    for (let run = 1; run <= options.runs; run++) {
+      const result = await replayCase(handleInterviewTurn, testCase, run);
+      const checks = result.ok ? evaluateQuestion(validators, testCase, result, rubric) : null;
+      results.push({ caseId: testCase.id, ...result, checks });
+      process.stdout.write(result.ok ? '.' : 'x');
+    }
+  }
+  // Let fire-and-forget writes (usage ledger) settle while still muted
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  unmute();
+
+  const summary = summarize(results, rubric);
+  const report = {
+    generatedAt: new Date().toISOString(),
+    provider: llmProviderName,
+    corpus: options.corpus,
+    cases: cases.length,
+    runsPerCase: options.runs,
+    summary,
+    results
+  };
+
+  if (options.baseline) {
+    const baseline = JSON.parse(fs.readFileSync(options.baseline, 'utf8'));
+    report.comparison = compareToBaseline(summary, baseline, options.maxRegression);
+  }
+
+  printReport(report);
+
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+    console.log(`💾 Report written to ${options.out}`);
+  }
+
+  const regressed = (report.comparison || []).filter((row) => row.regressed);
+  if (regressed.length) {
+    console.error(`❌ ${regressed.length} metric(s) regressed by more than ${options.maxRegression} points`);
+    process.exitCode = 1;
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    // Provider clients and the voice WebSocket module may hold open handles
+    setTimeout(() => process.exit(), 100).unref();
+  });
@@ -13,9 +13,17 @@ import aiRoutes from './routes/ai.js';
 import resumeRoutes from './routes/resumes.js';
 import paymentRoutes from './routes/payments.js';
 import feedbackRoutes from './routes/feedback.js';
+import usageRoutes from './routes/usage.js';
+import promptRoutes from './routes/prompts.js';
+import recordingRoutes from './routes/recordings.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { authenticateToken, requireRole } from './middleware/auth.js';
 import { initializeVoiceStreamWebSocket } from './routes/voiceStream.js';
-import { logProviderStatus } from './services/llmProvider.js';
+import { logProviderStatus, getProviderHealth } from './services/llmProvider.js';
+import { logSpeechProviderStatus, getSpeechProviderStatus } from './services/speechProvider.js';
+import { loadDatabaseModes } from './services/modeRegistry.js';
+import { trackUsage } from './services/usageLedger.js';
+import { startRecordingRetention, logRecordingStorageStatus, getRecordingStorageStatus } from './services/recordingStorage.js';
 
 // Load environment variables
 dotenv.config({ path: './.env' });
@@ -35,7 +43,12 @@ if (!process.env.MONGODB_URI) {
 }
 
 // Connect to MongoDB
-connectDB();
+// Database-defined interviewer modes are layered over config/modes once connected; expired answer
+// recordings are purged from then on
+connectDB().then(() => {
+  startRecordingRetention();
+  return loadDatabaseModes();
+});
 
 // Security middleware
 app.use(helmet());
@@ -73,6 +86,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 
 
+// Usage ledger: LLM/STT/TTS calls made while handling a request are attributed to it
+app.use('/api', trackUsage);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -83,13 +99,29 @@ app.use('/api/interview', aiRoutes);
 app.use('/api/resumes', resumeRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/recordings', recordingRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.status(200).json({ 
     status: 'success', 
     message: 'Interview Bot API is running',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    providers: {
+      llm: getProviderHealth(),
+      speech: getSpeechProviderStatus()
+    },
+    recordings: getRecordingStorageStatus()
+  });
+});
+
+// LLM circuit details for operators: last error text, failure counters, cooldowns and timeouts
+app.get('/api/health/providers', authenticateToken, requireRole(['admin']), (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: getProviderHealth({ detailed: true })
   });
 });
 
@@ -113,6 +145,8 @@ server.listen(PORT,'0.0.0.0',() => {
   console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
   console.log(`🎙️  WebSocket voice stream: ws://localhost:${PORT}/api/voice-stream`);
   logProviderStatus();
+  logSpeechProviderStatus();
+  logRecordingStorageStatus();
 });
 
 // Handle uncaught exceptions
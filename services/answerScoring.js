@@ -0,0 +1,191 @@
+import Chat from '../models/Chat.js';
+import { llmClient } from './llmProvider.js';
+import { languageName } from './languages.js';
+
+export const SCORE_DIMENSIONS = ['relevance', 'depth', 'correctness', 'structure'];
+
+// Answers scored at once when feedback finds some still unscored
+const SCORING_CONCURRENCY = 4;
+
+// "Next question", "let's move on", "I'd like to skip" and the like: a request, not an answer
+const SKIP_REQUEST = /^(let'?s?\s+)?(move\s+on|proceed)|^(next|another|new)\s+(question|one)|^(i'?d?\s+)?(like\s+to\s+)?skip|^(can\s+we\s+)?go\s+to\s+(the\s+)?next|^change\s+(the\s+)?(topic|question)/i;
+
+const clampScore = (value) => {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return 0;
+  return Math.min(10, Math.max(0, Math.round(num)));
+};
+
+const average = (values) => (values.length
+  ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+  : 0);
+
+// Score a single answer against the question it replies to (0-10 per dimension)
+export const scoreAnswer = async ({ question, answer, jobTitle = '', company = '', mode = 'moderate', language = 'en' }) => {
+  const role = jobTitle ? `${jobTitle}${company ? ` at ${company}` : ''}` : 'the target role';
+  // The justification is shown to the candidate, so it follows the interview language
+  const justificationLanguage = language === 'en' ? '' : `\nWrite the justification in ${languageName(language)}.`;
+
+  const response = await llmClient.chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages: [
+      {
+        role: 'system',
+        content: `You grade one interview answer for ${role} (${mode} interview).
+Score each dimension from 0 to 10:
+- relevance: does the answer address the question that was asked
+- depth: detail, specifics and examples beyond surface level
+- correctness: technical/factual accuracy of what was said
+- structure: clear, logical, easy to follow
+Return ONLY JSON: {"relevance": <0-10>, "depth": <0-10>, "correctness": <0-10>, "structure": <0-10>, "justification": "<one sentence, under 25 words>"}${justificationLanguage}`
+      },
+      {
+        role: 'user',
+        content: `Question: ${question || 'Not available'}\n\nAnswer: ${answer}`
+      }
+    ],
+    max_tokens: 120,
+    temperature: 0.2
+  });
+
+  const responseText = response.choices?.[0]?.message?.content || '';
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : responseText);
+
+  const score = {};
+  SCORE_DIMENSIONS.forEach((dim) => {
+    score[dim] = clampScore(parsed[dim]);
+  });
+  score.overall = average(SCORE_DIMENSIONS.map((dim) => score[dim]));
+  score.justification = String(parsed.justification || '').trim().split('\n')[0].slice(0, 300);
+  score.scoredAt = new Date();
+  return score;
+};
+
+const turnTypeOf = (msg) => (msg?.metadata instanceof Map ? msg.metadata.get('turnType') : msg?.metadata?.turnType);
+
+// Skip requests, and repeat/clarify requests (the interviewer's reply to them is a clarification), are not
+// graded as answers
+const isRequestTurn = (msg, reply) => {
+  const text = String(msg.content || '').trim();
+  return text === '[SKIP_REQUEST]' || SKIP_REQUEST.test(text) || turnTypeOf(reply) === 'clarification';
+};
+
+// Candidate answers with the interviewer question that preceded each one
+const collectAnswers = (messages) => {
+  const answers = [];
+  let lastQuestion = '';
+  messages.forEach((msg, idx) => {
+    if (msg.role === 'assistant') {
+      lastQuestion = msg.content;
+    } else if (msg.role === 'user' && !isRequestTurn(msg, messages[idx + 1])) {
+      answers.push({ message: msg, question: lastQuestion });
+    }
+  });
+  return answers;
+};
+
+const jobContextOf = (chat) => ({
+  jobTitle: chat.session?.jobTitle || '',
+  company: chat.session?.company || '',
+  mode: chat.session?.mode || 'moderate',
+  language: chat.language || 'en'
+});
+
+// Score one stored answer and write the result onto that message only (safe alongside other chat saves)
+export const scoreStoredAnswer = async (chat, messageId) => {
+  const answers = collectAnswers(chat.messages);
+  const entry = answers.find((a) => String(a.message._id) === String(messageId));
+  if (!entry) return null;
+
+  const score = await scoreAnswer({ question: entry.question, answer: entry.message.content, ...jobContextOf(chat) });
+  await Chat.updateOne(
+    { _id: chat._id, 'messages._id': entry.message._id },
+    { $set: { 'messages.$.score': score } }
+  );
+  entry.message.score = score;
+  return score;
+};
+
+// Fire-and-forget scoring so the interview turn is not slowed down
+export const queueAnswerScoring = (chat, messageId) => {
+  scoreStoredAnswer(chat, messageId).catch((error) => {
+    console.warn(`⚠️ Answer scoring failed for message ${messageId}:`, error.message);
+  });
+};
+
+// Score any answers that are still unscored (e.g. background scoring failed or has not finished), a few
+// at a time so feedback waits for roughly one round trip rather than one per answer
+export const scoreMissingAnswers = async (chat) => {
+  const pending = collectAnswers(chat.messages).filter((a) => !a.message.score);
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length) {
+      const entry = pending[next++];
+      try {
+        await scoreStoredAnswer(chat, entry.message._id);
+      } catch (error) {
+        console.warn(`⚠️ Answer scoring failed for message ${entry.message._id}:`, error.message);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(SCORING_CONCURRENCY, pending.length) }, worker));
+  return chat;
+};
+
+// Aggregate per-answer scores into the evidence used by the final feedback
+export const aggregateAnswerScores = (messages) => {
+  const scored = collectAnswers(messages)
+    .map((a, idx) => ({ ...a, turn: idx + 1 }))
+    .filter((a) => a.message.score);
+
+  if (scored.length === 0) {
+    return null;
+  }
+
+  const averages = {};
+  SCORE_DIMENSIONS.forEach((dim) => {
+    averages[dim] = average(scored.map((a) => a.message.score[dim]));
+  });
+  averages.overall = average(scored.map((a) => a.message.score.overall));
+
+  const turns = scored.map((a) => ({
+    turn: a.turn,
+    messageId: a.message._id,
+    question: a.question.slice(0, 200),
+    overall: a.message.score.overall,
+    justification: a.message.score.justification
+  }));
+
+  // First answer that falls 2+ points below the candidate's average so far
+  let dropOffTurn = null;
+  for (let i = 1; i < turns.length; i++) {
+    const before = average(turns.slice(0, i).map((t) => t.overall));
+    if (turns[i].overall <= before - 2) {
+      dropOffTurn = turns[i].turn;
+      break;
+    }
+  }
+
+  const byScore = [...turns].sort((a, b) => a.overall - b.overall);
+
+  return {
+    answersScored: turns.length,
+    averages,
+    weakestTurn: byScore[0].turn,
+    strongestTurn: byScore[byScore.length - 1].turn,
+    dropOffTurn,
+    turns
+  };
+};
+
+// Compact text block for the feedback prompt
+export const formatScoresForPrompt = (aggregate) => {
+  if (!aggregate) return '';
+  const { averages } = aggregate;
+  const lines = aggregate.turns.map((t) => `Answer ${t.turn}: ${t.overall}/10 - ${t.justification}`);
+  return `\n\nPER-ANSWER SCORES (0-10, graded as the interview happened):
+Averages - relevance ${averages.relevance}, depth ${averages.depth}, correctness ${averages.correctness}, structure ${averages.structure}, overall ${averages.overall}
+${lines.join('\n')}${aggregate.dropOffTurn ? `\nPerformance dropped off at answer ${aggregate.dropOffTurn}.` : ''}
+Base your scores on this evidence.`;
+};
@@ -0,0 +1,129 @@
+import { llmClient } from './llmProvider.js';
+import { renderPrompt } from './promptLibrary.js';
+
+// Resume bullet rewriting: experience and project bullets rewritten by the LLM as quantified, action-verb
+// led achievements, optionally aimed at a target job. Suggestions keep the original next to them; accepted
+// ones are applied to a copy of the resume that becomes its next version.
+
+// Most bullets sent in one request (the rest are left for a later run)
+const MAX_BULLETS = 30;
+
+const MAX_BULLET_LENGTH = 400;
+
+// Project fields rewritten as bullets
+const PROJECT_BULLET_FIELDS = ['description', 'outcome'];
+
+const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+// Every rewritable bullet with a stable id (its path in resume.analysis)
+export const collectBullets = (resume) => {
+  const analysis = resume.analysis || {};
+  const bullets = [];
+
+  (analysis.structuredExperience || []).forEach((exp, expIdx) => {
+    const context = [exp.jobTitle, exp.company].filter(Boolean).join(' at ') || 'Work experience';
+    ['keyResponsibilities', 'achievements'].forEach((field) => {
+      (exp[field] || []).forEach((text, idx) => {
+        if (clean(text)) {
+          bullets.push({ id: `structuredExperience.${expIdx}.${field}.${idx}`, section: 'experience', context, text: clean(text) });
+        }
+      });
+    });
+  });
+
+  (analysis.projects || []).forEach((project, projectIdx) => {
+    PROJECT_BULLET_FIELDS.forEach((field) => {
+      if (clean(project[field])) {
+        bullets.push({ id: `projects.${projectIdx}.${field}`, section: 'project', context: project.name || 'Project', text: clean(project[field]) });
+      }
+    });
+  });
+
+  return bullets.slice(0, MAX_BULLETS);
+};
+
+// Ask the LLM for rewrites of the resume's bullets; job is optional ({ title, company, description, skills })
+export const suggestBulletRewrites = async (resume, job = null, { userId = null } = {}) => {
+  const bullets = collectBullets(resume);
+  if (bullets.length === 0) return [];
+
+  const jobLines = job
+    ? [
+      `Target job: ${[job.title, job.company].filter(Boolean).join(' at ') || 'Not specified'}`,
+      `Required skills: ${(job.skills || []).join(', ') || 'Not specified'}`,
+      job.description ? `Job description: ${job.description.slice(0, 2000)}` : ''
+    ].filter(Boolean).join('\n')
+    : 'Target job: none (keep bullets general to the candidate\'s role)';
+
+  const response = await llmClient.chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages: [
+      {
+        role: 'system',
+        content: renderPrompt('resume-bullet-rewrite', {}, { userId })
+      },
+      {
+        role: 'user',
+        content: `Candidate role: ${resume.analysis?.primaryRole || 'Not determined'}
+${jobLines}
+
+Bullets (JSON):
+${JSON.stringify(bullets.map(({ id, context, text }) => ({ id, context, text })))}`
+      }
+    ],
+    max_tokens: 2500,
+    temperature: 0.4
+  });
+
+  const responseText = response.choices?.[0]?.message?.content || '';
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : responseText);
+
+  // Only ids that were sent, once each, and only real changes
+  const byId = new Map(bullets.map((bullet) => [bullet.id, bullet]));
+  const seen = new Set();
+  return (Array.isArray(parsed.suggestions) ? parsed.suggestions : [])
+    .map((suggestion) => {
+      const bullet = byId.get(String(suggestion?.id || ''));
+      const rewritten = clean(suggestion?.rewritten).slice(0, MAX_BULLET_LENGTH);
+      if (!bullet || seen.has(bullet.id) || !rewritten || rewritten === bullet.text) return null;
+      seen.add(bullet.id);
+      return {
+        bulletId: bullet.id,
+        section: bullet.section,
+        context: bullet.context,
+        original: bullet.text,
+        rewritten,
+        rationale: clean(suggestion.rationale).slice(0, 300)
+      };
+    })
+    .filter(Boolean);
+};
+
+// parsedData, analysis and rawText of `resume` with the given bullets replaced ({ bulletId, text })
+export const applyBulletRewrites = (resume, rewrites) => {
+  const { parsedData, analysis } = resume.toObject({ depopulate: true });
+  let rawText = resume.rawText || '';
+
+  rewrites.forEach(({ bulletId, text }) => {
+    const [section, index, field, bulletIdx] = bulletId.split('.');
+    const entry = analysis[section]?.[Number(index)];
+    if (!entry) return;
+
+    let original;
+    if (bulletIdx === undefined) {
+      original = entry[field];
+      entry[field] = text;
+    } else {
+      original = entry[field]?.[Number(bulletIdx)];
+      if (original === undefined) return;
+      entry[field][Number(bulletIdx)] = text;
+    }
+    // Keep the full text (used for interview context and matching) in step when the bullet appears verbatim
+    if (original && rawText.includes(original)) {
+      rawText = rawText.replace(original, text);
+    }
+  });
+
+  return { parsedData, analysis, rawText };
+};
@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import DeliveryMeasurement from '../models/DeliveryMeasurement.js';
+import { DEFAULT_LANGUAGE, normalizeLanguage } from './languages.js';
+
+// Spoken delivery metrics for candidate answers: pace, filler words, long pauses and answer length.
+// Computed from the STT provider's word timings and stored as flat strings in the answer's message metadata.
+
+// A silence between two words at least this long counts as a long pause
+const LONG_PAUSE_SECONDS = 2;
+// Pace bands (words per minute) used in the feedback summary
+const SLOW_WPM = 110;
+const FAST_WPM = 170;
+// Below this the answer is too short for a meaningful words-per-minute figure
+const MIN_PACE_SECONDS = 3;
+// How long a measurement waits for its answer to be submitted
+const MEASUREMENT_TTL_MS = 60 * 60 * 1000;
+
+// Single-word English fillers, with spelling variants folded into one label (other languages are not
+// checked for fillers)
+const FILLER_WORDS = {
+  um: 'um', umm: 'um', uhm: 'um',
+  uh: 'uh', uhh: 'uh',
+  er: 'er', erm: 'er',
+  ah: 'ah',
+  hmm: 'hmm',
+  like: 'like',
+  basically: 'basically',
+  literally: 'literally'
+};
+const FILLER_PHRASES = ['you know', 'i mean', 'sort of', 'kind of'];
+
+// Words before "like" / a phrase that make it literal ("I'd like to", "what kind of database")
+const LITERAL_LIKE_AFTER = ['would', "i'd", "we'd", "you'd", "they'd", 'feel', 'feels', 'look', 'looks', 'something', 'things', 'just'];
+const LITERAL_PHRASE_AFTER = {
+  'you know': ['do', 'did', "don't", 'if'],
+  'i mean': ['what'],
+  'sort of': ['what', 'a', 'the', 'this', 'that', 'any', 'some', 'which', 'same'],
+  'kind of': ['what', 'a', 'the', 'this', 'that', 'any', 'some', 'which', 'same']
+};
+
+const METADATA_KEYS = ['wordCount', 'answerSeconds', 'wordsPerMinute', 'fillerWordCount', 'fillerWords', 'longPauseCount', 'longestPauseSeconds'];
+
+const roundTo = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Words of the answer in any script: the locale's word segmentation also splits languages written without
+// spaces (Japanese, Chinese, Thai), and punctuation is left out
+const tokenize = (text, language) => {
+  const segmenter = new Intl.Segmenter(language, { granularity: 'word' });
+  return Array.from(segmenter.segment(String(text || '').toLowerCase().replace(/[‘’]/g, "'")))
+    .filter((part) => part.isWordLike && /[\p{L}\p{N}]/u.test(part.segment))
+    .map((part) => part.segment);
+};
+
+const countFillers = (tokens) => {
+  const counts = {};
+  const add = (label) => { counts[label] = (counts[label] || 0) + 1; };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const previous = tokens[i - 1];
+    const phrase = `${tokens[i]} ${tokens[i + 1]}`;
+    if (FILLER_PHRASES.includes(phrase)) {
+      if (!LITERAL_PHRASE_AFTER[phrase].includes(previous)) add(phrase);
+      i += 1;
+      continue;
+    }
+    const label = FILLER_WORDS[tokens[i]];
+    if (label === 'like' && LITERAL_LIKE_AFTER.includes(previous)) continue;
+    if (label) add(label);
+  }
+  return counts;
+};
+
+// Word timings in seconds, in spoken order; providers without them give an empty list
+const timedWords = (words) => (Array.isArray(words) ? words : [])
+  .filter((w) => Number.isFinite(Number(w?.start)) && Number.isFinite(Number(w?.end)))
+  .map((w) => ({ start: Number(w.start), end: Number(w.end) }))
+  .sort((a, b) => a.start - b.start);
+
+// Metrics for one answer. words: [{ start, end }] from the STT provider; durationSeconds is the fallback
+// answer length when there are no word timings; language is the answer's interview language
+export const analyzeDelivery = ({ transcript, words, durationSeconds = 0, language = DEFAULT_LANGUAGE } = {}) => {
+  const code = normalizeLanguage(language);
+  const tokens = tokenize(transcript, code);
+  if (tokens.length === 0) return null;
+
+  const timings = timedWords(words);
+  const hasWordTimings = timings.length > 0;
+  const answerSeconds = hasWordTimings
+    ? Math.max(0, timings[timings.length - 1].end - timings[0].start)
+    : Math.max(0, Number(durationSeconds) || 0);
+
+  let longPauseCount = null;
+  let longestPauseSeconds = null;
+  if (hasWordTimings) {
+    longPauseCount = 0;
+    longestPauseSeconds = 0;
+    for (let i = 1; i < timings.length; i++) {
+      const gap = timings[i].start - timings[i - 1].end;
+      if (gap >= LONG_PAUSE_SECONDS) longPauseCount += 1;
+      longestPauseSeconds = Math.max(longestPauseSeconds, gap);
+    }
+    longestPauseSeconds = roundTo(longestPauseSeconds);
+  }
+
+  const fillerWords = code === 'en' ? countFillers(tokens) : {};
+
+  return {
+    wordCount: tokens.length,
+    answerSeconds: roundTo(answerSeconds),
+    wordsPerMinute: answerSeconds >= MIN_PACE_SECONDS ? Math.round((tokens.length / answerSeconds) * 60) : null,
+    fillerWordCount: Object.values(fillerWords).reduce((sum, n) => sum + n, 0),
+    fillerWords,
+    longPauseCount,
+    longestPauseSeconds,
+    hasWordTimings
+  };
+};
+
+// Message metadata is a map of strings: { fillerWords: 'um:2,like:1', ... } with unknown values left out
+export const toDeliveryMetadata = (delivery) => {
+  if (!delivery || typeof delivery !== 'object') return {};
+  const metadata = {};
+  METADATA_KEYS.forEach((key) => {
+    let value = delivery[key];
+    if (key === 'fillerWords' && value && typeof value === 'object') {
+      value = Object.entries(value).map(([word, count]) => `${word}:${count}`).join(',');
+    }
+    if (value === null || value === undefined || value === '') return;
+    if (key !== 'fillerWords' && !Number.isFinite(Number(value))) return;
+    metadata[key] = String(value);
+  });
+  return metadata;
+};
+
+// Client-supplied message metadata with any delivery keys removed
+export const withoutDeliveryMetadata = (metadata) => Object.fromEntries(
+  Object.entries(metadata && typeof metadata === 'object' ? metadata : {}).filter(([key]) => !METADATA_KEYS.includes(key))
+);
+
+// Inverse of toDeliveryMetadata for a stored message (Mongoose Map or plain object); null when not measured
+export const readDelivery = (metadata) => {
+  const get = (key) => (metadata instanceof Map ? metadata.get(key) : metadata?.[key]);
+  if (get('answerSeconds') === undefined || get('wordCount') === undefined) return null;
+
+  const number = (key) => {
+    const value = get(key);
+    return value === undefined || value === null || value === '' ? null : Number(value);
+  };
+  const fillerWords = {};
+  String(get('fillerWords') || '').split(',').filter(Boolean).forEach((entry) => {
+    const [word, count] = entry.split(':');
+    if (word && Number(count) > 0) fillerWords[word] = Number(count);
+  });
+
+  return {
+    wordCount: number('wordCount'),
+    answerSeconds: number('answerSeconds'),
+    wordsPerMinute: number('wordsPerMinute'),
+    fillerWordCount: number('fillerWordCount') || 0,
+    fillerWords,
+    longPauseCount: number('longPauseCount'),
+    longestPauseSeconds: number('longestPauseSeconds')
+  };
+};
+
+// Aggregate the measured answers of a chat for the feedback's communication section
+export const summarizeDelivery = (messages = []) => {
+  const answers = messages
+    .filter((msg) => msg.role === 'user')
+    .map((msg) => readDelivery(msg.metadata))
+    .filter(Boolean);
+
+  if (answers.length === 0) {
+    return null;
+  }
+
+  const totalSeconds = answers.reduce((sum, a) => sum + a.answerSeconds, 0);
+  const paced = answers.filter((a) => a.wordsPerMinute);
+  const pacedWords = paced.reduce((sum, a) => sum + a.wordCount, 0);
+  const pacedSeconds = paced.reduce((sum, a) => sum + a.answerSeconds, 0);
+  const averageWordsPerMinute = pacedSeconds > 0 ? Math.round((pacedWords / pacedSeconds) * 60) : null;
+
+  const fillerWords = {};
+  answers.forEach((a) => Object.entries(a.fillerWords).forEach(([word, count]) => {
+    fillerWords[word] = (fillerWords[word] || 0) + count;
+  }));
+  const fillerWordCount = answers.reduce((sum, a) => sum + a.fillerWordCount, 0);
+  const timed = answers.filter((a) => a.longPauseCount !== null);
+
+  let pace = null;
+  if (averageWordsPerMinute) {
+    pace = averageWordsPerMinute < SLOW_WPM ? 'slow' : (averageWordsPerMinute > FAST_WPM ? 'fast' : 'steady');
+  }
+
+  return {
+    answersAnalyzed: answers.length,
+    averageWordsPerMinute,
+    pace,
+    averageAnswerSeconds: roundTo(totalSeconds / answers.length),
+    totalSpeakingSeconds: roundTo(totalSeconds),
+    fillerWordCount,
+    fillerWordsPerMinute: totalSeconds > 0 ? roundTo((fillerWordCount / totalSeconds) * 60) : null,
+    topFillerWords: Object.entries(fillerWords)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([word, count]) => ({ word, count })),
+    longPauseCount: timed.length ? timed.reduce((sum, a) => sum + a.longPauseCount, 0) : null
+  };
+};
+
+// Compact text block for the feedback prompt
+export const formatDeliveryForPrompt = (summary) => {
+  if (!summary) return '';
+  const fillers = summary.topFillerWords.map((f) => `"${f.word}" x${f.count}`).join(', ');
+  return `\n\nSPOKEN DELIVERY (measured from the answer audio, ${summary.answersAnalyzed} answers):
+Pace: ${summary.averageWordsPerMinute ? `${summary.averageWordsPerMinute} words/min (${summary.pace})` : 'not measured'}; average answer ${summary.averageAnswerSeconds}s
+Filler words: ${summary.fillerWordCount}${fillers ? ` (${fillers})` : ''}${summary.fillerWordsPerMinute !== null ? `, ${summary.fillerWordsPerMinute} per minute` : ''}
+Long pauses (${LONG_PAUSE_SECONDS}s+): ${summary.longPauseCount ?? 'not measured'}
+Use this in the communication score and mention the most useful delivery point in its feedback.`;
+};
+
+// Measurements only ever come from the server's own transcription: /transcribe and /voice-round keep them here
+// and the answer claims them when it is submitted, so clients cannot write delivery metrics of their own.
+const transcriptHash = (text) => crypto.createHash('sha256')
+  .update(String(text || '').trim().replace(/\s+/g, ' '))
+  .digest('hex');
+
+export const rememberDelivery = async ({ userId, transcript, delivery, recordingId = null }) => {
+  const metadata = toDeliveryMetadata(delivery);
+  if (!String(transcript || '').trim() || Object.keys(metadata).length === 0) return null;
+  return DeliveryMeasurement.create({
+    userId,
+    transcriptHash: transcriptHash(transcript),
+    recordingId,
+    metadata,
+    expiresAt: new Date(Date.now() + MEASUREMENT_TTL_MS)
+  });
+};
+
+// Message metadata for a submitted answer: the measurement of its recording, or else of the same transcript
+// (the latest one); {} when the answer was typed or edited after transcription
+export const claimDelivery = async (userId, { answer, recordingId = null }) => {
+  const live = { userId, expiresAt: { $gt: new Date() } };
+  let measurement = null;
+  if (recordingId && mongoose.isValidObjectId(recordingId)) {
+    measurement = await DeliveryMeasurement.findOneAndDelete({ ...live, recordingId });
+  }
+  if (!measurement && String(answer || '').trim()) {
+    measurement = await DeliveryMeasurement.findOneAndDelete(
+      { ...live, transcriptHash: transcriptHash(answer) },
+      { sort: { createdAt: -1 } }
+    );
+  }
+  return measurement ? Object.fromEntries(measurement.metadata) : {};
+};
@@ -0,0 +1,78 @@
+export const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+export const DEFAULT_DIFFICULTY = 'intermediate';
+
+// Scored answers needed since the last change before the level can move again
+const CALIBRATION_WINDOW = 2;
+const RAISE_AT = 7.5;
+const LOWER_AT = 4.5;
+
+const DIFFICULTY_GUIDANCE = {
+  beginner: '\n\n📶 DIFFICULTY: BEGINNER - Ask about fundamentals and definitions. One concept per question, concrete and approachable. Avoid edge cases and trade-offs.',
+  intermediate: '\n\n📶 DIFFICULTY: INTERMEDIATE - Ask practical, applied questions about how they used the skill. Expect a clear approach and a real example.',
+  advanced: '\n\n📶 DIFFICULTY: ADVANCED - Ask about trade-offs, failure modes and design decisions. Expect depth and justification, not just a description.',
+  expert: '\n\n📶 DIFFICULTY: EXPERT - Ask demanding questions on scale, edge cases, internals and competing designs. Push for precise reasoning.'
+};
+
+export const isDifficultyLevel = (level) => DIFFICULTY_LEVELS.includes(level);
+
+export const getDifficultyGuidance = (level) => DIFFICULTY_GUIDANCE[level] || DIFFICULTY_GUIDANCE[DEFAULT_DIFFICULTY];
+
+// Scores of candidate answers, oldest first (unscored answers are skipped)
+const scoredOverall = (messages) => messages
+  .filter((msg) => msg.role === 'user' && msg.score)
+  .map((msg) => msg.score.overall);
+
+// Move the chat's difficulty one level up or down based on the most recent answer scores.
+// Records the transition on the chat (the caller saves it) and returns it, or null if unchanged.
+export const calibrateDifficulty = (chat) => {
+  const current = isDifficultyLevel(chat.difficulty) ? chat.difficulty : DEFAULT_DIFFICULTY;
+  const scores = scoredOverall(chat.messages);
+  const lastTransition = chat.difficultyTransitions?.[chat.difficultyTransitions.length - 1];
+  const sinceLastChange = scores.slice(lastTransition ? lastTransition.answersScored : 0);
+
+  if (sinceLastChange.length < CALIBRATION_WINDOW) return null;
+
+  const recent = sinceLastChange.slice(-CALIBRATION_WINDOW);
+  const averageScore = Math.round((recent.reduce((sum, s) => sum + s, 0) / recent.length) * 10) / 10;
+  const index = DIFFICULTY_LEVELS.indexOf(current);
+
+  let next = current;
+  if (averageScore >= RAISE_AT && index < DIFFICULTY_LEVELS.length - 1) {
+    next = DIFFICULTY_LEVELS[index + 1];
+  } else if (averageScore <= LOWER_AT && index > 0) {
+    next = DIFFICULTY_LEVELS[index - 1];
+  }
+  if (next === current) return null;
+
+  const transition = {
+    from: current,
+    to: next,
+    averageScore,
+    answersScored: scores.length,
+    questionNumber: chat.session?.questionsAsked || 0,
+    reason: next === DIFFICULTY_LEVELS[index + 1]
+      ? `Last ${CALIBRATION_WINDOW} answers averaged ${averageScore}/10`
+      : `Last ${CALIBRATION_WINDOW} answers averaged only ${averageScore}/10`,
+    at: new Date()
+  };
+
+  chat.difficulty = next;
+  chat.difficultyTransitions.push(transition);
+  return transition;
+};
+
+// Difficulty summary reported with the final feedback
+export const summarizeDifficulty = (chat) => {
+  const transitions = chat.difficultyTransitions || [];
+  return {
+    initial: transitions.length ? transitions[0].from : chat.difficulty,
+    final: chat.difficulty,
+    transitions: transitions.map((t) => ({
+      from: t.from,
+      to: t.to,
+      averageScore: t.averageScore,
+      questionNumber: t.questionNumber,
+      at: t.at
+    }))
+  };
+};
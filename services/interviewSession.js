@@ -0,0 +1,262 @@
+import Chat from '../models/Chat.js';
+import { queueAnswerScoring } from './answerScoring.js';
+import { claimDelivery } from './deliveryAnalytics.js';
+import { assertLanguageSupported } from './speechProvider.js';
+import { DEFAULT_DIFFICULTY, isDifficultyLevel } from './difficultyCalibration.js';
+import { findUnlinkedRecording, linkRecordingToMessage } from './recordingStorage.js';
+import { findResumeVersion, pinResumeToChat } from './resumeVersions.js';
+import { assertKnownMode } from './modeRegistry.js';
+
+// Interview phases, keyed by how many real questions the interviewer has asked so far
+const INTERVIEW_PHASES = [
+  {
+    name: 'technical-skills',
+    maxQuestions: 2,
+    guidance: '\n\n📋 PHASE 1 - CORE TECHNICAL SKILLS (Questions 1-5):\nAsk about the SPECIFIC technologies, tools, and skills mentioned in the job requirements.\nExample areas: programming languages, frameworks, databases, tools they must know.\nStay warm and encouraging - make it feel like a conversation, not an interrogation.'
+  },
+  {
+    name: 'experience-projects',
+    maxQuestions: 5,
+    guidance: '\n\nPHASE 2 - EXPERIENCE & PROJECTS (Questions 6-12):\nAsk about their REAL PROJECT EXPERIENCE with the technologies from Phase 1.\nIf they don\'t have direct experience, ask about relevant projects they\'ve built.\nFocus on: What they built, their role, technical decisions, challenges overcome.\nBe curious and supportive - this shows genuine interest in their background.'
+  },
+  {
+    name: 'behavioral',
+    maxQuestions: Infinity,
+    guidance: '\n\n🎯 PHASE 3 - BEHAVIORAL & ROLE FIT (Questions 13-20):\nAsk about HOW they work: problem-solving, learning, collaboration, handling challenges.\nTie back to the job requirements: discuss how their approach fits the role.\nRemain warm and encouraging - let them show their personality and values.'
+  }
+];
+
+// Build an error the global errorHandler maps to an HTTP status
+const sessionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Resolve the current phase (name + prompt guidance) from the number of questions asked
+export const getInterviewPhase = (questionsAsked = 0) => {
+  const phase = INTERVIEW_PHASES.find((p) => questionsAsked < p.maxQuestions) || INTERVIEW_PHASES[INTERVIEW_PHASES.length - 1];
+  return { name: phase.name, guidance: phase.guidance };
+};
+
+// Start a session on an existing chat, or create a new chat (consuming one credit)
+export const startSession = async (user, options = {}) => {
+  const {
+    chatId,
+    interviewMode = 'moderate',
+    difficulty = DEFAULT_DIFFICULTY,
+    targetJobId = null,
+    resumeId = null,
+    resumeVersion = null,
+    jobTitle = '',
+    company = '',
+    jobDescription = '',
+    skills = [],
+    language = null
+  } = options;
+
+  if (!isDifficultyLevel(difficulty)) {
+    throw sessionError('Difficulty must be one of beginner, intermediate, advanced, expert', 400);
+  }
+  const mode = assertKnownMode(interviewMode);
+  // The session's speech and prompts must work in its language (checked before a credit is spent)
+  const sessionLanguage = language ? assertLanguageSupported(language) : null;
+  // The interview is pinned to one resume version (another version of resumeId's lineage when resumeVersion is set)
+  const resume = resumeId ? await findResumeVersion(user._id, resumeId, resumeVersion) : null;
+
+  // Look up the saved target job so the session stores its details, not whatever the client sent
+  let jobDetails = { jobTitle, company, jobDescription, skills };
+  if (targetJobId) {
+    const job = user.targetJobs?.id(targetJobId);
+    if (!job) {
+      throw sessionError('Target job not found', 404);
+    }
+    jobDetails = {
+      jobTitle: job.role || '',
+      company: job.company || '',
+      jobDescription: job.description || job.notes || '',
+      skills: job.skills || []
+    };
+  }
+
+  let chat;
+  if (chatId) {
+    chat = await Chat.findOne({ _id: chatId, userId: user._id });
+    if (!chat) {
+      throw sessionError('Chat not found', 404);
+    }
+    if (chat.session || chat.messages.length > 0) {
+      throw sessionError('Interview sessions can only be started on an empty chat', 409);
+    }
+  } else {
+    await user.resetMonthlyCreditsIfNeeded();
+    if (!user.canTakeInterview()) {
+      throw sessionError('You have insufficient credits. Please upgrade to continue.', 402);
+    }
+    await user.deductCredit();
+
+    chat = new Chat({
+      userId: user._id,
+      title: jobDetails.jobTitle ? `${jobDetails.jobTitle} interview`.slice(0, 200) : 'Interview session'
+    });
+  }
+
+  if (resume) {
+    pinResumeToChat(chat, resume);
+  }
+  chat.status = 'active';
+  chat.difficulty = difficulty;
+  chat.difficultyTransitions = [];
+  if (sessionLanguage) {
+    chat.language = sessionLanguage;
+  }
+  chat.session = {
+    state: 'active',
+    mode,
+    targetJobId,
+    jobTitle: jobDetails.jobTitle,
+    company: jobDetails.company,
+    jobDescription: jobDetails.jobDescription,
+    skills: Array.isArray(jobDetails.skills)
+      ? jobDetails.skills
+      : String(jobDetails.skills || '').split(',').map((s) => s.trim()).filter(Boolean),
+    phase: getInterviewPhase(0).name,
+    questionsAsked: 0,
+    startedAt: new Date()
+  };
+
+  await chat.save();
+  return chat;
+};
+
+// Load a session's chat, scoped to its owner
+export const getSessionChat = async (sessionId, userId) => {
+  const chat = await Chat.findOne({ _id: sessionId, userId });
+  if (!chat || !chat.session) {
+    throw sessionError('Interview session not found', 404);
+  }
+  return chat;
+};
+
+// Reject turns on paused or ended sessions
+export const assertSessionActive = (chat) => {
+  if (chat.session.state === 'paused') {
+    throw sessionError('Interview session is paused. Resume it to continue.', 409);
+  }
+  if (chat.session.state === 'ended') {
+    throw sessionError('Interview session has ended', 409);
+  }
+};
+
+// Stored transcript in the { type, text } shape the interview prompts expect
+export const buildConversation = (chat) => {
+  return chat.messages.map((msg) => ({
+    type: msg.role === 'user' ? 'user' : 'ai',
+    text: msg.content
+  }));
+};
+
+// Request fields for the interview engine, taken from the session instead of the client
+export const toInterviewRequest = (chat) => {
+  const { session } = chat;
+  return {
+    interviewMode: session.mode,
+    targetJobId: session.targetJobId ? String(session.targetJobId) : undefined,
+    resumeId: chat.resumeId ? String(chat.resumeId) : undefined,
+    jobTitle: session.jobTitle,
+    company: session.company,
+    jobDescription: session.jobDescription,
+    skills: session.skills,
+    language: chat.language,
+    conversation: buildConversation(chat)
+  };
+};
+
+// Append the candidate's answer (with its spoken delivery metrics, if any) and the interviewer's reply,
+// then advance the phase
+// recordingId: the answer audio stored by POST /api/ai/voice-round, attached to the answer message
+export const recordTurn = async (chat, { answer, question, turnType = 'question', recordingId = null }) => {
+  let answerMessage = null;
+  if (answer && String(answer).trim()) {
+    // Spoken answers get the delivery metrics the server measured when it transcribed them
+    const metadata = { ...(await claimDelivery(chat.userId, { answer, recordingId })), turnType: 'answer' };
+    chat.messages.push({ role: 'user', content: String(answer).trim(), metadata });
+    answerMessage = chat.messages[chat.messages.length - 1];
+
+    const recording = recordingId ? await findUnlinkedRecording(chat, recordingId) : null;
+    if (recording) {
+      await linkRecordingToMessage(recording, answerMessage);
+    }
+  }
+  if (question && String(question).trim()) {
+    chat.messages.push({ role: 'assistant', content: String(question).trim(), metadata: { turnType } });
+    if (turnType === 'question') {
+      chat.session.questionsAsked += 1;
+    }
+  }
+  chat.session.phase = getInterviewPhase(chat.session.questionsAsked).name;
+  chat.lastActivity = new Date();
+  await chat.save();
+
+  // Score the answer in the background; feedback scores anything still missing
+  if (answerMessage) {
+    queueAnswerScoring(chat, answerMessage._id);
+  }
+  return chat;
+};
+
+export const pauseSession = async (chat) => {
+  assertSessionActive(chat);
+  chat.session.state = 'paused';
+  chat.session.pausedAt = new Date();
+  await chat.save();
+  return chat;
+};
+
+export const resumeSession = async (chat) => {
+  if (chat.session.state !== 'paused') {
+    throw sessionError('Only paused sessions can be resumed', 409);
+  }
+  chat.session.pausedDurationMs += Date.now() - new Date(chat.session.pausedAt).getTime();
+  chat.session.pausedAt = null;
+  chat.session.state = 'active';
+  await chat.save();
+  return chat;
+};
+
+// End the session and record its active duration (pauses excluded) in minutes
+export const endSession = async (chat) => {
+  if (chat.session.state === 'ended') return chat;
+  const now = new Date();
+  if (chat.session.state === 'paused' && chat.session.pausedAt) {
+    chat.session.pausedDurationMs += now.getTime() - new Date(chat.session.pausedAt).getTime();
+    chat.session.pausedAt = null;
+  }
+  chat.session.state = 'ended';
+  chat.session.endedAt = now;
+  const activeMs = now.getTime() - new Date(chat.session.startedAt).getTime() - chat.session.pausedDurationMs;
+  chat.duration = Math.max(0, Math.round(activeMs / (1000 * 60)));
+  await chat.save();
+  return chat;
+};
+
+// Public session summary returned by the session endpoints
+export const serializeSession = (chat) => ({
+  id: chat._id,
+  state: chat.session.state,
+  mode: chat.session.mode,
+  phase: chat.session.phase,
+  difficulty: chat.difficulty,
+  language: chat.language,
+  questionsAsked: chat.session.questionsAsked,
+  jobContext: {
+    jobTitle: chat.session.jobTitle,
+    company: chat.session.company
+  },
+  resumeId: chat.resumeId,
+  resumeVersion: chat.resumeVersion,
+  startedAt: chat.session.startedAt,
+  endedAt: chat.session.endedAt,
+  messageCount: chat.messages.length,
+  promptVariants: Object.fromEntries(chat.promptVariants || [])
+});
@@ -0,0 +1,282 @@
+import { decodeText } from './resumeParsers.js';
+
+// JSON Resume (https://jsonresume.org/schema) import and export: the document is already structured, so it maps
+// straight into Resume.parsedData and Resume.analysis without text extraction or an LLM call, and back out again.
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const str = (value) => (typeof value === 'string' ? value.trim() : value == null ? '' : String(value).trim());
+const list = (value) => (Array.isArray(value) ? value.filter((item) => item !== null && item !== undefined) : []);
+const strings = (value) => [...new Set(list(value).map(str).filter(Boolean))];
+
+// "2019-03" .. "2022-11" (or "Present" when still ongoing)
+const dateRange = (start, end) => {
+  const from = str(start);
+  const to = str(end);
+  if (!from && !to) return '';
+  return `${from || '?'} - ${to || 'Present'}`;
+};
+
+// ISO-8601 date (YYYY, YYYY-MM or YYYY-MM-DD) as a timestamp, or null
+const toTime = (value) => {
+  const match = str(value).match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+  if (!match) return null;
+  return Date.UTC(Number(match[1]), Number(match[2] || 1) - 1, Number(match[3] || 1));
+};
+
+// Years covered by the work entries, overlapping roles counted once
+const yearsOfExperience = (work) => {
+  const spans = work
+    .map((job) => [toTime(job.startDate), toTime(job.endDate) ?? Date.now()])
+    .filter(([start, end]) => start !== null && end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  spans.forEach(([start, end]) => {
+    if (current && start <= current[1]) {
+      current[1] = Math.max(current[1], end);
+    } else {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    }
+  });
+  if (current) total += current[1] - current[0];
+  return Math.round((total / (365.25 * 24 * 60 * 60 * 1000)) * 10) / 10;
+};
+
+const locationText = (location) => {
+  if (!location || typeof location !== 'object') return str(location);
+  return [location.city, location.region, location.countryCode].map(str).filter(Boolean).join(', ');
+};
+
+// Plain-text rendering stored as rawText, which interview prompts and matching read
+const renderText = ({ basics, work, projects, education, skills, certificates, awards, languages }) => {
+  const lines = [];
+  const section = (title, body) => {
+    if (body.length > 0) lines.push('', title.toUpperCase(), ...body);
+  };
+
+  lines.push(...[str(basics.name), str(basics.label)].filter(Boolean));
+  const contact = [str(basics.email), str(basics.phone), str(basics.url), locationText(basics.location)].filter(Boolean);
+  if (contact.length) lines.push(contact.join(' | '));
+  list(basics.profiles).forEach((profile) => {
+    const text = [str(profile.network), str(profile.url || profile.username)].filter(Boolean).join(': ');
+    if (text) lines.push(text);
+  });
+  if (str(basics.summary)) lines.push('', str(basics.summary));
+
+  section('Experience', work.flatMap((job) => [
+    [str(job.position), str(job.name)].filter(Boolean).join(' - ') + (dateRange(job.startDate, job.endDate) ? ` (${dateRange(job.startDate, job.endDate)})` : ''),
+    ...(str(job.summary) ? [str(job.summary)] : []),
+    ...strings(job.highlights).map((h) => `- ${h}`)
+  ]));
+  section('Projects', projects.flatMap((project) => [
+    str(project.name),
+    ...(str(project.description) ? [str(project.description)] : []),
+    ...strings(project.highlights).map((h) => `- ${h}`),
+    ...(strings(project.keywords).length ? [`Technologies: ${strings(project.keywords).join(', ')}`] : [])
+  ]));
+  section('Education', education.map((entry) => [str(entry.studyType), str(entry.area), str(entry.institution), str(entry.endDate)]
+    .filter(Boolean).join(', ')));
+  section('Skills', skills.map((skill) => [str(skill.name), strings(skill.keywords).join(', ')].filter(Boolean).join(': ')));
+  section('Certifications', certificates.map((cert) => [str(cert.name), str(cert.issuer)].filter(Boolean).join(' - ')));
+  section('Awards', awards.map((award) => [str(award.title), str(award.awarder)].filter(Boolean).join(' - ')));
+  section('Languages', languages.map((lang) => [str(lang.language), str(lang.fluency)].filter(Boolean).join(' - ')));
+
+  return lines.filter((line, idx) => line || lines[idx - 1]).join('\n').trim();
+};
+
+// Parse an uploaded JSON Resume file into { rawText, parsedData, analysis }
+export const importJsonResume = (buffer) => {
+  let doc;
+  try {
+    doc = JSON.parse(decodeText(buffer));
+  } catch (error) {
+    throw importError(`File is not valid JSON: ${error.message}`);
+  }
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc) || !(doc.basics || doc.work || doc.projects)) {
+    throw importError('File is not a JSON Resume document (expected "basics", "work" or "projects")');
+  }
+
+  const basics = doc.basics && typeof doc.basics === 'object' ? doc.basics : {};
+  const work = list(doc.work).filter((job) => typeof job === 'object');
+  const projects = list(doc.projects).filter((project) => typeof project === 'object');
+  const education = list(doc.education).filter((entry) => typeof entry === 'object');
+  const skills = list(doc.skills).filter((skill) => typeof skill === 'object');
+  const certificates = list(doc.certificates).filter((cert) => typeof cert === 'object');
+  const awards = list(doc.awards).filter((award) => typeof award === 'object');
+  const languages = list(doc.languages).filter((lang) => typeof lang === 'object');
+
+  // A skill entry is a named area ("Backend") with keywords ("Node.js", "PostgreSQL"); both count as skills
+  const skillNames = strings(skills.flatMap((skill) => [skill.name, ...list(skill.keywords)]));
+
+  const parsedData = {
+    name: str(basics.name),
+    email: str(basics.email),
+    phone: str(basics.phone),
+    summary: str(basics.summary),
+    skills: skillNames,
+    experience: work.map((job) => ({
+      title: str(job.position),
+      company: str(job.name),
+      location: locationText(job.location),
+      duration: dateRange(job.startDate, job.endDate),
+      description: [str(job.summary), ...strings(job.highlights).map((h) => `- ${h}`)].filter(Boolean).join('\n')
+    })),
+    education: education.map((entry) => ({
+      degree: [str(entry.studyType), str(entry.area)].filter(Boolean).join(', '),
+      institution: str(entry.institution),
+      year: str(entry.endDate).slice(0, 4),
+      description: strings(entry.courses).join(', ')
+    })),
+    certifications: strings(certificates.map((cert) => cert.name)),
+    languages: strings(languages.map((lang) => lang.language))
+  };
+
+  const analysis = {
+    yearsOfExperience: yearsOfExperience(work),
+    primaryRole: str(basics.label) || str(work[0]?.position) || 'Not determined',
+    technicalSkills: skillNames,
+    softSkills: [],
+    industries: [],
+    strengths: [],
+    areasForImprovement: [],
+    suggestedInterviewTopics: strings(skills.map((skill) => skill.name)).slice(0, 8),
+    structuredExperience: work.map((job) => ({
+      company: str(job.name),
+      jobTitle: str(job.position),
+      duration: dateRange(job.startDate, job.endDate),
+      keyResponsibilities: str(job.summary) ? [str(job.summary)] : [],
+      technologiesUsed: [],
+      achievements: strings(job.highlights)
+    })),
+    projects: projects.map((project) => ({
+      name: str(project.name) || 'Project',
+      description: str(project.description),
+      technologies: strings(project.keywords),
+      yourRole: strings(project.roles).join(', '),
+      outcome: strings(project.highlights).join('; ')
+    })),
+    education: education.map((entry) => ({
+      school: str(entry.institution),
+      degree: str(entry.studyType),
+      field: str(entry.area),
+      graduationYear: str(entry.endDate).slice(0, 4)
+    })),
+    achievements: strings(awards.map((award) => [str(award.title), str(award.summary)].filter(Boolean).join(': ')))
+  };
+
+  return {
+    rawText: renderText({ basics, work, projects, education, skills, certificates, awards, languages }),
+    parsedData,
+    analysis
+  };
+};
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "2019-03", "Mar 2019", "03/2019" or "2019" as an ISO-8601 date; null for "Present" or anything unreadable
+const toIsoDate = (text) => {
+  const value = str(text).toLowerCase();
+  let match = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (match) return [match[1], match[2]?.padStart(2, '0'), match[3]?.padStart(2, '0')].filter(Boolean).join('-');
+  match = value.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/);
+  if (match && MONTHS.includes(match[1])) return `${match[2]}-${String(MONTHS.indexOf(match[1]) + 1).padStart(2, '0')}`;
+  match = value.match(/^(\d{1,2})\/(\d{4})$/);
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) return `${match[2]}-${match[1].padStart(2, '0')}`;
+  return null;
+};
+
+// A free-text duration ("Jan 2020 - Present", "2019-01 - 2021-01") as JSON Resume start and end dates
+const parseDuration = (duration) => {
+  const [start, end] = str(duration).split(/\s+(?:-|–|—|to)\s+|(?<=\d)\s*[-–—]\s*(?=[A-Za-z]|\d{1,2}\/|\d{4})/i);
+  const dates = {};
+  if (toIsoDate(start)) dates.startDate = toIsoDate(start);
+  if (end && toIsoDate(end)) dates.endDate = toIsoDate(end);
+  return dates;
+};
+
+// Drop empty strings and arrays so the export only has fields the resume really has
+const pruned = (entry) => Object.fromEntries(Object.entries(entry)
+  .filter(([, value]) => (Array.isArray(value) ? value.length > 0 : value !== '' && value !== undefined && value !== null)));
+
+// A resume version as a JSON Resume document (the inverse of importJsonResume)
+export const exportJsonResume = (resume, { name = '' } = {}) => {
+  const parsed = resume.parsedData || {};
+  const analysis = resume.analysis || {};
+  const role = str(analysis.primaryRole);
+
+  const structured = list(analysis.structuredExperience);
+  const work = structured.length > 0
+    ? structured.map((exp) => {
+      const responsibilities = strings(exp.keyResponsibilities);
+      return pruned({
+        name: str(exp.company),
+        position: str(exp.jobTitle),
+        ...parseDuration(exp.duration),
+        // One line of responsibilities reads as a summary; several are bullets like the achievements
+        summary: responsibilities.length === 1 ? responsibilities[0] : '',
+        highlights: [...(responsibilities.length === 1 ? [] : responsibilities), ...strings(exp.achievements)]
+      });
+    })
+    : list(parsed.experience).map((exp) => {
+      const lines = str(exp.description).split('\n').map((line) => line.replace(/^[-•*]\s*/, '').trim()).filter(Boolean);
+      return pruned({
+        name: str(exp.company),
+        position: str(exp.title),
+        location: str(exp.location),
+        ...parseDuration(exp.duration),
+        highlights: lines
+      });
+    });
+
+  const education = list(analysis.education).length > 0
+    ? list(analysis.education).map((entry) => pruned({
+      institution: str(entry.school),
+      area: str(entry.field),
+      studyType: str(entry.degree),
+      endDate: toIsoDate(entry.graduationYear) || ''
+    }))
+    : list(parsed.education).map((entry) => pruned({
+      institution: str(entry.institution),
+      studyType: str(entry.degree),
+      endDate: toIsoDate(entry.year) || ''
+    }));
+
+  return pruned({
+    $schema: JSON_RESUME_SCHEMA,
+    basics: pruned({
+      name: str(parsed.name) || str(name),
+      label: role && role !== 'Not determined' ? role : '',
+      email: str(parsed.email),
+      phone: str(parsed.phone),
+      summary: str(parsed.summary)
+    }),
+    work,
+    education,
+    projects: list(analysis.projects).map((project) => pruned({
+      name: str(project.name),
+      description: str(project.description),
+      highlights: str(project.outcome).split(/;\s*/).map(str).filter(Boolean),
+      keywords: strings(project.technologies),
+      roles: str(project.yourRole).split(/,\s*/).map(str).filter(Boolean)
+    })),
+    skills: strings([...list(analysis.technicalSkills), ...list(parsed.skills), ...list(analysis.softSkills)])
+      .filter((skill, idx, all) => all.findIndex((other) => other.toLowerCase() === skill.toLowerCase()) === idx)
+      .map((skill) => ({ name: skill })),
+    certificates: strings(parsed.certifications).map((cert) => ({ name: cert })),
+    awards: strings(analysis.achievements).map((title) => ({ title })),
+    languages: strings(parsed.languages).map((language) => ({ language })),
+    meta: pruned({
+      version: 'v1.0.0',
+      lastModified: resume.updatedAt ? new Date(resume.updatedAt).toISOString() : ''
+    })
+  });
+};
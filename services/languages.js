@@ -0,0 +1,48 @@
+// Interview languages. The code is what STT providers expect (ISO 639-1); the name is what prompts use.
+// auraVoice is the Deepgram Aura voice for the language - languages without one need another TTS provider.
+export const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: { name: 'English', auraVoice: 'aura-2-helena-en' },
+  es: { name: 'Spanish', auraVoice: 'aura-2-celeste-es' },
+  fr: { name: 'French' },
+  de: { name: 'German' },
+  it: { name: 'Italian' },
+  pt: { name: 'Portuguese' },
+  nl: { name: 'Dutch' },
+  hi: { name: 'Hindi' }
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// "es-MX", " ES " -> "es"; empty -> the default. Unknown codes are returned as-is for the caller to reject.
+export const normalizeLanguage = (code) => {
+  const primary = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  return primary || DEFAULT_LANGUAGE;
+};
+
+export const isSupportedLanguage = (code) => Object.hasOwn(LANGUAGES, normalizeLanguage(code));
+
+// Normalized code for a requested language; an unknown one is a 400 for the caller
+export const resolveLanguage = (code) => {
+  const language = normalizeLanguage(code);
+  if (!isSupportedLanguage(language)) {
+    const error = new Error(`Unsupported interview language "${language}". Supported languages: ${LANGUAGE_CODES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return language;
+};
+
+export const languageName = (code) => LANGUAGES[normalizeLanguage(code)]?.name || LANGUAGES[DEFAULT_LANGUAGE].name;
+
+export const auraVoiceFor = (code) => LANGUAGES[normalizeLanguage(code)]?.auraVoice || null;
+
+export const listLanguages = () => LANGUAGE_CODES.map((code) => ({ code, name: LANGUAGES[code].name }));
+
+// Instruction appended to interviewer and feedback prompts; English interviews keep their prompts unchanged
+export const languagePrompt = (prompts, code) => {
+  const language = normalizeLanguage(code);
+  if (language === DEFAULT_LANGUAGE || !isSupportedLanguage(language)) return '';
+  return `\n\n${prompts.render('interview-language', { language: languageName(language) })}`;
+};
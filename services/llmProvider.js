@@ -1,75 +1,352 @@
 import OpenAI from 'openai';
 import Groq from 'groq-sdk';
+import { createMockCompletion } from './mockProviders.js';
+import { recordUsage, getUsageContext, estimateTokens, estimatePromptTokens } from './usageLedger.js';
 
 // Determine provider from environment; default to OpenAI for production safety
 const providerEnv = (process.env.AI_PROVIDER || 'openai').toLowerCase();
-const provider = providerEnv === 'groq' ? 'groq' : 'openai';
+const provider = ['groq', 'local', 'mock'].includes(providerEnv) ? providerEnv : 'openai';
 
-// Initialize OpenAI client (always available/fallback)
-const openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Failover tuning (per-provider timeouts can be overridden with LLM_TIMEOUT_MS_<PROVIDER>)
+const DEFAULT_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 20000;
+const MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 2);
+const RETRY_BASE_DELAY_MS = Number(process.env.LLM_RETRY_BASE_DELAY_MS) || 300;
+const BREAKER_THRESHOLD = Number(process.env.LLM_BREAKER_THRESHOLD) || 3;
+const BREAKER_COOLDOWN_MS = Number(process.env.LLM_BREAKER_COOLDOWN_MS) || 30000;
+
+// Initialize OpenAI client (always available/fallback). Retries are handled by the provider chain.
+// Local-only and mock setups may run without an OpenAI key; OpenAI calls then fail at request time.
+const openaiClient = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY || (['local', 'mock'].includes(provider) ? 'not-configured' : undefined),
+  maxRetries: 0
+});
 
 // Initialize Groq client lazily to avoid throwing when key is missing
 const groqApiKey = process.env.GROQ_API_KEY;
 const groqBaseUrl = process.env.GROQ_BASE_URL || 'https://api.groq.com';
-const groqClient = groqApiKey ? new Groq({ apiKey: groqApiKey, baseURL: groqBaseUrl }) : null;
+const groqClient = groqApiKey ? new Groq({ apiKey: groqApiKey, baseURL: groqBaseUrl, maxRetries: 0 }) : null;
+
+// Local OpenAI-compatible server (Ollama, llama.cpp server, vLLM, LM Studio...)
+const localBaseUrl = process.env.LOCAL_LLM_BASE_URL || (provider === 'local' ? 'http://localhost:11434/v1' : '');
+const localClient = localBaseUrl
+  ? new OpenAI({ apiKey: process.env.LOCAL_LLM_API_KEY || 'local', baseURL: localBaseUrl, maxRetries: 0 })
+  : null;
+
+const mapModelToGroq = (model) => {
+  // Default to known-good Groq chat model
+  const fallback = 'llama-3.3-70b-versatile';
+  if (!model) return fallback;
+
+  const normalized = model.toLowerCase();
+  const mapping = {
+    'gpt-4o-mini': 'llama-3.1-8b-instant',
+    'gpt-4o': 'llama-3.3-70b-versatile',
+    'gpt-4': 'llama-3.3-70b-versatile',
+    'gpt-3.5-turbo': 'mixtral-8x7b-32768',
+    'gpt-3.5-turbo-0125': 'mixtral-8x7b-32768'
+  };
 
-// Map Groq responses to the OpenAI-compatible shape
-const createGroqAdapter = () => {
-  if (!groqClient) {
-    console.warn('⚠️  Groq provider selected but GROQ_API_KEY is missing. Falling back to OpenAI.');
-    return openaiClient;
+  return mapping[normalized] || fallback;
+};
+
+const mapModelToLocal = (model) => {
+  // Default local model (anything pulled into Ollama / loaded by llama.cpp)
+  const fallback = process.env.LOCAL_LLM_MODEL || 'llama3.1:8b';
+  if (!model) return fallback;
+
+  const normalized = model.toLowerCase();
+  const mapping = {
+    'gpt-4o-mini': process.env.LOCAL_LLM_MODEL_SMALL || fallback,
+    'gpt-4o': fallback,
+    'gpt-4': fallback,
+    'gpt-3.5-turbo': process.env.LOCAL_LLM_MODEL_SMALL || fallback,
+    'gpt-3.5-turbo-0125': process.env.LOCAL_LLM_MODEL_SMALL || fallback
+  };
+
+  return mapping[normalized] || fallback;
+};
+
+// Groq-specific model names fall back to the default OpenAI chat model
+const mapModelToOpenAI = (model) => (!model || model.toLowerCase().startsWith('groq/') ? 'gpt-4o-mini' : model);
+
+// Every provider exposes the same OpenAI-compatible chat completion call
+const providerDefinitions = {
+  openai: {
+    label: 'OpenAI',
+    configured: () => !!process.env.OPENAI_API_KEY,
+    // Streams ask for a final usage chunk so they can be metered exactly
+    create: (payload, options) => openaiClient.chat.completions.create(
+      {
+        ...payload,
+        model: mapModelToOpenAI(payload.model),
+        ...(payload.stream ? { stream_options: { include_usage: true } } : {})
+      },
+      options
+    )
+  },
+  groq: {
+    label: 'Groq',
+    configured: () => !!groqClient,
+    create: (payload, options) => groqClient.chat.completions.create(
+      { ...payload, model: mapModelToGroq(payload.model) },
+      options
+    )
+  },
+  local: {
+    label: 'Local',
+    configured: () => !!localClient,
+    // CPU inference is slow; give local models a longer default timeout
+    defaultTimeoutMs: 120000,
+    create: (payload, options) => localClient.chat.completions.create(
+      { ...payload, model: mapModelToLocal(payload.model) },
+      options
+    )
+  },
+  mock: {
+    label: 'Mock',
+    // Only ever used when selected explicitly (AI_PROVIDER=mock), never as a failover target
+    configured: () => provider === 'mock',
+    create: createMockCompletion
   }
-    const mapModelToGroq = (model) => {
-      // Default to known-good Groq chat model
-      const fallback = 'llama-3.3-70b-versatile';
-      if (!model) return fallback;
-
-      const normalized = model.toLowerCase();
-      const mapping = {
-        'gpt-4o-mini': 'llama-3.1-8b-instant',
-        'gpt-4o': 'llama-3.3-70b-versatile',
-        'gpt-4': 'llama-3.3-70b-versatile',
-        'gpt-3.5-turbo': 'mixtral-8x7b-32768',
-        'gpt-3.5-turbo-0125': 'mixtral-8x7b-32768'
-      };
-
-      return mapping[normalized] || fallback;
-    };
+};
 
-  // Adapter maintains the same surface as the OpenAI client that the rest of the app expects
-  return {
-    chat: {
-      completions: {
-        create: async (payload) => {
-          const mappedPayload = { ...payload };
-          // Provide a sensible default Groq model if caller does not specify one
-            mappedPayload.model = mapModelToGroq(mappedPayload.model);
-          return groqClient.chat.completions.create(mappedPayload);
-        }
+// Ordered chain: AI_PROVIDER_CHAIN (e.g. "groq,openai"), otherwise AI_PROVIDER first then the rest
+const resolveChain = () => {
+  const requested = (process.env.AI_PROVIDER_CHAIN || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  // Mock runs alone so tests never reach a real provider
+  if (provider === 'mock') {
+    requested.splice(0, requested.length, 'mock');
+  }
+  const order = requested.length
+    ? requested
+    : [provider, ...Object.keys(providerDefinitions).filter((name) => name !== provider)];
+
+  const unknown = order.filter((name) => !providerDefinitions[name]);
+  if (unknown.length) {
+    console.warn(`⚠️  Ignoring unknown LLM providers in AI_PROVIDER_CHAIN: ${unknown.join(', ')}`);
+  }
+
+  return [...new Set(order)]
+    .filter((name) => providerDefinitions[name] && providerDefinitions[name].configured())
+    .map((name) => ({
+      name,
+      ...providerDefinitions[name],
+      timeoutMs: Number(process.env[`LLM_TIMEOUT_MS_${name.toUpperCase()}`])
+        || providerDefinitions[name].defaultTimeoutMs
+        || DEFAULT_TIMEOUT_MS,
+      breaker: {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedUntil: null,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+        probing: false
       }
-    },
-    // Audio operations continue to use OpenAI to preserve existing behavior.
-    // Deepgram remains the dedicated STT/TTS provider elsewhere in the stack.
-    audio: {
-      speech: {
-        create: (...args) => openaiClient.audio.speech.create(...args)
-      },
-      transcriptions: {
-        create: (...args) => openaiClient.audio.transcriptions.create(...args)
+    }));
+};
+
+const chain = resolveChain();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// SDK error classes (OpenAI and Groq share the same names)
+const errorType = (error) => error?.constructor?.name || error?.name;
+
+const isCallerAbort = (error, options) => errorType(error) === 'APIUserAbortError' || !!options?.signal?.aborted;
+
+// 429s, 5xx, timeouts and connection failures are worth retrying
+const isRetryable = (error) => {
+  const status = error?.status;
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return ['APIConnectionError', 'APIConnectionTimeoutError'].includes(errorType(error));
+};
+
+// Auth/permission failures mean this provider is unusable right now; other 4xx are request errors
+const shouldFailOver = (error) => isRetryable(error) || [401, 403].includes(error?.status);
+
+// The state a breaker is in right now: an open one is half-open once its cooldown has passed
+const breakerState = (breaker) => (breaker.state === 'open' && Date.now() >= breaker.openedUntil ? 'half-open' : breaker.state);
+
+// Whether a call may use this provider. A half-open breaker lets a single probe call through; everyone else
+// skips the provider until that probe has succeeded or failed (see releaseProbe).
+const tryAcquire = (entry) => {
+  const { breaker } = entry;
+  const state = breakerState(breaker);
+  if (state === 'closed') return true;
+  if (state === 'open' || breaker.probing) return false;
+  breaker.state = 'half-open';
+  breaker.probing = true;
+  return true;
+};
+
+const releaseProbe = (entry) => {
+  entry.breaker.probing = false;
+};
+
+const recordSuccess = (entry) => {
+  const { breaker } = entry;
+  if (breaker.state !== 'closed') {
+    console.log(`✅ LLM provider ${entry.label} recovered - circuit closed`);
+  }
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.openedUntil = null;
+  breaker.lastSuccessAt = new Date();
+};
+
+const recordFailure = (entry, error) => {
+  const { breaker } = entry;
+  breaker.consecutiveFailures += 1;
+  breaker.lastError = error?.message || String(error);
+  breaker.lastFailureAt = new Date();
+  if (breaker.state === 'half-open' || breaker.consecutiveFailures >= BREAKER_THRESHOLD) {
+    breaker.state = 'open';
+    breaker.openedUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    console.warn(`🔌 LLM provider ${entry.label} circuit opened for ${BREAKER_COOLDOWN_MS}ms after ${breaker.consecutiveFailures} failure(s)`);
+  }
+};
+
+// One provider, with retry + exponential backoff (and jitter) on retryable errors
+const callWithRetry = async (entry, payload, options) => {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await entry.create(payload, { ...options, timeout: entry.timeoutMs, maxRetries: 0 });
+    } catch (error) {
+      if (isCallerAbort(error, options) || !isRetryable(error) || attempt >= MAX_RETRIES) {
+        throw error;
       }
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+      attempt += 1;
+      console.warn(`⚠️  ${entry.label} LLM call failed (${error.status || errorType(error)}); retry ${attempt}/${MAX_RETRIES} in ${delay}ms`);
+      await sleep(delay);
     }
-  };
+  }
+};
+
+// Record a finished completion in the usage ledger (estimating tokens if the provider sent none)
+const meterCompletion = (entry, payload, result) => {
+  const usage = result?.usage;
+  recordUsage({
+    kind: 'llm',
+    provider: entry.name,
+    model: result?.model || payload.model,
+    promptTokens: usage ? usage.prompt_tokens : estimatePromptTokens(payload.messages),
+    completionTokens: usage ? usage.completion_tokens : estimateTokens(result?.choices?.[0]?.message?.content),
+    tokensEstimated: !usage
+  });
+  return result;
 };
 
-const llmClient = provider === 'groq' ? createGroqAdapter() : openaiClient;
-const llmProviderName = provider === 'groq' && groqClient ? 'Groq' : 'OpenAI';
+// Pass stream chunks through unchanged and record usage once the stream ends (or is aborted)
+async function* meterStream(entry, payload, stream, context) {
+  let usage = null;
+  let model = payload.model;
+  let text = '';
+  try {
+    for await (const chunk of stream) {
+      usage = chunk.usage || chunk.x_groq?.usage || usage;
+      model = chunk.model || model;
+      text += chunk.choices?.[0]?.delta?.content || '';
+      yield chunk;
+    }
+  } finally {
+    recordUsage({
+      kind: 'llm',
+      provider: entry.name,
+      model,
+      promptTokens: usage ? usage.prompt_tokens : estimatePromptTokens(payload.messages),
+      completionTokens: usage ? usage.completion_tokens : estimateTokens(text),
+      tokensEstimated: !usage
+    }, context);
+  }
+}
+
+// Walk the chain until one provider answers. Streaming calls fail over only before the stream starts.
+const createChatCompletion = async (payload, options = {}) => {
+  if (chain.length === 0) {
+    throw new Error('No LLM provider is configured. Set OPENAI_API_KEY, GROQ_API_KEY or LOCAL_LLM_BASE_URL.');
+  }
+
+  let lastError = null;
+  for (const entry of chain) {
+    if (!tryAcquire(entry)) continue;
+    try {
+      const result = await callWithRetry(entry, payload, options);
+      recordSuccess(entry);
+      return payload.stream
+        ? meterStream(entry, payload, result, getUsageContext())
+        : meterCompletion(entry, payload, result);
+    } catch (error) {
+      if (isCallerAbort(error, options)) throw error;
+      if (!shouldFailOver(error)) throw error;
+      recordFailure(entry, error);
+      lastError = error;
+      console.warn(`⚠️  LLM provider ${entry.label} failed: ${error.message}. Trying next provider...`);
+    } finally {
+      // Aborted calls and request errors say nothing about the provider: the next call probes again
+      releaseProbe(entry);
+    }
+  }
+
+  const error = new Error(`All LLM providers unavailable${lastError ? `: ${lastError.message}` : ''}`);
+  error.statusCode = 503;
+  error.cause = lastError;
+  throw error;
+};
+
+// Client with the same surface as the OpenAI client that the rest of the app expects
+const llmClient = {
+  chat: {
+    completions: {
+      create: createChatCompletion
+    }
+  }
+};
+
+const llmProviderName = chain.length ? chain[0].label : 'OpenAI';
 
 const didFallbackToOpenAI = provider === 'groq' && !groqClient;
 
+// Per-provider circuit state, read without moving any breaker along. The public /api/health gets the name,
+// state and last failure time only; `detailed` (admins) adds the error text, timings and counters.
+export const getProviderHealth = ({ detailed = false } = {}) => {
+  const providers = chain.map((entry) => {
+    const { breaker } = entry;
+    const health = {
+      name: entry.name,
+      state: breakerState(breaker),
+      lastFailureAt: breaker.lastFailureAt
+    };
+    return detailed
+      ? {
+        ...health,
+        label: entry.label,
+        consecutiveFailures: breaker.consecutiveFailures,
+        probing: breaker.probing,
+        timeoutMs: entry.timeoutMs,
+        openedUntil: breaker.openedUntil ? new Date(breaker.openedUntil).toISOString() : null,
+        lastError: breaker.lastError,
+        lastSuccessAt: breaker.lastSuccessAt
+      }
+      : health;
+  });
+  const active = providers.find((p) => p.state !== 'open');
+
+  return {
+    status: active ? (providers.every((p) => p.state === 'closed') ? 'ok' : 'degraded') : 'down',
+    active: active ? active.name : null,
+    providers
+  };
+};
+
 export const logProviderStatus = () => {
   console.log(`Using LLM Provider: ${llmProviderName}`);
-  console.log('Using STT Provider: Deepgram');
-  console.log('Using TTS Provider: Deepgram');
+  console.log(`LLM provider chain: ${chain.map((entry) => entry.label).join(' → ') || '(none configured)'}`);
 
   if (didFallbackToOpenAI && provider === 'groq') {
     console.warn('⚠️  AI_PROVIDER is set to "groq" but GROQ_API_KEY is missing. Fallback to OpenAI is active.');
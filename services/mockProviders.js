@@ -0,0 +1,198 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// AI_PROVIDER=mock swaps the LLM, STT and TTS clients for fixture-driven fakes (no network, no keys)
+export const isMockProvider = (process.env.AI_PROVIDER || '').toLowerCase() === 'mock';
+
+// Fixtures live in config/mock/fixtures.json (override with MOCK_FIXTURES_PATH)
+const fixturesPath = process.env.MOCK_FIXTURES_PATH || path.join(__dirname, '..', 'config', 'mock', 'fixtures.json');
+
+let fixtures = null;
+const counters = new Map();
+
+const loadFixtures = () => {
+  if (!fixtures) {
+    fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  }
+  return fixtures;
+};
+
+// Scripted values may be a string or a list that is played back in order (wrapping around)
+const nextScripted = (key, value) => {
+  if (!Array.isArray(value)) return value;
+  const index = counters.get(key) || 0;
+  counters.set(key, index + 1);
+  return value[index % value.length];
+};
+
+// Reset playback so every test run starts from the first scripted value
+export const resetMockProviders = () => {
+  counters.clear();
+  fixtures = null;
+};
+
+const abortError = () => {
+  const error = new Error('Request was aborted.');
+  error.name = 'AbortError';
+  return error;
+};
+
+// First completion rule whose `match` text appears in any message wins, else defaultCompletion
+const pickCompletion = (messages = []) => {
+  const { completions = [], defaultCompletion = '' } = loadFixtures();
+  const haystack = messages.map((m) => (typeof m.content === 'string' ? m.content : '')).join('\n').toLowerCase();
+  const rule = completions.find((r) => r.match && haystack.includes(r.match.toLowerCase()));
+  if (rule) {
+    return nextScripted(`completion:${rule.name || rule.match}`, rule.responses || rule.response);
+  }
+  return nextScripted('completion:default', defaultCompletion);
+};
+
+// Streamed completions arrive word by word in OpenAI chunk shape
+async function* streamWords(content, model) {
+  const parts = content.match(/\S+\s*/g) || [];
+  for (const part of parts) {
+    yield { id: 'mock', object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: { content: part }, finish_reason: null }] };
+  }
+  yield { id: 'mock', object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] };
+}
+
+export const createMockCompletion = async (payload, options = {}) => {
+  if (options?.signal?.aborted) throw abortError();
+  const content = pickCompletion(payload.messages);
+  const model = payload.model || 'mock';
+
+  if (payload.stream) {
+    return streamWords(content, model);
+  }
+  return {
+    id: 'mock',
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: content.split(/\s+/).length, total_tokens: content.split(/\s+/).length }
+  };
+};
+
+const mockAudioBuffer = () => Buffer.from(loadFixtures().audio?.base64 || '', 'base64');
+
+// Response-like object with arrayBuffer(), as returned by Deepgram speak and OpenAI speech calls
+const audioResponse = () => {
+  const buffer = mockAudioBuffer();
+  return {
+    arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+  };
+};
+
+// Transcript for an audio buffer: fixture matched by sha256 of the bytes, else the scripted default
+const pickTranscript = (buffer) => {
+  const { transcripts = [], defaultTranscript = '' } = loadFixtures();
+  const hash = crypto.createHash('sha256').update(buffer || Buffer.alloc(0)).digest('hex');
+  const match = transcripts.find((t) => t.sha256 === hash);
+  return match ? match.text : nextScripted('transcript:default', defaultTranscript);
+};
+
+// Evenly spoken words (150 per minute) so delivery analytics have timings to work with
+const MOCK_SECONDS_PER_WORD = 0.4;
+
+const mockWords = (transcript) => String(transcript || '').split(/\s+/).filter(Boolean).map((word, idx) => ({
+  word: word.toLowerCase().replace(/[^a-z0-9']/g, ''),
+  punctuated_word: word,
+  start: idx * MOCK_SECONDS_PER_WORD,
+  end: idx * MOCK_SECONDS_PER_WORD + MOCK_SECONDS_PER_WORD * 0.75,
+  confidence: 0.99
+}));
+
+const prerecordedResult = (transcript) => {
+  const words = mockWords(transcript);
+  return {
+    metadata: { duration: words.length * MOCK_SECONDS_PER_WORD },
+    results: {
+      channels: [{ alternatives: [{ transcript, confidence: 0.99, words }] }]
+    }
+  };
+};
+
+// Live transcription: SpeechStarted (with vad_events) and interim results while audio arrives, a final result
+// once an utterance's worth of bytes has been sent (or when the stream is finished)
+class MockLiveTranscription extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.bytes = 0;
+    this.lastInterim = 0;
+    this.transcript = null;
+    this.closed = false;
+    setImmediate(() => this.emit('open'));
+  }
+
+  currentTranscript() {
+    if (this.transcript === null) {
+      this.transcript = nextScripted('transcript:default', loadFixtures().defaultTranscript || '');
+    }
+    return this.transcript;
+  }
+
+  emitResult(isFinal) {
+    const text = this.currentTranscript();
+    const { utteranceBytes = 32000 } = loadFixtures().live || {};
+    const words = text.split(/\s+/);
+    const shown = isFinal ? words : words.slice(0, Math.max(1, Math.ceil((this.bytes / utteranceBytes) * words.length)));
+    this.emit('Results', {
+      type: 'Results',
+      is_final: isFinal,
+      speech_final: isFinal,
+      channel: { alternatives: [{ transcript: shown.join(' '), confidence: 0.99, words: mockWords(shown.join(' ')) }] }
+    });
+  }
+
+  send(chunk) {
+    if (this.closed) return;
+    const { utteranceBytes = 32000, interimEveryBytes = 8000 } = loadFixtures().live || {};
+    // First audio of an utterance is where Deepgram's VAD reports speech
+    if (this.bytes === 0 && this.options?.vad_events) {
+      this.emit('SpeechStarted', { type: 'SpeechStarted', channel: [0], timestamp: 0 });
+    }
+    this.bytes += chunk?.length || chunk?.byteLength || 0;
+
+    if (this.bytes >= utteranceBytes) {
+      this.emitResult(true);
+      this.bytes = 0;
+      this.lastInterim = 0;
+      this.transcript = null;
+    } else if (this.bytes - this.lastInterim >= interimEveryBytes) {
+      this.lastInterim = this.bytes;
+      this.emitResult(false);
+    }
+  }
+
+  finish() {
+    if (this.closed) return;
+    if (this.bytes > 0) {
+      this.emitResult(true);
+    }
+    this.closed = true;
+    setImmediate(() => this.emit('close'));
+  }
+
+  keepAlive() {}
+}
+
+// Same surface as the parts of the Deepgram SDK client used by the routes
+export const createMockDeepgramClient = () => ({
+  listen: {
+    prerecorded: {
+      transcribeFile: async (buffer) => ({ result: prerecordedResult(pickTranscript(buffer)), error: null })
+    },
+    live: (options) => new MockLiveTranscription(options)
+  },
+  speak: {
+    request: async () => ({ result: audioResponse(), error: null })
+  }
+});
+
@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import InterviewMode from '../models/InterviewMode.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Mode definitions live in config/modes/*.json (override the folder with INTERVIEW_MODES_DIR)
+const modesDir = process.env.INTERVIEW_MODES_DIR || path.join(__dirname, '..', 'config', 'modes');
+const DEFAULT_MODE_ID = 'moderate';
+
+export const QUESTION_TYPES = ['technical', 'system-design', 'behavioral', 'experience', 'project', 'situational'];
+
+const fileModes = new Map();
+let modes = new Map();
+
+const isStringList = (value) => Array.isArray(value) && value.every((v) => typeof v === 'string');
+const isText = (value) => (typeof value === 'string' && value.trim().length > 0) || (isStringList(value) && value.length > 0);
+const isUnset = (value) => value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+const joinLines = (value) => (Array.isArray(value) ? value.join('\n') : String(value || ''));
+
+// Check a raw definition; returns a list of problems (empty when valid)
+export const validateModeDefinition = (def) => {
+  const errors = [];
+  if (!def || typeof def !== 'object') return ['definition must be an object'];
+
+  if (typeof def.id !== 'string' || !/^[a-z0-9-]+$/.test(def.id)) errors.push('id must be lowercase letters, digits or dashes');
+  if (typeof def.name !== 'string' || !def.name.trim()) errors.push('name is required');
+  if (typeof def.temperature !== 'number' || def.temperature < 0 || def.temperature > 2) errors.push('temperature must be a number between 0 and 2');
+  if (!isText(def.systemPrompt)) errors.push('systemPrompt is required');
+  if (def.introStyle !== undefined && !['warm', 'standard'].includes(def.introStyle)) errors.push('introStyle must be "warm" or "standard"');
+  if (!def.opening || typeof def.opening.persona !== 'string' || !def.opening.persona.trim() || !isText(def.opening.rules)) {
+    errors.push('opening.persona and opening.rules are required');
+  }
+  if (!isText(def.phasePlan)) errors.push('phasePlan is required');
+  if (!isStringList(def.allowedQuestionTypes) || def.allowedQuestionTypes.length === 0) {
+    errors.push('allowedQuestionTypes must be a non-empty array');
+  } else {
+    const unknown = def.allowedQuestionTypes.filter((t) => !QUESTION_TYPES.includes(t));
+    if (unknown.length) errors.push(`unknown question types: ${unknown.join(', ')}`);
+  }
+  if (!isUnset(def.companyQuestions) && !isText(def.companyQuestions)) {
+    errors.push('companyQuestions must be text');
+  }
+  if (def.starterRigor !== undefined && typeof def.starterRigor !== 'boolean') errors.push('starterRigor must be a boolean');
+  if (def.shortFeedback !== undefined && !isStringList(def.shortFeedback)) errors.push('shortFeedback must be an array of strings');
+  if (!isStringList(def.feedbackRubric) || def.feedbackRubric.length === 0) errors.push('feedbackRubric must be a non-empty array of strings');
+
+  return errors;
+};
+
+// Runtime shape consumed by the interview routes and the voice stream
+const normalizeMode = (def, source) => ({
+  id: def.id,
+  name: def.name,
+  temperature: def.temperature,
+  systemPrompt: joinLines(def.systemPrompt),
+  introStyle: def.introStyle || 'standard',
+  opening: {
+    persona: def.opening.persona,
+    rules: joinLines(def.opening.rules)
+  },
+  phasePlan: joinLines(def.phasePlan),
+  allowedQuestionTypes: [...def.allowedQuestionTypes],
+  // Instruction for company-specific questions; built from allowedQuestionTypes when not set
+  companyQuestions: isText(def.companyQuestions) ? joinLines(def.companyQuestions) : null,
+  starterRigor: !!def.starterRigor,
+  shortFeedback: def.shortFeedback?.length ? [...def.shortFeedback] : ['Good.', 'Nice.', 'Great.', 'Alright.', 'Thanks.'],
+  feedbackRubric: [...def.feedbackRubric],
+  source
+});
+
+// Read and validate every file definition; any invalid file stops the server from starting
+const loadFileModes = () => {
+  const problems = [];
+  const files = fs.readdirSync(modesDir).filter((f) => f.endsWith('.json')).sort();
+
+  files.forEach((file) => {
+    try {
+      const def = JSON.parse(fs.readFileSync(path.join(modesDir, file), 'utf8'));
+      const errors = validateModeDefinition(def);
+      if (errors.length) {
+        problems.push(`${file}: ${errors.join('; ')}`);
+        return;
+      }
+      if (fileModes.has(def.id)) {
+        problems.push(`${file}: duplicate mode id "${def.id}"`);
+        return;
+      }
+      fileModes.set(def.id, normalizeMode(def, 'file'));
+    } catch (error) {
+      problems.push(`${file}: ${error.message}`);
+    }
+  });
+
+  if (!fileModes.has(DEFAULT_MODE_ID)) {
+    problems.push(`default mode "${DEFAULT_MODE_ID}" is not defined`);
+  }
+  if (problems.length) {
+    throw new Error(`Invalid interviewer mode definitions in ${modesDir}:\n - ${problems.join('\n - ')}`);
+  }
+
+  modes = new Map(fileModes);
+};
+
+loadFileModes();
+
+// Layer active database definitions over the file definitions (database wins on id clash)
+export const loadDatabaseModes = async () => {
+  try {
+    const docs = await InterviewMode.find({ isActive: true }).lean();
+    const next = new Map(fileModes);
+
+    docs.forEach((doc) => {
+      const errors = validateModeDefinition(doc);
+      if (errors.length) {
+        console.warn(`⚠️  Skipping invalid interviewer mode "${doc.id}" from database: ${errors.join('; ')}`);
+        return;
+      }
+      next.set(doc.id, normalizeMode(doc, 'database'));
+    });
+
+    modes = next;
+    console.log(`🎭 Interviewer modes loaded: ${[...modes.keys()].join(', ')}`);
+  } catch (error) {
+    console.error('❌ Failed to load interviewer modes from database:', error.message);
+  }
+  return listModes();
+};
+
+// Resolve a mode by id, falling back to the default (moderate) for unknown ids
+export const resolveMode = (modeId) => {
+  const key = String(modeId || '').toLowerCase();
+  return modes.get(key) || modes.get(DEFAULT_MODE_ID);
+};
+
+export const hasMode = (modeId) => modes.has(String(modeId || '').toLowerCase());
+
+// Id of a requested mode (the default when none is given); unknown ids are a 400 rather than silently moderate
+export const assertKnownMode = (modeId) => {
+  if (modeId === undefined || modeId === null || modeId === '') return DEFAULT_MODE_ID;
+  if (!hasMode(modeId)) {
+    const error = new Error(`Unknown interviewer mode "${modeId}". Available modes: ${[...modes.keys()].join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return String(modeId).toLowerCase();
+};
+
+export const listModes = () => [...modes.values()].map((mode) => ({
+  id: mode.id,
+  name: mode.name,
+  temperature: mode.temperature,
+  allowedQuestionTypes: mode.allowedQuestionTypes,
+  source: mode.source
+}));
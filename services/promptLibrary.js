@@ -0,0 +1,253 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import Chat from '../models/Chat.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Prompt templates live in config/prompts/*.json (override the folder with PROMPTS_DIR)
+const promptsDir = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'config', 'prompts');
+
+export const ASSIGNMENT_SCOPES = ['chat', 'user'];
+
+// {{variable}} placeholders
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const templates = new Map();
+
+const isStringList = (value) => Array.isArray(value) && value.every((v) => typeof v === 'string');
+const isText = (value) => (typeof value === 'string' && value.trim().length > 0) || (isStringList(value) && value.length > 0);
+const joinLines = (value) => (Array.isArray(value) ? value.join('\n') : String(value || ''));
+
+const placeholdersIn = (text) => [...joinLines(text).matchAll(VARIABLE_PATTERN)].map((m) => m[1]);
+
+// Check a raw template definition; returns a list of problems (empty when valid)
+export const validatePromptTemplate = (def) => {
+  const errors = [];
+  if (!def || typeof def !== 'object') return ['definition must be an object'];
+
+  if (typeof def.name !== 'string' || !/^[a-z0-9-]+$/.test(def.name)) errors.push('name must be lowercase letters, digits or dashes');
+  if (def.assignBy !== undefined && !ASSIGNMENT_SCOPES.includes(def.assignBy)) errors.push('assignBy must be "chat" or "user"');
+  if (def.variables !== undefined && !isStringList(def.variables)) errors.push('variables must be an array of strings');
+  if (!Array.isArray(def.versions) || def.versions.length === 0) {
+    errors.push('versions must be a non-empty array');
+    return errors;
+  }
+
+  const declared = new Set(def.variables || []);
+  const seen = new Set();
+  def.versions.forEach((v, idx) => {
+    const label = `versions[${idx}]`;
+    if (!Number.isInteger(v?.version) || v.version < 1) {
+      errors.push(`${label}.version must be a positive integer`);
+    } else if (seen.has(v.version)) {
+      errors.push(`${label}: duplicate version ${v.version}`);
+    } else {
+      seen.add(v.version);
+    }
+    if (typeof v?.weight !== 'number' || v.weight < 0) errors.push(`${label}.weight must be a number >= 0`);
+    if (!isText(v?.text)) {
+      errors.push(`${label}.text is required`);
+    } else {
+      const undeclared = placeholdersIn(v.text).filter((name) => !declared.has(name));
+      if (undeclared.length) errors.push(`${label} uses undeclared variables: ${[...new Set(undeclared)].join(', ')}`);
+    }
+  });
+  if (!def.versions.some((v) => v?.weight > 0)) errors.push('at least one version needs a weight above 0');
+
+  return errors;
+};
+
+// Runtime shape: versions sorted oldest first, each with the id recorded on chats (e.g. "question-rules@v2")
+const normalizeTemplate = (def) => ({
+  name: def.name,
+  description: def.description || '',
+  assignBy: def.assignBy || 'chat',
+  variables: [...(def.variables || [])],
+  versions: def.versions
+    .map((v) => ({
+      id: `${def.name}@v${v.version}`,
+      version: v.version,
+      weight: v.weight,
+      text: joinLines(v.text)
+    }))
+    .sort((a, b) => a.version - b.version)
+});
+
+// Read and validate every template; any invalid file stops the server from starting
+const loadTemplates = () => {
+  const problems = [];
+  const files = fs.readdirSync(promptsDir).filter((f) => f.endsWith('.json')).sort();
+
+  files.forEach((file) => {
+    try {
+      const def = JSON.parse(fs.readFileSync(path.join(promptsDir, file), 'utf8'));
+      const errors = validatePromptTemplate(def);
+      if (errors.length) {
+        problems.push(`${file}: ${errors.join('; ')}`);
+        return;
+      }
+      if (templates.has(def.name)) {
+        problems.push(`${file}: duplicate template name "${def.name}"`);
+        return;
+      }
+      templates.set(def.name, normalizeTemplate(def));
+    } catch (error) {
+      problems.push(`${file}: ${error.message}`);
+    }
+  });
+
+  if (problems.length) {
+    throw new Error(`Invalid prompt templates in ${promptsDir}:\n - ${problems.join('\n - ')}`);
+  }
+};
+
+loadTemplates();
+
+const getTemplate = (name) => {
+  const template = templates.get(name);
+  if (!template) {
+    throw new Error(`Unknown prompt template "${name}"`);
+  }
+  return template;
+};
+
+export const hasPromptTemplate = (name) => templates.has(name);
+
+export const listPromptTemplates = () => [...templates.values()].map((template) => ({
+  name: template.name,
+  description: template.description,
+  assignBy: template.assignBy,
+  variables: template.variables,
+  versions: template.versions.map(({ id, version, weight }) => ({ id, version, weight }))
+}));
+
+// Stable position in [0, 1) for a key, so the same chat or user always lands on the same version
+const bucket = (key) => crypto.createHash('sha256').update(key).digest().readUInt32BE(0) / 0x100000000;
+
+// Weighted pick among versions with weight > 0 (weight 0 retires a version without deleting it)
+const pickVersion = (template, key) => {
+  const active = template.versions.filter((v) => v.weight > 0);
+  const total = active.reduce((sum, v) => sum + v.weight, 0);
+  let point = (key ? bucket(key) : Math.random()) * total;
+  for (const version of active) {
+    if (point < version.weight) return version;
+    point -= version.weight;
+  }
+  return active[active.length - 1];
+};
+
+const recordedVariant = (chat, name) => {
+  const variants = chat?.promptVariants;
+  if (!variants) return null;
+  return variants instanceof Map ? variants.get(name) : variants[name];
+};
+
+// Resolve the version a chat or user is pinned to. A version already recorded on the chat wins, so
+// re-weighting an experiment never moves an interview that is under way. Chat-scoped templates fall
+// back to the user when there is no chat (e.g. one-off resume calls).
+export const assignPromptVersion = (name, { chat = null, chatId = null, userId = null } = {}) => {
+  const template = getTemplate(name);
+  const pinned = template.versions.find((v) => v.id === recordedVariant(chat, name));
+  if (pinned) return pinned;
+
+  const subject = template.assignBy === 'user'
+    ? userId
+    : (chat?._id || chatId || userId);
+  return pickVersion(template, subject ? `${name}:${subject}` : null);
+};
+
+// Substitute {{variables}}; a missing value is a bug in the caller, not something to send to the model
+const renderText = (name, text, variables) => text.replace(VARIABLE_PATTERN, (match, key) => {
+  if (variables[key] === undefined || variables[key] === null) {
+    throw new Error(`Prompt template "${name}" is missing variable "${key}"`);
+  }
+  return String(variables[key]);
+});
+
+export const renderPrompt = (name, variables = {}, assignment = {}) => {
+  const version = assignPromptVersion(name, assignment);
+  return renderText(name, version.text, variables);
+};
+
+// Store template -> version id on the chat so results can be compared per version
+export const recordPromptVariants = async (chatId, variants, userId = null) => {
+  const entries = Object.entries(variants || {});
+  if (!chatId || !mongoose.Types.ObjectId.isValid(chatId) || entries.length === 0) return;
+
+  try {
+    const $set = Object.fromEntries(entries.map(([name, id]) => [`promptVariants.${name}`, id]));
+    await Chat.updateOne({ _id: chatId, ...(userId ? { userId } : {}) }, { $set });
+  } catch (error) {
+    console.warn('⚠️ Failed to record prompt variants:', error.message);
+  }
+};
+
+// Prompts for one request: every render uses the same chat/user assignment and remembers the version it used
+export const createPromptSet = ({ chat = null, chatId = null, userId = null } = {}) => {
+  const assignment = { chat, chatId: chat?._id || chatId, userId };
+  const variants = {};
+
+  return {
+    variants,
+    render(name, variables = {}) {
+      const version = assignPromptVersion(name, assignment);
+      variants[name] = version.id;
+      return renderText(name, version.text, variables);
+    },
+    async record() {
+      if (chat?.promptVariants instanceof Map) {
+        Object.entries(variants).forEach(([name, id]) => chat.promptVariants.set(name, id));
+      }
+      await recordPromptVariants(assignment.chatId, variants, userId);
+    }
+  };
+};
+
+// Per-version outcomes for one template: chats, completion rate and average feedback / answer scores
+export const comparePromptVersions = async (name, { from, to } = {}) => {
+  const template = getTemplate(name);
+  const field = `promptVariants.${name}`;
+  const match = { [field]: { $exists: true } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const rows = await Chat.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: `$${field}`,
+        chats: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        withFeedback: { $sum: { $cond: [{ $ifNull: ['$feedback.generatedAt', false] }, 1, 0] } },
+        avgOverallScore: { $avg: { $cond: [{ $ifNull: ['$feedback.generatedAt', false] }, '$feedback.overallScore', null] } },
+        avgAnswerScore: { $avg: '$feedback.answerScores.averages.overall' }
+      }
+    }
+  ]);
+
+  const byId = new Map(rows.map((row) => [row._id, row]));
+  const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+  const ids = [...new Set([...template.versions.map((v) => v.id), ...byId.keys()])];
+
+  return ids.map((id) => {
+    const row = byId.get(id) || { chats: 0, completed: 0, withFeedback: 0, avgOverallScore: null, avgAnswerScore: null };
+    const version = template.versions.find((v) => v.id === id);
+    return {
+      variant: id,
+      version: version?.version ?? null,
+      weight: version?.weight ?? null,
+      chats: row.chats,
+      completed: row.completed,
+      completionRate: row.chats ? round(row.completed / row.chats) : null,
+      withFeedback: row.withFeedback,
+      avgOverallScore: round(row.avgOverallScore),
+      avgAnswerScore: round(row.avgAnswerScore)
+    };
+  });
+};
@@ -0,0 +1,83 @@
+// Checks applied to generated interview questions before a candidate hears them.
+// Shared by the interview routes and the offline evaluation harness (scripts/evalQuestions.js).
+// The word lists are English; other interview languages (language codes as in services/languages.js)
+// only get the language-neutral parts of each check.
+
+// Normalized overlap at or above this counts as a repeat of an earlier question
+export const REPEAT_SIMILARITY_THRESHOLD = 0.75;
+
+// Detect mentions of named entities that aren't present in provided context
+export const detectHallucinatedEntities = (text, allowedContext, language = 'en') => {
+  if (!text || !allowedContext) return false;
+  const ctx = allowedContext.toLowerCase();
+  const matches = [];
+
+  // Match multi-word Title Case sequences and longer acronyms to reduce false positives
+  const titleCaseRegex = /\b([A-Z][a-z0-9]{2,}\s+[A-Z][a-z0-9]{2,}(?:\s+[A-Z][a-z0-9]{2,}){0,2})\b/g;
+  const acronymRegex = /\b([A-Z]{4,})\b/g;
+
+  let m;
+  // Title Case runs are ordinary words in languages that capitalize nouns (German), so only English uses them
+  while (language === 'en' && (m = titleCaseRegex.exec(text))) {
+    matches.push(m[1]);
+  }
+  while ((m = acronymRegex.exec(text))) {
+    matches.push(m[1]);
+  }
+
+  // Filter matches that appear in the allowed context
+  const unknowns = matches.filter((tok) => {
+    if (!tok) return false;
+    const low = tok.toLowerCase();
+    return !ctx.includes(low);
+  });
+
+  return unknowns.length > 0 ? unknowns : false;
+};
+
+// Normalize text for simple similarity checks
+export const normalizeForCompare = (s) => {
+  if (!s) return '';
+  return String(s).toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+};
+
+// Simple word-overlap similarity (set intersection over union)
+export const overlapSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  const wa = new Set(a.split(/\s+/).filter(Boolean));
+  const wb = new Set(b.split(/\s+/).filter(Boolean));
+  if (wa.size === 0 || wb.size === 0) return 0;
+  let intersect = 0;
+  wa.forEach(w => { if (wb.has(w)) intersect++; });
+  const union = new Set([...wa, ...wb]).size;
+  return union === 0 ? 0 : intersect / union;
+};
+
+// Validate that a text is a proper interrogative question
+export const isValidQuestion = (text, language = 'en') => {
+  if (!text) return false;
+  const s = String(text).trim();
+  if (!s.endsWith('?')) return false;
+  // Reject trivial numeric questions like '1?'
+  if (/^\s*\d+\?\s*$/.test(s)) return false;
+  // Require at least 3 words
+  const wordCount = s.split(/\s+/).filter(Boolean).length;
+  if (wordCount < 3) return false;
+  if (language !== 'en') return true;
+  // Must start with an interrogative or modal/helper that makes it a question
+  const interrogatives = /^(who|what|when|where|why|how|describe|explain|can|could|do|did|are|is|would|should|tell|walk|compare|which|whom)\b/i;
+  if (interrogatives.test(s)) return true;
+  // Also allow polite requests like "Could you...", "Would you..."
+  if (/^(could|would|please)\b/i.test(s)) return true;
+  return false;
+};
+
+// Detect answer-like responses that should trigger regeneration
+export const isAnswerLike = (text, language = 'en') => {
+  if (!text || language !== 'en') return false;
+  const s = String(text).trim().toLowerCase();
+  return s.startsWith("i ") || s.startsWith("i'm ") || s.startsWith("i’ve ") || s.startsWith("i've ") ||
+    s.startsWith("we ") || s.startsWith("we've ") || s.startsWith("we’ve ") ||
+    s.startsWith("during ") || s.startsWith("in my ") || s.startsWith("my ") ||
+    s.startsWith("absolutely") || s.startsWith("sure") || s.startsWith("yes,");
+};
@@ -0,0 +1,325 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import mongoose from 'mongoose';
+import Recording from '../models/Recording.js';
+import { isMockProvider } from './mockProviders.js';
+
+// Answer audio storage: local (a directory on this server), s3 (any S3-compatible store: AWS, MinIO, R2...)
+// or off. The local backend uses the same object keys as s3, so it doubles as the development stand-in;
+// AI_PROVIDER=mock always uses it.
+const STORAGE_BACKENDS = ['off', 'local', 's3'];
+
+// Recordings older than this are purged, along with their stored audio
+export const RECORDING_RETENTION_DAYS = Number(process.env.RECORDING_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = (Number(process.env.RECORDING_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const STORAGE_TIMEOUT_MS = Number(process.env.RECORDING_STORAGE_TIMEOUT_MS) || 30000;
+const localDir = path.resolve(process.env.RECORDING_STORAGE_DIR || 'recordings');
+
+const s3Config = {
+  endpoint: (process.env.S3_ENDPOINT || '').replace(/\/+$/, ''),
+  region: process.env.S3_REGION || 'us-east-1',
+  bucket: process.env.S3_BUCKET || '',
+  accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || ''
+};
+
+// Build an error the global errorHandler reports with its statusCode
+const storageError = (message, statusCode, cause = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.cause = cause;
+  return error;
+};
+
+// Local disk: one file per object key under RECORDING_STORAGE_DIR
+const localPath = (key) => {
+  const file = path.resolve(localDir, key);
+  if (!file.startsWith(`${localDir}${path.sep}`)) throw storageError('Invalid recording key', 400);
+  return file;
+};
+
+const localBackend = {
+  name: 'local',
+  label: `Local disk (${localDir})`,
+  configured: () => true,
+  async put(key, body) {
+    const file = localPath(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, body);
+  },
+  async get(key, range) {
+    const file = localPath(key);
+    try {
+      await fs.promises.access(file);
+    } catch (error) {
+      throw storageError('Recording audio not found', 404, error);
+    }
+    return fs.createReadStream(file, range || {});
+  },
+  async remove(key) {
+    await fs.promises.rm(localPath(key), { force: true });
+  }
+};
+
+// S3-compatible store over its REST API, path-style URLs and AWS Signature Version 4
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const encodeKey = (key) => key.split('/')
+  .map((segment) => encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+const signedS3Request = async (method, key, { body, headers = {} } = {}) => {
+  const url = new URL(`${s3Config.endpoint}/${encodeURIComponent(s3Config.bucket)}/${encodeKey(key)}`);
+  const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const day = amzDate.slice(0, 8);
+  const payloadHash = sha256(body || '');
+  const scope = `${day}/${s3Config.region}/s3/aws4_request`;
+
+  const signed = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const signedHeaders = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    ...signedHeaders.map((name) => `${name}:${signed[name]}`),
+    '',
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${s3Config.secretAccessKey}`, day), s3Config.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  // The timeout covers the request until headers arrive, not reading the body: playback pipes the body of a
+  // GET straight to the client for as long as it takes to stream
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new DOMException('Storage request timed out', 'TimeoutError')), STORAGE_TIMEOUT_MS);
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      body,
+      headers: {
+        ...headers,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+        authorization: `AWS4-HMAC-SHA256 Credential=${s3Config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+      },
+      signal: controller.signal
+    });
+  } catch (error) {
+    throw storageError('Recording storage is unavailable', error.name === 'TimeoutError' ? 504 : 502, error);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (response.status === 404) {
+    throw storageError('Recording audio not found', 404);
+  }
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw storageError('Recording storage request failed', 502, new Error(`S3 ${method} ${response.status}: ${detail.slice(0, 200)}`));
+  }
+  return response;
+};
+
+const s3Backend = {
+  name: 's3',
+  label: `S3 (${s3Config.bucket || 'no bucket'} at ${s3Config.endpoint || 'no endpoint'})`,
+  configured: () => Boolean(s3Config.endpoint && s3Config.bucket && s3Config.accessKeyId && s3Config.secretAccessKey),
+  async put(key, body, mimeType) {
+    await signedS3Request('PUT', key, { body, headers: { 'content-type': mimeType } });
+  },
+  async get(key, range) {
+    const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+    const response = await signedS3Request('GET', key, { headers });
+    return Readable.fromWeb(response.body);
+  },
+  async remove(key) {
+    try {
+      await signedS3Request('DELETE', key);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+  }
+};
+
+const pickBackend = () => {
+  const requested = (process.env.RECORDING_STORAGE || 'off').toLowerCase();
+  if (!STORAGE_BACKENDS.includes(requested)) {
+    console.warn(`⚠️  Unknown RECORDING_STORAGE "${requested}" - recording is off`);
+    return null;
+  }
+  if (requested === 'off') return null;
+  if (requested === 's3' && !isMockProvider) return s3Backend;
+  return localBackend;
+};
+
+const backend = pickBackend();
+const BACKENDS = { local: localBackend, s3: s3Backend };
+
+export const isRecordingEnabled = () => Boolean(backend?.configured());
+
+// New recordings go to the configured backend; stored ones are read from the backend that holds them
+const requireBackend = (name = backend?.name) => {
+  const target = BACKENDS[name];
+  if (!target?.configured()) {
+    throw storageError('Answer recording is not enabled on this server', 501);
+  }
+  return target;
+};
+
+// Where a recording's audio lives: <userId>/<chatId>/<recordingId>.<ext>
+const recordingKey = ({ userId, chatId, recordingId, extension }) => `${userId}/${chatId}/${recordingId}.${extension}`;
+
+// File extension for the object key, from the upload's name or else its MIME type ("audio/webm;codecs=opus" -> webm)
+const audioExtension = (filename, mimeType) => {
+  const fromName = path.extname(String(filename || '')).slice(1);
+  const fromType = String(mimeType || '').split(';')[0].split('/')[1];
+  const extension = (fromName || fromType || 'bin').toLowerCase().replace(/^x-/, '').replace(/[^a-z0-9]/g, '');
+  return extension.slice(0, 8) || 'bin';
+};
+
+const recordingExpiry = (from = new Date()) => new Date(from.getTime() + RECORDING_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Readable stream of a recording's audio, or of the inclusive byte range { start, end }
+export const openRecordingAudio = (recording, range = null) => requireBackend(recording.storage).get(recording.key, range);
+
+// Wrap 16-bit mono PCM from the voice stream in a WAV header so it plays anywhere
+export const pcmToWav = (pcm, sampleRate) => {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+};
+
+// Parse a Range header against the object size: null for the whole object, { start, end } inclusive,
+// or false when the range cannot be satisfied. Multi-range requests get the whole object.
+export const parseByteRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffix = Number(match[2]);
+    if (suffix === 0) return false;
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+};
+
+export const getRecordingStorageStatus = () => ({
+  enabled: isRecordingEnabled(),
+  backend: backend?.name || 'off',
+  configured: backend ? backend.configured() : false,
+  retentionDays: RECORDING_RETENTION_DAYS
+});
+
+export const logRecordingStorageStatus = () => {
+  if (!backend) {
+    console.log('Answer recording: off');
+    return;
+  }
+  console.log(`Answer recording: ${backend.label}${backend.configured() ? '' : ' (not configured)'}, kept ${RECORDING_RETENTION_DAYS} days`);
+};
+
+// Store an answer's audio and its Recording document. Only called for chats whose candidate consented.
+export const saveAnswerRecording = async ({ chat, audio, mimeType, filename, source, durationSeconds = null, messageId = null }) => {
+  if (!chat?.recordingConsent) {
+    throw storageError('The candidate has not consented to answer recording for this chat', 403);
+  }
+  const recordingId = new mongoose.Types.ObjectId();
+  const key = recordingKey({ userId: chat.userId, chatId: chat._id, recordingId, extension: audioExtension(filename, mimeType) });
+  const target = requireBackend();
+  try {
+    await target.put(key, audio, mimeType);
+  } catch (error) {
+    throw error.statusCode ? error : storageError('Failed to store recording audio', 500, error);
+  }
+
+  try {
+    return await Recording.create({
+      _id: recordingId,
+      userId: chat.userId,
+      chatId: chat._id,
+      messageId,
+      source,
+      storage: target.name,
+      key,
+      mimeType: mimeType || 'application/octet-stream',
+      size: audio.length,
+      durationSeconds,
+      expiresAt: recordingExpiry()
+    });
+  } catch (error) {
+    await target.remove(key).catch(() => {});
+    throw error;
+  }
+};
+
+// A recording of this chat that no message has claimed yet (voice-round stores audio before the answer
+// message exists), or null
+export const findUnlinkedRecording = (chat, recordingId) => {
+  if (!mongoose.isValidObjectId(recordingId)) return null;
+  return Recording.findOne({ _id: recordingId, chatId: chat._id, userId: chat.userId, messageId: null });
+};
+
+// Attach a stored recording to the chat message it answers (both sides keep the link)
+export const linkRecordingToMessage = async (recording, message) => {
+  recording.messageId = message._id;
+  await recording.save();
+  message.metadata.set('recordingId', String(recording._id));
+};
+
+// Delete recordings and their audio; audio already gone from storage is not an error
+export const deleteRecordings = async (filter) => {
+  const recordings = await Recording.find(filter);
+  let deleted = 0;
+  for (const recording of recordings) {
+    try {
+      await requireBackend(recording.storage).remove(recording.key);
+      await recording.deleteOne();
+      deleted += 1;
+    } catch (error) {
+      console.warn(`⚠️ Failed to delete recording ${recording._id}:`, error.message);
+    }
+  }
+  return deleted;
+};
+
+export const purgeExpiredRecordings = async () => {
+  const purged = await deleteRecordings({ expiresAt: { $lte: new Date() } });
+  if (purged > 0) console.log(`🧹 Purged ${purged} expired answer recording(s)`);
+  return purged;
+};
+
+// Retention: purge on start-up (once the database is connected) and then on an interval. Runs with
+// recording switched off too, so recordings made before it was switched off still expire.
+export const startRecordingRetention = () => {
+  const run = () => purgeExpiredRecordings().catch((error) => console.warn('⚠️ Recording purge failed:', error.message));
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref?.();
+  return timer;
+};
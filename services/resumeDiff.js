@@ -0,0 +1,212 @@
+import { normalizeForCompare, overlapSimilarity } from './questionValidators.js';
+
+// Structured comparison of two resume versions' parsedData and analysis: what a candidate added, removed
+// or reworded between uploads. Deterministic (no LLM call).
+
+// A removed and an added bullet at least this similar are reported as one reworded bullet
+const CHANGED_BULLET_SIMILARITY = 0.5;
+
+// List fields compared as sets of strings
+const LIST_FIELDS = [
+  ['parsedData', 'skills'],
+  ['parsedData', 'certifications'],
+  ['parsedData', 'languages'],
+  ['analysis', 'technicalSkills'],
+  ['analysis', 'softSkills'],
+  ['analysis', 'industries'],
+  ['analysis', 'strengths'],
+  ['analysis', 'areasForImprovement'],
+  ['analysis', 'suggestedInterviewTopics'],
+  ['analysis', 'achievements']
+];
+
+const SCALAR_FIELDS = [
+  ['parsedData', 'name'],
+  ['parsedData', 'email'],
+  ['parsedData', 'phone'],
+  ['parsedData', 'summary'],
+  ['analysis', 'primaryRole'],
+  ['analysis', 'yearsOfExperience']
+];
+
+const PROJECT_FIELDS = ['description', 'yourRole', 'outcome'];
+
+const keyOf = (value) => normalizeForCompare(value);
+
+const compact = (values) => (values || []).map((value) => String(value ?? '').trim()).filter(Boolean);
+
+// Entries of `after` missing from `before` and the reverse, compared case- and punctuation-insensitively
+const diffSets = (before, after) => {
+  const beforeKeys = new Set(compact(before).map(keyOf));
+  const afterKeys = new Set(compact(after).map(keyOf));
+  return {
+    added: compact(after).filter((value) => !beforeKeys.has(keyOf(value))),
+    removed: compact(before).filter((value) => !afterKeys.has(keyOf(value)))
+  };
+};
+
+const hasChanges = (diff) => diff.added.length > 0 || diff.removed.length > 0;
+
+// Like diffSets, but a removed bullet closely matching an added one is reported as changed
+const diffBullets = (before, after) => {
+  const { added, removed } = diffSets(before, after);
+  const changed = [];
+  const unmatched = [...added];
+
+  const stillRemoved = removed.filter((oldBullet) => {
+    let best = -1;
+    let bestScore = 0;
+    unmatched.forEach((newBullet, idx) => {
+      const score = overlapSimilarity(keyOf(oldBullet), keyOf(newBullet));
+      if (score > bestScore) {
+        best = idx;
+        bestScore = score;
+      }
+    });
+    if (best === -1 || bestScore < CHANGED_BULLET_SIMILARITY) return true;
+    changed.push({ from: oldBullet, to: unmatched[best] });
+    unmatched.splice(best, 1);
+    return false;
+  });
+
+  return { added: unmatched, removed: stillRemoved, changed };
+};
+
+const diffScalar = (field, before, after) => {
+  const from = before ?? '';
+  const to = after ?? '';
+  return String(from).trim() === String(to).trim() ? null : { field, from, to };
+};
+
+// Roles from the structured analysis, falling back to the basic parsed experience
+const rolesOf = (resume) => {
+  const structured = resume.analysis?.structuredExperience || [];
+  if (structured.length > 0) {
+    return structured.map((exp) => ({
+      company: exp.company || '',
+      jobTitle: exp.jobTitle || '',
+      duration: exp.duration || '',
+      bullets: compact([...(exp.keyResponsibilities || []), ...(exp.achievements || [])]),
+      technologies: compact(exp.technologiesUsed)
+    }));
+  }
+  return (resume.parsedData?.experience || []).map((exp) => ({
+    company: exp.company || '',
+    jobTitle: exp.title || '',
+    duration: exp.duration || '',
+    bullets: compact(String(exp.description || '').split('\n').map((line) => line.replace(/^[-•*]\s*/, ''))),
+    technologies: []
+  }));
+};
+
+const roleKey = (role) => `${keyOf(role.company)}|${keyOf(role.jobTitle)}`;
+const roleLabel = (role) => ({ company: role.company, jobTitle: role.jobTitle, duration: role.duration });
+
+const diffExperience = (before, after) => {
+  const beforeRoles = new Map(rolesOf(before).map((role) => [roleKey(role), role]));
+  const afterRoles = new Map(rolesOf(after).map((role) => [roleKey(role), role]));
+  const result = { added: [], removed: [], changed: [] };
+
+  afterRoles.forEach((role, key) => {
+    const previous = beforeRoles.get(key);
+    if (!previous) {
+      result.added.push({ ...roleLabel(role), bullets: role.bullets, technologies: role.technologies });
+      return;
+    }
+    const bullets = diffBullets(previous.bullets, role.bullets);
+    const technologies = diffSets(previous.technologies, role.technologies);
+    const duration = diffScalar('duration', previous.duration, role.duration);
+    if (hasChanges(bullets) || bullets.changed.length > 0 || hasChanges(technologies) || duration) {
+      result.changed.push({ ...roleLabel(role), duration: duration || undefined, bullets, technologies });
+    }
+  });
+  beforeRoles.forEach((role, key) => {
+    if (!afterRoles.has(key)) result.removed.push(roleLabel(role));
+  });
+  return result;
+};
+
+const diffProjects = (before, after) => {
+  const beforeProjects = new Map((before.analysis?.projects || []).map((project) => [keyOf(project.name), project]));
+  const afterProjects = new Map((after.analysis?.projects || []).map((project) => [keyOf(project.name), project]));
+  const result = { added: [], removed: [], changed: [] };
+
+  afterProjects.forEach((project, key) => {
+    const previous = beforeProjects.get(key);
+    if (!previous) {
+      result.added.push({
+        name: project.name,
+        description: project.description || '',
+        technologies: compact(project.technologies)
+      });
+      return;
+    }
+    const fields = PROJECT_FIELDS.map((field) => diffScalar(field, previous[field], project[field])).filter(Boolean);
+    const technologies = diffSets(previous.technologies, project.technologies);
+    if (fields.length > 0 || hasChanges(technologies)) {
+      result.changed.push({ name: project.name, fields, technologies });
+    }
+  });
+  beforeProjects.forEach((project, key) => {
+    if (!afterProjects.has(key)) result.removed.push({ name: project.name });
+  });
+  return result;
+};
+
+const educationLabel = (entry) => [entry.degree, entry.field, entry.school, entry.graduationYear].filter(Boolean).join(', ');
+
+// Compare two versions of a resume; `before` is normally the older one
+export const diffResumes = (before, after) => {
+  // Headline skills: every skill list together, so moving a skill between lists is not a change
+  const skillsOf = (resume) => [
+    ...(resume.parsedData?.skills || []),
+    ...(resume.analysis?.technicalSkills || []),
+    ...(resume.analysis?.softSkills || [])
+  ];
+  const skills = diffSets(skillsOf(before), skillsOf(after));
+
+  const lists = {};
+  LIST_FIELDS.forEach(([section, field]) => {
+    const diff = diffSets(before[section]?.[field], after[section]?.[field]);
+    if (hasChanges(diff)) lists[`${section}.${field}`] = diff;
+  });
+
+  const fields = SCALAR_FIELDS
+    .map(([section, field]) => diffScalar(`${section}.${field}`, before[section]?.[field], after[section]?.[field]))
+    .filter(Boolean);
+
+  const experience = diffExperience(before, after);
+  const projects = diffProjects(before, after);
+  const education = diffSets(
+    (before.analysis?.education || []).map(educationLabel),
+    (after.analysis?.education || []).map(educationLabel)
+  );
+
+  const bulletChanges = experience.changed.reduce((counts, role) => ({
+    added: counts.added + role.bullets.added.length,
+    removed: counts.removed + role.bullets.removed.length,
+    changed: counts.changed + role.bullets.changed.length
+  }), { added: 0, removed: 0, changed: 0 });
+
+  return {
+    summary: {
+      skillsAdded: skills.added.length,
+      skillsRemoved: skills.removed.length,
+      rolesAdded: experience.added.length,
+      rolesRemoved: experience.removed.length,
+      bulletsAdded: bulletChanges.added,
+      bulletsRemoved: bulletChanges.removed,
+      bulletsChanged: bulletChanges.changed,
+      projectsAdded: projects.added.length,
+      projectsRemoved: projects.removed.length,
+      projectsChanged: projects.changed.length,
+      fieldsChanged: fields.length
+    },
+    skills,
+    fields,
+    lists,
+    experience,
+    projects,
+    education
+  };
+};
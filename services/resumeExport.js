@@ -0,0 +1,405 @@
+import { createRequire } from 'module';
+import {
+  AlignmentType, BorderStyle, Document, HeadingLevel, LevelFormat, Packer, Paragraph, Tab, TabStopType, TextRun
+} from 'docx';
+import PDFDocument from 'pdfkit';
+import { exportJsonResume } from './jsonResume.js';
+
+// Resume export: a resume version as JSON Resume, or as an ATS-friendly single-column DOCX or PDF
+// (standard section headings, no tables, columns or images, and a real text layer). Both documents are
+// rendered from one outline of the resume, the DOCX with docx and the PDF with pdfkit.
+
+const require = createRequire(import.meta.url);
+
+export const EXPORT_FORMATS = ['json', 'docx', 'pdf'];
+
+export const PAPER_SIZES = ['letter', 'a4'];
+
+const exportError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const str = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+
+const strings = (values) => (Array.isArray(values) ? values.map(str).filter(Boolean) : []);
+
+const uniqueStrings = (values) => strings(values)
+  .filter((value, idx, all) => all.findIndex((other) => other.toLowerCase() === value.toLowerCase()) === idx);
+
+// Resumes analysed by the LLM never get parsedData.name, so fall back to the first line of the text
+// that looks like a name (short, no digits, no e-mail address)
+const guessName = (rawText) => {
+  const line = String(rawText || '').split('\n').map(str).slice(0, 5)
+    .find((candidate) => candidate.length > 1 && candidate.length <= 60 && !/[\d@|:]/.test(candidate));
+  return line || '';
+};
+
+// The resume as an ordered list of blocks both documents are rendered from:
+// name, contact, heading, entry ({ title, subtitle, dates }), paragraph and bullet
+export const buildResumeOutline = (resume) => {
+  const parsed = resume.parsedData || {};
+  const analysis = resume.analysis || {};
+  const blocks = [];
+  const section = (title, content) => {
+    if (content.length > 0) blocks.push({ type: 'heading', text: title }, ...content);
+  };
+
+  const name = str(parsed.name) || guessName(resume.rawText);
+  const role = str(analysis.primaryRole);
+  if (name) blocks.push({ type: 'name', text: name });
+  const contact = [role && role !== 'Not determined' ? role : '', str(parsed.email), str(parsed.phone)].filter(Boolean);
+  if (contact.length > 0) blocks.push({ type: 'contact', text: contact.join(' | ') });
+
+  section('Summary', str(parsed.summary) ? [{ type: 'paragraph', text: str(parsed.summary) }] : []);
+
+  const structured = Array.isArray(analysis.structuredExperience) ? analysis.structuredExperience : [];
+  section('Experience', structured.length > 0
+    ? structured.flatMap((exp) => [
+      { type: 'entry', title: str(exp.jobTitle) || str(exp.company), subtitle: str(exp.jobTitle) ? str(exp.company) : '', dates: str(exp.duration) },
+      ...[...strings(exp.keyResponsibilities), ...strings(exp.achievements)].map((text) => ({ type: 'bullet', text })),
+      ...(strings(exp.technologiesUsed).length > 0
+        ? [{ type: 'paragraph', text: `Technologies: ${strings(exp.technologiesUsed).join(', ')}` }]
+        : [])
+    ])
+    : (parsed.experience || []).flatMap((exp) => [
+      {
+        type: 'entry',
+        title: str(exp.title) || str(exp.company),
+        subtitle: [str(exp.title) ? str(exp.company) : '', str(exp.location)].filter(Boolean).join(', '),
+        dates: str(exp.duration)
+      },
+      ...String(exp.description || '').split('\n')
+        .map((line) => str(line.replace(/^\s*[-•*]\s*/, '')))
+        .filter(Boolean)
+        .map((text) => ({ type: 'bullet', text }))
+    ]));
+
+  section('Projects', (analysis.projects || []).filter((project) => str(project.name)).flatMap((project) => [
+    { type: 'entry', title: str(project.name), subtitle: str(project.yourRole), dates: '' },
+    ...(str(project.description) ? [{ type: 'paragraph', text: str(project.description) }] : []),
+    ...str(project.outcome).split(/;\s*/).map(str).filter(Boolean).map((text) => ({ type: 'bullet', text })),
+    ...(strings(project.technologies).length > 0
+      ? [{ type: 'paragraph', text: `Technologies: ${strings(project.technologies).join(', ')}` }]
+      : [])
+  ]));
+
+  const skills = uniqueStrings([...(analysis.technicalSkills || []), ...(parsed.skills || [])]);
+  section('Skills', skills.length > 0 ? [{ type: 'paragraph', text: skills.join(', ') }] : []);
+
+  section('Education', (analysis.education || []).length > 0
+    ? analysis.education.map((entry) => ({
+      type: 'entry',
+      title: [str(entry.degree), str(entry.field)].filter(Boolean).join(' in ') || str(entry.school),
+      subtitle: str(entry.degree) || str(entry.field) ? str(entry.school) : '',
+      dates: str(entry.graduationYear)
+    }))
+    : (parsed.education || []).map((entry) => ({
+      type: 'entry',
+      title: str(entry.degree) || str(entry.institution),
+      subtitle: str(entry.degree) ? str(entry.institution) : '',
+      dates: str(entry.year)
+    })));
+
+  section('Certifications', uniqueStrings(parsed.certifications).map((text) => ({ type: 'bullet', text })));
+  section('Achievements', uniqueStrings(analysis.achievements).map((text) => ({ type: 'bullet', text })));
+  section('Languages', strings(parsed.languages).length > 0
+    ? [{ type: 'paragraph', text: strings(parsed.languages).join(', ') }]
+    : []);
+
+  return blocks.filter((block) => block.type !== 'entry' || block.title);
+};
+
+// ---------------------------------------------------------------------------------------------------------
+// DOCX
+
+// Page sizes in twentieths of a point
+const DOCX_PAGES = {
+  letter: { width: 12240, height: 15840 },
+  a4: { width: 11906, height: 16838 }
+};
+const DOCX_MARGIN = 1080;
+const BULLETS = 'resume-bullets';
+
+// Calibri for Latin text only, so Word picks its own fonts for complex-script (e.g. Devanagari) and East Asian text
+const DOCX_FONT = { ascii: 'Calibri', hAnsi: 'Calibri' };
+
+const DOCX_STYLES = {
+  default: {
+    document: {
+      run: { font: DOCX_FONT, size: 21 },
+      paragraph: { spacing: { after: 60, line: 264 } }
+    },
+    title: {
+      run: { font: DOCX_FONT, bold: true, size: 40, color: '000000' },
+      paragraph: { spacing: { after: 40 } }
+    },
+    heading1: {
+      run: { font: DOCX_FONT, bold: true, allCaps: true, size: 24, color: '000000' },
+      paragraph: {
+        keepNext: true,
+        spacing: { before: 240, after: 80 },
+        border: { bottom: { style: BorderStyle.SINGLE, size: 6, space: 1, color: '808080' } }
+      }
+    }
+  },
+  paragraphStyles: [{
+    id: 'ListBullet',
+    name: 'List Bullet',
+    basedOn: 'Normal',
+    quickFormat: true,
+    paragraph: { spacing: { after: 20 } }
+  }]
+};
+
+const DOCX_NUMBERING = {
+  config: [{
+    reference: BULLETS,
+    levels: [{
+      level: 0,
+      format: LevelFormat.BULLET,
+      text: '•',
+      alignment: AlignmentType.LEFT,
+      style: { paragraph: { indent: { left: 360, hanging: 270 } } }
+    }]
+  }]
+};
+
+// Without the control characters XML 1.0 does not allow
+const xmlText = (text) => String(text).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '');
+
+const run = (text, options = {}) => new TextRun({ text: xmlText(text), ...options });
+
+export const renderResumeDocx = (blocks, { paper = 'letter' } = {}) => {
+  const page = DOCX_PAGES[paper] || DOCX_PAGES.letter;
+  const textWidth = page.width - 2 * DOCX_MARGIN;
+
+  const children = blocks.flatMap((block) => {
+    switch (block.type) {
+      case 'name':
+        return [new Paragraph({ heading: HeadingLevel.TITLE, children: [run(block.text)] })];
+      case 'contact':
+        return [new Paragraph({ spacing: { after: 120 }, children: [run(block.text)] })];
+      case 'heading':
+        return [new Paragraph({ heading: HeadingLevel.HEADING_1, children: [run(block.text)] })];
+      case 'entry':
+        // Title on the left, dates right-aligned on the same line
+        return [
+          new Paragraph({
+            keepNext: true,
+            tabStops: [{ type: TabStopType.RIGHT, position: textWidth }],
+            spacing: { before: 120, after: 0 },
+            children: [
+              run(block.title, { bold: true }),
+              ...(block.dates ? [new TextRun({ children: [new Tab(), xmlText(block.dates)] })] : [])
+            ]
+          }),
+          ...(block.subtitle
+            ? [new Paragraph({ keepNext: true, spacing: { after: 40 }, children: [run(block.subtitle, { italics: true })] })]
+            : [])
+        ];
+      case 'bullet':
+        return [new Paragraph({ style: 'ListBullet', numbering: { reference: BULLETS, level: 0 }, children: [run(block.text)] })];
+      default:
+        return [new Paragraph({ children: [run(block.text)] })];
+    }
+  });
+
+  const document = new Document({
+    creator: 'interview-bot-backend',
+    styles: DOCX_STYLES,
+    numbering: DOCX_NUMBERING,
+    sections: [{
+      properties: {
+        page: {
+          size: page,
+          margin: {
+            top: DOCX_MARGIN, right: DOCX_MARGIN, bottom: DOCX_MARGIN, left: DOCX_MARGIN, header: 720, footer: 720, gutter: 0
+          }
+        }
+      },
+      children
+    }]
+  });
+
+  return Packer.toBuffer(document);
+};
+
+// ---------------------------------------------------------------------------------------------------------
+// PDF (embedded Noto Sans fonts, subset to the glyphs used, so every word is selectable text in any script)
+
+// Page sizes in points
+const PDF_PAGES = {
+  letter: { width: 612, height: 792 },
+  a4: { width: 595.28, height: 841.89 }
+};
+const PDF_MARGIN = 54;
+const BULLET_INDENT = 14;
+
+// Noto Sans covers Latin, Cyrillic and Greek; Devanagari and CJK text is set in their own Noto families.
+// pdfkit only reads a font file once text uses it, so the large CJK fonts are loaded for CJK resumes only.
+const PDF_FONTS = {
+  'latin-regular': '@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf',
+  'latin-bold': '@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf',
+  'devanagari-regular': '@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf',
+  'devanagari-bold': '@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf',
+  'cjk-regular': '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf',
+  'cjk-bold': '@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf'
+};
+
+const DEVANAGARI = '\u0900-\u097f\u1cd0-\u1cff\ua8e0-\ua8ff';
+const CJK = '\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef';
+// Runs of one script; spaces between Devanagari or CJK words stay in the run
+const SCRIPT_RUN = new RegExp(`[${DEVANAGARI}]+(?:\\s+[${DEVANAGARI}]+)*|[${CJK}]+(?:\\s+[${CJK}]+)*|[^${DEVANAGARI}${CJK}]+`, 'g');
+
+const STARTS_DEVANAGARI = new RegExp(`^[${DEVANAGARI}]`);
+const STARTS_CJK = new RegExp(`^[${CJK}]`);
+
+const scriptOf = (text) => {
+  if (STARTS_DEVANAGARI.test(text)) return 'devanagari';
+  if (STARTS_CJK.test(text)) return 'cjk';
+  return 'latin';
+};
+
+const fontFor = (text, style) => `${scriptOf(text)}-${style.bold ? 'bold' : 'regular'}`;
+
+// Size and weight of each kind of text; line heights come from the font
+const PDF_STYLES = {
+  name: { size: 20, bold: true },
+  contact: { size: 10, bold: false },
+  heading: { size: 11.5, bold: true },
+  entry: { size: 10.5, bold: true },
+  subtitle: { size: 10, bold: false },
+  body: { size: 10, bold: false }
+};
+
+export const renderResumePdf = (blocks, { paper = 'letter', title = 'Resume' } = {}) => new Promise((resolve, reject) => {
+  const page = PDF_PAGES[paper] || PDF_PAGES.letter;
+  const contentWidth = page.width - 2 * PDF_MARGIN;
+  const doc = new PDFDocument({
+    size: [page.width, page.height],
+    margin: PDF_MARGIN,
+    font: null,
+    info: { Title: title, Producer: 'interview-bot-backend' }
+  });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  Object.entries(PDF_FONTS).forEach(([name, file]) => doc.registerFont(name, require.resolve(file)));
+
+  const lineHeight = (style) => doc.font(`latin-${style.bold ? 'bold' : 'regular'}`).fontSize(style.size).currentLineHeight(true);
+  const widthOf = (value, style) => (value.match(SCRIPT_RUN) || [])
+    .reduce((total, part) => total + doc.font(fontFor(part, style)).fontSize(style.size).widthOfString(part), 0);
+  // Start a new page unless `height` more points fit on this one
+  const ensureSpace = (height) => {
+    if (doc.y + height > doc.page.maxY()) doc.addPage();
+  };
+  // Wrapped text at (x, y), each script run in its own font
+  const write = (value, style, { x = PDF_MARGIN, y = doc.y, width = contentWidth, lineBreak = true } = {}) => {
+    const parts = value.match(SCRIPT_RUN) || [];
+    doc.fontSize(style.size);
+    parts.forEach((part, idx) => {
+      const options = { width, lineBreak, continued: idx < parts.length - 1 };
+      doc.font(fontFor(part, style));
+      if (idx === 0) doc.text(part, x, y, options);
+      else doc.text(part, options);
+    });
+    doc.x = PDF_MARGIN;
+  };
+
+  try {
+    blocks.forEach((block, idx) => {
+      const next = blocks[idx + 1];
+      switch (block.type) {
+        case 'name':
+          write(block.text, PDF_STYLES.name);
+          break;
+        case 'contact':
+          write(block.text, PDF_STYLES.contact);
+          doc.y += 4;
+          break;
+        case 'heading':
+          // Keep the heading with the first line below it
+          ensureSpace(10 + lineHeight(PDF_STYLES.heading) + 6 + lineHeight(PDF_STYLES.entry));
+          doc.y += 10;
+          write(block.text.toUpperCase(), PDF_STYLES.heading);
+          doc.y += 2;
+          doc.moveTo(PDF_MARGIN, doc.y).lineTo(page.width - PDF_MARGIN, doc.y).lineWidth(0.6).strokeColor('#808080').stroke();
+          doc.y += 4;
+          break;
+        case 'entry': {
+          const datesWidth = block.dates ? widthOf(block.dates, PDF_STYLES.subtitle) : 0;
+          ensureSpace(4 + lineHeight(PDF_STYLES.entry) + (block.subtitle ? lineHeight(PDF_STYLES.subtitle) : 0) + lineHeight(PDF_STYLES.body));
+          doc.y += 4;
+          const top = doc.y;
+          if (block.dates) {
+            write(block.dates, PDF_STYLES.subtitle, { x: page.width - PDF_MARGIN - datesWidth, width: datesWidth + 1, lineBreak: false });
+          }
+          write(block.title, PDF_STYLES.entry, { y: top, width: contentWidth - (datesWidth ? datesWidth + 12 : 0) });
+          if (block.subtitle) write(block.subtitle, PDF_STYLES.subtitle);
+          break;
+        }
+        case 'bullet': {
+          ensureSpace(lineHeight(PDF_STYLES.body));
+          const top = doc.y;
+          write('•', PDF_STYLES.body, { x: PDF_MARGIN + 3, lineBreak: false });
+          write(block.text, PDF_STYLES.body, { x: PDF_MARGIN + BULLET_INDENT, y: top, width: contentWidth - BULLET_INDENT });
+          if (next && next.type !== 'bullet') doc.y += 2;
+          break;
+        }
+        default:
+          write(block.text, PDF_STYLES.body);
+          doc.y += 2;
+      }
+    });
+  } catch (error) {
+    reject(error);
+    return;
+  }
+  doc.end();
+});
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  pdf: 'application/pdf'
+};
+
+// ASCII file name part: accents dropped, anything else (including non-Latin scripts) collapsed to "_"
+const fileNamePart = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^A-Za-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+// A resume version in an export format: { buffer, contentType, fileName }
+export const exportResume = async (resume, format, { paper = 'letter' } = {}) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw exportError(`Export format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+  }
+  if (!PAPER_SIZES.includes(paper)) {
+    throw exportError(`Paper size must be one of: ${PAPER_SIZES.join(', ')}`, 400);
+  }
+
+  const blocks = buildResumeOutline(resume);
+  const name = blocks.find((block) => block.type === 'name')?.text || '';
+  // A name with nothing left in ASCII (e.g. in Devanagari) falls back to the uploaded file's name
+  const nameBase = fileNamePart(name);
+  const baseName = nameBase
+    ? `${nameBase}_resume`
+    : fileNamePart(String(resume.fileName || '').replace(/\.[^.]+$/, '')) || 'resume';
+  const fileName = `${baseName}_v${resume.version || 1}.${format}`;
+
+  let buffer;
+  if (format === 'json') {
+    buffer = Buffer.from(JSON.stringify(exportJsonResume(resume, { name }), null, 2), 'utf8');
+  } else if (format === 'docx') {
+    buffer = await renderResumeDocx(blocks, { paper });
+  } else {
+    buffer = await renderResumePdf(blocks, { paper, title: name ? `${name} - Resume` : 'Resume' });
+  }
+
+  return { buffer, contentType: CONTENT_TYPES[format], fileName };
+};
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+
+// Resume-to-job matching: which of a job's required skills the resume demonstrates in its experience or
+// projects, only lists, or lacks. Deterministic (no LLM call) so repeated matches are comparable.
+
+// Skills the resume extractor looks for in resume text; also scanned for in pasted job descriptions
+export const SKILL_KEYWORDS = [
+  'JavaScript', 'Python', 'Java', 'C++', 'C#', 'Ruby', 'PHP', 'Swift', 'Kotlin',
+  'React', 'Angular', 'Vue', 'Node.js', 'Express', 'Django', 'Flask', 'Spring',
+  'SQL', 'MongoDB', 'PostgreSQL', 'MySQL', 'Redis', 'AWS', 'Azure', 'GCP',
+  'Docker', 'Kubernetes', 'Git', 'CI/CD', 'Agile', 'Scrum', 'REST', 'GraphQL',
+  'HTML', 'CSS', 'TypeScript', 'Machine Learning', 'AI', 'Data Science',
+  'Leadership', 'Communication', 'Problem Solving', 'Team Management'
+];
+
+// Most required skills a single match report considers
+const MAX_REQUIRED_SKILLS = 25;
+
+// Spellings that name the same skill
+const SKILL_ALIASES = [
+  ['node', 'node.js', 'nodejs'],
+  ['javascript', 'js'],
+  ['typescript', 'ts'],
+  ['postgres', 'postgresql'],
+  ['mongodb', 'mongo'],
+  ['vue', 'vue.js', 'vuejs'],
+  ['react', 'react.js', 'reactjs'],
+  ['express', 'express.js', 'expressjs'],
+  ['gcp', 'google cloud'],
+  ['aws', 'amazon web services'],
+  ['ci/cd', 'cicd', 'continuous integration'],
+  ['kubernetes', 'k8s'],
+  ['machine learning', 'ml'],
+  ['rest', 'rest api', 'restful']
+];
+
+// Acronyms that are also ordinary words ("rest", "ai") only count in capitals
+const CASE_SENSITIVE_SPELLINGS = new Set(['ai', 'ml', 'rest', 'sql', 'aws', 'gcp', 'css', 'html', 'api', 'js', 'ts']);
+
+// Required skills named by a job prompt ("Required Skills: a, b, c"); without that line, common tech terms
+// found in the job text
+export const extractRequiredSkills = (jobPrompt, { limit = 5 } = {}) => {
+  if (!jobPrompt) return [];
+  const lines = jobPrompt.split('\n');
+  const line = lines.find(l => l.toLowerCase().startsWith('required skills:')) || '';
+  const raw = line.split(':').slice(1).join(':').trim();
+  if (!raw || /not specified/i.test(raw)) return [];
+  const skills = raw.split(',').map(s => s.trim()).filter(Boolean);
+  if (skills.length > 0) return skills.slice(0, limit);
+
+  // Fallback: extract common tech terms from job description text
+  const jobText = jobPrompt.toLowerCase();
+  const commonSkills = [
+    'html', 'css', 'javascript', 'typescript', 'react', 'vue', 'angular', 'node', 'express',
+    'mongodb', 'mysql', 'postgres', 'sql', 'rest', 'api', 'git', 'docker', 'aws', 'azure'
+  ];
+  const found = commonSkills.filter(skill => jobText.includes(skill));
+  return found.slice(0, limit).map(s => s.toUpperCase() === s ? s : s[0].toUpperCase() + s.slice(1));
+};
+
+const normalizeSkill = (skill) => String(skill || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// One key per skill: its normalized name, or the first spelling of its alias group ("postgres" for PostgreSQL)
+const skillKey = (skill) => {
+  const name = normalizeSkill(skill);
+  return (SKILL_ALIASES.find((group) => group.includes(name)) || [name])[0];
+};
+
+// Every spelling of a skill, as regexes that only match it as a whole term ("Java" is not in "JavaScript")
+const skillPatterns = (skill) => {
+  const name = normalizeSkill(skill);
+  const spellings = SKILL_ALIASES.find((group) => group.includes(name)) || [name];
+  return spellings.map((spelling) => {
+    const caseSensitive = CASE_SENSITIVE_SPELLINGS.has(spelling);
+    const escaped = (caseSensitive ? spelling.toUpperCase() : spelling).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![A-Za-z0-9+#])${escaped}(?![A-Za-z0-9+#]|\\.[A-Za-z])`, caseSensitive ? '' : 'i');
+  });
+};
+
+const mentions = (patterns, text) => Boolean(text) && patterns.some((pattern) => pattern.test(text));
+
+// Skills named anywhere in a job description, from the extractor's keyword list
+const skillsInText = (text) => SKILL_KEYWORDS.filter((skill) => mentions(skillPatterns(skill), text));
+
+// The job's listed skills (read the way the interview prompt reads them) come first; a description adds the
+// skills it mentions
+export const requiredSkillsFor = ({ skills = [], description = '' }) => {
+  const listed = (Array.isArray(skills) ? skills : String(skills || '').split(',')).map((s) => String(s).trim()).filter(Boolean);
+  const explicit = extractRequiredSkills(`Required Skills: ${listed.join(', ') || 'Not specified'}`, { limit: MAX_REQUIRED_SKILLS });
+  const described = description ? skillsInText(description) : [];
+
+  // One entry per skill: "Postgres" and "PostgreSQL" (or "AWS" and "Amazon Web Services") are the same, while
+  // "React" and "React Native" (or "Spring" and "Spring Boot") are different skills
+  const seen = new Set();
+  return [...explicit, ...described].filter((skill) => {
+    const key = skillKey(skill);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_REQUIRED_SKILLS);
+};
+
+// Places a resume can show a skill. Experience and projects demonstrate it; skill lists and loose
+// mentions in the text only claim it.
+const evidenceSources = (resume) => {
+  const analysis = resume.analysis || {};
+  const parsed = resume.parsedData || {};
+  const join = (...parts) => parts.flat().filter(Boolean).join('\n');
+
+  const experience = (analysis.structuredExperience || []).map((exp) => ({
+    source: 'experience',
+    detail: [exp.jobTitle, exp.company].filter(Boolean).join(' at ') || 'Work experience',
+    text: join(exp.jobTitle, exp.technologiesUsed, exp.keyResponsibilities, exp.achievements)
+  }));
+  // Basic parsed roles, unless the structured analysis already has the same role (e.g. JSON Resume imports)
+  (parsed.experience || []).forEach((exp) => {
+    const detail = [exp.title, exp.company].filter(Boolean).join(' at ') || 'Work experience';
+    if (experience.some((entry) => entry.detail === detail)) return;
+    experience.push({ source: 'experience', detail, text: join(exp.title, exp.description) });
+  });
+  const projects = (analysis.projects || []).map((project) => ({
+    source: 'project',
+    detail: project.name || 'Project',
+    text: join(project.name, project.technologies, project.description, project.yourRole, project.outcome)
+  }));
+  const achievements = (analysis.achievements || []).length
+    ? [{ source: 'achievement', detail: 'Achievements', text: join(analysis.achievements) }]
+    : [];
+
+  return {
+    demonstrated: [...experience, ...projects, ...achievements],
+    claimed: [
+      { source: 'skills', detail: 'Skills section', text: join(parsed.skills, analysis.technicalSkills, analysis.softSkills, parsed.certifications) },
+      { source: 'resume-text', detail: 'Mentioned in the resume text', text: resume.rawText || '' }
+    ]
+  };
+};
+
+// Score a resume against a job's required skills: 100 when every skill is backed by experience or a
+// project, half credit for a skill the resume only lists
+export const matchResumeToJob = (resume, job) => {
+  const requiredSkills = requiredSkillsFor(job);
+  const { demonstrated, claimed } = evidenceSources(resume);
+  const matched = [];
+  const weak = [];
+  const missing = [];
+
+  requiredSkills.forEach((skill) => {
+    const patterns = skillPatterns(skill);
+    const shown = demonstrated.filter((entry) => mentions(patterns, entry.text));
+    if (shown.length > 0) {
+      matched.push({ skill, evidence: shown.slice(0, 3).map(({ source, detail }) => ({ source, detail })) });
+      return;
+    }
+    const listed = claimed.filter((entry) => mentions(patterns, entry.text));
+    if (listed.length > 0) {
+      weak.push({
+        skill,
+        evidence: listed.slice(0, 1).map(({ source, detail }) => ({ source, detail })),
+        suggestion: `Add a bullet to a role or project showing where you used ${skill} and what it achieved.`
+      });
+      return;
+    }
+    missing.push({
+      skill,
+      suggestion: `If you have worked with ${skill}, add it with a concrete example; otherwise expect interview questions on it.`
+    });
+  });
+
+  const score = requiredSkills.length
+    ? Math.round(((matched.length + weak.length * 0.5) / requiredSkills.length) * 100)
+    : 0;
+
+  return { score, requiredSkills, matched, weak, missing };
+};
+
+// Reports for the same saved job, or the same pasted description, share a key so they can be compared
+export const jobKeyFor = ({ targetJobId = null, title = '', description = '', skills = [] }) => {
+  if (targetJobId) return `job:${targetJobId}`;
+  const text = [title, description, [].concat(skills).join(',')].map(normalizeSkill).join('|');
+  return `text:${crypto.createHash('sha1').update(text).digest('hex').slice(0, 16)}`;
+};
@@ -0,0 +1,297 @@
+import zlib from 'zlib';
+import { createRequire } from 'module';
+import mammoth from 'mammoth';
+
+// pdf-parse is a CommonJS module, need to import it differently
+const require = createRequire(import.meta.url);
+const pdfParseModule = require('pdf-parse');
+// pdf-parse exports a default function
+const pdfParse = pdfParseModule.default || pdfParseModule;
+
+// Text extraction for every uploadable resume format. JSON Resume files are structured data and are
+// imported by services/jsonResume.js instead.
+
+// Largest file a resume archive (ODT) may unpack to
+const MAX_UNZIPPED_BYTES = 20 * 1024 * 1024;
+
+const parseError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Line endings unified and runs of blank lines collapsed
+const tidyText = (text) => String(text || '')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Helper function to parse PDF
+async function parsePDF(buffer) {
+  try {
+    console.log('Attempting PDF parse with buffer size:', buffer.length);
+    const data = await pdfParse(buffer);
+    console.log('PDF parse successful, extracted text length:', data.text?.length || 0);
+    if (!data.text) {
+      throw new Error('PDF parser returned empty text');
+    }
+    return data.text;
+  } catch (error) {
+    console.error('PDF parsing error:', error.message);
+    throw new Error(`Failed to parse PDF: ${error.message}`);
+  }
+}
+
+// Helper function to parse DOCX
+async function parseDOCX(buffer) {
+  try {
+    console.log('Attempting DOCX parse with buffer size:', buffer.length);
+    const result = await mammoth.extractRawText({ buffer });
+    console.log('DOCX parse successful, extracted text length:', result.value?.length || 0);
+    if (!result.value) {
+      throw new Error('DOCX parser returned empty text');
+    }
+    return result.value;
+  } catch (error) {
+    console.error('DOCX parsing error:', error.message);
+    throw new Error(`Failed to parse DOCX: ${error.message}`);
+  }
+}
+
+// Windows-1252 characters for bytes 0x80-0x9F (the rest match Latin-1); Node's TextDecoder treats
+// windows-1252 as plain Latin-1
+const CP1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+const decodeCp1252 = (bytes) => Array.from(bytes, (byte) => (byte >= 0x80 && byte < 0xa0
+  ? CP1252_HIGH[byte - 0x80]
+  : String.fromCharCode(byte))).join('');
+
+// Plain text: UTF-8 or UTF-16 (by BOM), falling back to Windows-1252 for legacy files
+export const decodeText = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.subarray(2).toString('utf16le');
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer);
+  } catch {
+    return decodeCp1252(buffer);
+  }
+};
+
+const parseText = (buffer) => tidyText(decodeText(buffer));
+
+// Markdown escapes (\*, \_ ...) held back while formatting is stripped, then restored as plain characters
+const MARKDOWN_ESCAPE = /\\([\\`*_{}[\]()#+\-.!|~>])/g;
+const ESCAPED_CHAR = /\u0000(\d+)\u0000/g;
+
+// Markdown to plain text: formatting dropped, headings and list items kept as lines, link targets kept
+const parseMarkdown = (buffer) => tidyText(decodeText(buffer)
+  .replace(/\r\n?/g, '\n')
+  .replace(MARKDOWN_ESCAPE, (match, char) => `\u0000${char.charCodeAt(0)}\u0000`)
+  .replace(/^---\n[\s\S]*?\n---\n/, '')
+  .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => (label === url ? url : `${label} (${url})`))
+  .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+  .replace(/<\/?[a-z][^>]*>/gi, '')
+  .replace(/^ {0,3}#{1,6}[ \t]+(.*?)[ \t]*#*$/gm, '$1')
+  .replace(/^ {0,3}(?:[-*_] *){3,}$/gm, '')
+  .replace(/^[ \t]*\|?[ \t]*:?-{3,}:?[ \t]*(\|[ \t]*:?-{3,}:?[ \t]*)*\|?[ \t]*(\n|$)/gm, '')
+  .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (match, cells) => cells.split('|').map((cell) => cell.trim()).join('  '))
+  .replace(/^([ \t]*)[-*+][ \t]+\[[ xX]\][ \t]+/gm, '$1- ')
+  .replace(/^([ \t]*)[*+][ \t]+/gm, '$1- ')
+  .replace(/^[ \t]*>[ \t]?/gm, '')
+  .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+  .replace(/(?<![\w*])[*_](?=\S)([^*_\n]*?\S)[*_](?![\w*])/g, '$1')
+  .replace(/~~(.*?)~~/g, '$1')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(ESCAPED_CHAR, (match, code) => String.fromCharCode(Number(code))));
+
+// RTF destinations whose content is not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'listtable', 'listoverridetable', 'rsidtbl',
+  'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'mmathPr', 'fldinst'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  emspace: ' ', enspace: ' ', qmspace: ' '
+};
+
+// RTF to plain text: control words and non-text destinations dropped, \'hh and \uN characters decoded
+const parseRTF = (buffer) => {
+  const rtf = buffer.toString('latin1');
+  if (!rtf.startsWith('{\\rtf')) {
+    throw parseError('File is not a valid RTF document');
+  }
+
+  const tokens = /\\([a-zA-Z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/g;
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1;
+  // Fallback characters still to drop after a \uN character
+  let pendingSkip = 0;
+  let out = '';
+
+  for (const [, word, arg, hex, symbol, brace, text] of rtf.matchAll(tokens)) {
+    if (brace === '{') {
+      stack.push({ skip, unicodeSkip });
+    } else if (brace === '}') {
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+      pendingSkip = 0;
+    } else if (word) {
+      if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+        skip = true;
+      } else if (word === 'uc') {
+        unicodeSkip = Number(arg) || 0;
+      } else if (skip) {
+        continue;
+      } else if (word === 'u') {
+        const code = Number(arg);
+        out += String.fromCharCode(code < 0 ? code + 65536 : code);
+        pendingSkip = unicodeSkip;
+      } else if (RTF_SYMBOLS[word]) {
+        out += RTF_SYMBOLS[word];
+      }
+    } else if (hex) {
+      if (pendingSkip > 0) {
+        pendingSkip -= 1;
+      } else if (!skip) {
+        out += decodeCp1252([parseInt(hex, 16)]);
+      }
+    } else if (symbol) {
+      if (symbol === '*') {
+        skip = true;
+      } else if (skip) {
+        continue;
+      } else if (symbol === '~') {
+        out += ' ';
+      } else if (symbol === '_') {
+        out += '-';
+      } else if (symbol === '\n' || symbol === '\r') {
+        out += '\n';
+      } else if ('\\{}'.includes(symbol)) {
+        out += symbol;
+      }
+    } else if (text) {
+      let chars = text;
+      if (pendingSkip > 0) {
+        const dropped = Math.min(pendingSkip, chars.length);
+        chars = chars.slice(dropped);
+        pendingSkip -= dropped;
+      }
+      if (!skip) out += decodeCp1252(Buffer.from(chars, 'latin1'));
+    }
+  }
+
+  return tidyText(out);
+};
+
+// One file from a ZIP archive (ODT documents are ZIP packages), or null when it is not there
+export const readZipEntry = (buffer, name) => {
+  // End of central directory record: within the last 64KB (comment) + 22 bytes
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i -= 1) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw parseError('File is not a valid ZIP-based document');
+  }
+
+  const entries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < entries && offset + 46 <= buffer.length; i += 1) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const entryName = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (entryName === name) {
+      // Offsets come from the file, so a truncated or crafted archive can point past its end
+      if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+        throw parseError(`Corrupt ZIP entry: ${name}`);
+      }
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      if (dataStart + compressedSize > buffer.length) {
+        throw parseError(`Corrupt ZIP entry: ${name}`);
+      }
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method !== 8) throw parseError(`Unsupported compression in ${name}`);
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: MAX_UNZIPPED_BYTES });
+      } catch (error) {
+        throw parseError(error.code === 'ERR_BUFFER_TOO_LARGE' ? `${name} is too large` : `Corrupt ZIP entry: ${name}`);
+      }
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+};
+
+const decodeXmlEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// OpenDocument text: paragraphs, headings and list items from content.xml
+const parseODT = (buffer) => {
+  const content = readZipEntry(buffer, 'content.xml');
+  if (!content) {
+    throw parseError('File is not a valid ODT document');
+  }
+
+  const xml = content.toString('utf8')
+    .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '')
+    .replace(/<text:tracked-changes\b[\s\S]*?<\/text:tracked-changes>/g, '');
+  const body = xml.slice(Math.max(0, xml.indexOf('<office:body')));
+
+  return tidyText(decodeXmlEntities(body
+    .replace(/<text:s\s+text:c="(\d+)"\s*\/>/g, (match, count) => ' '.repeat(Math.min(Number(count), 50)))
+    .replace(/<text:s\s*\/>/g, ' ')
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:list-item\b[^>]*>/g, '- ')
+    .replace(/<\/text:(p|h)>/g, '\n')
+    .replace(/<\/table:table-row>/g, '\n')
+    .replace(/<[^>]+>/g, '')));
+};
+
+// Uploadable formats by file extension. `fileType` is stored on the resume (models/Resume.js).
+// Legacy .doc (binary Word) is not accepted: it cannot be read reliably without Word.
+export const RESUME_FORMATS = {
+  '.pdf': { fileType: 'pdf', parse: parsePDF },
+  '.docx': { fileType: 'docx', parse: parseDOCX },
+  '.odt': { fileType: 'odt', parse: parseODT },
+  '.rtf': { fileType: 'rtf', parse: parseRTF },
+  '.txt': { fileType: 'txt', parse: parseText },
+  '.md': { fileType: 'md', parse: parseMarkdown },
+  '.markdown': { fileType: 'md', parse: parseMarkdown },
+  '.json': { fileType: 'json', structured: true }
+};
+
+export const SUPPORTED_RESUME_EXTENSIONS = Object.keys(RESUME_FORMATS);
+
+// Resume text from an uploaded file of a supported (non-structured) format
+export const extractResumeText = async (buffer, extension) => {
+  const format = RESUME_FORMATS[extension];
+  if (!format || format.structured) {
+    throw new Error('Unsupported file format');
+  }
+  console.log(`Parsing ${format.fileType.toUpperCase()} file...`);
+  return format.parse(buffer);
+};
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import Resume from '../models/Resume.js';
+
+// Resume lineages: each upload (or accepted edit) of the same resume is a new, immutable version, so an
+// interview pinned to a version keeps the exact resume its questions and feedback were based on.
+
+const versionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// A resume of the user by id, optionally swapped for another version of its lineage
+export const findResumeVersion = async (userId, resumeId, version = null) => {
+  if (!mongoose.isValidObjectId(resumeId)) {
+    throw versionError('Resume not found', 404);
+  }
+  const resume = await Resume.findOne({ _id: resumeId, userId });
+  if (!resume) {
+    throw versionError('Resume not found', 404);
+  }
+  if (version === null || version === undefined || version === '' || Number(version) === resume.version) {
+    return resume;
+  }
+
+  const wanted = Number(version);
+  if (!Number.isInteger(wanted) || wanted < 1) {
+    throw versionError('Version must be a positive whole number', 400);
+  }
+  const lineage = await Resume.findLineage(userId, resume.lineageId);
+  const match = lineage.find((entry) => entry.version === wanted);
+  if (!match) {
+    throw versionError(`Version ${wanted} of this resume not found`, 404);
+  }
+  return match;
+};
+
+// Lineage and version number for a new version of `resume`'s lineage
+export const nextVersionFields = async (resume) => {
+  const { lineageId } = resume;
+  const [latest] = await Resume.find({ $or: [{ lineageId }, { _id: lineageId }] })
+    .sort({ version: -1 })
+    .limit(1);
+
+  // A resume uploaded before versioning gets its lineage stored now, so lineage queries find it by field
+  await Resume.updateOne({ _id: lineageId, lineageId: { $exists: false } }, { $set: { lineageId, version: 1 } });
+
+  return { lineageId, version: (latest?.version || 1) + 1 };
+};
+
+// Duplicate-key error from two versions of a lineage being saved at once
+export const isVersionConflict = (error) => error?.code === 11000 && Boolean(error.keyPattern?.lineageId);
+
+// Pin the exact resume version an interview uses
+export const pinResumeToChat = (chat, resume) => {
+  chat.resumeId = resume ? resume._id : null;
+  chat.resumeVersion = resume ? resume.version : null;
+  return chat;
+};
+
+export const toVersionSummary = (resume) => ({
+  id: resume._id,
+  lineageId: resume.lineageId,
+  version: resume.version,
+  fileName: resume.fileName,
+  uploadedAt: resume.createdAt,
+  isActive: resume.isActive
+});
@@ -0,0 +1,362 @@
+import { createClient as createDeepgramClient } from '@deepgram/sdk';
+import { toFile } from 'openai';
+import { openaiClient } from './llmProvider.js';
+import { isMockProvider, createMockDeepgramClient } from './mockProviders.js';
+import { recordUsage } from './usageLedger.js';
+import { resolveTtsVoice } from './speechSynthesis.js';
+import { normalizeLanguage, isSupportedLanguage, resolveLanguage, languageName, auraVoiceFor } from './languages.js';
+
+// Speech-to-text: deepgram (default), openai (Whisper), whispercpp (local server) or mock.
+// Text-to-speech: deepgram (default), openai or mock. AI_PROVIDER=mock forces mock for both.
+const STT_PROVIDERS = ['deepgram', 'openai', 'whispercpp', 'mock'];
+const TTS_PROVIDERS = ['deepgram', 'openai', 'mock'];
+
+// Language for calls that do not name one (e.g. /transcribe without a chat language)
+const DEFAULT_LANGUAGE = normalizeLanguage(process.env.SPEECH_LANGUAGE);
+const SPEECH_TIMEOUT_MS = Number(process.env.SPEECH_TIMEOUT_MS) || 30000;
+const DEEPGRAM_STT_MODEL = process.env.STT_MODEL || 'nova-2';
+const whisperCppUrl = (process.env.WHISPER_CPP_URL || '').replace(/\/+$/, '');
+const whisperCppModel = process.env.WHISPER_CPP_MODEL || 'whisper.cpp';
+
+// OpenAI voices; Aura names (and anything unknown) map to OPENAI_TTS_VOICE
+const OPENAI_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+const DEFAULT_OPENAI_VOICE = process.env.OPENAI_TTS_VOICE || 'nova';
+
+// Live transcription settings shared by every streaming session
+export const LIVE_TRANSCRIPTION_OPTIONS = {
+  smart_format: true,           // Auto-capitalize, punctuate
+  interim_results: true,        // Get partial transcripts as user speaks
+  punctuate: true,
+  endpointing: 300,             // Detect silence after 300ms
+  vad_events: true,             // Voice activity detection
+  encoding: 'linear16',
+  sample_rate: 16000
+};
+
+const deepgramApiKey = process.env.DEEPGRAM_API_KEY;
+const deepgramClient = isMockProvider
+  ? createMockDeepgramClient()
+  : (deepgramApiKey ? createDeepgramClient(deepgramApiKey) : null);
+
+const pickProvider = (envName, allowed) => {
+  if (isMockProvider) return 'mock';
+  const requested = (process.env[envName] || 'deepgram').toLowerCase();
+  if (allowed.includes(requested) && requested !== 'mock') return requested;
+  console.warn(`⚠️  Unknown ${envName} "${requested}" - using Deepgram`);
+  return 'deepgram';
+};
+
+// Build an error the global errorHandler (HTTP) and the voice WebSocket report with its statusCode
+const speechError = (message, statusCode, cause = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.cause = cause;
+  return error;
+};
+
+const errorType = (error) => error?.constructor?.name || error?.name;
+
+// Provider failures mapped to what the client should see: bad input is the caller's fault, anything
+// else is the speech service's
+const toSpeechError = (error, backend, kind) => {
+  if (error?.statusCode) return error;
+
+  const status = Number(error?.status) || null;
+  if ([400, 413, 415, 422].includes(status)) {
+    return speechError(kind === 'stt' ? 'The audio could not be transcribed' : 'The text could not be converted to speech', 400, error);
+  }
+  if ([401, 403].includes(status)) {
+    return speechError(`${backend.label} rejected the server's speech credentials`, 502, error);
+  }
+  if (status === 429) {
+    return speechError(`${backend.label} is rate limiting speech requests. Please try again shortly.`, 503, error);
+  }
+  // fetch timeouts are DOMExceptions named TimeoutError
+  if (['TimeoutError', 'APIConnectionTimeoutError'].includes(errorType(error)) || error?.name === 'TimeoutError') {
+    return speechError(`${backend.label} speech request timed out`, 504, error);
+  }
+  return speechError(`${backend.label} speech service is unavailable`, 502, error);
+};
+
+// Word timings in seconds ({ word, start, end }) in the same shape for every provider
+export const toWordTimings = (words) => (Array.isArray(words) ? words : [])
+  .filter((w) => w && Number.isFinite(Number(w.start)) && Number.isFinite(Number(w.end)))
+  .map((w) => ({ word: String(w.punctuated_word || w.word || '').trim(), start: Number(w.start), end: Number(w.end) }));
+
+// Deepgram calls (the mock client under AI_PROVIDER=mock)
+const deepgramTranscribe = async (buffer, { language }) => {
+  const { result, error } = await deepgramClient.listen.prerecorded.transcribeFile(buffer, {
+    model: DEEPGRAM_STT_MODEL,
+    smart_format: true,
+    punctuate: true,
+    language,
+    diarize: false
+  });
+  if (error) {
+    throw error;
+  }
+  const alternative = result?.results?.channels?.[0]?.alternatives?.[0];
+  return {
+    transcript: alternative?.transcript || '',
+    durationSeconds: result?.metadata?.duration || 0,
+    words: toWordTimings(alternative?.words)
+  };
+};
+
+const allLanguages = () => true;
+
+// Aura voices are per language ("aura-2-celeste-es"); keep the requested one only if it speaks the language
+const resolveAuraVoice = (voice, language) => {
+  if (typeof voice === 'string' && voice.startsWith('aura-') && voice.endsWith(`-${language}`)) return voice;
+  return auraVoiceFor(language) || resolveTtsVoice(voice);
+};
+
+// Aura over plain fetch: the SDK's speak.request cannot take an abort signal, and barge-in has to cancel
+// sentences that are still being synthesized
+const deepgramSpeak = async (text, voice, signal) => {
+  const timeout = AbortSignal.timeout(SPEECH_TIMEOUT_MS);
+  const query = new URLSearchParams({ model: voice, encoding: 'mp3' });
+  const response = await fetch(`https://api.deepgram.com/v1/speak?${query}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Token ${deepgramApiKey}`,
+      'Content-Type': 'application/json',
+      Accept: 'audio/*'
+    },
+    body: JSON.stringify({ text }),
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+  });
+  if (!response.ok) {
+    const error = new Error(`Deepgram speak responded with ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const mockSpeak = async (text, voice) => {
+  const response = await deepgramClient.speak.request({ text }, { model: voice, encoding: 'mp3' });
+  return Buffer.from(await response.result.arrayBuffer());
+};
+
+// Every STT backend turns an audio buffer into { transcript, durationSeconds, words } and says which
+// interview languages it can transcribe
+const sttBackends = {
+  deepgram: {
+    label: 'Deepgram',
+    usageProvider: 'deepgram',
+    model: DEEPGRAM_STT_MODEL,
+    configured: () => !!deepgramApiKey,
+    supportsLanguage: allLanguages,
+    transcribe: deepgramTranscribe,
+    live: (options) => deepgramClient.listen.live(options)
+  },
+  openai: {
+    label: 'OpenAI Whisper',
+    usageProvider: 'openai',
+    model: 'whisper-1',
+    configured: () => !!process.env.OPENAI_API_KEY,
+    supportsLanguage: allLanguages,
+    transcribe: async (buffer, { language, mimetype, filename }) => {
+      const result = await openaiClient.audio.transcriptions.create({
+        file: await toFile(buffer, filename || 'audio.webm', { type: mimetype || 'audio/webm' }),
+        model: 'whisper-1',
+        language,
+        response_format: 'verbose_json',
+        timestamp_granularities: ['word']
+      }, { timeout: SPEECH_TIMEOUT_MS });
+      return { transcript: (result.text || '').trim(), durationSeconds: result.duration || 0, words: toWordTimings(result.words) };
+    }
+  },
+  whispercpp: {
+    label: 'whisper.cpp',
+    usageProvider: 'local',
+    model: whisperCppModel,
+    configured: () => !!whisperCppUrl,
+    // English-only models are named *.en (ggml-base.en)
+    supportsLanguage: (language) => !/\.en$/i.test(whisperCppModel) || language === 'en',
+    // whisper.cpp's example server: POST /inference with a multipart "file"
+    transcribe: async (buffer, { language, mimetype, filename }) => {
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type: mimetype || 'audio/wav' }), filename || 'audio.wav');
+      form.append('response_format', 'verbose_json');
+      form.append('language', language);
+
+      const response = await fetch(`${whisperCppUrl}/inference`, {
+        method: 'POST',
+        body: form,
+        signal: AbortSignal.timeout(SPEECH_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        const error = new Error(`whisper.cpp server responded with ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      const body = await response.json();
+      // Recent server builds include per-word timings inside each segment
+      const words = (body.segments || []).flatMap((segment) => segment.words || []);
+      return { transcript: String(body.text || '').trim(), durationSeconds: body.duration || 0, words: toWordTimings(words) };
+    }
+  },
+  mock: {
+    label: 'Mock',
+    usageProvider: 'mock',
+    model: DEEPGRAM_STT_MODEL,
+    configured: () => true,
+    supportsLanguage: allLanguages,
+    transcribe: deepgramTranscribe,
+    live: (options) => deepgramClient.listen.live(options)
+  }
+};
+
+// Every TTS backend turns text into MP3 bytes in a voice it understands for the interview language
+const ttsBackends = {
+  deepgram: {
+    label: 'Deepgram',
+    usageProvider: 'deepgram',
+    configured: () => !!deepgramApiKey,
+    supportsLanguage: (language) => !!auraVoiceFor(language),
+    resolveVoice: resolveAuraVoice,
+    usageModel: (voice) => voice,
+    synthesize: deepgramSpeak
+  },
+  openai: {
+    label: 'OpenAI',
+    usageProvider: 'openai',
+    configured: () => !!process.env.OPENAI_API_KEY,
+    // OpenAI voices speak whatever language the text is in
+    supportsLanguage: allLanguages,
+    resolveVoice: (voice) => (OPENAI_VOICES.includes(voice) ? voice : DEFAULT_OPENAI_VOICE),
+    usageModel: () => 'tts-1',
+    synthesize: async (text, voice, signal) => {
+      const response = await openaiClient.audio.speech.create(
+        { model: 'tts-1', voice, input: text, response_format: 'mp3' },
+        { signal, timeout: SPEECH_TIMEOUT_MS }
+      );
+      return Buffer.from(await response.arrayBuffer());
+    }
+  },
+  mock: {
+    label: 'Mock',
+    usageProvider: 'mock',
+    configured: () => true,
+    supportsLanguage: allLanguages,
+    resolveVoice: resolveAuraVoice,
+    usageModel: (voice) => voice,
+    synthesize: mockSpeak
+  }
+};
+
+const sttName = pickProvider('STT_PROVIDER', STT_PROVIDERS);
+const ttsName = pickProvider('TTS_PROVIDER', TTS_PROVIDERS);
+const stt = { name: sttName, ...sttBackends[sttName] };
+const tts = { name: ttsName, ...ttsBackends[ttsName] };
+
+// Streaming needs Deepgram; a batch-only STT provider still gets live transcription when a key is set
+const liveName = stt.live ? sttName : 'deepgram';
+const live = { name: liveName, ...sttBackends[liveName] };
+
+export const sttProviderName = stt.label;
+export const ttsProviderName = tts.label;
+
+export const isSpeechToTextAvailable = () => stt.configured();
+export const isTextToSpeechAvailable = () => tts.configured();
+export const isLiveTranscriptionAvailable = () => live.configured();
+
+const SPEECH_KINDS = {
+  stt: { backend: () => stt, label: 'speech-to-text', setting: 'STT_PROVIDER' },
+  live: { backend: () => live, label: 'live transcription', setting: 'DEEPGRAM_API_KEY' },
+  tts: { backend: () => tts, label: 'text-to-speech', setting: 'TTS_PROVIDER' }
+};
+
+// Which of the configured speech providers can handle an interview language
+export const getLanguageSupport = (language) => {
+  const code = normalizeLanguage(language);
+  const known = isSupportedLanguage(code);
+  return {
+    language: code,
+    stt: known && stt.supportsLanguage(code),
+    live: known && live.supportsLanguage(code),
+    tts: known && tts.supportsLanguage(code)
+  };
+};
+
+// Reject (400) a language the interview cannot run in with the current speech providers
+export const assertLanguageSupported = (language, kinds = Object.keys(SPEECH_KINDS)) => {
+  const code = resolveLanguage(language);
+  const support = getLanguageSupport(code);
+  const missing = kinds.find((kind) => !support[kind]);
+  if (missing) {
+    const { backend, label, setting } = SPEECH_KINDS[missing];
+    throw speechError(`${languageName(code)} is not supported by the configured ${label} provider (${backend().label}). Check ${setting}.`, 400);
+  }
+  return code;
+};
+
+// Transcribe a complete recording: { transcript, durationSeconds, words, provider, model }
+export const transcribeAudio = async (buffer, { language = DEFAULT_LANGUAGE, mimetype, filename } = {}) => {
+  if (!stt.configured()) {
+    throw speechError(`Speech-to-text is not configured on this server (STT_PROVIDER=${stt.name})`, 501);
+  }
+
+  try {
+    const result = await stt.transcribe(buffer, { language: normalizeLanguage(language), mimetype, filename });
+    recordUsage({ kind: 'stt', provider: stt.usageProvider, model: stt.model, audioSeconds: result.durationSeconds });
+    return { ...result, language: normalizeLanguage(language), provider: stt.name, model: stt.model };
+  } catch (error) {
+    throw toSpeechError(error, stt, 'stt');
+  }
+};
+
+// Voice name the TTS provider will actually use for a requested one in the given language
+export const resolveVoice = (voice, language = DEFAULT_LANGUAGE) => tts.resolveVoice(voice, normalizeLanguage(language));
+
+// Synthesize speech: { audio (MP3 Buffer), format, voice, provider }
+export const synthesizeSpeech = async (text, { voice, language = DEFAULT_LANGUAGE, signal } = {}) => {
+  if (!tts.configured()) {
+    throw speechError(`Text-to-speech is not configured on this server (TTS_PROVIDER=${tts.name})`, 501);
+  }
+
+  const resolvedVoice = resolveVoice(voice, language);
+  try {
+    const audio = await tts.synthesize(text, resolvedVoice, signal);
+    recordUsage({ kind: 'tts', provider: tts.usageProvider, model: tts.usageModel(resolvedVoice), characters: text.length });
+    return { audio, format: 'mp3', voice: resolvedVoice, provider: tts.name };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw toSpeechError(error, tts, 'tts');
+  }
+};
+
+// Open a streaming transcription ('Results', 'SpeechStarted', 'error', 'close'; send(), finish())
+export const openLiveTranscription = ({ language = DEFAULT_LANGUAGE } = {}) => {
+  if (!live.configured()) {
+    throw speechError('Live transcription needs Deepgram. Set DEEPGRAM_API_KEY to enable the voice stream.', 501);
+  }
+  try {
+    return live.live({ model: live.model, language: normalizeLanguage(language), ...LIVE_TRANSCRIPTION_OPTIONS });
+  } catch (error) {
+    throw toSpeechError(error, live, 'stt');
+  }
+};
+
+// Streamed audio is metered when the live session ends
+export const recordLiveTranscriptionUsage = (audioSeconds, context) => {
+  if (audioSeconds <= 0) return;
+  recordUsage({ kind: 'stt', provider: live.usageProvider, model: live.model, audioSeconds }, context);
+};
+
+// Speech configuration for /api/health
+export const getSpeechProviderStatus = () => ({
+  stt: { provider: stt.name, label: stt.label, model: stt.model, configured: stt.configured() },
+  live: { provider: live.name, label: live.label, model: live.model, configured: live.configured() },
+  tts: { provider: tts.name, label: tts.label, configured: tts.configured() }
+});
+
+export const logSpeechProviderStatus = () => {
+  console.log(`Using STT Provider: ${stt.label}${stt.configured() ? '' : ' (not configured)'}`);
+  if (live.name !== stt.name) {
+    console.log(`Using live STT Provider: ${live.label}${live.configured() ? '' : ' (not configured)'}`);
+  }
+  console.log(`Using TTS Provider: ${tts.label}${tts.configured() ? '' : ' (not configured)'}`);
+};
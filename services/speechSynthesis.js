@@ -0,0 +1,56 @@
+// Deepgram Aura voice used when the caller does not ask for one (or asks for a non-Aura name)
+export const DEFAULT_TTS_VOICE = 'aura-2-helena-en';
+
+// Map any non-Deepgram voice names (e.g., OpenAI alloy) to a valid Deepgram Aura model
+export const resolveTtsVoice = (voice) => (typeof voice === 'string' && voice.startsWith('aura-') ? voice : DEFAULT_TTS_VOICE);
+
+// Section markers of the voice interviewer's "[FEEDBACK: ...] [QUESTION: ...]" replies
+const SECTION_MARKER = /\[(FEEDBACK|QUESTION):\s*/g;
+// A marker that has only partly arrived, e.g. "[QUES" at the end of the text so far
+const PARTIAL_MARKER = /\[[A-Z]*:?$/;
+// End of a sentence: punctuation followed by whitespace and a word that does not start lowercase ("e.g. this"
+// is one sentence), a line break, or the end of a section. The end of the whole text is handled by flush().
+const SENTENCE_END = /[.!?]+(?=\s+[^\s\p{Ll}])|\n|\]/gu;
+// Words whose period does not end a sentence even before a capital ("Dr. Smith", "i.e. Kafka")
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'e.g', 'i.e', 'approx', 'inc', 'ltd', 'dept']);
+
+// A period after an abbreviation or a single initial ("J. Smith")
+const isAbbreviation = (text, match) => {
+  if (match[0] !== '.') return false;
+  const word = (text.slice(0, match.index).match(/(\S+)$/)?.[1] || '').replace(/^[("'“‘]+/, '').toLowerCase();
+  return ABBREVIATIONS.has(word) || /^\p{L}$/u.test(word);
+};
+
+const cleanSentence = (text) => text.replace(/[[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Cut text that is still streaming in into sentences as soon as each one is complete, so speech for
+// the first sentence can start while the rest is being generated
+export const createSentenceSplitter = () => {
+  let buffer = '';
+
+  return {
+    push(text) {
+      buffer = (buffer + text).replace(SECTION_MARKER, '');
+      const sentences = [];
+      SENTENCE_END.lastIndex = 0;
+      let match = SENTENCE_END.exec(buffer);
+      while (match) {
+        if (!isAbbreviation(buffer, match)) {
+          const end = match.index + match[0].length;
+          const sentence = cleanSentence(buffer.slice(0, match[0] === ']' ? match.index : end));
+          if (sentence) sentences.push(sentence);
+          buffer = buffer.slice(end);
+          SENTENCE_END.lastIndex = 0;
+        }
+        match = SENTENCE_END.exec(buffer);
+      }
+      return sentences;
+    },
+    // Whatever is left once the text is complete
+    flush() {
+      const rest = cleanSentence(buffer.replace(PARTIAL_MARKER, ''));
+      buffer = '';
+      return rest ? [rest] : [];
+    }
+  };
+};
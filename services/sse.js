@@ -0,0 +1,97 @@
+// Server-Sent Events adapter for the HTTP AI routes.
+// Wraps an Express response so a handler written for `res.status(..).json(..)` can run unchanged:
+// handlers emit events with `sendEvent`, and the final `json()` call becomes the closing events.
+export const createSseResponse = (req, res) => {
+  const controller = new AbortController();
+  let opened = false;
+  let ended = false;
+
+  // The client went away before we finished: abort any upstream LLM call
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      ended = true;
+      controller.abort();
+    }
+  });
+
+  const open = () => {
+    if (opened) return;
+    opened = true;
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+  };
+
+  const sendEvent = (event, data) => {
+    if (ended) return false;
+    open();
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    return true;
+  };
+
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    res.end();
+  };
+
+  const sseRes = {
+    statusCode: 200,
+    abortSignal: controller.signal,
+    sendEvent,
+    end,
+    get headersSent() {
+      return opened;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    // Final reply: errors before the stream opened keep their real HTTP status,
+    // later ones become an `error` event. Successful replies emit one `question`
+    // event per question followed by `done` with the full payload.
+    json(body) {
+      if (ended) return this;
+      if (this.statusCode >= 400) {
+        if (!opened) {
+          ended = true;
+          res.status(this.statusCode).json(body);
+          return this;
+        }
+        sendEvent('error', { statusCode: this.statusCode, ...body });
+        end();
+        return this;
+      }
+
+      const data = body?.data || {};
+      const questions = Array.isArray(data.responses) ? data.responses : (data.response ? [data.response] : []);
+      questions.forEach((text, index) => sendEvent('question', { index, text }));
+      sendEvent('done', body);
+      end();
+      return this;
+    }
+  };
+
+  return sseRes;
+};
+
+// Run a handler against an SSE response; thrown errors go to the errorHandler until the stream has opened
+export const handleWithSse = (handler) => async (req, res, next) => {
+  const sseRes = createSseResponse(req, res);
+  try {
+    await handler(req, sseRes);
+  } catch (error) {
+    if (!sseRes.headersSent) {
+      return next(error);
+    }
+    if (!sseRes.abortSignal.aborted) {
+      console.error('❌ SSE handler error:', error.message);
+    }
+    sseRes.status(error.statusCode || 500).json({ status: 'error', message: error.message || 'Server Error' });
+  }
+};
@@ -0,0 +1,175 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import mongoose from 'mongoose';
+import UsageRecord from '../models/UsageRecord.js';
+
+// Request context (user, plan, chat, endpoint) for calls made deep inside route helpers
+const usageContext = new AsyncLocalStorage();
+
+// Estimated USD prices. LLM: per 1M input/output tokens. STT: per audio minute. TTS: per 1K characters.
+const LLM_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'mixtral-8x7b-32768': { input: 0.24, output: 0.24 }
+};
+const STT_PRICING_PER_MINUTE = {
+  'nova-2': 0.0043,
+  'whisper-1': 0.006
+};
+const TTS_PRICING_PER_1K_CHARS = {
+  'aura-2': 0.03,
+  aura: 0.015,
+  'tts-1': 0.015
+};
+
+// Local and mock providers cost nothing
+const FREE_PROVIDERS = ['local', 'mock'];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Longest price key that prefixes the model name (e.g. "gpt-4o-mini-2024-07-18" -> "gpt-4o-mini")
+const findPrice = (table, model = '') => {
+  const normalized = String(model).toLowerCase();
+  const key = Object.keys(table)
+    .filter((k) => normalized.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? table[key] : null;
+};
+
+export const estimateCost = ({ kind, provider, model, promptTokens = 0, completionTokens = 0, audioSeconds = 0, characters = 0 }) => {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+
+  if (kind === 'llm') {
+    const price = findPrice(LLM_PRICING, model);
+    return price ? round((promptTokens * price.input + completionTokens * price.output) / 1e6) : 0;
+  }
+  if (kind === 'stt') {
+    const perMinute = findPrice(STT_PRICING_PER_MINUTE, model);
+    return perMinute ? round((audioSeconds / 60) * perMinute) : 0;
+  }
+  if (kind === 'tts') {
+    const per1k = findPrice(TTS_PRICING_PER_1K_CHARS, model);
+    return per1k ? round((characters / 1000) * per1k) : 0;
+  }
+  return 0;
+};
+
+// Express middleware: later usage records pick up the user, plan, chat and route of this request.
+// Mount it again after multer, whose stream callbacks run outside the request's async context.
+export const trackUsage = (req, res, next) => usageContext.run({ req }, next);
+
+// Non-HTTP callers (e.g. the voice WebSocket) supply the context directly
+export const runWithUsageContext = (context, fn) => usageContext.run(context, fn);
+
+// Resolve the current context; request fields are read lazily so auth and routing have already run
+export const getUsageContext = () => {
+  const store = usageContext.getStore();
+  if (!store) return {};
+  if (!store.req) return store;
+
+  const { req } = store;
+  return {
+    userId: req.user?._id || null,
+    plan: req.user?.plan || null,
+    chatId: req.body?.sessionId || req.body?.chatId || null,
+    endpoint: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`
+  };
+};
+
+const toObjectId = (value) => (value && mongoose.Types.ObjectId.isValid(value) ? value : null);
+
+// Write one ledger entry. Never throws: metering must not break an interview.
+export const recordUsage = (entry, context = getUsageContext()) => {
+  try {
+    const promptTokens = Math.round(entry.promptTokens || 0);
+    const completionTokens = Math.round(entry.completionTokens || 0);
+    const record = {
+      userId: toObjectId(context.userId),
+      plan: context.plan || null,
+      chatId: toObjectId(context.chatId),
+      endpoint: context.endpoint || 'unknown',
+      kind: entry.kind,
+      provider: entry.provider,
+      model: entry.model || '',
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      tokensEstimated: !!entry.tokensEstimated,
+      audioSeconds: Math.round((entry.audioSeconds || 0) * 100) / 100,
+      characters: entry.characters || 0
+    };
+    record.estimatedCost = estimateCost(record);
+
+    UsageRecord.create(record).catch((error) => {
+      console.warn('⚠️ Failed to record usage:', error.message);
+    });
+  } catch (error) {
+    console.warn('⚠️ Failed to record usage:', error.message);
+  }
+};
+
+// Rough token count (~4 characters per token) for providers that do not report usage
+export const estimateTokens = (text = '') => Math.ceil(String(text).length / 4);
+
+export const estimatePromptTokens = (messages = []) => estimateTokens(
+  messages.map((m) => (typeof m.content === 'string' ? m.content : '')).join('\n')
+);
+
+const GROUPINGS = {
+  user: '$userId',
+  plan: '$plan',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+  endpoint: '$endpoint',
+  chat: '$chatId'
+};
+
+export const USAGE_GROUPINGS = Object.keys(GROUPINGS);
+
+// Aggregate the ledger by user, plan, day, endpoint or chat, optionally filtered by date range and kind
+export const aggregateUsage = async (groupBy, { from, to, kind, limit = 100 } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+  if (kind) match.kind = kind;
+
+  const pipeline = [
+    { $match: match },
+    {
+      $group: {
+        _id: GROUPINGS[groupBy],
+        calls: { $sum: 1 },
+        llmCalls: { $sum: { $cond: [{ $eq: ['$kind', 'llm'] }, 1, 0] } },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' },
+        audioSeconds: { $sum: '$audioSeconds' },
+        ttsCharacters: { $sum: '$characters' },
+        estimatedCost: { $sum: '$estimatedCost' }
+      }
+    },
+    { $sort: groupBy === 'day' ? { _id: -1 } : { estimatedCost: -1 } },
+    { $limit: Math.min(Number(limit) || 100, 1000) }
+  ];
+
+  if (groupBy === 'user') {
+    pipeline.push(
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $addFields: { user: { $arrayElemAt: ['$user', 0] } } },
+      { $addFields: { username: '$user.username', email: '$user.email', plan: '$user.plan' } },
+      { $project: { user: 0 } }
+    );
+  }
+
+  const rows = await UsageRecord.aggregate(pipeline);
+  return rows.map(({ _id, ...row }) => ({
+    [groupBy]: _id,
+    ...row,
+    estimatedCost: round(row.estimatedCost)
+  }));
+};
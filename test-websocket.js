@@ -1,13 +1,14 @@
 /**
  * WEBSOCKET CONNECTION TEST
  * Run this to verify WebSocket server is working
+ * Usage: TOKEN=<jwt> [CHAT_ID=<chat id>] node test-websocket.js
  */
 
 import { WebSocket } from 'ws';
 
 console.log('🧪 Testing WebSocket connection...\n');
 
-const ws = new WebSocket('ws://localhost:5000/api/voice-stream');
+const ws = new WebSocket(`ws://localhost:5000/api/voice-stream?token=${encodeURIComponent(process.env.TOKEN || '')}`);
 
 ws.on('open', () => {
   console.log('✅ WebSocket connected successfully!');
@@ -15,8 +16,7 @@ ws.on('open', () => {
   
   ws.send(JSON.stringify({
     type: 'start_stream',
-    token: 'test-token',
-    chatId: 'test-chat',
+    chatId: process.env.CHAT_ID,
     mode: 'moderate',
     jobContext: { jobTitle: 'Test', company: 'Test Inc' }
   }));
@@ -0,0 +1,93 @@
+// Shared fixtures for the test suite: a database (the in-memory MongoDB in memoryMongo.js, so the real
+// models and queries run), users to sign in as, an Express app mounted like server.js, and HTTP/SSE helpers.
+import './setup.js';
+import crypto from 'crypto';
+import express from 'express';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { trackUsage } from '../services/usageLedger.js';
+import { startMemoryMongo } from './memoryMongo.js';
+
+// One database per process; suites connect in `before` and disconnect in `after`
+let database = null;
+let connections = 0;
+
+export const connectTestDatabase = async () => {
+  connections += 1;
+  if (!database) {
+    database = startMemoryMongo({ dbName: 'interview-bot-test' }).then(async (server) => {
+      await mongoose.connect(server.uri, { serverSelectionTimeoutMS: 5000 });
+      return server;
+    });
+  }
+  await database;
+};
+
+export const disconnectTestDatabase = async () => {
+  connections -= 1;
+  if (connections > 0 || !database) return;
+  const server = await database;
+  database = null;
+  await mongoose.disconnect();
+  await server.stop();
+};
+
+// Create an active user; credits are kept until the monthly reset date
+export const createUser = (overrides = {}) => {
+  const id = crypto.randomBytes(4).toString('hex');
+  return User.create({
+    username: `user_${id}`,
+    email: `user_${id}@example.com`,
+    password: 'password123',
+    firstName: 'Test',
+    lastName: 'User',
+    credits: 3,
+    monthlyResetDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...overrides
+  });
+};
+
+export const signToken = (user) => jwt.sign({ userId: String(user._id) }, process.env.JWT_SECRET);
+
+// Mount the AI and resume routes the way server.js does
+export const createApp = async () => {
+  const { default: aiRoutes } = await import('../routes/ai.js');
+  const { default: resumeRoutes } = await import('../routes/resumes.js');
+  const app = express();
+  app.use(express.json());
+  app.use('/api', trackUsage);
+  app.use('/api/ai', aiRoutes);
+  app.use('/api/resumes', resumeRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+// Start an http.Server on a free port; resolves with its port and a close function
+export const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve({
+    port: server.address().port,
+    close: () => new Promise((done) => {
+      server.closeAllConnections();
+      server.close(done);
+    })
+  }));
+});
+
+export const postJson = (url, token, body) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+  body: JSON.stringify(body)
+});
+
+// Parse a complete text/event-stream body into [{ event, data }]
+export const parseSse = (text) => text
+  .split('\n\n')
+  .filter(Boolean)
+  .map((block) => {
+    const lines = block.split('\n');
+    const event = lines.find((line) => line.startsWith('event: '))?.slice(7);
+    const data = lines.find((line) => line.startsWith('data: '))?.slice(6);
+    return { event, data: data ? JSON.parse(data) : null };
+  });
@@ -0,0 +1,132 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { connectTestDatabase, disconnectTestDatabase, listen } from './helpers.js';
+
+const COOLDOWN_MS = 100;
+
+// A separate instance of the provider chain with only a "local" provider, pointed at `baseUrl`
+// (the chain and its tuning are read from the environment on load)
+const loadLocalChain = async (baseUrl) => {
+  // Its dependencies (e.g. mockProviders.js) are shared with the app and must load with the suite's own settings
+  await import('../services/llmProvider.js');
+  const overrides = {
+    AI_PROVIDER: 'local',
+    AI_PROVIDER_CHAIN: 'local',
+    LOCAL_LLM_BASE_URL: baseUrl,
+    LLM_MAX_RETRIES: '0',
+    LLM_BREAKER_THRESHOLD: '1',
+    LLM_BREAKER_COOLDOWN_MS: String(COOLDOWN_MS)
+  };
+  const previous = Object.fromEntries(Object.keys(overrides).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, overrides);
+  try {
+    return await import('../services/llmProvider.js?breaker');
+  } finally {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+};
+
+const completion = (content) => ({
+  id: 'local',
+  object: 'chat.completion',
+  model: 'llama',
+  choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('LLM provider circuit breaker', () => {
+  let llm;
+  let close;
+  // How the fake provider answers: 'fail' (503), 'ok', or 'hold' (answer later through `held`)
+  let mode = 'ok';
+  let requests = 0;
+  const held = [];
+
+  before(async () => {
+    // Completions are recorded in the usage ledger
+    await connectTestDatabase();
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        requests += 1;
+        const reply = (status, body) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(body));
+        };
+        if (mode === 'fail') reply(503, { error: { message: 'model server at 10.0.0.7 overloaded' } });
+        else if (mode === 'hold') held.push(() => reply(200, completion('probe answer')));
+        else reply(200, completion('hello'));
+      });
+    });
+    const started = await listen(server);
+    close = started.close;
+    llm = await loadLocalChain(`http://127.0.0.1:${started.port}/v1`);
+  });
+
+  after(async () => {
+    await close();
+    await disconnectTestDatabase();
+  });
+
+  const ask = () => llm.llmClient.chat.completions.create({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] });
+
+  test('public health shows only name, state and last failure time', async () => {
+    mode = 'fail';
+    await assert.rejects(ask(), /All LLM providers unavailable/);
+
+    const health = llm.getProviderHealth();
+    assert.equal(health.status, 'down');
+    assert.deepEqual(Object.keys(health.providers[0]).sort(), ['lastFailureAt', 'name', 'state']);
+    assert.equal(health.providers[0].state, 'open');
+    assert.doesNotMatch(JSON.stringify(health), /10\.0\.0\.7/);
+
+    const detailed = llm.getProviderHealth({ detailed: true }).providers[0];
+    assert.match(detailed.lastError, /overloaded/);
+    assert.equal(detailed.consecutiveFailures, 1);
+  });
+
+  test('reading health after the cooldown reports half-open without moving the breaker', async () => {
+    await sleep(COOLDOWN_MS + 20);
+
+    assert.equal(llm.getProviderHealth().providers[0].state, 'half-open');
+    assert.equal(llm.getProviderHealth({ detailed: true }).providers[0].probing, false);
+    assert.equal(llm.getProviderHealth().status, 'degraded');
+  });
+
+  test('half-open lets a single probe through and closes on its success', async () => {
+    mode = 'hold';
+    const before = requests;
+    const probe = ask();
+    await sleep(50);
+
+    // The probe is in flight: concurrent calls skip the provider instead of piling onto it
+    await assert.rejects(ask(), /All LLM providers unavailable/);
+    await assert.rejects(ask(), /All LLM providers unavailable/);
+    assert.equal(requests - before, 1);
+    assert.equal(llm.getProviderHealth({ detailed: true }).providers[0].probing, true);
+
+    held.splice(0).forEach((answer) => answer());
+    assert.equal((await probe).choices[0].message.content, 'probe answer');
+    assert.equal(llm.getProviderHealth().providers[0].state, 'closed');
+
+    mode = 'ok';
+    assert.equal((await ask()).choices[0].message.content, 'hello');
+  });
+
+  test('a failed probe opens the breaker again', async () => {
+    mode = 'fail';
+    await assert.rejects(ask(), /All LLM providers unavailable/);
+    await sleep(COOLDOWN_MS + 20);
+
+    await assert.rejects(ask(), /overloaded/);
+    const state = llm.getProviderHealth({ detailed: true }).providers[0];
+    assert.equal(state.state, 'open');
+    assert.equal(state.probing, false);
+  });
+});
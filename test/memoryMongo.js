@@ -0,0 +1,370 @@
+// In-memory MongoDB for the test suite. It speaks the MongoDB wire protocol (OP_MSG, plus the legacy OP_QUERY
+// handshake) on a local port, so the app connects with the real driver and its Mongoose models and queries run
+// unchanged. mongodb-memory-server would need a mongod binary downloaded from mongodb.org; this needs nothing.
+// Query, update and aggregation semantics come from mingo. Indexes are accepted but only `_id` is kept unique.
+import net from 'net';
+import { serialize, deserialize, Long, ObjectId } from 'bson';
+import { Query, Aggregator } from 'mingo';
+import { update as applyUpdate } from 'mingo/updater';
+
+const OP_REPLY = 1;
+const OP_QUERY = 2004;
+const OP_MSG = 2013;
+const MORE_TO_COME = 1 << 1;
+const CHECKSUM_PRESENT = 1;
+
+const MAX_WIRE_VERSION = 21;
+
+class CommandError extends Error {
+  constructor(message, code = 2) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const isOperatorUpdate = (update) => Object.keys(update).some((key) => key.startsWith('$'));
+
+// Fields a query pins to one value, used to seed an upserted document
+const equalityFields = (filter = {}) => Object.fromEntries(
+  Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && (
+    value === null || typeof value !== 'object' || value instanceof Date || value instanceof ObjectId ||
+    !Object.keys(value).some((k) => k.startsWith('$'))
+  ))
+);
+
+const sameId = (a, b) => (a instanceof ObjectId && b instanceof ObjectId ? a.equals(b) : a === b);
+
+const createStore = () => {
+  const databases = new Map();
+
+  const collection = (db, name) => {
+    if (!databases.has(db)) databases.set(db, new Map());
+    const collections = databases.get(db);
+    if (!collections.has(name)) collections.set(name, []);
+    return collections.get(name);
+  };
+
+  const matching = (docs, filter = {}) => {
+    const query = new Query(filter);
+    return docs.filter((doc) => query.test(doc));
+  };
+
+  const insert = (docs, doc) => {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    if (docs.some((existing) => sameId(existing._id, doc._id))) {
+      throw new CommandError(`E11000 duplicate key error collection dup key: { _id: ${doc._id} }`, 11000);
+    }
+    docs.push(doc);
+    return doc;
+  };
+
+  // Apply one update spec to a document in place; returns whether anything changed.
+  // The query is needed for positional (`$`) updates.
+  const modify = (doc, update, arrayFilters, query = {}) => {
+    if (Array.isArray(update)) {
+      const [result] = new Aggregator(update).run([doc]);
+      Object.keys(doc).forEach((key) => delete doc[key]);
+      Object.assign(doc, result);
+      return true;
+    }
+    if (!isOperatorUpdate(update)) {
+      const { _id } = doc;
+      Object.keys(doc).forEach((key) => delete doc[key]);
+      Object.assign(doc, update, { _id });
+      return true;
+    }
+    const { $setOnInsert, ...operators } = update;
+    if (Object.keys(operators).length === 0) return false;
+    return applyUpdate(doc, operators, arrayFilters, query).length > 0;
+  };
+
+  const upsert = (docs, filter, update, arrayFilters) => {
+    const doc = structuredClone(equalityFields(filter));
+    if (Array.isArray(update) || isOperatorUpdate(update)) {
+      modify(doc, update, arrayFilters);
+      if (update.$setOnInsert) applyUpdate(doc, { $set: update.$setOnInsert });
+    } else {
+      Object.assign(doc, update);
+    }
+    return insert(docs, doc);
+  };
+
+  return { databases, collection, matching, insert, modify, upsert };
+};
+
+// Command handlers: (store, db, body) => reply document
+const cursorReply = (db, name, docs) => ({
+  cursor: { id: Long.ZERO, ns: `${db}.${name}`, firstBatch: docs },
+  ok: 1
+});
+
+const handshake = (connectionId) => ({
+  helloOk: true,
+  ismaster: true,
+  isWritablePrimary: true,
+  maxBsonObjectSize: 16 * 1024 * 1024,
+  maxMessageSizeBytes: 48000000,
+  maxWriteBatchSize: 100000,
+  localTime: new Date(),
+  logicalSessionTimeoutMinutes: 30,
+  connectionId,
+  minWireVersion: 0,
+  maxWireVersion: MAX_WIRE_VERSION,
+  readOnly: false,
+  ok: 1
+});
+
+const commands = {
+  ping: () => ({ ok: 1 }),
+  buildInfo: () => ({ version: '7.0.0', versionArray: [7, 0, 0, 0], ok: 1 }),
+  endSessions: () => ({ ok: 1 }),
+  killCursors: (store, db, body) => ({ cursorsKilled: body.cursors || [], ok: 1 }),
+  createIndexes: () => ({ ok: 1 }),
+  dropIndexes: () => ({ ok: 1 }),
+  create: (store, db, body) => {
+    store.collection(db, body.create);
+    return { ok: 1 };
+  },
+  drop: (store, db, body) => {
+    store.databases.get(db)?.delete(body.drop);
+    return { ok: 1 };
+  },
+  dropDatabase: (store, db) => {
+    store.databases.delete(db);
+    return { ok: 1 };
+  },
+  listCollections: (store, db) => cursorReply(db, '$cmd.listCollections',
+    [...(store.databases.get(db)?.keys() || [])].map((name) => ({ name, type: 'collection', options: {} }))),
+  listIndexes: (store, db, body) => cursorReply(db, body.listIndexes, [{ v: 2, key: { _id: 1 }, name: '_id_' }]),
+
+  find: (store, db, body) => {
+    let cursor = new Query(body.filter || {}).find(store.collection(db, body.find), body.projection);
+    if (body.sort) cursor = cursor.sort(body.sort);
+    if (body.skip) cursor = cursor.skip(body.skip);
+    if (body.limit) cursor = cursor.limit(Math.abs(body.limit));
+    return cursorReply(db, body.find, cursor.all());
+  },
+
+  insert: (store, db, body) => {
+    const docs = store.collection(db, body.insert);
+    const writeErrors = [];
+    let n = 0;
+    for (const [index, doc] of (body.documents || []).entries()) {
+      try {
+        store.insert(docs, doc);
+        n += 1;
+      } catch (error) {
+        writeErrors.push({ index, code: error.code, errmsg: error.message });
+        if (body.ordered !== false) break;
+      }
+    }
+    return { n, ...(writeErrors.length ? { writeErrors } : {}), ok: 1 };
+  },
+
+  update: (store, db, body) => {
+    const docs = store.collection(db, body.update);
+    let n = 0;
+    let nModified = 0;
+    const upserted = [];
+    for (const [index, { q, u, upsert, multi, arrayFilters }] of (body.updates || []).entries()) {
+      const targets = store.matching(docs, q);
+      const selected = multi ? targets : targets.slice(0, 1);
+      if (selected.length === 0 && upsert) {
+        upserted.push({ index, _id: store.upsert(docs, q, u, arrayFilters)._id });
+        n += 1;
+        continue;
+      }
+      selected.forEach((doc) => {
+        n += 1;
+        if (store.modify(doc, u, arrayFilters, q)) nModified += 1;
+      });
+    }
+    return { n, nModified, ...(upserted.length ? { upserted } : {}), ok: 1 };
+  },
+
+  delete: (store, db, body) => {
+    const docs = store.collection(db, body.delete);
+    let n = 0;
+    for (const { q, limit } of body.deletes || []) {
+      const targets = store.matching(docs, q);
+      (limit === 1 ? targets.slice(0, 1) : targets).forEach((doc) => {
+        docs.splice(docs.indexOf(doc), 1);
+        n += 1;
+      });
+    }
+    return { n, ok: 1 };
+  },
+
+  findAndModify: (store, db, body) => {
+    const docs = store.collection(db, body.findAndModify);
+    let targets = store.matching(docs, body.query);
+    if (body.sort) targets = new Query({}).find(targets).sort(body.sort).all();
+    const doc = targets[0];
+    const project = (value) => (value && body.fields ? new Query({}).find([value], body.fields).all()[0] : value);
+
+    if (body.remove) {
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return { lastErrorObject: { n: doc ? 1 : 0 }, value: project(doc) || null, ok: 1 };
+    }
+    if (!doc) {
+      if (!body.upsert) return { lastErrorObject: { n: 0, updatedExisting: false }, value: null, ok: 1 };
+      const created = store.upsert(docs, body.query, body.update, body.arrayFilters);
+      return {
+        lastErrorObject: { n: 1, updatedExisting: false, upserted: created._id },
+        value: body.new ? project(created) : null,
+        ok: 1
+      };
+    }
+    const before = structuredClone(doc);
+    store.modify(doc, body.update, body.arrayFilters, body.query);
+    return { lastErrorObject: { n: 1, updatedExisting: true }, value: project(body.new ? doc : before), ok: 1 };
+  },
+
+  aggregate: (store, db, body) => {
+    const docs = store.collection(db, body.aggregate);
+    return cursorReply(db, body.aggregate, new Aggregator(body.pipeline || []).run(docs));
+  },
+
+  count: (store, db, body) => ({ n: store.matching(store.collection(db, body.count), body.query).length, ok: 1 }),
+
+  distinct: (store, db, body) => {
+    const values = [];
+    store.matching(store.collection(db, body.distinct), body.query).forEach((doc) => {
+      const value = body.key.split('.').reduce((v, key) => v?.[key], doc);
+      (Array.isArray(value) ? value : [value]).forEach((item) => {
+        if (item !== undefined && !values.some((seen) => JSON.stringify(seen) === JSON.stringify(item))) values.push(item);
+      });
+    });
+    return { values, ok: 1 };
+  }
+};
+
+const runCommand = (store, body, connectionId) => {
+  const name = Object.keys(body)[0];
+  if (['hello', 'isMaster', 'ismaster'].includes(name)) return handshake(connectionId);
+  const handler = commands[name];
+  if (!handler) return { ok: 0, errmsg: `no such command: '${name}'`, code: 59, codeName: 'CommandNotFound' };
+  try {
+    return handler(store, body.$db || 'admin', body);
+  } catch (error) {
+    return { ok: 0, errmsg: error.message, code: error.code || 2 };
+  }
+};
+
+// --- Wire protocol framing -------------------------------------------------
+
+const header = (length, requestId, responseTo, opCode) => {
+  const buf = Buffer.alloc(16);
+  buf.writeInt32LE(length, 0);
+  buf.writeInt32LE(requestId, 4);
+  buf.writeInt32LE(responseTo, 8);
+  buf.writeInt32LE(opCode, 12);
+  return buf;
+};
+
+const readCString = (buf, offset) => {
+  const end = buf.indexOf(0, offset);
+  return { value: buf.toString('utf8', offset, end), next: end + 1 };
+};
+
+const bsonLength = (buf, offset) => buf.readInt32LE(offset);
+
+const parseOpMsg = (body) => {
+  const flags = body.readUInt32LE(0);
+  const end = body.length - (flags & CHECKSUM_PRESENT ? 4 : 0);
+  let offset = 4;
+  let command = null;
+  const sequences = {};
+  while (offset < end) {
+    const kind = body[offset];
+    offset += 1;
+    if (kind === 0) {
+      const length = bsonLength(body, offset);
+      command = deserialize(body.subarray(offset, offset + length));
+      offset += length;
+    } else {
+      const sectionEnd = offset + body.readInt32LE(offset);
+      const { value: identifier, next } = readCString(body, offset + 4);
+      const docs = [];
+      for (let pos = next; pos < sectionEnd; pos += bsonLength(body, pos)) {
+        docs.push(deserialize(body.subarray(pos, pos + bsonLength(body, pos))));
+      }
+      sequences[identifier] = docs;
+      offset = sectionEnd;
+    }
+  }
+  return { flags, command: { ...command, ...sequences } };
+};
+
+const opMsgReply = (requestId, responseTo, doc) => {
+  const payload = serialize(doc);
+  const flags = Buffer.alloc(5);
+  return Buffer.concat([header(16 + 5 + payload.length, requestId, responseTo, OP_MSG), flags, payload]);
+};
+
+const opReply = (requestId, responseTo, doc) => {
+  const payload = serialize(doc);
+  const fields = Buffer.alloc(20);
+  fields.writeInt32LE(0, 0); // responseFlags
+  fields.writeBigInt64LE(0n, 4); // cursorID
+  fields.writeInt32LE(0, 12); // startingFrom
+  fields.writeInt32LE(1, 16); // numberReturned
+  return Buffer.concat([header(16 + 20 + payload.length, requestId, responseTo, OP_REPLY), fields, payload]);
+};
+
+let nextRequestId = 1;
+let nextConnectionId = 1;
+
+const handleMessage = (store, socket, message, connectionId) => {
+  const requestId = message.readInt32LE(4);
+  const opCode = message.readInt32LE(12);
+  const body = message.subarray(16);
+
+  if (opCode === OP_MSG) {
+    const { flags, command } = parseOpMsg(body);
+    const reply = runCommand(store, command, connectionId);
+    if (!(flags & MORE_TO_COME)) socket.write(opMsgReply(nextRequestId++, requestId, reply));
+    return;
+  }
+  if (opCode === OP_QUERY) {
+    const { value: namespace, next } = readCString(body, 4);
+    const query = deserialize(body.subarray(next + 8, next + 8 + bsonLength(body, next + 8)));
+    const command = { ...(query.$query || query), $db: namespace.split('.')[0] };
+    socket.write(opReply(nextRequestId++, requestId, runCommand(store, command, connectionId)));
+    return;
+  }
+  socket.destroy(new Error(`Unsupported opCode ${opCode}`));
+};
+
+// Start a server on a free local port. Resolves with its connection string and a stop function.
+export const startMemoryMongo = ({ dbName = 'test' } = {}) => new Promise((resolve, reject) => {
+  const store = createStore();
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    const connectionId = nextConnectionId++;
+    let pending = Buffer.alloc(0);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= 4 && pending.length >= pending.readInt32LE(0)) {
+        const length = pending.readInt32LE(0);
+        handleMessage(store, socket, pending.subarray(0, length), connectionId);
+        pending = pending.subarray(length);
+      }
+    });
+  });
+
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => resolve({
+    uri: `mongodb://127.0.0.1:${server.address().port}/${dbName}`,
+    // Drop every collection (between tests that need a clean database)
+    reset: () => store.databases.clear(),
+    stop: () => new Promise((done) => {
+      sockets.forEach((socket) => socket.destroy());
+      server.close(() => done());
+    })
+  }));
+});
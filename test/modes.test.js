@@ -0,0 +1,59 @@
+import './setup.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { companyQuestionsPrompt } from '../routes/ai.js';
+import { validateModeDefinition } from '../services/modeRegistry.js';
+
+// The company-questions prompt as it was written before modes moved to config/modes
+const originalPrompt = (company, mode, jobRole = '') => {
+  let questionTypePrompt = '';
+  if (mode === 'strict') {
+    questionTypePrompt = 'Generate 3 tough technical/system design questions that this company typically asks. Focus on data structures, algorithms, and system design. Keep each between 50-70 words.';
+  } else if (mode === 'friendly') {
+    questionTypePrompt = 'Generate 3 behavioral questions that this company typically asks. Focus on soft skills, teamwork, and personal growth. Keep each between 50-70 words.';
+  } else {
+    questionTypePrompt = 'Generate 3 questions that this company typically asks - mix of 1 technical question, 1 system design question, and 1 behavioral question. Keep each between 50-70 words.';
+  }
+  return `You are an expert at interview question generation for major tech companies.
+
+Company: ${company}${jobRole ? `\nRole: ${jobRole}` : ''}
+
+${questionTypePrompt}
+
+Requirements:
+1. Generate REALISTIC questions that this company actually asks in interviews
+2. Make questions specific to ${company}'s products, services, or engineering challenges
+3. Questions should match the company's interview style and difficulty level
+4. Return ONLY the questions, one per line, numbered 1-3
+5. Make them challenging and thoughtful, not generic
+6. Keep each question between 50-70 words, single sentence
+
+Generate the questions now:`;
+};
+
+describe('interviewer modes', () => {
+  test('the built-in modes render the company-questions prompt unchanged', () => {
+    ['friendly', 'moderate', 'strict'].forEach((mode) => {
+      assert.equal(companyQuestionsPrompt('Acme', mode), originalPrompt('Acme', mode), mode);
+      assert.equal(companyQuestionsPrompt('Acme', mode, 'Backend Developer'), originalPrompt('Acme', mode, 'Backend Developer'), mode);
+    });
+  });
+
+  test('companyQuestions is optional but must be text when given', () => {
+    const definition = {
+      id: 'bar-raiser',
+      name: 'Bar Raiser',
+      temperature: 0.2,
+      systemPrompt: ['Be thorough.'],
+      opening: { persona: 'You are a bar raiser.', rules: ['Ask one question.'] },
+      phasePlan: ['Go deep.'],
+      allowedQuestionTypes: ['technical'],
+      feedbackRubric: ['Depth']
+    };
+
+    assert.deepEqual(validateModeDefinition(definition), []);
+    assert.deepEqual(validateModeDefinition({ ...definition, companyQuestions: [] }), []);
+    assert.deepEqual(validateModeDefinition({ ...definition, companyQuestions: 'Generate 3 hard questions.' }), []);
+    assert.deepEqual(validateModeDefinition({ ...definition, companyQuestions: 3 }), ['companyQuestions must be text']);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import { connectTestDatabase, disconnectTestDatabase } from './helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// A separate instance of the library reading the templates in test/fixtures/prompts (PROMPTS_DIR is read on load)
+const loadFixtureLibrary = async () => {
+  const previous = process.env.PROMPTS_DIR;
+  process.env.PROMPTS_DIR = path.join(__dirname, 'fixtures', 'prompts');
+  try {
+    return await import('../services/promptLibrary.js?fixtures');
+  } finally {
+    if (previous === undefined) delete process.env.PROMPTS_DIR;
+    else process.env.PROMPTS_DIR = previous;
+  }
+};
+
+// How often each version is picked for `count` fresh chats (or users)
+const distribution = (assign, count = 1000) => {
+  const counts = {};
+  for (let i = 0; i < count; i++) {
+    const { id } = assign(new mongoose.Types.ObjectId());
+    counts[id] = (counts[id] || 0) + 1;
+  }
+  return counts;
+};
+
+describe('prompt A/B assignment', () => {
+  let library;
+
+  before(async () => {
+    await connectTestDatabase();
+    library = await loadFixtureLibrary();
+  });
+
+  after(() => disconnectTestDatabase());
+
+  test('a chat is always assigned the same version', () => {
+    const chatId = new mongoose.Types.ObjectId();
+    const first = library.assignPromptVersion('ab-greeting', { chatId });
+
+    for (let i = 0; i < 20; i++) {
+      assert.equal(library.assignPromptVersion('ab-greeting', { chatId }).id, first.id);
+    }
+  });
+
+  test('chats are split between two versions by weight', () => {
+    const counts = distribution((chatId) => library.assignPromptVersion('ab-greeting', { chatId }));
+
+    assert.deepEqual(Object.keys(counts).sort(), ['ab-greeting@v1', 'ab-greeting@v2']);
+    Object.values(counts).forEach((count) => assert.ok(count > 400 && count < 600, `unbalanced split: ${count}`));
+  });
+
+  test('uneven weights are respected and weight 0 retires a version', () => {
+    const counts = distribution((userId) => library.assignPromptVersion('ab-weighted', { userId }));
+
+    assert.equal(counts['ab-weighted@v1'], undefined);
+    assert.ok(counts['ab-weighted@v2'] > 720 && counts['ab-weighted@v2'] < 880, `v2: ${counts['ab-weighted@v2']}`);
+    assert.ok(counts['ab-weighted@v3'] > 120 && counts['ab-weighted@v3'] < 280, `v3: ${counts['ab-weighted@v3']}`);
+  });
+
+  test('user-scoped templates give a user the same version in every chat', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const ids = new Set();
+    for (let i = 0; i < 20; i++) {
+      ids.add(library.assignPromptVersion('ab-weighted', { chatId: new mongoose.Types.ObjectId(), userId }).id);
+    }
+    assert.equal(ids.size, 1);
+  });
+
+  test('a version recorded on the chat wins, even once it is retired', () => {
+    const chat = new Chat({ userId: new mongoose.Types.ObjectId() });
+    chat.promptVariants.set('ab-weighted', 'ab-weighted@v1');
+
+    assert.equal(library.assignPromptVersion('ab-weighted', { chat, userId: chat.userId }).text, 'Retired wording.');
+  });
+
+  test('a prompt set renders its version and records it on the chat', async () => {
+    const chat = await Chat.create({ userId: new mongoose.Types.ObjectId(), title: 'A/B' });
+    const prompts = library.createPromptSet({ chat, userId: chat.userId });
+
+    const text = prompts.render('ab-greeting', { role: 'Backend Developer' });
+    const version = library.assignPromptVersion('ab-greeting', { chat });
+    assert.equal(text, version.text.replace('{{role}}', 'Backend Developer'));
+    assert.throws(() => prompts.render('ab-greeting'), /missing variable "role"/);
+
+    await prompts.record();
+    const stored = await Chat.findById(chat._id);
+    assert.equal(stored.promptVariants.get('ab-greeting'), version.id);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mammoth from 'mammoth';
+import { PDFParse } from 'pdf-parse';
+import { exportResume } from '../services/resumeExport.js';
+
+const resume = (parsedData = {}, extra = {}) => ({
+  version: 2,
+  fileName: 'my cv.pdf',
+  parsedData: {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    summary: 'Backend developer who ships reliable APIs.',
+    skills: ['Node.js', 'MongoDB'],
+    experience: [{
+      title: 'Senior Engineer',
+      company: 'Acme',
+      duration: 'Jan 2020 - Present',
+      description: '- Built the order service\n- Cut p99 latency by 40%'
+    }],
+    education: [{ degree: 'B.Tech', institution: 'IIT Bombay', year: '2016' }],
+    ...parsedData
+  },
+  ...extra
+});
+
+const pdfText = async (buffer) => (await new PDFParse({ data: buffer }).getText()).text;
+
+// Every in-use object in the cross-reference table must start exactly at its recorded byte offset
+const assertValidXref = (buffer) => {
+  const source = buffer.toString('latin1');
+  const startxref = Number(/startxref\s+(\d+)\s+%%EOF\s*$/.exec(source)?.[1]);
+  assert.equal(source.slice(startxref, startxref + 4), 'xref', 'startxref points at the xref table');
+
+  const lines = source.slice(startxref).split(/\r?\n/).slice(1);
+  let checked = 0;
+  for (let idx = 0; !lines[idx].startsWith('trailer');) {
+    const [first, count] = lines[idx].trim().split(/\s+/).map(Number);
+    for (let n = 0; n < count; n += 1) {
+      const [offset, generation, kind] = lines[idx + 1 + n].trim().split(/\s+/);
+      if (kind === 'n') {
+        const header = `${first + n} ${Number(generation)} obj`;
+        assert.equal(source.slice(Number(offset), Number(offset) + header.length), header, `offset of object ${first + n}`);
+        checked += 1;
+      }
+    }
+    idx += 1 + count;
+  }
+  assert.ok(checked > 0, 'the xref table lists objects');
+};
+
+describe('resume export', () => {
+  test('DOCX opens in mammoth with the title, headings, bullets and dates', async () => {
+    const { buffer, contentType, fileName } = await exportResume(resume(), 'docx');
+    assert.match(contentType, /wordprocessingml\.document$/);
+    assert.equal(fileName, 'Jane_Doe_resume_v2.docx');
+
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+    assert.deepEqual(messages.filter((message) => message.type === 'error'), []);
+    assert.match(html, /<p>Jane Doe<\/p><p>jane@example\.com<\/p>/);
+    assert.match(html, /<h1>Experience<\/h1><p><strong>Senior Engineer<\/strong>\tJan 2020 - Present<\/p><p><em>Acme<\/em><\/p>/);
+    assert.match(html, /<ul><li>Built the order service<\/li><li>Cut p99 latency by 40%<\/li><\/ul>/);
+    assert.match(html, /<h1>Skills<\/h1><p>Node\.js, MongoDB<\/p>/);
+    assert.match(html, /<p><strong>B\.Tech<\/strong>\t2016<\/p><p><em>IIT Bombay<\/em><\/p>/);
+  });
+
+  test('DOCX keeps text outside Windows-1252 and escapes markup', async () => {
+    const { buffer } = await exportResume(resume({ name: 'राहुल शर्मा', summary: 'C++ & <Go>, 你好, Привет' }), 'docx');
+    const { value } = await mammoth.extractRawText({ buffer });
+
+    assert.match(value, /राहुल शर्मा/);
+    assert.match(value, /C\+\+ & <Go>, 你好, Привет/);
+  });
+
+  test('PDF has a valid cross-reference table and a text layer', async () => {
+    const { buffer, contentType, fileName } = await exportResume(resume(), 'pdf');
+    assert.equal(contentType, 'application/pdf');
+    assert.equal(fileName, 'Jane_Doe_resume_v2.pdf');
+    assert.equal(buffer.subarray(0, 5).toString('latin1'), '%PDF-');
+    assertValidXref(buffer);
+
+    const text = await pdfText(buffer);
+    ['Jane Doe', 'EXPERIENCE', 'Senior Engineer', 'Jan 2020 - Present', 'Built the order service', 'Node.js, MongoDB']
+      .forEach((expected) => assert.ok(text.includes(expected), `missing "${expected}"`));
+  });
+
+  test('PDF embeds fonts for Devanagari, CJK, Cyrillic and Greek text', async () => {
+    const { buffer } = await exportResume(resume({
+      name: 'राहुल शर्मा',
+      summary: 'काम 你好世界 Привет мир Καλημέρα Zoë'
+    }), 'pdf');
+    assertValidXref(buffer);
+
+    const text = await pdfText(buffer);
+    // Shaped Devanagari comes back in visual order, so check words without reordered vowel signs
+    ['राहुल', 'काम', '你好世界', 'Привет мир', 'Καλημέρα', 'Zoë'].forEach((expected) => {
+      assert.ok(text.includes(expected), `missing "${expected}"`);
+    });
+    assert.ok(!text.includes('?'), 'no character was replaced');
+  });
+
+  test('PDF paper size follows ?paper', async () => {
+    const letter = (await exportResume(resume(), 'pdf')).buffer.toString('latin1');
+    const a4 = (await exportResume(resume(), 'pdf', { paper: 'a4' })).buffer.toString('latin1');
+
+    assert.match(letter, /\/MediaBox \[0 0 612 792\]/);
+    assert.match(a4, /\/MediaBox \[0 0 595\.28 841\.89\]/);
+  });
+
+  test('a name with no ASCII left falls back to the uploaded file name', async () => {
+    assert.equal((await exportResume(resume({ name: 'राहुल शर्मा' }), 'pdf')).fileName, 'my_cv_v2.pdf');
+    assert.equal((await exportResume(resume({ name: 'राहुल शर्मा' }, { fileName: 'बायोडाटा.pdf' }), 'json')).fileName, 'resume_v2.json');
+    assert.equal((await exportResume(resume({ name: 'José Núñez' }), 'json')).fileName, 'Jose_Nunez_resume_v2.json');
+  });
+
+  test('unknown formats and paper sizes are rejected with 400', async () => {
+    await assert.rejects(exportResume(resume(), 'odt'), (error) => error.statusCode === 400);
+    await assert.rejects(exportResume(resume(), 'pdf', { paper: 'legal' }), (error) => error.statusCode === 400);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requiredSkillsFor, matchResumeToJob } from '../services/resumeMatching.js';
+
+describe('resume matching', () => {
+  test('distinct skills that share a word are all required', () => {
+    assert.deepEqual(
+      requiredSkillsFor({ skills: ['React', 'React Native', 'Spring', 'Spring Boot'] }),
+      ['React', 'React Native', 'Spring', 'Spring Boot']
+    );
+    assert.deepEqual(requiredSkillsFor({ skills: 'Java, JavaScript, SQL, NoSQL' }), ['Java', 'JavaScript', 'SQL', 'NoSQL']);
+  });
+
+  test('the same skill listed twice, in another case or as an alias, is required once', () => {
+    assert.deepEqual(
+      requiredSkillsFor({ skills: ['PostgreSQL', 'postgres', 'AWS', 'Amazon Web Services', 'Node.js', 'node', ' Docker ', 'docker'] }),
+      ['PostgreSQL', 'AWS', 'Node.js', 'Docker']
+    );
+  });
+
+  test('skills from the description are added after the listed ones, without duplicates', () => {
+    assert.deepEqual(
+      requiredSkillsFor({ skills: ['Node', 'React Native'], description: 'You will build Node.js services with Docker and React.' }),
+      ['Node', 'React Native', 'React', 'Docker']
+    );
+  });
+
+  test('each required skill is scored on its own', () => {
+    const resume = {
+      analysis: {
+        structuredExperience: [{ jobTitle: 'Mobile Engineer', company: 'Acme', technologiesUsed: ['React Native'] }],
+        technicalSkills: ['Spring Boot']
+      },
+      parsedData: {},
+      rawText: ''
+    };
+    const report = matchResumeToJob(resume, { skills: ['React Native', 'Spring Boot', 'Spring', 'Kotlin'] });
+
+    assert.deepEqual(report.matched.map((entry) => entry.skill), ['React Native']);
+    assert.deepEqual(report.weak.map((entry) => entry.skill), ['Spring Boot', 'Spring']);
+    assert.deepEqual(report.missing.map((entry) => entry.skill), ['Kotlin']);
+    assert.equal(report.score, 50);
+  });
+});
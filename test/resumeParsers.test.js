@@ -0,0 +1,230 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import zlib from 'zlib';
+import Resume from '../models/Resume.js';
+import { extractResumeText, readZipEntry } from '../services/resumeParsers.js';
+import { importJsonResume } from '../services/jsonResume.js';
+import { connectTestDatabase, disconnectTestDatabase, createApp, createUser, signToken, listen } from './helpers.js';
+
+// A ZIP archive of { name, content } entries, deflated unless `stored`
+const zip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({ name, content, stored = false }) => {
+    const data = Buffer.from(content, 'utf8');
+    const body = stored ? data : zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(zlib.crc32(data), 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(zlib.crc32(data), 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, body);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + body.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+// The archive with a field (`bytes` long) of the named entry's central directory record overwritten
+const withEntryField = (archive, name, field, value, bytes = 4) => {
+  const copy = Buffer.from(archive);
+  let offset = copy.readUInt32LE(copy.length - 22 + 16);
+  while (copy.toString('utf8', offset + 46, offset + 46 + copy.readUInt16LE(offset + 28)) !== name) {
+    offset += 46 + copy.readUInt16LE(offset + 28);
+  }
+  copy.writeUIntLE(value, offset + field, bytes);
+  return copy;
+};
+
+// Written the way office suites do, without whitespace between elements
+const CONTENT_XML = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">',
+  '<office:body><office:text>',
+  '<text:tracked-changes><text:changed-region><text:deletion><text:p>Deleted line</text:p></text:deletion></text:changed-region></text:tracked-changes>',
+  '<text:h text:outline-level="1">Jane Doe</text:h>',
+  '<text:p>Backend developer<text:s text:c="3"/>at Acme &amp; Co<office:annotation><text:p>Reviewer note</text:p></office:annotation></text:p>',
+  '<text:p>Node.js<text:tab/>5 years<text:line-break/>MongoDB<text:s/>&#8211; 3 years</text:p>',
+  '<text:list><text:list-item><text:p>Built the order service</text:p></text:list-item><text:list-item><text:p>Cut latency by 40%</text:p></text:list-item></text:list>',
+  '</office:text></office:body>',
+  '</office:document-content>'
+].join('');
+
+const odt = (content = CONTENT_XML) => zip([
+  { name: 'mimetype', content: 'application/vnd.oasis.opendocument.text', stored: true },
+  { name: 'content.xml', content }
+]);
+
+const rejectsWith400 = (promise, message) => assert.rejects(promise, (error) => {
+  assert.equal(error.statusCode, 400);
+  assert.match(error.message, message);
+  return true;
+});
+
+describe('resume parsers', () => {
+  test('ODT: headings, paragraphs, spaces, tabs and list items, without annotations or tracked changes', async () => {
+    const text = await extractResumeText(odt(), '.odt');
+
+    assert.equal(text, [
+      'Jane Doe',
+      'Backend developer   at Acme & Co',
+      'Node.js\t5 years',
+      'MongoDB – 3 years',
+      '- Built the order service',
+      '- Cut latency by 40%'
+    ].join('\n'));
+  });
+
+  test('ODT: stored entries are read as they are', () => {
+    const archive = zip([{ name: 'content.xml', content: '<office:body>Plain</office:body>', stored: true }]);
+    assert.equal(readZipEntry(archive, 'content.xml').toString('utf8'), '<office:body>Plain</office:body>');
+    assert.equal(readZipEntry(archive, 'styles.xml'), null);
+  });
+
+  test('ODT: files that are not ODT archives are rejected with 400', async () => {
+    await rejectsWith400(extractResumeText(Buffer.from('not a zip at all, just text'), '.odt'), /not a valid ZIP-based document/);
+    await rejectsWith400(extractResumeText(zip([{ name: 'mimetype', content: 'x' }]), '.odt'), /not a valid ODT document/);
+  });
+
+  test('ODT: offsets and sizes past the end of the file are rejected with 400', async () => {
+    const archive = odt();
+    const patch = (field, value) => withEntryField(archive, 'content.xml', field, value);
+
+    await rejectsWith400(extractResumeText(patch(42, archive.length + 1000), '.odt'), /Corrupt ZIP entry: content\.xml/);
+    await rejectsWith400(extractResumeText(patch(42, 0xfffffff0), '.odt'), /Corrupt ZIP entry/);
+    await rejectsWith400(extractResumeText(patch(42, 0), '.odt'), /Corrupt ZIP entry/);
+    await rejectsWith400(extractResumeText(patch(20, archive.length), '.odt'), /Corrupt ZIP entry/);
+  });
+
+  test('ODT: undecodable compressed data is rejected with 400', async () => {
+    const archive = zip([{ name: 'content.xml', content: CONTENT_XML }]);
+    const local = 30 + 'content.xml'.length;
+    archive.fill(0xff, local, local + 8);
+
+    await rejectsWith400(extractResumeText(archive, '.odt'), /Corrupt ZIP entry/);
+    assert.throws(() => readZipEntry(withEntryField(archive, 'content.xml', 10, 12, 2), 'content.xml'), /Unsupported compression/);
+  });
+
+  test('RTF: text with escaped and Unicode characters, without font tables or ignorable groups', async () => {
+    const rtf = String.raw`{\rtf1\ansi{\fonttbl{\f0 Arial;}}{\*\generator Word;}\f0 Jos\'e9 Garc\u237?a\par Senior\~Engineer\tab 2020\emdash 2024\par}`;
+
+    assert.equal(await extractResumeText(Buffer.from(rtf, 'latin1'), '.rtf'), 'José García\nSenior Engineer\t2020—2024');
+    await rejectsWith400(extractResumeText(Buffer.from('plain text'), '.rtf'), /not a valid RTF document/);
+  });
+
+  test('Markdown: formatting, links, lists and tables reduced to plain text', async () => {
+    const markdown = [
+      '# Jane Doe',
+      '',
+      '**Senior Engineer** at [Acme](https://acme.io)',
+      '',
+      '* Built `APIs`',
+      '+ [x] Shipped _fast_',
+      '',
+      '| Skill | Years |',
+      '|---|---|',
+      '| Node | 5 |',
+      '',
+      '> Quoted',
+      '',
+      '---'
+    ].join('\n');
+
+    assert.equal(
+      await extractResumeText(Buffer.from(markdown), '.md'),
+      'Jane Doe\n\nSenior Engineer at Acme (https://acme.io)\n\n- Built APIs\n- Shipped fast\n\nSkill  Years\nNode  5\n\nQuoted'
+    );
+  });
+
+  test('JSON Resume: basics, work and skills map into the resume', () => {
+    const { rawText, parsedData, analysis } = importJsonResume(Buffer.from(JSON.stringify({
+      basics: { name: 'Jane Doe', email: 'jane@example.com', summary: 'Backend developer' },
+      work: [{ name: 'Acme', position: 'Senior Engineer', startDate: '2020-01', highlights: ['Built the order service'] }],
+      skills: [{ name: 'Backend', keywords: ['Node.js', 'MongoDB'] }]
+    })));
+
+    assert.equal(parsedData.name, 'Jane Doe');
+    assert.equal(parsedData.email, 'jane@example.com');
+    assert.deepEqual(parsedData.skills, ['Backend', 'Node.js', 'MongoDB']);
+    assert.equal(parsedData.experience[0].title, 'Senior Engineer');
+    assert.equal(parsedData.experience[0].company, 'Acme');
+    assert.match(parsedData.experience[0].description, /- Built the order service/);
+    assert.ok(analysis.technicalSkills.includes('Node.js'));
+    assert.match(rawText, /Jane Doe/);
+  });
+
+  test('JSON Resume: invalid JSON and other JSON documents are rejected with 400', () => {
+    assert.throws(() => importJsonResume(Buffer.from('{ not json')), (error) => error.statusCode === 400);
+    assert.throws(() => importJsonResume(Buffer.from('{"name": "package"}')), /not a JSON Resume document/);
+  });
+});
+
+describe('POST /api/resumes/upload', () => {
+  let api;
+  let close;
+
+  before(async () => {
+    await connectTestDatabase();
+    const started = await listen(http.createServer(await createApp()));
+    api = `http://127.0.0.1:${started.port}/api/resumes`;
+    close = started.close;
+  });
+
+  after(async () => {
+    await close();
+    await disconnectTestDatabase();
+  });
+
+  const upload = (token, buffer, fileName) => {
+    const form = new FormData();
+    form.append('resume', new Blob([buffer]), fileName);
+    return fetch(`${api}/upload`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+  };
+
+  test('a corrupt ODT is a 400, not a placeholder resume', async () => {
+    const user = await createUser();
+    const corrupt = withEntryField(odt(), 'content.xml', 42, 0x7fffffff);
+
+    const res = await upload(signToken(user), corrupt, 'cv.odt');
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /Corrupt ZIP entry/);
+    assert.equal(await Resume.countDocuments({ userId: user._id }), 0);
+  });
+
+  test('a valid ODT is parsed and stored', async () => {
+    const user = await createUser();
+
+    const res = await upload(signToken(user), odt(), 'cv.odt');
+    const body = await res.json();
+    assert.equal(res.status, 201);
+    assert.equal(body.data.resume.fileName, 'cv.odt');
+    assert.match((await Resume.findById(body.data.resume.id)).rawText, /Built the order service/);
+  });
+});
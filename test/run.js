@@ -0,0 +1,18 @@
+// Runs every test/*.test.js in this one process (`npm test`).
+// `node --test` would run each file in a child process and read its results back from the child's stdout,
+// which on Node 20 can be corrupted by the app's own console output there.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const only = process.argv.slice(2);
+const files = fs.readdirSync(__dirname)
+  .filter((file) => file.endsWith('.test.js'))
+  .filter((file) => only.length === 0 || only.some((name) => file.includes(name)))
+  .sort();
+
+for (const file of files) {
+  await import(pathToFileURL(path.join(__dirname, file)).href);
+}
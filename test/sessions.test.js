@@ -0,0 +1,176 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import Chat from '../models/Chat.js';
+import User from '../models/User.js';
+import {
+  connectTestDatabase, disconnectTestDatabase, createApp, createUser, signToken, listen, postJson
+} from './helpers.js';
+
+describe('interview sessions', () => {
+  let api;
+  let close;
+
+  before(async () => {
+    await connectTestDatabase();
+    const started = await listen(http.createServer(await createApp()));
+    api = `http://127.0.0.1:${started.port}/api/ai`;
+    close = started.close;
+  });
+
+  after(async () => {
+    await close();
+    await disconnectTestDatabase();
+  });
+
+  const startSession = async (token, body = {}) => {
+    const res = await postJson(`${api}/sessions`, token, { jobTitle: 'Backend Developer', company: 'Acme', ...body });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const creditsOf = async (user) => (await User.findById(user._id)).credits;
+
+  test('POST /sessions starts a session and spends one credit', async () => {
+    const user = await createUser({ credits: 2 });
+    const { status, body } = await startSession(signToken(user), { interviewMode: 'friendly' });
+
+    assert.equal(status, 201);
+    assert.equal(body.status, 'success');
+    assert.equal(body.data.session.state, 'active');
+    assert.equal(body.data.session.mode, 'friendly');
+    assert.equal(body.data.session.questionsAsked, 0);
+    assert.equal(await creditsOf(user), 1);
+
+    const chat = await Chat.findById(body.data.session.id);
+    assert.equal(String(chat.userId), String(user._id));
+    assert.equal(chat.session.jobTitle, 'Backend Developer');
+  });
+
+  test('POST /sessions rejects an unknown mode before spending a credit', async () => {
+    const user = await createUser({ credits: 1 });
+    const { status, body } = await startSession(signToken(user), { interviewMode: 'nonexistent' });
+
+    assert.equal(status, 400);
+    assert.match(body.message, /Unknown interviewer mode/);
+    assert.equal(await creditsOf(user), 1);
+  });
+
+  test('POST /sessions refuses users without credits', async () => {
+    const user = await createUser({ credits: 0 });
+    const { status } = await startSession(signToken(user));
+
+    assert.equal(status, 402);
+  });
+
+  test('POST /sessions/:id/turn records the answer and the next question', async () => {
+    const token = signToken(await createUser());
+    const { body: started } = await startSession(token);
+    const sessionId = started.data.session.id;
+
+    const first = await postJson(`${api}/sessions/${sessionId}/turn`, token, {});
+    const firstBody = await first.json();
+    assert.equal(first.status, 200);
+    assert.ok(firstBody.data.response.trim().length > 0);
+    assert.equal(firstBody.data.session.questionsAsked, 1);
+
+    const second = await postJson(`${api}/sessions/${sessionId}/turn`, token, {
+      userAnswer: 'I built a REST API in Node.js and Express backed by MongoDB.'
+    });
+    const secondBody = await second.json();
+    assert.equal(second.status, 200);
+    assert.equal(secondBody.data.session.questionsAsked, 2);
+
+    const chat = await Chat.findById(sessionId);
+    assert.deepEqual(chat.messages.map((msg) => msg.role), ['assistant', 'user', 'assistant']);
+    assert.equal(chat.messages[1].content, 'I built a REST API in Node.js and Express backed by MongoDB.');
+    assert.equal(chat.messages[2].content, secondBody.data.response);
+  });
+
+  const transcribe = async (token) => {
+    const form = new FormData();
+    form.append('audio', new Blob([Buffer.from('answer audio')], { type: 'audio/webm' }), 'answer.webm');
+    const res = await fetch(`${api}/transcribe`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+    assert.equal(res.status, 200);
+    return (await res.json()).data;
+  };
+
+  test('POST /sessions/:id/turn stores the delivery the server measured for the transcript', async () => {
+    const token = signToken(await createUser());
+    const { body: started } = await startSession(token);
+    const sessionId = started.data.session.id;
+    await postJson(`${api}/sessions/${sessionId}/turn`, token, {});
+
+    const { transcript, delivery } = await transcribe(token);
+    const res = await postJson(`${api}/sessions/${sessionId}/turn`, token, {
+      userAnswer: transcript,
+      delivery: { ...delivery, wordsPerMinute: 40, fillerWordCount: 0 }
+    });
+    assert.equal(res.status, 200);
+
+    const answer = (await Chat.findById(sessionId)).messages[1];
+    assert.equal(answer.metadata.get('wordCount'), String(delivery.wordCount));
+    assert.equal(answer.metadata.get('wordsPerMinute'), String(delivery.wordsPerMinute));
+    assert.equal(answer.metadata.get('turnType'), 'answer');
+  });
+
+  test('POST /sessions/:id/turn ignores delivery sent by the client', async () => {
+    const token = signToken(await createUser());
+    const { body: started } = await startSession(token);
+    const sessionId = started.data.session.id;
+    await postJson(`${api}/sessions/${sessionId}/turn`, token, {});
+
+    const { transcript } = await transcribe(token);
+    await postJson(`${api}/sessions/${sessionId}/turn`, token, { userAnswer: 'A typed answer about Node.js.' });
+    await postJson(`${api}/sessions/${sessionId}/turn`, token, {
+      userAnswer: 'Another typed answer.',
+      delivery: { wordCount: 3, answerSeconds: 60, wordsPerMinute: 3, fillerWordCount: 0 }
+    });
+
+    const answers = (await Chat.findById(sessionId)).messages.filter((msg) => msg.role === 'user');
+    assert.equal(answers.length, 2);
+    answers.forEach((answer) => {
+      assert.equal(answer.metadata.get('wordCount'), undefined);
+      assert.equal(answer.metadata.get('wordsPerMinute'), undefined);
+    });
+
+    // A measurement belongs to its own user only
+    const other = signToken(await createUser());
+    const { body: otherSession } = await startSession(other);
+    await postJson(`${api}/sessions/${otherSession.data.session.id}/turn`, other, { userAnswer: transcript });
+    const stolen = (await Chat.findById(otherSession.data.session.id)).messages[0];
+    assert.equal(stolen.metadata.get('wordCount'), undefined);
+  });
+
+  test('GET /sessions/:id returns the stored transcript', async () => {
+    const token = signToken(await createUser());
+    const { body: started } = await startSession(token);
+    const sessionId = started.data.session.id;
+    await postJson(`${api}/sessions/${sessionId}/turn`, token, {});
+
+    const res = await fetch(`${api}/sessions/${sessionId}`, { headers: { Authorization: `Bearer ${token}` } });
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(body.data.transcript.length, 1);
+    assert.equal(body.data.transcript[0].type, 'ai');
+  });
+
+  test('POST /sessions/:id/turn is scoped to the session owner', async () => {
+    const { body: started } = await startSession(signToken(await createUser()));
+
+    const res = await postJson(`${api}/sessions/${started.data.session.id}/turn`, signToken(await createUser()), {});
+    assert.equal(res.status, 404);
+  });
+
+  test('POST /sessions/:id/turn rejects turns on a paused session', async () => {
+    const token = signToken(await createUser());
+    const { body: started } = await startSession(token);
+    const sessionId = started.data.session.id;
+
+    const paused = await postJson(`${api}/sessions/${sessionId}/pause`, token, {});
+    assert.equal(paused.status, 200);
+
+    const res = await postJson(`${api}/sessions/${sessionId}/turn`, token, { userAnswer: 'Hello' });
+    assert.equal(res.status, 409);
+    assert.equal((await Chat.findById(sessionId)).messages.length, 0);
+  });
+});
@@ -0,0 +1,5 @@
+// Test environment. Imported before any app module so providers read these when they load.
+process.env.AI_PROVIDER = 'mock';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.VOICE_AUTH_TIMEOUT_MS = process.env.VOICE_AUTH_TIMEOUT_MS || '300';
+process.env.RECORDING_STORAGE = 'off';
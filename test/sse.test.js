@@ -0,0 +1,117 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import Chat from '../models/Chat.js';
+import {
+  connectTestDatabase, disconnectTestDatabase, createApp, createUser, signToken, listen, postJson, parseSse
+} from './helpers.js';
+
+const conversation = [
+  { type: 'ai', text: 'Can you walk me through a project where you used Node.js?' },
+  { type: 'user', text: 'I built an order service with Express and MongoDB that handled checkout for our store.' }
+];
+
+describe('Server-Sent Events endpoints', () => {
+  let api;
+  let close;
+
+  before(async () => {
+    await connectTestDatabase();
+    const started = await listen(http.createServer(await createApp()));
+    api = `http://127.0.0.1:${started.port}/api/ai`;
+    close = started.close;
+  });
+
+  after(async () => {
+    await close();
+    await disconnectTestDatabase();
+  });
+
+  const readStream = async (res) => {
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+    return parseSse(await res.text());
+  };
+
+  test('POST /interview/stream streams tokens, then the question and done events', async () => {
+    const token = signToken(await createUser());
+    const events = await readStream(await postJson(`${api}/interview/stream`, token, {
+      interviewMode: 'moderate',
+      jobTitle: 'Backend Developer',
+      conversation,
+      userAnswer: conversation[1].text
+    }));
+
+    const names = events.map((e) => e.event);
+    assert.ok(names.includes('token'), 'expected token events');
+    assert.equal(names.at(-1), 'done');
+
+    const done = events.at(-1).data;
+    assert.equal(done.status, 'success');
+    const question = events.find((e) => e.event === 'question');
+    assert.equal(question.data.text, done.data.response);
+  });
+
+  test('POST /interview/stream keeps the HTTP status for errors raised before streaming', async () => {
+    const token = signToken(await createUser());
+    const res = await postJson(`${api}/interview/stream`, token, { interviewMode: 'nonexistent', conversation });
+
+    assert.equal(res.status, 400);
+    assert.match(res.headers.get('content-type'), /application\/json/);
+    assert.match((await res.json()).message, /Unknown interviewer mode/);
+  });
+
+  test('POST /interview/stream requires authentication', async () => {
+    const res = await fetch(`${api}/interview/stream`, { method: 'POST' });
+    assert.equal(res.status, 401);
+  });
+
+  test('POST /sessions/:id/turn/stream records the streamed turn on the session', async () => {
+    const token = signToken(await createUser());
+    const started = await (await postJson(`${api}/sessions`, token, { jobTitle: 'Backend Developer' })).json();
+    const sessionId = started.data.session.id;
+
+    const events = await readStream(await postJson(`${api}/sessions/${sessionId}/turn/stream`, token, {}));
+    const done = events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.data.session.questionsAsked, 1);
+    assert.equal((await Chat.findById(sessionId)).messages[0].content, done.data.data.response);
+  });
+
+  test('POST /generate-interview-feedback/stream ends with the feedback report', async () => {
+    const token = signToken(await createUser());
+    const events = await readStream(await postJson(`${api}/generate-interview-feedback/stream`, token, {
+      mode: 'moderate',
+      jobTitle: 'Backend Developer',
+      conversation
+    }));
+
+    const done = events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.status, 'success');
+    assert.equal(typeof done.data.data.feedback.overallScore, 'number');
+  });
+
+  test('POST /generate-interview-feedback/stream with a sessionId ends the stored session', async () => {
+    const token = signToken(await createUser());
+    const started = await (await postJson(`${api}/sessions`, token, { jobTitle: 'Backend Developer' })).json();
+    const sessionId = started.data.session.id;
+    await postJson(`${api}/sessions/${sessionId}/turn`, token, {});
+    await postJson(`${api}/sessions/${sessionId}/turn`, token, { userAnswer: conversation[1].text });
+
+    const events = await readStream(await postJson(`${api}/generate-interview-feedback/stream`, token, { sessionId }));
+    assert.equal(events.at(-1).event, 'done');
+
+    const chat = await Chat.findById(sessionId);
+    assert.equal(chat.session.state, 'ended');
+    assert.ok(chat.messages[1].score?.overall > 0, 'the answer was scored');
+  });
+
+  test('POST /generate-interview-feedback/stream rejects an empty conversation with 400', async () => {
+    const token = signToken(await createUser());
+    const res = await postJson(`${api}/generate-interview-feedback/stream`, token, { conversation: [] });
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).status, 'error');
+  });
+});
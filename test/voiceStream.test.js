@@ -0,0 +1,134 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebSocket } from 'ws';
+import Chat from '../models/Chat.js';
+import User from '../models/User.js';
+import { connectTestDatabase, disconnectTestDatabase, createUser, signToken, listen } from './helpers.js';
+import { initializeVoiceStreamWebSocket } from '../routes/voiceStream.js';
+
+// Open a socket and collect its JSON messages. Resolves once open, or with the status of a refused upgrade.
+const connect = (target, protocols) => new Promise((resolve) => {
+  const ws = new WebSocket(target, protocols);
+  const messages = [];
+  const closed = new Promise((done) => ws.on('close', (code, reason) => done({ code, reason: reason.toString() })));
+  const waiters = [];
+
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    messages.push(message);
+    waiters.filter((w) => w.type === message.type).forEach((w) => w.resolve(message));
+  });
+  ws.on('unexpected-response', (req, res) => resolve({ rejected: res.statusCode, reason: res.statusMessage }));
+  ws.on('error', () => {});
+  ws.on('open', () => resolve({
+    ws,
+    messages,
+    closed,
+    send: (data) => ws.send(JSON.stringify(data)),
+    // Wait for the first message of this type (already received or still to come)
+    next: (type) => {
+      const seen = messages.find((m) => m.type === type);
+      return seen ? Promise.resolve(seen) : new Promise((r) => waiters.push({ type, resolve: r }));
+    }
+  }));
+});
+
+describe('voice stream authentication', () => {
+  let url;
+  let close;
+
+  before(async () => {
+    await connectTestDatabase();
+    const server = http.createServer();
+    initializeVoiceStreamWebSocket(server);
+    const started = await listen(server);
+    url = `ws://127.0.0.1:${started.port}/api/voice-stream`;
+    close = started.close;
+  });
+
+  after(async () => {
+    await close();
+    await disconnectTestDatabase();
+  });
+
+  const creditsOf = async (user) => (await User.findById(user._id)).credits;
+
+  test('refuses the upgrade for an invalid query token', async () => {
+    const res = await connect(`${url}?token=not-a-token`);
+    assert.equal(res.rejected, 401);
+  });
+
+  test('refuses the upgrade for a deactivated user', async () => {
+    const res = await connect(`${url}?token=${signToken(await createUser({ isActive: false }))}`);
+    assert.equal(res.rejected, 401);
+  });
+
+  test('a query token authenticates during the upgrade and start_stream opens a chat', async () => {
+    const user = await createUser({ credits: 1 });
+    const socket = await connect(`${url}?token=${signToken(user)}`);
+
+    socket.send({ type: 'start_stream', jobContext: { jobTitle: 'Backend Developer' } });
+    const ready = await socket.next('stream_ready');
+    assert.ok(ready.chatId);
+    assert.equal(ready.language, 'en');
+    assert.equal(await creditsOf(user), 0);
+    assert.equal(String((await Chat.findById(ready.chatId)).userId), String(user._id));
+
+    socket.send({ type: 'stop_stream' });
+    await socket.next('stream_stopped');
+    socket.ws.close();
+  });
+
+  test('a bearer subprotocol authenticates without echoing the token back', async () => {
+    const socket = await connect(url, ['voice-stream', `bearer.${signToken(await createUser())}`]);
+    assert.equal(socket.ws.protocol, 'voice-stream');
+
+    socket.send({ type: 'ping' });
+    await socket.next('pong');
+    socket.ws.close();
+  });
+
+  test('an auth message authenticates, and a start_stream sent right behind it is not dropped', async () => {
+    const user = await createUser();
+    const socket = await connect(url);
+
+    socket.send({ type: 'auth', token: signToken(user) });
+    socket.send({ type: 'start_stream' });
+
+    await socket.next('stream_ready');
+    assert.deepEqual(socket.messages.slice(0, 2).map((m) => m.type), ['authenticated', 'stream_ready']);
+    socket.ws.close();
+  });
+
+  test('an auth message with a bad token closes the socket', async () => {
+    const socket = await connect(url);
+    socket.send({ type: 'auth', token: 'not-a-token' });
+
+    assert.deepEqual(await socket.closed, { code: 4401, reason: 'Invalid token' });
+  });
+
+  test('closes unauthenticated sockets after the auth timeout', async () => {
+    const socket = await connect(url);
+    assert.deepEqual(await socket.closed, { code: 4401, reason: 'Authentication required' });
+  });
+
+  test('closes a socket whose first frame is not an auth message', async () => {
+    const socket = await connect(url);
+    socket.ws.send(Buffer.from([1, 2, 3]));
+
+    assert.deepEqual(await socket.closed, { code: 4401, reason: 'Authentication required' });
+  });
+
+  test('start_stream with an unknown mode is refused before a credit is spent', async () => {
+    const user = await createUser({ credits: 1 });
+    const socket = await connect(`${url}?token=${signToken(user)}`);
+
+    socket.send({ type: 'start_stream', mode: 'nonexistent' });
+    const error = await socket.next('error');
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, /Unknown interviewer mode/);
+    assert.equal(await creditsOf(user), 1);
+    socket.ws.close();
+  });
+});